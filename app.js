@@ -17,7 +17,15 @@ const allowedOrigins = [
 const app = express();
 
 /* ================= CORE MIDDLEWARE ================= */
-app.use(json({ limit: "50mb" }));
+app.use(
+  json({
+    limit: "50mb",
+    // Webhook signatures are computed over the exact bytes received
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith("/api/orders/razorpay/webhook")) req.rawBody = buf;
+    },
+  }),
+);
 app.use(urlencoded({ limit: "50mb", extended: true }));
 app.use(cookieParser());
 app.use(express.static("public"));
@@ -75,6 +83,16 @@ import exportRoutes from "./src/routes/export.route.js";
 import reportRoutes from "./src/routes/report.routes.js";
 import basketRoutes from "./src/routes/basket.js";
 import walletRoutes from "./src/routes/wallet.routes.js";
+import subscriptionRoutes from "./src/routes/subscription.js";
+import deliverySlotRoutes from "./src/routes/deliverySlot.js";
+import deliveryRoutes from "./src/routes/delivery.js";
+import purchaseRoutes from "./src/routes/purchase.js";
+import supplierRoutes from "./src/routes/supplier.js";
+import wastageRoutes from "./src/routes/wastage.js";
+import pricingRuleRoutes from "./src/routes/pricingRule.js";
+import categoryRoutes from "./src/routes/category.js";
+import coPurchaseRoutes from "./src/routes/coPurchase.js";
+import basketRecommendationRoutes from "./src/routes/basketRecommendations.js";
 
 
 // Sensitive
@@ -86,6 +104,15 @@ app.use("/api/orders", orderRoutes);
 app.use("/api/cart",  cartRoutes);
 app.use("/api/wallet", walletRoutes);
 app.use("/api/coupons", couponRoutes);
+app.use("/api/subscriptions", subscriptionRoutes);
+app.use("/api/delivery-slots", deliverySlotRoutes);
+app.use("/api/delivery", deliveryRoutes);
+app.use("/api/purchases", purchaseRoutes);
+app.use("/api/suppliers", supplierRoutes);
+app.use("/api/wastage", wastageRoutes);
+app.use("/api/pricing-rules", pricingRuleRoutes);
+app.use("/api/categories", categoryRoutes);
+app.use("/api/co-purchase", coPurchaseRoutes);
 
 // Normal (read-heavy / low-risk)
 app.use("/api/cities", cityRoutes);
@@ -96,6 +123,8 @@ app.use("/api/addresses", addressRoutes);
 app.use("/api/reports", orderReportsRoutes);
 app.use("/api/report", reportRoutes);
 app.use("/api/export", exportRoutes);
+// Before basketRoutes, whose /:_id would otherwise catch "recommendations"
+app.use("/api/baskets/recommendations", basketRecommendationRoutes);
 app.use("/api/baskets", basketRoutes);
 
 /* ================= GLOBAL ERROR HANDLER ================= */
@@ -1,2 +1,6 @@
 export const DB_NAME = "VegBazar_1"
 export const DELIVERY_CHARGES = 2000
+
+// Weight labels on vegetables, orders and subscriptions: "500g", "1kg", "1.5kg", or a set ("set0")
+export const WEIGHT_LABEL_PATTERN = /^(\d+(?:\.\d+)?)(kg|g)$/
+export const SET_LABEL_PATTERN = /^set\d+$/
@@ -1,6 +1,9 @@
 import { ConnectDB } from "./src/db/db.js";
 import dotenv from 'dotenv'
 import {app} from './app.js'
+import { startPendingPaymentSweeper } from './src/controller/order.js'
+import { startSubscriptionScheduler } from './src/controller/subscription.js'
+import { startCoPurchaseTrainer } from './src/controller/coPurchase.js'
 dotenv.config({
     path:"./.env"
 })
@@ -11,6 +14,9 @@ ConnectDB().then(()=>{
     app.listen(port,()=>{
         console.log(`Your server running on ${port} port`)
     })
+    startPendingPaymentSweeper()
+    startSubscriptionScheduler()
+    startCoPurchaseTrainer()
 }).catch((error)=>{
     console.log(`MongoDB Connection Failed`,error)
 })
\ No newline at end of file
@@ -0,0 +1,81 @@
+// Sends a signed, Razorpay-shaped webhook to a locally running server.
+//
+//   npm run webhook:fake -- payment.captured --order order_XXX --payment pay_XXX --amount 25000
+//   npm run webhook:fake -- payment.failed   --order order_XXX --payment pay_XXX
+//   npm run webhook:fake -- refund.processed --order order_XXX --payment pay_XXX --amount 25000
+//
+// Add --print to only print the body, signature and a curl command.
+import "dotenv/config";
+import {
+  buildFakeWebhookEvent,
+  signWebhookPayload,
+} from "../src/utility/razorpayWebhook.js";
+
+const EVENTS = ["payment.captured", "payment.failed", "refund.processed"];
+
+const parseArgs = (argv) => {
+  const [event, ...rest] = argv;
+  const options = {};
+  for (let i = 0; i < rest.length; i++) {
+    if (!rest[i].startsWith("--")) continue;
+    const key = rest[i].slice(2);
+    const next = rest[i + 1];
+    options[key] = next && !next.startsWith("--") ? rest[++i] : true;
+  }
+  return { event, options };
+};
+
+const { event, options } = parseArgs(process.argv.slice(2));
+
+if (!EVENTS.includes(event) || !options.order || !options.payment) {
+  console.error(
+    `Usage: node scripts/fake-razorpay-webhook.js <${EVENTS.join("|")}> --order <razorpay_order_id> --payment <payment_id> [--amount <paise>] [--refund <refund_id>] [--url <webhook url>] [--print]`,
+  );
+  process.exit(1);
+}
+
+const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+if (!secret) {
+  console.error("RAZORPAY_WEBHOOK_SECRET is not set");
+  process.exit(1);
+}
+
+const url =
+  options.url ||
+  `http://localhost:${process.env.PORT || 4000}/api/orders/razorpay/webhook`;
+
+const body = JSON.stringify(
+  buildFakeWebhookEvent(event, {
+    orderId: options.order,
+    paymentId: options.payment,
+    amount: parseInt(options.amount || "0", 10),
+    refundId: typeof options.refund === "string" ? options.refund : null,
+  }),
+);
+const signature = signWebhookPayload(body, secret);
+
+if (options.print) {
+  console.log(body);
+  console.log(`\nX-Razorpay-Signature: ${signature}\n`);
+  console.log(
+    `curl -X POST '${url}' -H 'Content-Type: application/json' -H 'X-Razorpay-Signature: ${signature}' -d '${body}'`,
+  );
+  process.exit(0);
+}
+
+try {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "X-Razorpay-Signature": signature,
+    },
+    body,
+  });
+  console.log(`${response.status} ${response.statusText}`);
+  console.log(await response.text());
+  process.exit(response.ok ? 0 : 1);
+} catch (error) {
+  console.error(`Request to ${url} failed:`, error.message);
+  process.exit(1);
+}
@@ -0,0 +1,50 @@
+// Copies the legacy prices / marketPrices tables of weight-priced vegetables
+// into weightVariants. Safe to re-run: vegetables that already have variants
+// are left alone.
+//
+//   npm run migrate:weight-variants
+//   npm run migrate:weight-variants -- --dry-run
+import "dotenv/config";
+import mongoose from "mongoose";
+import Vegetable from "../src/Model/vegetable.js";
+
+const dryRun = process.argv.includes("--dry-run");
+
+if (!process.env.DB_URI) {
+  console.error("DB_URI is not set");
+  process.exit(1);
+}
+
+await mongoose.connect(`${process.env.DB_URI}/VegBazarDB`, { family: 4 });
+
+const pending = await Vegetable.find(
+  {
+    "setPricing.enabled": { $ne: true },
+    $or: [{ weightVariants: { $exists: false } }, { weightVariants: { $size: 0 } }],
+  },
+  "name prices marketPrices setPricing",
+).lean();
+
+let migrated = 0;
+const skipped = [];
+
+for (const veg of pending) {
+  const variants = Vegetable.variantsOf(veg);
+  if (!variants.length) {
+    skipped.push(veg.name);
+    continue;
+  }
+
+  console.log(`${veg.name}: ${variants.map((v) => `${v.label} ₹${v.price}`).join(", ")}`);
+  if (!dryRun) {
+    await Vegetable.updateOne({ _id: veg._id }, { $set: { weightVariants: variants } });
+  }
+  migrated++;
+}
+
+console.log(
+  `${dryRun ? "Would migrate" : "Migrated"} ${migrated} of ${pending.length} vegetables` +
+    (skipped.length ? `; skipped (no prices): ${skipped.join(", ")}` : ""),
+);
+
+await mongoose.disconnect();
@@ -0,0 +1,26 @@
+// Retrains the co-purchase recommendation counts from the full order history.
+// The server trainer only folds in new orders; run this after bulk
+// cancellations or order data fixes, or to seed a fresh database.
+//
+//   npm run recommendations:rebuild
+import "dotenv/config";
+import mongoose from "mongoose";
+import CoPurchase from "../src/Model/coPurchase.js";
+
+if (!process.env.DB_URI) {
+  console.error("DB_URI is not set");
+  process.exit(1);
+}
+
+await mongoose.connect(`${process.env.DB_URI}/VegBazarDB`, { family: 4 });
+
+const started = Date.now();
+const run = await CoPurchase.rebuild();
+const pairs = await CoPurchase.countDocuments({ related: { $ne: null } });
+
+console.log(
+  `Trained on ${run.processed} orders (${run.counted} with vegetables), ${pairs / 2} pairs, ` +
+    `in ${((Date.now() - started) / 1000).toFixed(1)}s`,
+);
+
+await mongoose.disconnect();
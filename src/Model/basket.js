@@ -38,10 +38,22 @@ const basketSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // Hidden from recommendations when false
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+    },
   },
   { timestamps: true },
 );
 
+basketSchema.index({ isActive: 1, category: 1 });
+
 const Basket = mongoose.model("Basket", basketSchema);
 
 export default Basket;
@@ -38,6 +38,79 @@ const cartItemSchema = new mongoose.Schema({
     type: Date,
     default: Date.now,
   },
+  // Shared carts: who put the line in and who last changed it
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+});
+
+// Household member with access to someone else's cart
+const cartMemberSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// Invitation by email or phone; accepted by the user with that email/phone
+const cartInviteSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null,
+  },
+  phone: {
+    type: String,
+    trim: true,
+    default: null,
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ["pending", "accepted", "declined", "revoked"],
+    default: "pending",
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  respondedAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+cartInviteSchema.pre("validate", function (next) {
+  if (!this.email && !this.phone) this.invalidate("email", "An invite needs an email or a phone number");
+  next();
 });
 
 const cartSchema = new mongoose.Schema(
@@ -50,6 +123,9 @@ const cartSchema = new mongoose.Schema(
       index: true,
     },
     items: [cartItemSchema],
+    // Household sharing; `user` stays the owner
+    members: [cartMemberSchema],
+    invites: [cartInviteSchema],
     subtotal: {
       type: Number,
       default: 0,
@@ -84,6 +160,18 @@ const cartSchema = new mongoose.Schema(
       enum: ["active", "checked_out", "abandoned"],
       default: "active",
     },
+    // Checkout in flight (startedAt) and the order it placed (orderId) until
+    // that order is confirmed; ONLINE orders are confirmed when paid
+    checkout: {
+      startedAt: {
+        type: Date,
+        default: null,
+      },
+      orderId: {
+        type: String,
+        default: null,
+      },
+    },
     appliedCoupon: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Coupon",
@@ -136,6 +224,9 @@ cartSchema.index({ user: 1, status: 1 });
 cartSchema.index({ status: 1, updatedAt: -1 });
 cartSchema.index({ total: -1 });
 cartSchema.index({ "items.product": 1 });
+cartSchema.index({ "members.user": 1 });
+cartSchema.index({ "invites.email": 1, "invites.status": 1 });
+cartSchema.index({ "invites.phone": 1, "invites.status": 1 });
 
 // Pre-save middleware to calculate totals
 cartSchema.pre("save", function (next) {
@@ -162,35 +253,44 @@ cartSchema.methods.calculateTotals = function () {
   return this.total;
 };
 
-cartSchema.methods.addItem = function (productId, quantity, price, weight, selectedWeight) {
-  const existingItemIndex = this.items.findIndex(
-    item => item.product.toString() === productId.toString() &&
-           item.weight === weight
-  );
+cartSchema.methods.addItem = function (productId, quantity, price, weight, selectedWeight, addedBy = null) {
+  return this.addItems([{ productId, quantity, price, weight, selectedWeight, addedBy }]);
+};
+
+// Add several lines with a single save; a line already in the cart gets the
+// extra quantity at the new price
+cartSchema.methods.addItems = function (lines) {
+  for (const { productId, quantity, price, weight, selectedWeight, addedBy = null } of lines) {
+    const existing = this.items.find(
+      item => item.product.toString() === productId.toString() &&
+             item.weight === weight
+    );
 
-  if (existingItemIndex > -1) {
-    // Update existing item
-    this.items[existingItemIndex].quantity += quantity;
-    this.items[existingItemIndex].totalPrice = this.items[existingItemIndex].quantity * price;
-    this.items[existingItemIndex].updatedAt = new Date();
-  } else {
-    // Add new item
-    this.items.push({
-      product: productId,
-      quantity,
-      price,
-      weight,
-      selectedWeight,
-      totalPrice: quantity * price,
-      addedAt: new Date(),
-      updatedAt: new Date(),
-    });
+    if (existing) {
+      existing.quantity += quantity;
+      existing.price = price;
+      existing.totalPrice = existing.quantity * price;
+      existing.updatedAt = new Date();
+      existing.updatedBy = addedBy;
+    } else {
+      this.items.push({
+        product: productId,
+        quantity,
+        price,
+        weight,
+        selectedWeight,
+        totalPrice: quantity * price,
+        addedAt: new Date(),
+        updatedAt: new Date(),
+        addedBy,
+      });
+    }
   }
 
   return this.save();
 };
 
-cartSchema.methods.updateItemQuantity = function (productId, weight, newQuantity) {
+cartSchema.methods.updateItemQuantity = function (productId, weight, newQuantity, updatedBy = null) {
   const itemIndex = this.items.findIndex(
     item => item.product.toString() === productId.toString() &&
            item.weight === weight
@@ -203,6 +303,7 @@ cartSchema.methods.updateItemQuantity = function (productId, weight, newQuantity
       this.items[itemIndex].quantity = newQuantity;
       this.items[itemIndex].totalPrice = newQuantity * this.items[itemIndex].price;
       this.items[itemIndex].updatedAt = new Date();
+      this.items[itemIndex].updatedBy = updatedBy;
     }
     return this.save();
   }
@@ -244,6 +345,35 @@ cartSchema.methods.removeCoupon = function () {
   return this.save();
 };
 
+// "owner", "member" or null for users without access
+cartSchema.methods.roleOf = function (userId) {
+  const id = userId.toString();
+  if (this.user.toString() === id) return "owner";
+  return this.members.some(m => m.user.toString() === id) ? "member" : null;
+};
+
+// Per-user share of the cart; lines added before it was shared count for the owner
+cartSchema.methods.contributions = function () {
+  const byUser = new Map();
+  for (const item of this.items) {
+    const userId = (item.addedBy || this.user).toString();
+    const entry = byUser.get(userId) || { user: userId, items: 0, quantity: 0, total: 0 };
+    entry.items += 1;
+    entry.quantity += item.quantity;
+    entry.total += item.totalPrice;
+    byUser.set(userId, entry);
+  }
+
+  const subtotal = this.items.reduce((sum, item) => sum + item.totalPrice, 0);
+  return [...byUser.values()]
+    .map(entry => ({
+      ...entry,
+      total: Math.round(entry.total * 100) / 100,
+      sharePercent: subtotal ? Math.round((entry.total / subtotal) * 1000) / 10 : 0,
+    }))
+    .sort((a, b) => b.total - a.total);
+};
+
 // Static methods
 cartSchema.statics.getOrCreateCart = async function (userId) {
   let cart = await this.findOne({ user: userId, status: "active" });
@@ -254,6 +384,35 @@ cartSchema.statics.getOrCreateCart = async function (userId) {
   return cart;
 };
 
+// Takes an order's lines out of the cart that placed it once the order is
+// confirmed. Only the ordered quantities go, so anything added while paying stays.
+cartSchema.statics.completeCheckout = async function (orderId, orderedLines) {
+  const cart = await this.findOne({ "checkout.orderId": orderId });
+  if (!cart) return null;
+
+  for (const line of orderedLines) {
+    const index = cart.items.findIndex(
+      item => item.product.toString() === line.vegetable.toString() &&
+             item.weight === line.weight
+    );
+    if (index === -1) continue;
+
+    const item = cart.items[index];
+    if (item.quantity <= line.quantity) {
+      cart.items.splice(index, 1);
+    } else {
+      item.quantity -= line.quantity;
+      item.totalPrice = item.quantity * item.price;
+    }
+  }
+
+  // The coupon went with the order
+  cart.appliedCoupon = null;
+  cart.couponDiscount = 0;
+  cart.checkout = { startedAt: null, orderId: null };
+  return cart.save();
+};
+
 cartSchema.statics.getCartStats = async function () {
   const stats = await this.aggregate([
     {
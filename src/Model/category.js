@@ -0,0 +1,143 @@
+import mongoose from "mongoose";
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Catalogue section (leafy greens, roots, exotic, …); nests through `parent`
+const categorySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Category name is required"],
+      trim: true,
+      maxlength: [60, "Name cannot exceed 60 characters"],
+    },
+
+    // URL / filter key, derived from the name when not given
+    slug: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      match: [SLUG_PATTERN, "Slug may only contain lowercase letters, digits and hyphens"],
+    },
+
+    // null for top-level categories
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+    },
+
+    // Lower comes first among siblings
+    sortOrder: {
+      type: Number,
+      default: 0,
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [300, "Description cannot exceed 300 characters"],
+      default: null,
+    },
+
+    image: {
+      type: String,
+      default: null,
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+const slugify = (value) =>
+  String(value || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+categorySchema.pre("validate", function (next) {
+  if (!this.slug && this.name) this.slug = slugify(this.name);
+  if (this.parent && this.parent.equals(this._id)) {
+    this.invalidate("parent", "A category cannot be its own parent");
+  }
+  next();
+});
+
+const bySortOrder = (a, b) => (a.sortOrder || 0) - (b.sortOrder || 0) || a.name.localeCompare(b.name);
+
+// ===== STATICS =====
+categorySchema.statics.slugify = slugify;
+
+/**
+ * Nest a flat list of categories under their parents, siblings in sort order.
+ * Categories whose parent is not in the list are treated as roots.
+ * @param {Array} categories - lean categories
+ * @returns {Array} roots, each with a `children` array
+ */
+categorySchema.statics.buildTree = function (categories) {
+  const nodes = new Map(categories.map((c) => [c._id.toString(), { ...c, children: [] }]));
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parent && nodes.get(node.parent.toString());
+    (parent ? parent.children : roots).push(node);
+  }
+  const sort = (list) => {
+    list.sort(bySortOrder);
+    list.forEach((node) => sort(node.children));
+    return list;
+  };
+  return sort(roots);
+};
+
+/**
+ * Ids of the given categories and everything nested below them
+ * @param {Array} categories - lean categories (the full list)
+ * @param {Array<string>} rootIds
+ * @returns {Set<string>}
+ */
+categorySchema.statics.descendantIds = function (categories, rootIds) {
+  const children = new Map();
+  for (const c of categories) {
+    const key = c.parent?.toString() || null;
+    if (!children.has(key)) children.set(key, []);
+    children.get(key).push(c._id.toString());
+  }
+  const ids = new Set();
+  const stack = rootIds.map(String);
+  while (stack.length) {
+    const id = stack.pop();
+    if (ids.has(id)) continue;
+    ids.add(id);
+    stack.push(...(children.get(id) || []));
+  }
+  return ids;
+};
+
+/**
+ * Ids of a category and all its ancestors, nearest first
+ * @param {Map<string, Object>} byId - lean categories by id
+ * @param {string} id
+ * @returns {Array<string>}
+ */
+categorySchema.statics.ancestry = function (byId, id) {
+  const chain = [];
+  let current = id && byId.get(id.toString());
+  while (current && !chain.includes(current._id.toString())) {
+    chain.push(current._id.toString());
+    current = current.parent && byId.get(current.parent.toString());
+  }
+  return chain;
+};
+
+// ===== INDEXES =====
+categorySchema.index({ slug: 1 }, { unique: true });
+categorySchema.index({ parent: 1, sortOrder: 1 });
+
+const Category = mongoose.model("Category", categorySchema);
+export default Category;
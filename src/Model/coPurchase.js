@@ -0,0 +1,257 @@
+import mongoose from "mongoose";
+import Order from "./order.js";
+
+// Orders that count as real purchases for recommendations
+const COUNTED_STATUSES = Object.freeze(["placed", "processed", "shipped", "delivered"]);
+// ONLINE orders whose payment never arrived are not purchases
+const UNPAID_STATUSES = Object.freeze(["awaiting_payment", "failed"]);
+
+// Counts are never subtracted, so an order is only learnt once it is past the
+// payment window: by then the payment sweeper has paid it or cancelled it
+// (expiry window plus one sweep interval, as configured for the sweeper)
+const SETTLE_MINUTES =
+  (parseInt(process.env.PENDING_PAYMENT_EXPIRY_MINUTES) || 30) +
+  (parseInt(process.env.PENDING_PAYMENT_SWEEP_INTERVAL_MINUTES) || 5);
+
+const BATCH_SIZE = 500;
+const WRITE_CHUNK = 1000;
+
+// Co-purchase counts learnt from orders. Three kinds of row share the collection:
+//   vegetable: null, related: null -> totals (orders seen, training watermark)
+//   vegetable: A,    related: null -> orders containing A
+//   vegetable: A,    related: B    -> orders containing both A and B (stored both ways)
+// Only raw counts are stored, so new orders can be added with $inc; lift and
+// confidence are derived when reading.
+const coPurchaseSchema = new mongoose.Schema(
+  {
+    vegetable: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Vegetable",
+      default: null,
+    },
+
+    related: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Vegetable",
+      default: null,
+    },
+
+    orders: {
+      type: Number,
+      default: 0,
+    },
+
+    // Totals row only: last order (createdAt, _id) folded into the counts
+    trainedUntil: {
+      type: Date,
+      default: null,
+    },
+
+    trainedUntilOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: false, updatedAt: true },
+  },
+);
+
+const TOTALS = { vegetable: null, related: null };
+
+// ===== STATICS =====
+coPurchaseSchema.statics.COUNTED_STATUSES = COUNTED_STATUSES;
+
+/**
+ * Fold a batch of orders into the counts
+ * @param {Array} orders - lean orders with _id, createdAt, selectedVegetables.vegetable
+ * @returns {Promise<number>} orders that had at least one vegetable
+ */
+coPurchaseSchema.statics.addOrders = async function (orders) {
+  if (!orders.length) return 0;
+
+  const items = new Map();
+  const pairs = new Map();
+  let counted = 0;
+
+  for (const order of orders) {
+    const basket = [
+      ...new Set((order.selectedVegetables || []).map((i) => i.vegetable?.toString()).filter(Boolean)),
+    ];
+    if (!basket.length) continue;
+    counted++;
+    for (const a of basket) {
+      items.set(a, (items.get(a) || 0) + 1);
+      for (const b of basket) {
+        if (a === b) continue;
+        const key = `${a}:${b}`;
+        pairs.set(key, (pairs.get(key) || 0) + 1);
+      }
+    }
+  }
+
+  const inc = (filter, n) => ({
+    updateOne: { filter, update: { $inc: { orders: n } }, upsert: true },
+  });
+  const ops = [
+    ...[...items].map(([id, n]) => inc({ vegetable: id, related: null }, n)),
+    ...[...pairs].map(([key, n]) => {
+      const [a, b] = key.split(":");
+      return inc({ vegetable: a, related: b }, n);
+    }),
+  ];
+  for (let i = 0; i < ops.length; i += WRITE_CHUNK) {
+    await this.bulkWrite(ops.slice(i, i + WRITE_CHUNK), { ordered: false });
+  }
+
+  // Totals and watermark last: a crash mid-batch can count that batch twice
+  // (rebuild() corrects it) but never skips it
+  const last = orders[orders.length - 1];
+  await this.updateOne(
+    TOTALS,
+    {
+      $inc: { orders: counted },
+      $set: { trainedUntil: last.createdAt, trainedUntilOrder: last._id },
+    },
+    { upsert: true },
+  );
+
+  return counted;
+};
+
+/**
+ * Fold in every counted order placed since the last run and old enough to be
+ * past its payment window. Unpaid ONLINE orders are skipped.
+ * @param {Object} [options]
+ * @param {number} [options.maxOrders] - stop after this many (the rest waits for the next run)
+ * @returns {Promise<Object>} { processed, counted, trainedUntil }
+ */
+coPurchaseSchema.statics.trainIncremental = async function ({ maxOrders = 20000 } = {}) {
+  const settledBefore = new Date(Date.now() - SETTLE_MINUTES * 60 * 1000);
+  const totals = await this.findOne(TOTALS).lean();
+  let after = totals?.trainedUntil ? { at: totals.trainedUntil, id: totals.trainedUntilOrder } : null;
+  let processed = 0;
+  let counted = 0;
+
+  while (processed < maxOrders) {
+    const filter = {
+      orderStatus: { $in: COUNTED_STATUSES },
+      paymentStatus: { $nin: UNPAID_STATUSES },
+      createdAt: { $lte: settledBefore },
+    };
+    if (after) {
+      filter.$or = [
+        { createdAt: { $gt: after.at } },
+        { createdAt: after.at, _id: { $gt: after.id } },
+      ];
+    }
+
+    const batch = await Order.find(filter, { "selectedVegetables.vegetable": 1, createdAt: 1 })
+      .sort({ createdAt: 1, _id: 1 })
+      .limit(Math.min(BATCH_SIZE, maxOrders - processed))
+      .lean();
+    if (!batch.length) break;
+
+    counted += await this.addOrders(batch);
+    processed += batch.length;
+    const last = batch[batch.length - 1];
+    after = { at: last.createdAt, id: last._id };
+  }
+
+  return { processed, counted, trainedUntil: after?.at || null };
+};
+
+/**
+ * Drop all counts and train again from the full order history. Use after
+ * bulk cancellations or data fixes, which incremental training does not undo.
+ * @returns {Promise<Object>} { processed, counted, trainedUntil }
+ */
+coPurchaseSchema.statics.rebuild = async function () {
+  await this.deleteMany({});
+  return this.trainIncremental({ maxOrders: Infinity });
+};
+
+/**
+ * Vegetables bought together with a set of vegetables, best first.
+ *   confidence(A→B) = orders(A,B) / orders(A)
+ *   lift(A→B)       = orders(A,B) × total / (orders(A) × orders(B))
+ * Candidates need lift above 1 (bought together more than chance) and at
+ * least `minSupport` shared orders. A candidate's score sums
+ * confidence × lift over the basket items it goes with.
+ * @param {Array<string>} vegetableIds - basket
+ * @param {Object} [options] - { limit, minSupport, exclude: Array<string> }
+ * @returns {Promise<Array>} [{ vegetable, score, lift, confidence, together, because }]
+ */
+coPurchaseSchema.statics.recommendFor = async function (
+  vegetableIds,
+  { limit = 5, minSupport = 2, exclude = [] } = {},
+) {
+  const basket = [...new Set(vegetableIds.map(String))];
+  if (!basket.length) return [];
+  const skip = new Set([...basket, ...exclude.map(String)]);
+
+  const [totals, pairs] = await Promise.all([
+    this.findOne(TOTALS, { orders: 1 }).lean(),
+    this.find({ vegetable: { $in: basket }, related: { $ne: null }, orders: { $gte: minSupport } }).lean(),
+  ]);
+  const total = totals?.orders || 0;
+  const candidates = pairs.filter((p) => !skip.has(p.related.toString()));
+  if (!total || !candidates.length) return [];
+
+  const involved = [...new Set([...basket, ...candidates.map((p) => p.related.toString())])];
+  const counts = new Map(
+    (await this.find({ vegetable: { $in: involved }, related: null }, { vegetable: 1, orders: 1 }).lean()).map(
+      (row) => [row.vegetable.toString(), row.orders],
+    ),
+  );
+
+  const scored = new Map();
+  for (const pair of candidates) {
+    const a = pair.vegetable.toString();
+    const b = pair.related.toString();
+    const countA = counts.get(a);
+    const countB = counts.get(b);
+    if (!countA || !countB) continue;
+
+    const confidence = pair.orders / countA;
+    const lift = (pair.orders * total) / (countA * countB);
+    if (lift <= 1) continue;
+
+    const entry = scored.get(b) || { vegetable: b, score: 0, lift: 0, confidence: 0, together: 0, because: [] };
+    entry.score += confidence * lift;
+    entry.lift = Math.max(entry.lift, lift);
+    entry.confidence = Math.max(entry.confidence, confidence);
+    entry.together += pair.orders;
+    entry.because.push(a);
+    scored.set(b, entry);
+  }
+
+  const round = (n) => Math.round(n * 1000) / 1000;
+  return [...scored.values()]
+    .sort((x, y) => y.score - x.score || y.together - x.together)
+    .slice(0, limit)
+    .map((e) => ({ ...e, score: round(e.score), lift: round(e.lift), confidence: round(e.confidence) }));
+};
+
+/**
+ * Most-ordered vegetables, for baskets with nothing to go on
+ * @param {Object} [options] - { limit, exclude: Array<string> }
+ * @returns {Promise<Array>} [{ vegetable, orders }]
+ */
+coPurchaseSchema.statics.popular = async function ({ limit = 5, exclude = [] } = {}) {
+  const rows = await this.find(
+    { vegetable: { $ne: null, $nin: exclude }, related: null },
+    { vegetable: 1, orders: 1 },
+  )
+    .sort({ orders: -1 })
+    .limit(limit)
+    .lean();
+  return rows.map((row) => ({ vegetable: row.vegetable.toString(), orders: row.orders }));
+};
+
+// ===== INDEXES =====
+coPurchaseSchema.index({ vegetable: 1, related: 1 }, { unique: true });
+coPurchaseSchema.index({ related: 1, orders: -1 });
+
+const CoPurchase = mongoose.model("CoPurchase", coPurchaseSchema);
+export default CoPurchase;
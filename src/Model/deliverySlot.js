@@ -0,0 +1,217 @@
+import mongoose from "mongoose";
+import SlotCapacity from "./slotCapacity.js";
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const deliverySlotSchema = new mongoose.Schema(
+  {
+    city: {
+      type: String,
+      required: [true, "City is required"],
+      trim: true,
+      lowercase: true,
+    },
+
+    // null serves every zone/area of the city
+    zone: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: null,
+    },
+
+    label: {
+      type: String,
+      required: [true, "Slot label is required"],
+      trim: true,
+    },
+
+    startTime: {
+      type: String,
+      required: true,
+      match: [TIME_PATTERN, "Start time must be HH:mm"],
+    },
+
+    endTime: {
+      type: String,
+      required: true,
+      match: [TIME_PATTERN, "End time must be HH:mm"],
+      validate: {
+        validator: function (v) {
+          return !this.startTime || v > this.startTime;
+        },
+        message: "End time must be after start time",
+      },
+    },
+
+    // Orders close this many minutes before the slot starts
+    cutoffMinutes: {
+      type: Number,
+      min: 0,
+      default: 720,
+    },
+
+    maxOrders: {
+      type: Number,
+      required: true,
+      min: [0, "Max orders cannot be negative"],
+    },
+
+    // 0 = Sunday … 6 = Saturday
+    daysOfWeek: {
+      type: [{ type: Number, min: 0, max: 6 }],
+      default: [0, 1, 2, 3, 4, 5, 6],
+    },
+
+    // Per-day exceptions, e.g. holidays (closed) or festival days (more capacity)
+    overrides: [
+      {
+        _id: false,
+        date: { type: Date, required: true },
+        isClosed: { type: Boolean, default: false },
+        maxOrders: { type: Number, min: 0, default: null },
+        reason: { type: String, trim: true, default: null },
+      },
+    ],
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// ===== STATICS =====
+
+/**
+ * Parse a delivery date ("YYYY-MM-DD" or Date) to local midnight
+ * @param {string|Date} value
+ * @returns {Date|null} null when the value is not a valid date
+ */
+deliverySlotSchema.statics.toDeliveryDate = function (value) {
+  if (!value) return null;
+  const match = typeof value === "string" && /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  const day = match
+    ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]))
+    : new Date(value);
+  if (isNaN(day)) return null;
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Availability of a slot on a day, given how many orders are already booked
+ * @param {Object} slot - DeliverySlot (document or lean)
+ * @param {Date} date - Delivery day (midnight)
+ * @param {number} booked
+ * @param {Date} now
+ * @returns {Object} { available, reason, capacity, booked, remaining, cutoffAt, startsAt, endsAt }
+ */
+deliverySlotSchema.statics.describeForDate = function (
+  slot,
+  date,
+  booked = 0,
+  now = new Date(),
+) {
+  const at = (time) => {
+    const [h, m] = time.split(":").map(Number);
+    const d = new Date(date);
+    d.setHours(h, m, 0, 0);
+    return d;
+  };
+
+  const override = slot.overrides?.find(
+    (o) => this.toDeliveryDate(o.date).getTime() === date.getTime(),
+  );
+  const capacity = override?.maxOrders ?? slot.maxOrders;
+  const startsAt = at(slot.startTime);
+  const cutoffAt = new Date(startsAt.getTime() - slot.cutoffMinutes * 60 * 1000);
+  const remaining = Math.max(0, capacity - booked);
+
+  let reason = null;
+  if (!slot.isActive) reason = "Slot is not active";
+  else if (override?.isClosed) reason = override.reason || "Closed on this day";
+  else if (!slot.daysOfWeek.includes(date.getDay())) reason = "No deliveries on this day";
+  else if (now >= cutoffAt) reason = "Ordering for this slot has closed";
+  else if (remaining === 0) reason = "Slot is full";
+
+  return {
+    available: reason === null,
+    reason,
+    capacity,
+    booked,
+    remaining,
+    startsAt,
+    endsAt: at(slot.endTime),
+    cutoffAt,
+    ...(override?.reason && { note: override.reason }),
+  };
+};
+
+/**
+ * Atomically book one order into a slot for a day. Must run in the order's
+ * transaction so an aborted order releases the seat.
+ * @param {Object} slot - DeliverySlot
+ * @param {Date} date - Delivery day (midnight)
+ * @param {ClientSession} session
+ * @returns {Promise<boolean>} false when the slot is full
+ */
+deliverySlotSchema.statics.reserve = async function (slot, date, session = null) {
+  const { capacity } = this.describeForDate(slot, date, 0, new Date(0));
+  if (capacity <= 0) return false;
+
+  try {
+    // Matches only while there is room; when the day's row exists but is full
+    // the upsert collides with the unique index and the slot counts as full
+    const updated = await SlotCapacity.findOneAndUpdate(
+      { slot: slot._id, date, booked: { $lt: capacity } },
+      { $inc: { booked: 1 } },
+      { upsert: true, new: true, ...(session && { session }) },
+    );
+    return Boolean(updated);
+  } catch (err) {
+    if (err.code === 11000) return false;
+    throw err;
+  }
+};
+
+/**
+ * Give back a seat booked by an order
+ * @param {ObjectId} slotId
+ * @param {Date} date
+ * @param {ClientSession} session
+ */
+deliverySlotSchema.statics.release = function (slotId, date, session = null) {
+  if (!slotId || !date) return Promise.resolve(null);
+  return SlotCapacity.updateOne(
+    { slot: slotId, date, booked: { $gt: 0 } },
+    { $inc: { booked: -1 } },
+    session ? { session } : {},
+  );
+};
+
+// ===== METHODS =====
+
+/**
+ * Whether this slot delivers to an address (same city, and zone if the slot has one)
+ * @param {Object} address - Address with city, area, deliveryZone
+ * @returns {boolean}
+ */
+deliverySlotSchema.methods.servesAddress = function (address) {
+  if (!address) return true;
+  if (address.city?.trim().toLowerCase() !== this.city) return false;
+  if (!this.zone) return true;
+  return [address.deliveryZone, address.area].some(
+    (z) => z?.trim().toLowerCase() === this.zone,
+  );
+};
+
+// ===== INDEXES =====
+deliverySlotSchema.index({ city: 1, zone: 1, isActive: 1 });
+deliverySlotSchema.index({ city: 1, zone: 1, startTime: 1 }, { unique: true });
+
+const DeliverySlot = mongoose.model("DeliverySlot", deliverySlotSchema);
+export default DeliverySlot;
@@ -14,7 +14,7 @@ const offerSchema = new mongoose.Schema({
   },
   weight: {
     type: String,
-    enum: ["1kg", "500g", "250g", "100g"],
+    match: [/^\d+(\.\d+)?(kg|g)$/, "Weight must look like 1kg, 500g or 1.5kg"],
   },
   totalWeight: {
     type: Number,
@@ -1,4 +1,14 @@
 import mongoose from "mongoose";
+import { WEIGHT_LABEL_PATTERN, SET_LABEL_PATTERN } from "../../const.js";
+
+const DELIVERY_FAILURE_REASONS = Object.freeze([
+  "customer_unavailable",
+  "wrong_address",
+  "customer_refused",
+  "payment_not_collected",
+  "access_restricted",
+  "other",
+]);
 
 const orderSchema = new mongoose.Schema(
   {
@@ -42,10 +52,10 @@ const orderSchema = new mongoose.Schema(
           required: true,
           validate: {
             validator: function (v) {
-              return /^\d+(kg|g)$/.test(v) || /^set\d+$/.test(v);
+              return WEIGHT_LABEL_PATTERN.test(v) || SET_LABEL_PATTERN.test(v);
             },
             message: (props) =>
-              `${props.value} is not a valid weight (e.g., 1kg, 500g) or set format (e.g., set0, set1)!`,
+              `${props.value} is not a valid weight (e.g., 1kg, 500g, 1.5kg) or set format (e.g., set0, set1)!`,
           },
         },
         quantity: {
@@ -199,7 +209,7 @@ const orderSchema = new mongoose.Schema(
 
     paymentStatus: {
       type: String,
-      enum: ["pending", "awaiting_payment", "completed", "failed"],
+      enum: ["pending", "awaiting_payment", "completed", "failed", "refunded"],
       default: "pending",
     },
 
@@ -209,9 +219,27 @@ const orderSchema = new mongoose.Schema(
       default: "placed",
     },
 
+    // Label of the booked slot (e.g. "8AM-10AM"), kept for display and older orders
     DeliveryTimeSlot: {
       type: String,
-      enum: ["8AM-10AM", "4PM-6PM"],
+      trim: true,
+      default: null,
+    },
+
+    deliverySlot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DeliverySlot",
+      default: null,
+    },
+
+    deliveryDate: {
+      type: Date,
+      default: null,
+    },
+
+    subscription: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Subscription",
       default: null,
     },
 
@@ -230,6 +258,274 @@ const orderSchema = new mongoose.Schema(
       type: String,
       default: null,
     },
+
+    paymentFailure: {
+      paymentId: { type: String, default: null },
+      code: { type: String, default: null },
+      description: { type: String, trim: true, default: null },
+      failedAt: { type: Date, default: null },
+    },
+
+    razorpayRefunds: [
+      {
+        refundId: { type: String, required: true },
+        amount: { type: Number, min: 0, required: true },
+        processedAt: { type: Date, default: Date.now },
+      },
+    ],
+
+    cancellation: {
+      reason: {
+        type: String,
+        trim: true,
+        maxlength: [300, "Cancellation reason cannot exceed 300 characters"],
+        default: null,
+      },
+      cancelledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null,
+      },
+      cancelledAt: {
+        type: Date,
+        default: null,
+      },
+      walletCreditReversed: {
+        type: Number,
+        min: 0,
+        default: 0,
+      },
+      cashbackClawedBack: {
+        type: Number,
+        min: 0,
+        default: 0,
+      },
+      // Credited cashback the wallet balance could not cover at cancellation
+      cashbackUnrecovered: {
+        type: Number,
+        min: 0,
+        default: 0,
+      },
+      refundedToWallet: {
+        type: Number,
+        min: 0,
+        default: 0,
+      },
+    },
+
+    // Packing station progress; one entry per resolved selectedVegetables line
+    packing: {
+      status: {
+        type: String,
+        enum: ["in_progress", "packed", null],
+        default: null,
+      },
+      startedAt: {
+        type: Date,
+        default: null,
+      },
+      completedAt: {
+        type: Date,
+        default: null,
+      },
+      packedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null,
+      },
+      shortPickRefund: {
+        type: Number,
+        min: 0,
+        default: 0,
+      },
+      lines: [
+        {
+          _id: false,
+          line: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true,
+          },
+          vegetable: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Vegetable",
+            required: true,
+          },
+          weight: {
+            type: String,
+            required: true,
+          },
+          status: {
+            type: String,
+            enum: ["packed", "short"],
+            required: true,
+          },
+          orderedQuantity: {
+            type: Number,
+            min: 1,
+            required: true,
+          },
+          packedQuantity: {
+            type: Number,
+            min: 0,
+            required: true,
+          },
+          refundAmount: {
+            type: Number,
+            min: 0,
+            default: 0,
+          },
+          resolvedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null,
+          },
+          resolvedAt: {
+            type: Date,
+            default: Date.now,
+          },
+        },
+      ],
+    },
+
+    // Last-mile hand-off to a delivery partner
+    delivery: {
+      partner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null,
+      },
+      status: {
+        type: String,
+        enum: ["assigned", "picked_up", "delivered", "failed", null],
+        default: null,
+      },
+      assignedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null,
+      },
+      assignedAt: {
+        type: Date,
+        default: null,
+      },
+      pickedUpAt: {
+        type: Date,
+        default: null,
+      },
+      deliveredAt: {
+        type: Date,
+        default: null,
+      },
+      // Shared with the customer at pickup, read back by the partner on delivery
+      otp: {
+        type: String,
+        select: false,
+        default: null,
+      },
+      proof: {
+        method: {
+          type: String,
+          enum: ["otp", "photo", null],
+          default: null,
+        },
+        // Stored privately; served by GET /api/delivery/orders/:orderId/proof-photo
+        photo: {
+          key: { type: String, default: null },
+          driver: { type: String, default: null },
+        },
+        receivedBy: {
+          type: String,
+          trim: true,
+          default: null,
+        },
+      },
+      attempts: [
+        {
+          partner: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+          },
+          reason: {
+            type: String,
+            enum: DELIVERY_FAILURE_REASONS,
+            required: true,
+          },
+          note: {
+            type: String,
+            trim: true,
+            maxlength: [300, "Note cannot exceed 300 characters"],
+            default: null,
+          },
+          at: {
+            type: Date,
+            default: Date.now,
+          },
+        },
+      ],
+    },
+
+    modifications: [
+      {
+        modifiedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          default: null,
+        },
+        modifiedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        previousTotal: {
+          type: Number,
+          min: 0,
+          required: true,
+        },
+        newTotal: {
+          type: Number,
+          min: 0,
+          required: true,
+        },
+        walletCharged: {
+          type: Number,
+          min: 0,
+          default: 0,
+        },
+        walletRefunded: {
+          type: Number,
+          min: 0,
+          default: 0,
+        },
+        couponRemoved: {
+          type: String,
+          trim: true,
+          default: null,
+        },
+      },
+    ],
+
+    statusHistory: [
+      {
+        status: {
+          type: String,
+          enum: ["placed", "processed", "shipped", "delivered", "cancelled"],
+          required: true,
+        },
+        actor: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          default: null,
+        },
+        timestamp: {
+          type: Date,
+          default: Date.now,
+        },
+        note: {
+          type: String,
+          trim: true,
+          default: null,
+        },
+      },
+    ],
   },
   {
     timestamps: true,
@@ -238,6 +534,17 @@ const orderSchema = new mongoose.Schema(
   },
 );
 
+// ===== STATUS STATE MACHINE =====
+// placed → processed → shipped → delivered, with cancellation allowed until delivery.
+// delivered and cancelled are terminal.
+const STATUS_TRANSITIONS = Object.freeze({
+  placed: Object.freeze(["processed", "cancelled"]),
+  processed: Object.freeze(["shipped", "cancelled"]),
+  shipped: Object.freeze(["delivered", "cancelled"]),
+  delivered: Object.freeze([]),
+  cancelled: Object.freeze([]),
+});
+
 // ===== VIRTUALS =====
 orderSchema.virtual("totalItems").get(function () {
   return this.selectedVegetables.reduce((sum, item) => sum + item.quantity, 0);
@@ -330,6 +637,16 @@ orderSchema.pre("save", function (next) {
       );
     }
 
+    // Seed the timeline with the initial status of a new order
+    if (this.isNew && this.statusHistory.length === 0) {
+      this.statusHistory.push({
+        status: this.orderStatus,
+        actor: this.customerInfo,
+        timestamp: this.orderDate || new Date(),
+        note: "Order placed",
+      });
+    }
+
     next();
   } catch (error) {
     console.error("❌ Pre-save validation error:", error);
@@ -337,6 +654,54 @@ orderSchema.pre("save", function (next) {
   }
 });
 
+// ===== STATUS TRANSITION STATICS =====
+orderSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+orderSchema.statics.DELIVERY_FAILURE_REASONS = DELIVERY_FAILURE_REASONS;
+
+/**
+ * Check whether an order may move from one status to another
+ * @param {string} from - Current order status
+ * @param {string} to - Requested order status
+ * @returns {boolean}
+ */
+orderSchema.statics.canTransition = function (from, to) {
+  return STATUS_TRANSITIONS[from]?.includes(to) ?? false;
+};
+
+/**
+ * Atomically move an order to a new status and record it in statusHistory.
+ * The update only matches while the order is in a status that may legally
+ * transition to `to`, so concurrent updates cannot skip the state machine.
+ * @param {Object} filter - Query identifying the order (e.g. { _id })
+ * @param {string} to - Target status
+ * @param {Object} options - { actor, note, set, session, from }
+ *   `from` optionally narrows the source statuses further (e.g. customers may
+ *   only cancel before the order ships)
+ * @returns {Promise<Order|null>} Updated order, or null if no legal transition matched
+ */
+orderSchema.statics.transitionStatus = function (
+  filter,
+  to,
+  { actor = null, note = null, set = {}, session = null, from = null } = {},
+) {
+  const allowedFrom = Object.keys(STATUS_TRANSITIONS).filter(
+    (status) =>
+      STATUS_TRANSITIONS[status].includes(to) &&
+      (!from || from.includes(status)),
+  );
+
+  return this.findOneAndUpdate(
+    { ...filter, orderStatus: { $in: allowedFrom } },
+    {
+      $set: { ...set, orderStatus: to },
+      $push: {
+        statusHistory: { status: to, actor, timestamp: new Date(), note },
+      },
+    },
+    { new: true, runValidators: true, ...(session && { session }) },
+  );
+};
+
 // ===== INDEXES =====
 // ✅ FIX: was "OrderSchema" (wrong casing) — now all use "orderSchema"
 // ✅ Removed duplicates, kept only the most useful compound + single-field indexes
@@ -350,6 +715,10 @@ orderSchema.index({ orderType: 1, orderStatus: 1 }); // basket vs custom filter
 // Single-field indexes
 orderSchema.index({ paymentStatus: 1 });
 orderSchema.index({ couponCode: 1 });
+orderSchema.index({ razorpayOrderId: 1 }); // payment confirmation & webhooks
+orderSchema.index({ subscription: 1, createdAt: -1 }); // orders created by a subscription
+orderSchema.index({ deliveryDate: 1, deliverySlot: 1 }); // dispatch: orders per slot and day
+orderSchema.index({ "delivery.partner": 1, "delivery.status": 1 }); // partner run sheet
 orderSchema.index({ createdAt: -1 }); // default sort for order lists
 
 // orderId already has unique: true above — Mongoose creates the unique index automatically.
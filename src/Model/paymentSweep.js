@@ -0,0 +1,118 @@
+import mongoose from "mongoose";
+
+// Audit record written by every run of the pending-payment sweeper
+const paymentSweepSchema = new mongoose.Schema(
+  {
+    trigger: {
+      type: String,
+      enum: ["scheduled", "manual"],
+      required: true,
+      default: "scheduled",
+    },
+
+    triggeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    windowMinutes: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+
+    cutoff: {
+      type: Date,
+      required: true,
+    },
+
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    finishedAt: {
+      type: Date,
+      default: null,
+    },
+
+    scanned: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+
+    expiredCount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+
+    expired: [
+      {
+        order: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Order",
+          required: true,
+        },
+        orderId: {
+          type: String,
+          required: true,
+        },
+        customerInfo: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        razorpayOrderId: {
+          type: String,
+          default: null,
+        },
+        previousPaymentStatus: {
+          type: String,
+        },
+        totalAmount: {
+          type: Number,
+          min: 0,
+          default: 0,
+        },
+        walletCreditReversed: {
+          type: Number,
+          min: 0,
+          default: 0,
+        },
+        itemsRestored: {
+          type: Number,
+          min: 0,
+          default: 0,
+        },
+        orderCreatedAt: {
+          type: Date,
+        },
+      },
+    ],
+
+    // Orders that matched but could not be expired (left for the next sweep)
+    failures: [
+      {
+        orderId: { type: String },
+        message: { type: String, trim: true },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// ===== INDEXES =====
+paymentSweepSchema.index({ startedAt: -1 });
+paymentSweepSchema.index({ "expired.orderId": 1 });
+// Audit rows are kept for 90 days
+paymentSweepSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: 90 * 24 * 60 * 60 },
+);
+
+const PaymentSweep = mongoose.model("PaymentSweep", paymentSweepSchema);
+export default PaymentSweep;
@@ -0,0 +1,237 @@
+import mongoose from "mongoose";
+import Vegetable from "./vegetable.js";
+
+const WEIGHT_KEYS = ["weight1kg", "weight500g", "weight250g", "weight100g"];
+
+// Trend band: within ±this % of the average counts as flat
+const TREND_THRESHOLD_PERCENT = 1;
+
+const weightPricesSchema = {
+  weight1kg: { type: Number, default: 0 },
+  weight500g: { type: Number, default: 0 },
+  weight250g: { type: Number, default: 0 },
+  weight100g: { type: Number, default: 0 },
+};
+
+// One version of a vegetable's price table; a new entry is written whenever
+// prices, marketPrices or set prices change
+const priceHistorySchema = new mongoose.Schema(
+  {
+    vegetable: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Vegetable",
+      required: true,
+    },
+
+    pricingMode: {
+      type: String,
+      enum: ["weight", "set"],
+      required: true,
+    },
+
+    prices: weightPricesSchema,
+
+    marketPrices: weightPricesSchema,
+
+    weightVariants: [
+      {
+        _id: false,
+        label: String,
+        grams: Number,
+        price: Number,
+        marketPrice: Number,
+      },
+    ],
+
+    sets: [
+      {
+        _id: false,
+        label: String,
+        quantity: Number,
+        unit: String,
+        price: Number,
+        marketPrice: Number,
+      },
+    ],
+
+    // Per kg, or per piece of the cheapest set; what trends are computed on
+    referencePrice: {
+      type: Number,
+      required: true,
+    },
+
+    reason: {
+      type: String,
+      enum: ["created", "updated", "baseline"],
+      default: "updated",
+    },
+
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    effectiveAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+);
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// ===== STATICS =====
+
+/**
+ * Price snapshot of a vegetable (document or lean)
+ * @param {Object} veg
+ * @returns {Object} { pricingMode, prices, marketPrices, weightVariants, sets, referencePrice }
+ */
+priceHistorySchema.statics.snapshot = function (veg) {
+  if (veg.setPricing?.enabled) {
+    const sets = (veg.setPricing.sets || []).map((s) => ({
+      label: s.label,
+      quantity: s.quantity,
+      unit: s.unit,
+      price: s.price,
+      marketPrice: s.marketPrice ?? null,
+    }));
+    const perPiece = sets.filter((s) => s.quantity > 0).map((s) => s.price / s.quantity);
+    return {
+      pricingMode: "set",
+      prices: {},
+      marketPrices: {},
+      weightVariants: [],
+      sets,
+      referencePrice: perPiece.length ? round2(Math.min(...perPiece)) : 0,
+    };
+  }
+
+  const pick = (table) => Object.fromEntries(WEIGHT_KEYS.map((k) => [k, table?.[k] || 0]));
+  return {
+    pricingMode: "weight",
+    prices: pick(veg.prices),
+    marketPrices: pick(veg.marketPrices),
+    weightVariants: Vegetable.variantsOf(veg)
+      .filter((v) => v.isActive !== false)
+      .map(({ label, grams, price, marketPrice }) => ({ label, grams, price, marketPrice: marketPrice || 0 })),
+    sets: [],
+    referencePrice: Vegetable.pricePerKg(veg) || 0,
+  };
+};
+
+/**
+ * Record a new version if the price table changed between two states of a
+ * vegetable. The first change to a vegetable with no history also records
+ * the previous table as a baseline so the trend has something to compare.
+ * @param {Object|null} before - vegetable before the update (null when created)
+ * @param {Object} after - vegetable after the update
+ * @param {ObjectId|string|null} changedBy
+ * @returns {Promise<Object|null>} the new entry, or null when prices did not change
+ */
+priceHistorySchema.statics.recordChange = async function (before, after, changedBy = null) {
+  const next = this.snapshot(after);
+
+  if (!before) {
+    return this.create({ vegetable: after._id, ...next, reason: "created", changedBy });
+  }
+
+  const previous = this.snapshot(before);
+  const comparable = ({ pricingMode, weightVariants, sets }) =>
+    JSON.stringify({ pricingMode, weightVariants, sets });
+  if (comparable(previous) === comparable(next)) return null;
+
+  if (!(await this.exists({ vegetable: after._id }))) {
+    await this.create({
+      vegetable: after._id,
+      ...previous,
+      reason: "baseline",
+      effectiveAt: before.updatedAt || before.createdAt || new Date(0),
+    });
+  }
+
+  return this.create({ vegetable: after._id, ...next, reason: "updated", changedBy });
+};
+
+/**
+ * Price trend per vegetable: current reference price against the average of
+ * the price in force at the end of each of the last `days` days.
+ * @param {Array} vegetables - lean vegetables
+ * @param {number} days
+ * @returns {Promise<Map>} vegetableId -> "up" | "down" | "flat"
+ */
+priceHistorySchema.statics.trendsFor = async function (vegetables, days = 7) {
+  const trends = new Map();
+  if (!vegetables.length) return trends;
+
+  const ids = vegetables.map((v) => v._id);
+  const windowStart = new Date();
+  windowStart.setHours(0, 0, 0, 0);
+  windowStart.setDate(windowStart.getDate() - days + 1);
+
+  const [inWindow, openings] = await Promise.all([
+    this.find(
+      { vegetable: { $in: ids }, effectiveAt: { $gte: windowStart } },
+      { vegetable: 1, referencePrice: 1, effectiveAt: 1 },
+    )
+      .sort({ effectiveAt: 1 })
+      .lean(),
+    this.aggregate([
+      { $match: { vegetable: { $in: ids }, effectiveAt: { $lt: windowStart } } },
+      { $sort: { effectiveAt: -1 } },
+      { $group: { _id: "$vegetable", referencePrice: { $first: "$referencePrice" } } },
+    ]),
+  ]);
+
+  const versions = new Map();
+  for (const entry of inWindow) {
+    const key = entry.vegetable.toString();
+    if (!versions.has(key)) versions.set(key, []);
+    versions.get(key).push(entry);
+  }
+  const opening = new Map(openings.map((o) => [o._id.toString(), o.referencePrice]));
+
+  for (const veg of vegetables) {
+    const key = veg._id.toString();
+    const current = this.snapshot(veg).referencePrice;
+    const changes = versions.get(key) || [];
+
+    if (!changes.length) {
+      trends.set(key, "flat");
+      continue;
+    }
+
+    // Walk the window day by day, carrying the price in force forward
+    let price = opening.get(key) ?? changes[0].referencePrice;
+    let idx = 0;
+    let sum = 0;
+    for (let d = 0; d < days; d++) {
+      const dayEnd = new Date(windowStart);
+      dayEnd.setDate(dayEnd.getDate() + d);
+      dayEnd.setHours(23, 59, 59, 999);
+      while (idx < changes.length && changes[idx].effectiveAt <= dayEnd) {
+        price = changes[idx++].referencePrice;
+      }
+      sum += price;
+    }
+
+    const average = sum / days;
+    const changePercent = average ? ((current - average) / average) * 100 : 0;
+    trends.set(
+      key,
+      changePercent > TREND_THRESHOLD_PERCENT ? "up" : changePercent < -TREND_THRESHOLD_PERCENT ? "down" : "flat",
+    );
+  }
+
+  return trends;
+};
+
+// ===== INDEXES =====
+priceHistorySchema.index({ vegetable: 1, effectiveAt: -1 });
+
+const PriceHistory = mongoose.model("PriceHistory", priceHistorySchema);
+export default PriceHistory;
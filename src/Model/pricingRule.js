@@ -0,0 +1,283 @@
+import mongoose from "mongoose";
+import Vegetable from "./vegetable.js";
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const RULE_TYPES = Object.freeze(["scheduled", "time_of_day", "stock_level"]);
+const ADJUSTMENTS = Object.freeze(["set_price", "percent_off", "amount_off"]);
+
+// Weekdays and time windows are the store's wall clock, not the server's
+const STORE_TIMEZONE = process.env.STORE_TIMEZONE || "Asia/Kolkata";
+const WEEKDAYS = Object.freeze(["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"]);
+const storeClock = new Intl.DateTimeFormat("en-US", {
+  timeZone: STORE_TIMEZONE,
+  weekday: "short",
+  hour: "2-digit",
+  minute: "2-digit",
+  hourCycle: "h23",
+});
+
+// { day: 0-6 (Sunday first), time: "HH:mm" } in the store's timezone
+const storeTime = (at) => {
+  const parts = Object.fromEntries(storeClock.formatToParts(at).map((p) => [p.type, p.value]));
+  return { day: WEEKDAYS.indexOf(parts.weekday), time: `${parts.hour}:${parts.minute}` };
+};
+
+// A price change applied on top of Vegetable.weightVariants / setPricing at order time.
+// Rules are created inactive so their effect can be previewed first.
+const pricingRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Rule name is required"],
+      trim: true,
+      maxlength: [100, "Name cannot exceed 100 characters"],
+    },
+
+    type: {
+      type: String,
+      enum: RULE_TYPES,
+      required: true,
+    },
+
+    // Empty applies to every vegetable
+    vegetables: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Vegetable",
+      },
+    ],
+
+    // set_price: new per-kg price (every variant keeps its ratio to it; weight-priced only)
+    // percent_off: % off every price
+    // amount_off: rupees off per kg, or off each set for set-priced vegetables
+    adjustment: {
+      type: {
+        type: String,
+        enum: ADJUSTMENTS,
+        required: true,
+      },
+      value: {
+        type: Number,
+        required: true,
+        min: [0, "Adjustment cannot be negative"],
+      },
+    },
+
+    effectiveFrom: {
+      type: Date,
+      default: null,
+    },
+
+    effectiveTo: {
+      type: Date,
+      default: null,
+    },
+
+    // time_of_day: local "HH:mm" window; end before start wraps past midnight
+    timeWindow: {
+      start: {
+        type: String,
+        match: [TIME_PATTERN, "Start time must be HH:mm"],
+        default: null,
+      },
+      end: {
+        type: String,
+        match: [TIME_PATTERN, "End time must be HH:mm"],
+        default: null,
+      },
+    },
+
+    // 0 = Sunday … 6 = Saturday; empty means every day
+    daysOfWeek: {
+      type: [{ type: Number, min: 0, max: 6 }],
+      default: [],
+    },
+
+    // stock_level: applies while stockKg (stockPieces for sets) is above this
+    stockAbove: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+
+    // Higher wins when several set_price rules apply
+    priority: {
+      type: Number,
+      default: 0,
+    },
+
+    isActive: {
+      type: Boolean,
+      default: false,
+    },
+
+    activatedAt: {
+      type: Date,
+      default: null,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+pricingRuleSchema.pre("validate", function (next) {
+  if (this.effectiveFrom && this.effectiveTo && this.effectiveTo <= this.effectiveFrom) {
+    this.invalidate("effectiveTo", "effectiveTo must be after effectiveFrom");
+  }
+  if (this.type === "scheduled" && !this.effectiveFrom) {
+    this.invalidate("effectiveFrom", "Scheduled rules need an effectiveFrom date");
+  }
+  if (this.type === "time_of_day" && (!this.timeWindow?.start || !this.timeWindow?.end)) {
+    this.invalidate("timeWindow", "Time-of-day rules need a timeWindow start and end");
+  }
+  if (this.type === "stock_level" && this.stockAbove == null) {
+    this.invalidate("stockAbove", "Stock-level rules need a stockAbove threshold");
+  }
+  if (this.adjustment?.type === "percent_off" && this.adjustment.value > 100) {
+    this.invalidate("adjustment.value", "Percent off cannot exceed 100");
+  }
+  next();
+});
+
+// ===== STATICS =====
+pricingRuleSchema.statics.RULE_TYPES = RULE_TYPES;
+pricingRuleSchema.statics.ADJUSTMENTS = ADJUSTMENTS;
+
+/**
+ * Whether a rule applies to a vegetable at a moment. Works on lean or cached
+ * (JSON) rules, so dates and ids may be strings.
+ * @param {Object} rule
+ * @param {Object} veg - Vegetable (lean)
+ * @param {Date} at - weekday and time window are read in STORE_TIMEZONE
+ * @returns {boolean}
+ */
+pricingRuleSchema.statics.appliesTo = function (rule, veg, at = new Date()) {
+  if (rule.effectiveFrom && at < new Date(rule.effectiveFrom)) return false;
+  if (rule.effectiveTo && at > new Date(rule.effectiveTo)) return false;
+
+  if (rule.vegetables?.length && !rule.vegetables.some((id) => id.toString() === veg._id.toString()))
+    return false;
+
+  const clock = storeTime(at);
+  if (rule.daysOfWeek?.length && !rule.daysOfWeek.includes(clock.day)) return false;
+
+  const { start, end } = rule.timeWindow || {};
+  if (start && end) {
+    const now = clock.time;
+    const inside = start <= end ? now >= start && now < end : now >= start || now < end;
+    if (!inside) return false;
+  }
+
+  if (rule.stockAbove != null) {
+    const stock = veg.setPricing?.enabled ? veg.stockPieces : veg.stockKg;
+    if (!((stock || 0) > rule.stockAbove)) return false;
+  }
+
+  const isSet = veg.setPricing?.enabled;
+  if (rule.adjustment.type === "set_price" && (isSet || !Vegetable.pricePerKg(veg))) return false;
+
+  return true;
+};
+
+/**
+ * The vegetable as priced by the rules in force at a moment. At most one
+ * set_price rule applies (highest priority, then newest); on top of it the
+ * single discount giving the lowest price is used. Discounts never stack.
+ * @param {Object} veg - Vegetable (lean)
+ * @param {Array} rules - candidate rules
+ * @param {Date} at
+ * @returns {Object} veg with adjusted weightVariants (and their prices mirror) or
+ *          setPricing.sets, each keeping a basePrice, plus basePrices and
+ *          appliedRules [{ _id, name, type, adjustment }]
+ */
+pricingRuleSchema.statics.priceVegetable = function (veg, rules = [], at = new Date()) {
+  const isSet = veg.setPricing?.enabled;
+  const variants = isSet ? [] : Vegetable.variantsOf(veg);
+  const applicable = rules.filter((rule) => this.appliesTo(rule, veg, at));
+  if (!applicable.length || (isSet ? !veg.setPricing.sets?.length : !variants.length))
+    return { ...veg, appliedRules: [] };
+
+  const clamp = (original, adjusted) => (original > 0 ? Math.max(1, Math.round(adjusted)) : original);
+
+  const override = applicable
+    .filter((rule) => rule.adjustment.type === "set_price")
+    .sort(
+      (a, b) =>
+        (b.priority || 0) - (a.priority || 0) || new Date(b.createdAt) - new Date(a.createdAt),
+    )[0];
+
+  // Price tables are { key: { price, fraction } } so weights and sets share one path;
+  // fraction is kg per variant, used to scale per-kg adjustments
+  let table = isSet
+    ? Object.fromEntries(veg.setPricing.sets.map((set, i) => [i, { price: set.price, fraction: 1 }]))
+    : Object.fromEntries(variants.map((v) => [v.label, { price: v.price || 0, fraction: v.grams / 1000 }]));
+
+  if (override) {
+    const factor = override.adjustment.value / Vegetable.pricePerKg(veg);
+    table = Object.fromEntries(
+      Object.entries(table).map(([key, p]) => [key, { ...p, price: clamp(p.price, p.price * factor) }]),
+    );
+  }
+
+  const discounted = (rule) =>
+    Object.fromEntries(
+      Object.entries(table).map(([key, p]) => {
+        const { type, value } = rule.adjustment;
+        const price = type === "percent_off" ? p.price * (1 - value / 100) : p.price - value * p.fraction;
+        return [key, { ...p, price: clamp(p.price, price) }];
+      }),
+    );
+
+  // Discounts are compared on the 1kg variant, else the largest one
+  const referenceKey = isSet
+    ? "0"
+    : (variants.find((v) => v.grams === 1000) || [...variants].sort((a, b) => b.grams - a.grams)[0])?.label;
+  const discount = applicable
+    .filter((rule) => rule.adjustment.type !== "set_price")
+    .map((rule) => ({ rule, table: discounted(rule) }))
+    .sort((a, b) => a.table[referenceKey].price - b.table[referenceKey].price)[0];
+
+  if (discount) table = discount.table;
+
+  const appliedRules = [override, discount?.rule].filter(Boolean).map((rule) => ({
+    _id: rule._id,
+    name: rule.name,
+    type: rule.type,
+    adjustment: rule.adjustment,
+  }));
+
+  if (isSet) {
+    return {
+      ...veg,
+      setPricing: {
+        ...veg.setPricing,
+        sets: veg.setPricing.sets.map((set, i) => ({ ...set, basePrice: set.price, price: table[i].price })),
+      },
+      appliedRules,
+    };
+  }
+
+  const weightVariants = variants.map((v) => ({ ...v, basePrice: v.price, price: table[v.label].price }));
+  return {
+    ...veg,
+    weightVariants,
+    ...Vegetable.legacyPriceMirror(weightVariants),
+    basePrices: veg.prices,
+    appliedRules,
+  };
+};
+
+// ===== INDEXES =====
+pricingRuleSchema.index({ isActive: 1, effectiveTo: 1 });
+pricingRuleSchema.index({ vegetables: 1, isActive: 1 });
+
+const PricingRule = mongoose.model("PricingRule", pricingRuleSchema);
+export default PricingRule;
@@ -0,0 +1,168 @@
+import mongoose from "mongoose";
+
+// One line of produce bought at the mandi. Stock only moves when the
+// purchase is received, so a pending purchase can still be corrected.
+const purchaseSchema = new mongoose.Schema(
+  {
+    supplier: {
+      type: String,
+      required: [true, "Supplier is required"],
+      trim: true,
+    },
+
+    // Set when bought from a registered supplier; `supplier` keeps the name
+    supplierRef: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Supplier",
+      default: null,
+    },
+
+    vegetable: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Vegetable",
+      required: [true, "Vegetable is required"],
+    },
+
+    // kg for weight-priced vegetables, pieces for set-priced ones
+    unit: {
+      type: String,
+      enum: ["kg", "pieces"],
+      required: true,
+    },
+
+    quantity: {
+      type: Number,
+      required: [true, "Quantity is required"],
+      min: [0.001, "Quantity must be greater than 0"],
+    },
+
+    // Rupees paid per kg / per piece
+    unitCost: {
+      type: Number,
+      required: [true, "Unit cost is required"],
+      min: [0, "Unit cost cannot be negative"],
+    },
+
+    totalCost: {
+      type: Number,
+      min: 0,
+    },
+
+    purchaseDate: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+
+    invoiceNumber: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+
+    status: {
+      type: String,
+      enum: ["pending", "received", "cancelled"],
+      default: "pending",
+    },
+
+    receivedAt: {
+      type: Date,
+      default: null,
+    },
+
+    receivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [300, "Notes cannot exceed 300 characters"],
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+purchaseSchema.pre("validate", function (next) {
+  if (this.quantity != null && this.unitCost != null) {
+    this.totalCost = Math.round(this.quantity * this.unitCost * 100) / 100;
+  }
+  next();
+});
+
+// ===== STATICS =====
+
+/**
+ * Weighted average cost per vegetable and unit from received purchases.
+ * Vegetables with nothing bought in the range fall back to their most
+ * recent purchase before it, so slow movers still get a cost.
+ * @param {Date} start
+ * @param {Date} end
+ * @returns {Promise<Map>} "vegetableId:unit" -> { unitCost, quantity, spend, fromRange }
+ */
+purchaseSchema.statics.averageUnitCosts = async function (start, end) {
+  const costs = new Map();
+  const key = (row) => `${row._id.vegetable}:${row._id.unit}`;
+
+  const inRange = await this.aggregate([
+    { $match: { status: "received", purchaseDate: { $gte: start, $lte: end } } },
+    {
+      $group: {
+        _id: { vegetable: "$vegetable", unit: "$unit" },
+        quantity: { $sum: "$quantity" },
+        spend: { $sum: "$totalCost" },
+      },
+    },
+  ]);
+
+  for (const row of inRange) {
+    if (row.quantity > 0) {
+      costs.set(key(row), {
+        unitCost: row.spend / row.quantity,
+        quantity: row.quantity,
+        spend: row.spend,
+        fromRange: true,
+      });
+    }
+  }
+
+  const earlier = await this.aggregate([
+    { $match: { status: "received", purchaseDate: { $lt: start } } },
+    { $sort: { purchaseDate: -1 } },
+    {
+      $group: {
+        _id: { vegetable: "$vegetable", unit: "$unit" },
+        unitCost: { $first: "$unitCost" },
+      },
+    },
+  ]);
+
+  for (const row of earlier) {
+    if (!costs.has(key(row))) {
+      costs.set(key(row), { unitCost: row.unitCost, quantity: 0, spend: 0, fromRange: false });
+    }
+  }
+
+  return costs;
+};
+
+// ===== INDEXES =====
+purchaseSchema.index({ status: 1, purchaseDate: -1 });
+purchaseSchema.index({ vegetable: 1, status: 1, purchaseDate: -1 });
+purchaseSchema.index({ supplier: 1, purchaseDate: -1 });
+purchaseSchema.index({ supplierRef: 1, purchaseDate: -1 });
+
+const Purchase = mongoose.model("Purchase", purchaseSchema);
+export default Purchase;
@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+
+// Orders booked into a delivery slot on one day. Kept apart from DeliverySlot so
+// reservations are a single conditional $inc on a tiny document.
+const slotCapacitySchema = new mongoose.Schema(
+  {
+    slot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DeliverySlot",
+      required: true,
+    },
+    date: {
+      type: Date,
+      required: true,
+    },
+    booked: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// ===== INDEXES =====
+slotCapacitySchema.index({ slot: 1, date: 1 }, { unique: true });
+slotCapacitySchema.index({ date: 1 });
+
+const SlotCapacity = mongoose.model("SlotCapacity", slotCapacitySchema);
+export default SlotCapacity;
@@ -0,0 +1,127 @@
+import mongoose from "mongoose";
+
+const MOVEMENT_TYPES = Object.freeze([
+  "initial",
+  "order_deduction",
+  "cancellation_restore",
+  "order_modification",
+  "adjustment",
+  "purchase_receipt",
+  "wastage",
+]);
+
+// Append-only ledger: one entry per change to Vegetable.stockKg / stockPieces
+const stockMovementSchema = new mongoose.Schema(
+  {
+    vegetable: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Vegetable",
+      required: true,
+    },
+
+    unit: {
+      type: String,
+      enum: ["kg", "pieces"],
+      required: true,
+    },
+
+    type: {
+      type: String,
+      enum: MOVEMENT_TYPES,
+      required: true,
+    },
+
+    // Signed change: negative leaves stock, positive adds to it
+    quantity: {
+      type: Number,
+      required: true,
+    },
+
+    before: {
+      type: Number,
+      required: true,
+    },
+
+    after: {
+      type: Number,
+      required: true,
+    },
+
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    reference: {
+      kind: {
+        type: String,
+        enum: ["Order", "Purchase", "Wastage", null],
+        default: null,
+      },
+      id: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null,
+      },
+      // Human-readable code, e.g. the orderId
+      code: {
+        type: String,
+        default: null,
+      },
+    },
+
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [300, "Note cannot exceed 300 characters"],
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+);
+
+const round = (n) => Math.round(n * 1000) / 1000;
+
+// ===== STATICS =====
+stockMovementSchema.statics.MOVEMENT_TYPES = MOVEMENT_TYPES;
+
+/**
+ * Record stock changes in the ledger
+ * @param {Array} changes - [{ vegetable, unit, before, after }]
+ * @param {Object} context - { type, actor, reference: { kind, id, code }, note }
+ * @param {ClientSession} session
+ * @returns {Promise<Array>} created entries (unchanged rows are skipped)
+ */
+stockMovementSchema.statics.recordChanges = function (
+  changes,
+  { type, actor = null, reference = null, note = null },
+  session = null,
+) {
+  const entries = changes
+    .filter((c) => round(c.after - c.before) !== 0)
+    .map((c) => ({
+      vegetable: c.vegetable,
+      unit: c.unit,
+      type,
+      quantity: round(c.after - c.before),
+      before: round(c.before),
+      after: round(c.after),
+      actor,
+      reference: reference || undefined,
+      note,
+    }));
+
+  if (!entries.length) return Promise.resolve([]);
+  return this.insertMany(entries, session ? { session } : {});
+};
+
+// ===== INDEXES =====
+stockMovementSchema.index({ vegetable: 1, createdAt: -1 }); // stock history per vegetable
+stockMovementSchema.index({ vegetable: 1, unit: 1, createdAt: 1 }); // reconciliation
+stockMovementSchema.index({ "reference.kind": 1, "reference.id": 1 });
+stockMovementSchema.index({ type: 1, createdAt: -1 });
+
+const StockMovement = mongoose.model("StockMovement", stockMovementSchema);
+export default StockMovement;
@@ -0,0 +1,279 @@
+import mongoose from "mongoose";
+import DeliverySlot from "./deliverySlot.js";
+import { WEIGHT_LABEL_PATTERN, SET_LABEL_PATTERN } from "../../const.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const subscriptionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    orderType: {
+      type: String,
+      enum: ["basket", "custom"],
+      required: true,
+      default: "custom",
+    },
+
+    selectedBasket: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Basket",
+      required: function () {
+        return this.orderType === "basket";
+      },
+    },
+
+    selectedVegetables: {
+      type: [
+        {
+          _id: false,
+          vegetable: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Vegetable",
+            required: true,
+          },
+          weight: {
+            type: String,
+            required: true,
+            validate: {
+              validator: function (v) {
+                return WEIGHT_LABEL_PATTERN.test(v) || SET_LABEL_PATTERN.test(v);
+              },
+              message: (props) =>
+                `${props.value} is not a valid weight (e.g., 1kg, 500g, 1.5kg) or set format (e.g., set0, set1)!`,
+            },
+          },
+          quantity: {
+            type: Number,
+            required: true,
+            min: [1, "Quantity must be at least 1"],
+            default: 1,
+          },
+        },
+      ],
+      validate: {
+        validator: (items) => Array.isArray(items) && items.length > 0,
+        message: "At least one vegetable is required",
+      },
+    },
+
+    frequency: {
+      type: String,
+      enum: ["weekly", "biweekly", "monthly"],
+      required: true,
+      default: "weekly",
+    },
+
+    // Label of deliverySlot (older subscriptions may only have the label)
+    DeliveryTimeSlot: {
+      type: String,
+      trim: true,
+      required: true,
+    },
+
+    deliverySlot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DeliverySlot",
+      default: null,
+    },
+
+    deliveryAddressId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Address",
+      required: true,
+    },
+
+    // ONLINE needs the customer at checkout, so it cannot run unattended
+    paymentMethod: {
+      type: String,
+      enum: ["COD", "WALLET", "WALLET_COD"],
+      required: true,
+      default: "COD",
+    },
+
+    couponCode: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: null,
+    },
+
+    status: {
+      type: String,
+      enum: ["active", "paused", "cancelled"],
+      default: "active",
+    },
+
+    startDate: {
+      type: Date,
+      required: true,
+    },
+
+    nextDeliveryDate: {
+      type: Date,
+      required: true,
+    },
+
+    // null while paused means "until resumed"
+    pausedUntil: {
+      type: Date,
+      default: null,
+    },
+
+    skipDates: [
+      {
+        type: Date,
+      },
+    ],
+
+    lastOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+    },
+
+    history: [
+      {
+        deliveryDate: { type: Date, required: true },
+        outcome: {
+          type: String,
+          enum: ["created", "skipped", "failed"],
+          required: true,
+        },
+        order: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Order",
+          default: null,
+        },
+        orderId: { type: String, default: null },
+        message: { type: String, trim: true, default: null },
+        at: { type: Date, default: Date.now },
+      },
+    ],
+
+    cancelledAt: {
+      type: Date,
+      default: null,
+    },
+
+    cancelReason: {
+      type: String,
+      trim: true,
+      maxlength: [300, "Cancellation reason cannot exceed 300 characters"],
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+// ===== STATICS =====
+
+/**
+ * Next delivery day after `date` for a frequency
+ * @param {Date} date
+ * @param {string} frequency - weekly | biweekly | monthly
+ * @returns {Date}
+ */
+subscriptionSchema.statics.nextOccurrence = function (date, frequency) {
+  const next = DeliverySlot.toDeliveryDate(date);
+  if (frequency === "monthly") {
+    const dayOfMonth = next.getDate();
+    next.setMonth(next.getMonth() + 1);
+    // Jan 31 → Feb 28/29 rather than rolling over into March
+    if (next.getDate() !== dayOfMonth) next.setDate(0);
+  } else next.setDate(next.getDate() + (frequency === "biweekly" ? 14 : 7));
+  return next;
+};
+
+/**
+ * First delivery day on the schedule that is on or after `threshold`
+ * @param {Date} date - A day on the schedule
+ * @param {string} frequency
+ * @param {Date} threshold
+ * @returns {Date}
+ */
+subscriptionSchema.statics.rollForward = function (date, frequency, threshold) {
+  let day = DeliverySlot.toDeliveryDate(date);
+  const floor = DeliverySlot.toDeliveryDate(threshold);
+  while (day < floor) day = this.nextOccurrence(day, frequency);
+  return day;
+};
+
+/**
+ * Delivery days a subscription will produce in [from, to], honouring pause
+ * and skip dates. Works on plain (lean) objects.
+ * @param {Object} sub
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Date[]}
+ */
+subscriptionSchema.statics.projectDeliveries = function (sub, from, to) {
+  if (sub.status === "cancelled") return [];
+
+  const skipped = new Set(
+    (sub.skipDates || []).map((d) => DeliverySlot.toDeliveryDate(d).getTime()),
+  );
+  const pausedUntil =
+    sub.status === "paused"
+      ? sub.pausedUntil
+        ? DeliverySlot.toDeliveryDate(sub.pausedUntil)
+        : null
+      : undefined;
+
+  // Paused without an end date produces nothing
+  if (pausedUntil === null) return [];
+
+  const end = DeliverySlot.toDeliveryDate(to);
+  const days = [];
+  let day = this.rollForward(
+    sub.nextDeliveryDate,
+    sub.frequency,
+    pausedUntil && pausedUntil > from ? pausedUntil : from,
+  );
+
+  while (day <= end) {
+    if (!skipped.has(day.getTime())) days.push(new Date(day));
+    day = this.nextOccurrence(day, sub.frequency);
+  }
+
+  return days;
+};
+
+// ===== METHODS =====
+
+/**
+ * Whether the customer skipped a given delivery day
+ * @param {Date} date
+ * @returns {boolean}
+ */
+subscriptionSchema.methods.isSkipped = function (date) {
+  const day = DeliverySlot.toDeliveryDate(date).getTime();
+  return this.skipDates.some(
+    (d) => DeliverySlot.toDeliveryDate(d).getTime() === day,
+  );
+};
+
+// ===== VIRTUALS =====
+subscriptionSchema.virtual("daysUntilNextDelivery").get(function () {
+  if (!this.nextDeliveryDate || this.status !== "active") return null;
+  return Math.max(
+    0,
+    Math.ceil((new Date(this.nextDeliveryDate).getTime() - Date.now()) / DAY_MS),
+  );
+});
+
+// ===== INDEXES =====
+subscriptionSchema.index({ user: 1, status: 1 }); // customer: my subscriptions
+subscriptionSchema.index({ status: 1, nextDeliveryDate: 1 }); // scheduler: due subscriptions
+subscriptionSchema.index({ status: 1, pausedUntil: 1 }); // scheduler: auto-resume
+
+const Subscription = mongoose.model("Subscription", subscriptionSchema);
+export default Subscription;
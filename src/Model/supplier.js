@@ -0,0 +1,83 @@
+import mongoose from "mongoose";
+
+// A mandi trader we buy produce from
+const supplierSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Supplier name is required"],
+      trim: true,
+      maxlength: [100, "Name cannot exceed 100 characters"],
+    },
+
+    contact: {
+      person: {
+        type: String,
+        trim: true,
+        default: null,
+      },
+      phone: {
+        type: String,
+        trim: true,
+        match: [/^[6-9]\d{9}$/, "Please provide a valid 10-digit phone number"],
+        default: null,
+      },
+      email: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        default: null,
+      },
+    },
+
+    mandi: {
+      name: {
+        type: String,
+        trim: true,
+        default: null,
+      },
+      city: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        default: null,
+      },
+      // Shop / stall number inside the mandi
+      stall: {
+        type: String,
+        trim: true,
+        default: null,
+      },
+    },
+
+    vegetables: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Vegetable",
+      },
+    ],
+
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [300, "Notes cannot exceed 300 characters"],
+      default: null,
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// ===== INDEXES =====
+supplierSchema.index({ name: 1 }, { unique: true, collation: { locale: "en", strength: 2 } });
+supplierSchema.index({ vegetables: 1, isActive: 1 });
+supplierSchema.index({ "mandi.city": 1, isActive: 1 });
+
+const Supplier = mongoose.model("Supplier", supplierSchema);
+export default Supplier;
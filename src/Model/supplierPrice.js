@@ -0,0 +1,101 @@
+import mongoose from "mongoose";
+
+// A supplier's price for one vegetable on one day. Quotes taken at the mandi
+// and prices actually paid on a purchase both land here; the latest write for
+// a day wins.
+const supplierPriceSchema = new mongoose.Schema(
+  {
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Supplier",
+      required: true,
+    },
+
+    vegetable: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Vegetable",
+      required: true,
+    },
+
+    // Local midnight of the quote day
+    date: {
+      type: Date,
+      required: true,
+    },
+
+    // kg for weight-priced vegetables, pieces for set-priced ones
+    unit: {
+      type: String,
+      enum: ["kg", "pieces"],
+      required: true,
+    },
+
+    // Rupees per kg / per piece
+    price: {
+      type: Number,
+      required: [true, "Price is required"],
+      min: [0, "Price cannot be negative"],
+    },
+
+    source: {
+      type: String,
+      enum: ["quote", "purchase"],
+      default: "quote",
+    },
+
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// ===== STATICS =====
+
+/**
+ * Midnight of the given day
+ * @param {string|Date} value - defaults to today
+ * @returns {Date|null} null when the value is not a valid date
+ */
+supplierPriceSchema.statics.toDay = function (value = new Date()) {
+  const match = typeof value === "string" && /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  const day = match
+    ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]))
+    : new Date(value);
+  if (isNaN(day)) return null;
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Record (or replace) a supplier's price for a vegetable on a day
+ * @param {Object} entry - { supplier, vegetable, unit, price, date, source, recordedBy }
+ * @param {ClientSession} session
+ */
+supplierPriceSchema.statics.record = function (entry, session = null) {
+  const date = this.toDay(entry.date || new Date());
+  return this.findOneAndUpdate(
+    { supplier: entry.supplier, vegetable: entry.vegetable, date },
+    {
+      $set: {
+        unit: entry.unit,
+        price: entry.price,
+        source: entry.source || "quote",
+        recordedBy: entry.recordedBy || null,
+      },
+    },
+    { upsert: true, new: true, runValidators: true, ...(session && { session }) },
+  );
+};
+
+// ===== INDEXES =====
+supplierPriceSchema.index({ supplier: 1, vegetable: 1, date: -1 }, { unique: true });
+supplierPriceSchema.index({ vegetable: 1, date: -1 });
+supplierPriceSchema.index({ date: -1 });
+
+const SupplierPrice = mongoose.model("SupplierPrice", supplierPriceSchema);
+export default SupplierPrice;
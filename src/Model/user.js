@@ -52,6 +52,7 @@ const userSchema = new mongoose.Schema(
           default: [0, 0],
         },
       },
+      locationUpdatedAt: Date,
       deliveryZones: [String],
 
       // For packaging staff
@@ -1,4 +1,100 @@
 import mongoose from "mongoose";
+import { WEIGHT_LABEL_PATTERN } from "../../const.js";
+
+// Labels of the four fixed weights that predate weightVariants
+const LEGACY_WEIGHTS = Object.freeze([
+  { key: "weight1kg", label: "1kg", grams: 1000 },
+  { key: "weight500g", label: "500g", grams: 500 },
+  { key: "weight250g", label: "250g", grams: 250 },
+  { key: "weight100g", label: "100g", grams: 100 },
+]);
+
+// "750g", "1kg", "1.5kg" from a weight in grams
+const labelForGrams = (grams) =>
+  grams >= 1000 && grams % 100 === 0 ? `${grams / 1000}kg` : `${grams}g`;
+
+const weightVariantSchema = new mongoose.Schema(
+  {
+    // Derived from grams on validate, e.g. "750g", "2kg"; what carts and orders reference
+    label: {
+      type: String,
+      trim: true,
+    },
+    grams: {
+      type: Number,
+      required: [true, "Variant weight in grams is required"],
+      min: [1, "Variant weight must be at least 1g"],
+    },
+    price: {
+      type: Number,
+      required: [true, "Variant price is required"],
+      min: [0, "Price cannot be negative"],
+    },
+    marketPrice: {
+      type: Number,
+      default: 0,
+      min: [0, "Price cannot be negative"],
+    },
+    minQty: {
+      type: Number,
+      default: 1,
+      min: [1, "Minimum quantity must be at least 1"],
+    },
+    // null = no per-variant cap beyond the order-wide limit
+    maxQty: {
+      type: Number,
+      default: null,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { _id: false },
+);
+
+weightVariantSchema.pre("validate", function (next) {
+  if (this.grams) this.label = labelForGrams(this.grams);
+  if (this.maxQty != null && this.maxQty < this.minQty) {
+    this.invalidate("maxQty", "Maximum quantity cannot be below minimum quantity");
+  }
+  next();
+});
+
+// One gallery image; array order is display order
+const galleryImageSchema = new mongoose.Schema(
+  {
+    url: {
+      type: String,
+      required: [true, "Image URL is required"],
+    },
+    // Driver-specific handle used to delete the file (public id / path)
+    key: {
+      type: String,
+      default: null,
+    },
+    // Storage driver that holds the file; null for URLs added by hand
+    driver: {
+      type: String,
+      default: null,
+    },
+    variants: {
+      thumbnail: { type: String, default: null },
+      medium: { type: String, default: null },
+    },
+    alt: {
+      type: String,
+      trim: true,
+      maxlength: [150, "Alt text cannot exceed 150 characters"],
+      default: "",
+    },
+    isPrimary: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } },
+);
 
 const vegetableSchema = new mongoose.Schema(
   {
@@ -7,10 +103,15 @@ const vegetableSchema = new mongoose.Schema(
       required: [true, "Vegetable name is required"],
       trim: true,
     },
+    // Primary image URL; mirrors the primary gallery entry when there is a gallery
     image: {
       type: String,
       required: [true, "Image URL is required"],
     },
+    images: {
+      type: [galleryImageSchema],
+      default: [],
+    },
     stockKg: {
       type: Number,
       default: 0,
@@ -33,7 +134,29 @@ const vegetableSchema = new mongoose.Schema(
       type: Number,
       default: 1,
     },
-    // Weight-based pricing (required but can be zeros for set-based items)
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+    },
+    // Free-form labels for filtering, e.g. organic, local, seasonal
+    tags: {
+      type: [{ type: String, trim: true, lowercase: true, maxlength: 30 }],
+      default: [],
+    },
+    // Other names customers search by: Hindi/Gujarati names, transliterations,
+    // common spellings (e.g. bhindi, bhinda, ભીંડા, lady finger)
+    aliases: {
+      type: [{ type: String, trim: true, lowercase: true, maxlength: 40 }],
+      default: [],
+    },
+    // Sellable pack sizes for weight-priced items (e.g. 100g … 5kg)
+    weightVariants: {
+      type: [weightVariantSchema],
+      default: undefined,
+    },
+    // Mirror of the weightVariants matching the four legacy weights, kept in
+    // sync on save for older clients only (zeros for set-based items)
     prices: {
       weight1kg: {
         type: Number,
@@ -120,6 +243,16 @@ const vegetableSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// Exactly one primary gallery image, mirrored into `image`
+vegetableSchema.pre("validate", function (next) {
+  if (this.images?.length) {
+    const { images, image } = Vegetable.normalizeGallery(this.images);
+    images.forEach((img, i) => (this.images[i].isPrimary = img.isPrimary));
+    this.image = image;
+  }
+  next();
+});
+
 // Custom validation: ensure at least one pricing method has valid data
 vegetableSchema.pre("validate", function (next) {
   if (this.setPricing?.enabled) {
@@ -133,8 +266,20 @@ vegetableSchema.pre("validate", function (next) {
         return next(new Error("Each set must have valid quantity and price"));
       }
     }
+  } else if (this.weightVariants?.length) {
+    // Weight pricing mode - require at least one sellable variant, unique per weight
+    if (!this.weightVariants.some((v) => v.isActive && v.price > 0)) {
+      return next(new Error("At least one active weight variant with a price is required"));
+    }
+    const grams = this.weightVariants.map((v) => v.grams);
+    if (new Set(grams).size !== grams.length) {
+      return next(new Error("Each weight variant must have a different weight"));
+    }
+    const mirror = Vegetable.legacyPriceMirror(this.weightVariants);
+    this.prices = mirror.prices;
+    this.marketPrices = mirror.marketPrices;
   } else {
-    // Weight pricing mode - require valid prices
+    // Not yet migrated: the legacy fields are still the source of truth
     if (!this.prices?.weight1kg || this.prices.weight1kg <= 0) {
       return next(new Error("Valid 1kg price is required for weight-based pricing"));
     }
@@ -176,6 +321,16 @@ vegetableSchema.pre("findOneAndUpdate", async function (next) {
     }
   }
 
+  // Keep the legacy price fields in step with replaced variants
+  if (Array.isArray(update.$set.weightVariants)) {
+    const variants = update.$set.weightVariants.map((v) => ({
+      ...v,
+      label: labelForGrams(v.grams),
+    }));
+    update.$set.weightVariants = variants;
+    Object.assign(update.$set, Vegetable.legacyPriceMirror(variants));
+  }
+
   // Set outOfStock based on pricing mode
   if (usingSetPricing) {
     if (update.$set.stockPieces !== undefined) {
@@ -190,14 +345,103 @@ vegetableSchema.pre("findOneAndUpdate", async function (next) {
   next();
 });
 
-// Virtual for default price (1kg weight-based)
+// Virtual for default price (per kg, weight-based)
 vegetableSchema.virtual("price").get(function () {
-  return this.prices?.weight1kg || 0;
+  return Vegetable.pricePerKg(this) || 0;
 });
 
 vegetableSchema.virtual("marketPrice").get(function () {
-  return this.marketPrices?.weight1kg || 0;
+  return Vegetable.pricePerKg(this, "marketPrice") || 0;
 });
 
+// ===== STATICS =====
+vegetableSchema.statics.LEGACY_WEIGHTS = LEGACY_WEIGHTS;
+vegetableSchema.statics.labelForGrams = labelForGrams;
+
+/**
+ * Grams in a weight label ("750g" -> 750, "1.5kg" -> 1500)
+ * @param {string} label
+ * @returns {number} 0 when the label is not a weight
+ */
+vegetableSchema.statics.labelToGrams = function (label) {
+  const match = WEIGHT_LABEL_PATTERN.exec(label || "");
+  if (!match) return 0;
+  return Math.round(Number(match[1]) * (match[2] === "kg" ? 1000 : 1));
+};
+
+/**
+ * Weight variants of a vegetable (document, lean or cached). Documents not
+ * yet migrated get variants built from the legacy price fields.
+ * @param {Object} veg
+ * @returns {Array} [{ label, grams, price, marketPrice, minQty, maxQty, isActive }]
+ */
+vegetableSchema.statics.variantsOf = function (veg) {
+  if (veg.setPricing?.enabled) return [];
+  if (veg.weightVariants?.length) return veg.weightVariants;
+  return LEGACY_WEIGHTS.filter(({ key }) => veg.prices?.[key] > 0).map(({ key, label, grams }) => ({
+    label,
+    grams,
+    price: veg.prices[key],
+    marketPrice: veg.marketPrices?.[key] || 0,
+    minQty: 1,
+    maxQty: null,
+    isActive: true,
+  }));
+};
+
+/**
+ * Active variant of a vegetable for a label, or null
+ * @param {Object} veg
+ * @param {string} label
+ */
+vegetableSchema.statics.findVariant = function (veg, label) {
+  return this.variantsOf(veg).find((v) => v.label === label && v.isActive !== false) || null;
+};
+
+/**
+ * Price per kg: the 1kg variant's, else the lowest per-kg price across variants
+ * @param {Object} veg
+ * @param {"price"|"marketPrice"} field
+ * @returns {number|null}
+ */
+vegetableSchema.statics.pricePerKg = function (veg, field = "price") {
+  const variants = this.variantsOf(veg).filter((v) => v.isActive !== false && v[field] > 0);
+  if (!variants.length) return null;
+  const oneKg = variants.find((v) => v.grams === 1000);
+  if (oneKg) return oneKg[field];
+  return Math.round(Math.min(...variants.map((v) => (v[field] * 1000) / v.grams)) * 100) / 100;
+};
+
+/**
+ * Gallery with exactly one primary image (the first flagged one, else the
+ * first image) and that image's URL
+ * @param {Array} images
+ * @returns {Object} { images, image }
+ */
+vegetableSchema.statics.normalizeGallery = function (images) {
+  const primaryIdx = Math.max(0, images.findIndex((img) => img.isPrimary));
+  const normalized = images.map((img, i) => {
+    const plain = img.toObject ? img.toObject() : img;
+    return { ...plain, isPrimary: i === primaryIdx };
+  });
+  return { images: normalized, image: normalized[primaryIdx]?.url ?? null };
+};
+
+/**
+ * Legacy prices / marketPrices tables from a variant list
+ * @param {Array} variants
+ * @returns {Object} { prices, marketPrices }
+ */
+vegetableSchema.statics.legacyPriceMirror = function (variants) {
+  const byGrams = new Map(variants.filter((v) => v.isActive !== false).map((v) => [v.grams, v]));
+  const table = (field) =>
+    Object.fromEntries(LEGACY_WEIGHTS.map(({ key, grams }) => [key, byGrams.get(grams)?.[field] || 0]));
+  return { prices: table("price"), marketPrices: table("marketPrice") };
+};
+
+// ===== INDEXES =====
+vegetableSchema.index({ category: 1 });
+vegetableSchema.index({ tags: 1 });
+
 const Vegetable = mongoose.model("Vegetable", vegetableSchema);
 export default Vegetable;
\ No newline at end of file
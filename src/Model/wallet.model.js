@@ -42,17 +42,19 @@ WalletSchema.methods.activate = async function () {
 };
 
 // Static Methods
-WalletSchema.statics.findByUserId = async function (userId) {
-  return await this.findOne({ userId });
+WalletSchema.statics.findByUserId = async function (userId, session = null) {
+  return await this.findOne({ userId }).session(session);
 };
 
-WalletSchema.statics.createWallet = async function (userId) {
-  const existingWallet = await this.findOne({ userId });
+// Pass a session to create the wallet inside a transaction
+WalletSchema.statics.createWallet = async function (userId, session = null) {
+  const existingWallet = await this.findOne({ userId }).session(session);
   if (existingWallet) {
     throw new Error("Wallet already exists for this user");
   }
 
-  return await this.create({ userId });
+  const [wallet] = await this.create([{ userId }], { session });
+  return wallet;
 };
 
 // Pre-save hook
@@ -0,0 +1,97 @@
+import mongoose from "mongoose";
+
+const WASTAGE_REASONS = Object.freeze(["spoiled", "damaged", "customer_return"]);
+
+// Permanent record of stock written off. Entries are never edited or deleted;
+// a mistake is corrected with a stock adjustment instead.
+const wastageSchema = new mongoose.Schema(
+  {
+    vegetable: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Vegetable",
+      required: [true, "Vegetable is required"],
+    },
+
+    // kg for weight-priced vegetables, pieces for set-priced ones
+    unit: {
+      type: String,
+      enum: ["kg", "pieces"],
+      required: true,
+    },
+
+    quantity: {
+      type: Number,
+      required: [true, "Quantity is required"],
+      min: [0.001, "Quantity must be greater than 0"],
+    },
+
+    reason: {
+      type: String,
+      enum: {
+        values: WASTAGE_REASONS,
+        message: `Reason must be one of: ${WASTAGE_REASONS.join(", ")}`,
+      },
+      required: [true, "Reason is required"],
+    },
+
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [300, "Note cannot exceed 300 characters"],
+      default: null,
+    },
+
+    // Customer returns can point at the order they came back from
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+    },
+
+    stockBefore: {
+      type: Number,
+      required: true,
+    },
+
+    stockAfter: {
+      type: Number,
+      required: true,
+    },
+
+    // Latest purchase price per unit when recorded; null if never purchased
+    unitCost: {
+      type: Number,
+      default: null,
+    },
+
+    valueLost: {
+      type: Number,
+      default: null,
+    },
+
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    occurredAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+);
+
+// ===== STATICS =====
+wastageSchema.statics.WASTAGE_REASONS = WASTAGE_REASONS;
+
+// ===== INDEXES =====
+wastageSchema.index({ occurredAt: -1 });
+wastageSchema.index({ vegetable: 1, occurredAt: -1 });
+wastageSchema.index({ reason: 1, occurredAt: -1 });
+
+const Wastage = mongoose.model("Wastage", wastageSchema);
+export default Wastage;
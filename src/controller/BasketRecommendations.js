@@ -1,324 +1,289 @@
+import mongoose from "mongoose";
 import Basket from "../Model/basket.js";
+import Category from "../Model/category.js";
 import Order from "../Model/order.js";
+import Vegetable from "../Model/vegetable.js";
 import { ApiResponse } from "../utility/ApiResponse.js";
+import { ApiError } from "../utility/ApiError.js";
 import { asyncHandler } from "../utility/AsyncHandler.js";
 
-// Helper function to calculate value score (quality to price ratio)
-const calculateValueScore = (basket) => {
-  const itemCount = basket.items?.length || 0;
-  const totalPrice = basket.totalPrice || basket.price || 0;
+// ================= CONFIGURATION =================
+const CONFIG = Object.freeze({
+  // Orders that count as a sale
+  soldStatuses: ["placed", "processed", "shipped", "delivered"],
+  // "Most selling" ranks on sales in this window
+  salesWindowDays: 30,
+  premiumMinPrice: 500,
+  defaultLimit: 10,
+  maxLimit: 50,
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const round = (n, places = 2) => Math.round(n * 10 ** places) / 10 ** places;
 
-  if (totalPrice === 0) return 0;
+const parseLimit = (value, fallback = CONFIG.defaultLimit) =>
+  Math.min(Math.max(parseInt(value) || fallback, 1), CONFIG.maxLimit);
 
-  // Value score: more items per rupee = better value
-  // Also consider discount percentage if available
-  const discountFactor = basket.discount ? 1 + basket.discount / 100 : 1;
-  return (itemCount / totalPrice) * 100 * discountFactor;
+const parseAmount = (value, name) => {
+  if (value === undefined || value === "") return null;
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount < 0) throw new ApiError(400, `${name} must be a non-negative number`);
+  return amount;
 };
 
-// Get Most Selling baskets
-export const getMostSellingBaskets = asyncHandler(async (req, res) => {
-  const { limit = 10, category } = req.query;
+// Category id or slug, including its sub-categories
+const resolveCategoryIds = async (value) => {
+  if (!value) return null;
+  const categories = await Category.find({}, { slug: 1, parent: 1 }).lean();
+  const root = categories.find((c) =>
+    mongoose.Types.ObjectId.isValid(value) ? c._id.toString() === value : c.slug === value.toLowerCase(),
+  );
+  if (!root) throw new ApiError(404, "Category not found");
+  return [...Category.descendantIds(categories, [root._id])];
+};
 
-  try {
-    // Build match criteria
-    const matchCriteria = { isActive: true };
-    if (category) {
-      matchCriteria.category = category;
+/**
+ * What the basket's contents cost bought one by one, from current prices.
+ * Items whose weight or set no longer exists on the vegetable are left out
+ * and counted in `unpricedItems`.
+ * @param {Object} basket - lean, vegetables.vegetable populated
+ * @returns {Object} { contentsPrice, contentsMarketPrice, unpricedItems }
+ */
+const priceContents = (basket) => {
+  let contentsPrice = 0;
+  let contentsMarketPrice = 0;
+  let unpricedItems = 0;
+
+  for (const item of basket.vegetables || []) {
+    const veg = item.vegetable;
+    const qty = item.quantity || 1;
+    let unit = null;
+
+    if (veg?.setPricing?.enabled) {
+      unit = veg.setPricing.sets?.find((s) => s.label === item.weight) || null;
+    } else if (veg) {
+      unit = Vegetable.findVariant(veg, item.weight);
+      // Weights without their own variant are priced pro rata from the per-kg price
+      if (!unit) {
+        const grams = Vegetable.labelToGrams(item.weight);
+        const perKg = Vegetable.pricePerKg(veg, "price");
+        if (grams && perKg)
+          unit = {
+            price: (perKg * grams) / 1000,
+            marketPrice: ((Vegetable.pricePerKg(veg, "marketPrice") || perKg) * grams) / 1000,
+          };
+      }
     }
 
-    // Aggregate baskets with their order counts
-    const mostSellingBaskets = await Order.aggregate([
-      { $unwind: "$items" },
-      { $match: { "items.itemType": "basket" } }, // Modified to check for basket
-      {
-        $group: {
-          _id: "$items.itemId",
-          totalOrders: { $sum: 1 },
-          totalQuantity: { $sum: "$items.quantity" },
-        },
+    if (!unit?.price) {
+      unpricedItems++;
+      continue;
+    }
+    contentsPrice += unit.price * qty;
+    contentsMarketPrice += (unit.marketPrice || unit.price) * qty;
+  }
+
+  return { contentsPrice: round(contentsPrice), contentsMarketPrice: round(contentsMarketPrice), unpricedItems };
+};
+
+/**
+ * Baskets with their sales, conversion and value figures.
+ *   conversionRate = orders / clickCount (all time; null before the first click)
+ *   valueScore     = contentsPrice / price (above 1: cheaper than buying the items separately)
+ * @param {Object} [options] - { category, includeInactive }
+ * @returns {Promise<Array>}
+ */
+const loadBasketStats = async ({ category, includeInactive = false } = {}) => {
+  const filter = includeInactive ? {} : { isActive: { $ne: false } };
+  const categoryIds = await resolveCategoryIds(category);
+  if (categoryIds) filter.category = { $in: categoryIds };
+
+  const baskets = await Basket.find(filter, "-__v")
+    .populate("vegetables.vegetable", "name image weightVariants prices marketPrices setPricing outOfStock")
+    .lean();
+  if (!baskets.length) return [];
+
+  const since = new Date(Date.now() - CONFIG.salesWindowDays * DAY_MS);
+  const sales = await Order.aggregate([
+    {
+      $match: {
+        orderType: "basket",
+        orderStatus: { $in: CONFIG.soldStatuses },
+        selectedBasket: { $in: baskets.map((b) => b._id) },
       },
-      { $sort: { totalQuantity: -1 } },
-      { $limit: parseInt(limit) },
-      {
-        $lookup: {
-          from: "baskets", // Modified collection name
-          localField: "_id",
-          foreignField: "_id",
-          as: "basketDetails", // Modified alias
-        },
+    },
+    {
+      $group: {
+        _id: "$selectedBasket",
+        totalOrders: { $sum: 1 },
+        recentOrders: { $sum: { $cond: [{ $gte: ["$createdAt", since] }, 1, 0] } },
+        revenue: { $sum: "$basketPrice" },
+        customers: { $addToSet: "$customerInfo" },
+        lastOrderedAt: { $max: "$createdAt" },
       },
-      { $unwind: "$basketDetails" },
-      { $match: matchCriteria },
-      {
-        $project: {
-          _id: "$basketDetails._id",
-          name: "$basketDetails.name",
-          description: "$basketDetails.description",
-          price: "$basketDetails.price",
-          totalPrice: "$basketDetails.totalPrice",
-          discount: "$basketDetails.discount",
-          image: "$basketDetails.image",
-          items: "$basketDetails.items",
-          category: "$basketDetails.category",
-          totalOrders: 1,
-          totalQuantity: 1,
-          tag: { $literal: "Most Selling" },
-        },
+    },
+  ]);
+  const salesById = new Map(sales.map((s) => [s._id.toString(), s]));
+
+  return baskets.map((basket) => {
+    const sold = salesById.get(basket._id.toString());
+    const totalOrders = sold?.totalOrders || 0;
+    const clicks = basket.clickCount || 0;
+    const contents = priceContents(basket);
+    const savings = round(contents.contentsPrice - basket.price);
+
+    return {
+      ...basket,
+      sales: {
+        totalOrders,
+        recentOrders: sold?.recentOrders || 0,
+        revenue: round(sold?.revenue || 0),
+        customers: sold?.customers.length || 0,
+        lastOrderedAt: sold?.lastOrderedAt || null,
+        windowDays: CONFIG.salesWindowDays,
       },
-    ]);
-
-    // If no orders found, get popular baskets by other metrics
-    if (mostSellingBaskets.length === 0) {
-      const fallbackBaskets = await Basket.find(matchCriteria)
-        .sort({ views: -1, createdAt: -1 })
-        .limit(parseInt(limit))
-        .select("-__v");
-
-      return res.json(
-        new ApiResponse(
-          200,
-          fallbackBaskets.map((basket) => ({
-            ...basket.toObject(),
-            tag: "Popular",
-          })),
-          "Popular baskets fetched successfully",
-        ),
-      );
-    }
-
-    res.json(
-      new ApiResponse(
-        200,
-        mostSellingBaskets,
-        "Most selling baskets fetched successfully",
-      ),
-    );
-  } catch (error) {
-    console.error("Error fetching most selling baskets:", error);
-    return res
-      .status(500)
-      .json(new ApiResponse(500, null, "Failed to fetch most selling baskets"));
-  }
-});
+      conversionRate: clicks ? round(Math.min(totalOrders / clicks, 1), 4) : null,
+      ...contents,
+      savings,
+      savingsPercent: contents.contentsPrice ? round((savings / contents.contentsPrice) * 100, 1) : 0,
+      valueScore: contents.contentsPrice && basket.price ? round(contents.contentsPrice / basket.price, 3) : 0,
+      outOfStockItems: (basket.vegetables || []).filter((i) => i.vegetable?.outOfStock).length,
+    };
+  });
+};
 
-// Get Premium baskets
-export const getPremiumBaskets = asyncHandler(async (req, res) => {
-  const { limit = 10, minPrice, category } = req.query;
+const bySales = (a, b) =>
+  b.sales.recentOrders - a.sales.recentOrders ||
+  b.sales.totalOrders - a.sales.totalOrders ||
+  (b.clickCount || 0) - (a.clickCount || 0);
 
-  try {
-    const matchCriteria = { isActive: true };
+const pickMostSelling = (stats, limit) => {
+  const sold = stats.filter((b) => b.sales.totalOrders > 0).sort(bySales);
+  if (sold.length) return sold.slice(0, limit).map((b) => ({ ...b, tag: "Most Selling" }));
 
-    if (category) {
-      matchCriteria.category = category;
-    }
+  // No sales yet: most clicked instead
+  return [...stats]
+    .sort((a, b) => (b.clickCount || 0) - (a.clickCount || 0) || b.createdAt - a.createdAt)
+    .slice(0, limit)
+    .map((b) => ({ ...b, tag: "Popular" }));
+};
 
-    // Premium baskets are high-priced, quality baskets
-    if (minPrice) {
-      matchCriteria.$or = [
-        { price: { $gte: parseFloat(minPrice) } },
-        { totalPrice: { $gte: parseFloat(minPrice) } },
-      ];
-    } else {
-      // Default minimum for premium: 500 rupees
-      matchCriteria.$or = [
-        { price: { $gte: 500 } },
-        { totalPrice: { $gte: 500 } },
-      ];
-    }
+const pickPremium = (stats, limit, minPrice = CONFIG.premiumMinPrice) =>
+  stats
+    .filter((b) => b.price >= minPrice)
+    .sort((a, b) => b.price - a.price || bySales(a, b))
+    .slice(0, limit)
+    .map((b) => ({ ...b, tag: "Premium", isPremium: true }));
+
+// Only baskets at least as cheap as their contents bought separately
+const pickBestValue = (stats, limit, maxPrice = null) =>
+  stats
+    .filter((b) => b.valueScore >= 1 && (maxPrice === null || b.price <= maxPrice))
+    .sort((a, b) => b.valueScore - a.valueScore || bySales(a, b))
+    .slice(0, limit)
+    .map((b) => ({ ...b, tag: "Best Value", isBestValue: true }));
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PUBLIC
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @desc    Best-selling active baskets over the last 30 days; most clicked when nothing has sold
+ * @route   GET /api/baskets/recommendations/most-selling?limit=&category=
+ * @access  Public
+ */
+export const getMostSellingBaskets = asyncHandler(async (req, res) => {
+  const stats = await loadBasketStats({ category: req.query.category });
+  const baskets = pickMostSelling(stats, parseLimit(req.query.limit));
 
-    const premiumBaskets = await Basket.find(matchCriteria)
-      .sort({ totalPrice: -1, price: -1, rating: -1 })
-      .limit(parseInt(limit))
-      .select("-__v");
+  const message =
+    baskets[0]?.tag === "Popular" ? "Popular baskets fetched successfully" : "Most selling baskets fetched successfully";
+  return res.status(200).json(new ApiResponse(200, baskets, message));
+});
 
-    const basketsWithTag = premiumBaskets.map((basket) => ({
-      ...basket.toObject(),
-      tag: "Premium",
-      isPremium: true,
-    }));
+/**
+ * @desc    Active baskets priced at or above minPrice (default ₹500), dearest first
+ * @route   GET /api/baskets/recommendations/premium?limit=&minPrice=&category=
+ * @access  Public
+ */
+export const getPremiumBaskets = asyncHandler(async (req, res) => {
+  const minPrice = parseAmount(req.query.minPrice, "minPrice") ?? CONFIG.premiumMinPrice;
+  const stats = await loadBasketStats({ category: req.query.category });
 
-    res.json(
-      new ApiResponse(
-        200,
-        basketsWithTag,
-        "Premium baskets fetched successfully",
-      ),
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, pickPremium(stats, parseLimit(req.query.limit), minPrice), "Premium baskets fetched successfully"),
     );
-  } catch (error) {
-    console.error("Error fetching premium baskets:", error);
-    return res
-      .status(500)
-      .json(new ApiResponse(500, null, "Failed to fetch premium baskets"));
-  }
 });
 
-// Get Best Value baskets
+/**
+ * @desc    Active baskets that save the most against buying their items separately
+ * @route   GET /api/baskets/recommendations/best-value?limit=&maxPrice=&category=
+ * @access  Public
+ */
 export const getBestValueBaskets = asyncHandler(async (req, res) => {
-  const { limit = 10, maxPrice, category } = req.query;
+  const maxPrice = parseAmount(req.query.maxPrice, "maxPrice");
+  const stats = await loadBasketStats({ category: req.query.category });
 
-  try {
-    const matchCriteria = { isActive: true };
-
-    if (category) {
-      matchCriteria.category = category;
-    }
-
-    if (maxPrice) {
-      matchCriteria.$or = [
-        { price: { $lte: parseFloat(maxPrice) } },
-        { totalPrice: { $lte: parseFloat(maxPrice) } },
-      ];
-    }
-
-    const allBaskets = await Basket.find(matchCriteria).select("-__v");
-
-    // Calculate value score for each basket
-    const basketsWithValue = allBaskets.map((basket) => ({
-      ...basket.toObject(),
-      valueScore: calculateValueScore(basket.toObject()),
-      tag: "Best Value",
-      isBestValue: true,
-    }));
-
-    // Sort by value score descending
-    basketsWithValue.sort((a, b) => b.valueScore - a.valueScore);
-
-    // Get top baskets
-    const bestValueBaskets = basketsWithValue.slice(0, parseInt(limit));
-
-    res.json(
+  return res
+    .status(200)
+    .json(
       new ApiResponse(
         200,
-        bestValueBaskets,
+        pickBestValue(stats, parseLimit(req.query.limit), maxPrice),
         "Best value baskets fetched successfully",
       ),
     );
-  } catch (error) {
-    console.error("Error fetching best value baskets:", error);
-    return res
-      .status(500)
-      .json(new ApiResponse(500, null, "Failed to fetch best value baskets"));
-  }
 });
 
-// Get All Recommendations (Combined)
+/**
+ * @desc    Most selling, premium and best value lists in one call
+ * @route   GET /api/baskets/recommendations?limit=5&category=
+ * @access  Public
+ */
 export const getAllRecommendations = asyncHandler(async (req, res) => {
-  const { category, limit = 5 } = req.query;
-  const limitNum = parseInt(limit);
-
-  try {
-    // Fetch all recommendations in parallel
-    const [mostSellingResult, premiumResult, bestValueResult] =
-      await Promise.allSettled([
-        getMostSellingBasketsInternal(limitNum, category),
-        getPremiumBasketsInternal(limitNum, category),
-        getBestValueBasketsInternal(limitNum, category),
-      ]);
-
-    const recommendations = {
-      mostSelling:
-        mostSellingResult.status === "fulfilled" ? mostSellingResult.value : [],
-      premium: premiumResult.status === "fulfilled" ? premiumResult.value : [],
-      bestValue:
-        bestValueResult.status === "fulfilled" ? bestValueResult.value : [],
-    };
+  const limit = parseLimit(req.query.limit, 5);
+  const stats = await loadBasketStats({ category: req.query.category });
 
-    res.json(
-      new ApiResponse(
-        200,
-        recommendations,
-        "All basket recommendations fetched successfully",
-      ),
-    );
-  } catch (error) {
-    console.error("Error fetching all recommendations:", error);
-    return res
-      .status(500)
-      .json(
-        new ApiResponse(500, null, "Failed to fetch basket recommendations"),
-      );
-  }
-});
-
-// Internal helper functions (no response, just return data)
-const getMostSellingBasketsInternal = async (limit, category) => {
-  const matchCriteria = { isActive: true };
-  if (category) matchCriteria.category = category;
-
-  const baskets = await Order.aggregate([
-    { $unwind: "$items" },
-    { $match: { "items.itemType": "basket" } },
-    {
-      $group: {
-        _id: "$items.itemId",
-        totalQuantity: { $sum: "$items.quantity" },
-      },
-    },
-    { $sort: { totalQuantity: -1 } },
-    { $limit: limit },
-    {
-      $lookup: {
-        from: "baskets",
-        localField: "_id",
-        foreignField: "_id",
-        as: "basketDetails",
-      },
-    },
-    { $unwind: "$basketDetails" },
-    { $match: matchCriteria },
-    {
-      $project: {
-        _id: "$basketDetails._id",
-        name: "$basketDetails.name",
-        price: "$basketDetails.price",
-        totalPrice: "$basketDetails.totalPrice",
-        image: "$basketDetails.image",
-        items: "$basketDetails.items",
-        totalQuantity: 1,
-        tag: { $literal: "Most Selling" },
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        mostSelling: pickMostSelling(stats, limit),
+        premium: pickPremium(stats, limit),
+        bestValue: pickBestValue(stats, limit),
       },
-    },
-  ]);
-
-  if (baskets.length === 0) {
-    const fallback = await Basket.find(matchCriteria)
-      .sort({ createdAt: -1 })
-      .limit(limit)
-      .select("name price totalPrice image items");
-    return fallback.map((b) => ({ ...b.toObject(), tag: "Popular" }));
-  }
-
-  return baskets;
-};
-
-const getPremiumBasketsInternal = async (limit, category) => {
-  const matchCriteria = { isActive: true };
-  if (category) matchCriteria.category = category;
-  matchCriteria.$or = [{ price: { $gte: 500 } }, { totalPrice: { $gte: 500 } }];
-
-  const baskets = await Basket.find(matchCriteria)
-    .sort({ totalPrice: -1, price: -1 })
-    .limit(limit)
-    .select("name price totalPrice image items");
-
-  return baskets.map((b) => ({ ...b.toObject(), tag: "Premium" }));
-};
-
-const getBestValueBasketsInternal = async (limit, category) => {
-  const matchCriteria = { isActive: true };
-  if (category) matchCriteria.category = category;
-
-  const baskets = await Basket.find(matchCriteria).select(
-    "name price totalPrice image items discount",
+      "All basket recommendations fetched successfully",
+    ),
   );
+});
 
-  const withScores = baskets.map((b) => ({
-    ...b.toObject(),
-    valueScore: calculateValueScore(b.toObject()),
-    tag: "Best Value",
+// ─────────────────────────────────────────────────────────────────────────────
+// ADMIN
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @desc    Sales, click conversion and value figures for every basket, inactive included
+ * @route   GET /api/baskets/recommendations/admin/stats?sortBy=sales|conversion|value|price&category=
+ * @access  Private/Admin
+ */
+export const getBasketPerformance = asyncHandler(async (req, res) => {
+  const sorters = {
+    sales: bySales,
+    conversion: (a, b) => (b.conversionRate ?? -1) - (a.conversionRate ?? -1) || bySales(a, b),
+    value: (a, b) => b.valueScore - a.valueScore,
+    price: (a, b) => b.price - a.price,
+  };
+  const sortBy = req.query.sortBy || "sales";
+  if (!sorters[sortBy]) throw new ApiError(400, `sortBy must be one of: ${Object.keys(sorters).join(", ")}`);
+
+  const stats = await loadBasketStats({ category: req.query.category, includeInactive: true });
+  // The contents are only needed for pricing; keep the admin table light
+  const rows = stats.sort(sorters[sortBy]).map(({ vegetables, ...basket }) => ({
+    ...basket,
+    itemCount: vegetables?.length || 0,
   }));
 
-  withScores.sort((a, b) => b.valueScore - a.valueScore);
-  return withScores.slice(0, limit);
-};
+  return res.status(200).json(new ApiResponse(200, rows, "Basket performance fetched successfully"));
+});
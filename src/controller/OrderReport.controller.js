@@ -1,4 +1,7 @@
 import Order from "../Model/order.js";
+import Wastage from "../Model/wastage.js";
+import Purchase from "../Model/purchase.js";
+import Vegetable from "../Model/vegetable.js";
 import mongoose from "mongoose";
 
 // ===== DASHBOARD OVERVIEW =====
@@ -613,3 +616,141 @@ export const getMonthlyTrends = async (req, res) => {
     });
   }
 };
+
+// ===== SHRINKAGE (WASTAGE vs STOCK RECEIVED) =====
+// Monday of an ISO week (UTC)
+const isoWeekStart = (year, week) => {
+  const jan4 = new Date(Date.UTC(year, 0, 4));
+  const monday = new Date(jan4);
+  monday.setUTCDate(jan4.getUTCDate() - ((jan4.getUTCDay() || 7) - 1) + (week - 1) * 7);
+  return monday;
+};
+
+const shrinkagePercent = (wasted, received) =>
+  received > 0 ? parseFloat(((wasted / received) * 100).toFixed(2)) : null;
+
+export const getShrinkageReport = async (req, res) => {
+  try {
+    const { weeks = 8, vegetableId } = req.query;
+
+    const startDate = new Date();
+    startDate.setUTCDate(startDate.getUTCDate() - parseInt(weeks) * 7);
+
+    const vegetableFilter =
+      vegetableId && mongoose.Types.ObjectId.isValid(vegetableId)
+        ? { vegetable: new mongoose.Types.ObjectId(vegetableId) }
+        : {};
+
+    const weekKey = (field) => ({
+      vegetable: "$vegetable",
+      unit: "$unit",
+      year: { $isoWeekYear: field },
+      week: { $isoWeek: field }
+    });
+
+    const [wasted, received] = await Promise.all([
+      Wastage.aggregate([
+        { $match: { ...vegetableFilter, occurredAt: { $gte: startDate } } },
+        {
+          $group: {
+            _id: weekKey("$occurredAt"),
+            wasted: { $sum: "$quantity" },
+            valueLost: { $sum: { $ifNull: ["$valueLost", 0] } },
+            spoiled: { $sum: { $cond: [{ $eq: ["$reason", "spoiled"] }, "$quantity", 0] } },
+            damaged: { $sum: { $cond: [{ $eq: ["$reason", "damaged"] }, "$quantity", 0] } },
+            customerReturn: { $sum: { $cond: [{ $eq: ["$reason", "customer_return"] }, "$quantity", 0] } }
+          }
+        }
+      ]),
+      Purchase.aggregate([
+        { $match: { ...vegetableFilter, status: "received", receivedAt: { $gte: startDate } } },
+        { $group: { _id: weekKey("$receivedAt"), received: { $sum: "$quantity" } } }
+      ])
+    ]);
+
+    // Merge both sides per vegetable / unit / week
+    const rows = new Map();
+    const rowFor = (id) => {
+      const key = `${id.vegetable}:${id.unit}:${id.year}:${id.week}`;
+      if (!rows.has(key)) {
+        rows.set(key, {
+          ...id,
+          received: 0,
+          wasted: 0,
+          valueLost: 0,
+          byReason: { spoiled: 0, damaged: 0, customerReturn: 0 }
+        });
+      }
+      return rows.get(key);
+    };
+
+    wasted.forEach((w) => {
+      const row = rowFor(w._id);
+      row.wasted = w.wasted;
+      row.valueLost = w.valueLost;
+      row.byReason = { spoiled: w.spoiled, damaged: w.damaged, customerReturn: w.customerReturn };
+    });
+    received.forEach((r) => {
+      rowFor(r._id).received = r.received;
+    });
+
+    const vegetableIds = [...new Set([...rows.values()].map((r) => r.vegetable.toString()))];
+    const vegetables = await Vegetable.find({ _id: { $in: vegetableIds } }, "name").lean();
+    const names = new Map(vegetables.map((v) => [v._id.toString(), v.name]));
+
+    const byVegetable = new Map();
+    [...rows.values()]
+      .sort((a, b) => a.year - b.year || a.week - b.week)
+      .forEach((row) => {
+        const key = `${row.vegetable}:${row.unit}`;
+        if (!byVegetable.has(key)) {
+          byVegetable.set(key, {
+            vegetable: row.vegetable,
+            name: names.get(row.vegetable.toString()) || "Deleted vegetable",
+            unit: row.unit,
+            received: 0,
+            wasted: 0,
+            valueLost: 0,
+            weeks: []
+          });
+        }
+        const veg = byVegetable.get(key);
+        veg.received += row.received;
+        veg.wasted += row.wasted;
+        veg.valueLost += row.valueLost;
+        veg.weeks.push({
+          year: row.year,
+          week: row.week,
+          weekStart: isoWeekStart(row.year, row.week),
+          received: row.received,
+          wasted: row.wasted,
+          byReason: row.byReason,
+          valueLost: row.valueLost,
+          shrinkagePercent: shrinkagePercent(row.wasted, row.received)
+        });
+      });
+
+    const report = [...byVegetable.values()]
+      .map((veg) => ({
+        ...veg,
+        valueLost: parseFloat(veg.valueLost.toFixed(2)),
+        shrinkagePercent: shrinkagePercent(veg.wasted, veg.received)
+      }))
+      .sort((a, b) => (b.shrinkagePercent ?? Infinity) - (a.shrinkagePercent ?? Infinity));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        since: startDate,
+        totalValueLost: parseFloat(report.reduce((sum, v) => sum + v.valueLost, 0).toFixed(2)),
+        vegetables: report
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching shrinkage report",
+      error: error.message
+    });
+  }
+};
@@ -3,6 +3,7 @@ import User from "../Model/user.js";
 import { asyncHandler } from "../utility/AsyncHandler.js";
 import { ApiResponse } from "../utility/ApiResponse.js";
 import { ApiError } from "../utility/ApiError.js";
+import { Trie } from "../utility/Trie.js";
 
 const ADDRESS_TYPES = new Set(["home", "work", "other"]);
 
@@ -142,41 +143,6 @@ class BloomFilter {
   }
 }
 
-class TrieNode {
-  constructor() {
-    this.children = {};
-    this.isEndOfWord = false;
-    this.addresses = [];
-  }
-}
-
-class Trie {
-  constructor() {
-    this.root = new TrieNode();
-  }
-
-  insert(word, address) {
-    let node = this.root;
-    for (const char of word.toLowerCase()) {
-      if (!node.children[char]) {
-        node.children[char] = new TrieNode();
-      }
-      node = node.children[char];
-      node.addresses.push(address);
-    }
-    node.isEndOfWord = true;
-  }
-
-  search(prefix) {
-    let node = this.root;
-    for (const char of prefix.toLowerCase()) {
-      if (!node.children[char]) return [];
-      node = node.children[char];
-    }
-    return node.addresses.slice(0, 10);
-  }
-}
-
 class SpatialHashGrid {
   constructor(cellSize = 0.01) {
     this.cellSize = cellSize;
@@ -306,7 +272,7 @@ const deliveryGraph = new DeliveryGraph();
 
 const userAddressMap = new Map();
 
-const calculateDistance = (coord1, coord2) => {
+export const calculateDistance = (coord1, coord2) => {
   const [lng1, lat1] = coord1;
   const [lng2, lat2] = coord2;
 
@@ -1045,7 +1011,7 @@ export const autocompleteAddresses = asyncHandler(async (req, res) => {
     );
   }
 
-  const allMatches = addressTrie.search(query);
+  const allMatches = addressTrie.search(query, 10);
   const userMatches = allMatches
     .filter((address) => address.user.toString() === userId)
     .slice(0, parseInt(limit));
@@ -1075,7 +1041,7 @@ export const autocompleteAddresses = asyncHandler(async (req, res) => {
         query,
         totalMatches: userMatches.length,
         trieStats: {
-          totalIndexedAddresses: addressTrie.root.addresses?.length || 0,
+          totalIndexedAddresses: addressTrie.size,
         },
       },
       "Address autocomplete results",
@@ -1084,18 +1050,22 @@ export const autocompleteAddresses = asyncHandler(async (req, res) => {
 });
 
 // OPTIMIZE DELIVERY ROUTE - FIXED: Remove .populate("user")
-export const optimizeDeliveryRoute = asyncHandler(async (req, res) => {
-  const { addressIds, startAddressId } = req.body;
-
-  if (!addressIds || !Array.isArray(addressIds) || addressIds.length < 2) {
-    throw new ApiError(
-      400,
-      "At least 2 address IDs required for route optimization",
-    );
-  }
+/**
+ * Greedy nearest-neighbour visiting order for a set of addresses.
+ * Addresses without coordinates are left out of the route.
+ * @param {string[]} addressIds
+ * @param {string} [startAddressId] - defaults to the first id
+ * @returns {Promise<{ optimizedRoute: string[], totalDistance: number }>}
+ */
+export const planDeliveryRoute = async (addressIds, startAddressId) => {
+  const addresses = await Address.find({
+    _id: { $in: addressIds },
+    "location.coordinates.1": { $exists: true },
+  }).lean();
 
-  // FIXED: Removed .populate("user")
-  const addresses = await Address.find({ _id: { $in: addressIds } }).lean();
+  const locatedIds = new Set(addresses.map((addr) => addr._id.toString()));
+  const ids = addressIds.map(String).filter((id) => locatedIds.has(id));
+  if (ids.length < 2) return { optimizedRoute: ids, totalDistance: 0 };
 
   addresses.forEach((addr) => {
     deliveryGraph.addNode(
@@ -1114,8 +1084,11 @@ export const optimizeDeliveryRoute = asyncHandler(async (req, res) => {
     }
   }
 
-  const route = [startAddressId || addressIds[0]];
-  const remaining = new Set(addressIds.filter((id) => id !== route[0]));
+  const start = startAddressId && locatedIds.has(String(startAddressId))
+    ? String(startAddressId)
+    : ids[0];
+  const route = [start];
+  const remaining = new Set(ids.filter((id) => id !== start));
 
   while (remaining.size > 0) {
     const currentId = route[route.length - 1];
@@ -1146,6 +1119,25 @@ export const optimizeDeliveryRoute = asyncHandler(async (req, res) => {
     }
   }
 
+  return { optimizedRoute: route, totalDistance };
+};
+
+export const optimizeDeliveryRoute = asyncHandler(async (req, res) => {
+  const { addressIds, startAddressId } = req.body;
+
+  if (!addressIds || !Array.isArray(addressIds) || addressIds.length < 2) {
+    throw new ApiError(
+      400,
+      "At least 2 address IDs required for route optimization",
+    );
+  }
+
+  // FIXED: Removed .populate("user")
+  const { optimizedRoute: route, totalDistance } = await planDeliveryRoute(
+    addressIds,
+    startAddressId,
+  );
+
   res.status(200).json(
     new ApiResponse(
       200,
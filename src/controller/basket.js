@@ -1,4 +1,5 @@
 import Basket from "../Model/basket.js";
+import Category from "../Model/category.js";
 import { ApiResponse } from "../utility/ApiResponse.js";
 import { asyncHandler } from "../utility/AsyncHandler.js";
 import { ApiError } from "../utility/ApiError.js";
@@ -54,6 +55,17 @@ const validateBasketData = (data) => {
   });
 };
 
+// Category is optional; null/"" clears it
+const validateBasketCategory = async (category) => {
+  if (category === undefined || category === null || category === "") return;
+  if (!mongoose.Types.ObjectId.isValid(category)) {
+    throw new ApiError(400, "Invalid category ID");
+  }
+  if (!(await Category.exists({ _id: category }))) {
+    throw new ApiError(404, "Category not found");
+  }
+};
+
 // Enhanced MongoDB ObjectId validation
 const validateObjectId = (id, paramName = "ID") => {
   if (!id) {
@@ -123,7 +135,7 @@ export const getBasketById = asyncHandler(async (req, res) => {
   const basket = await Basket.findById(id)
     .populate(
       "vegetables.vegetable",
-      "id name image marketPrices prices stockKg outOfStock stockPieces",
+      "id name image marketPrices prices weightVariants stockKg outOfStock stockPieces",
     )
     .lean();
 
@@ -140,6 +152,8 @@ export const addBasket = asyncHandler(async (req, res) => {
   // console.log(basketData)
   // Validate input data
   validateBasketData(basketData);
+  await validateBasketCategory(basketData.category);
+  if (basketData.category === "") basketData.category = null;
 
   // Check for duplicate title (case-insensitive)
   const existingBasket = await Basket.findOne({
@@ -190,6 +204,8 @@ export const updateBasket = asyncHandler(async (req, res) => {
 
   validateObjectId(id, "Basket ID");
   validateBasketData(updateData);
+  await validateBasketCategory(updateData.category);
+  if (updateData.category === "") updateData.category = null;
 
   // Check if basket exists and check for duplicate title in one query
   const [existingBasket, duplicateBasket] = await Promise.all([
@@ -1,8 +1,17 @@
+import mongoose from "mongoose";
 import Cart from "../Model/cart.js";
 import Vegetable from "../Model/vegetable.js";
+import Order from "../Model/order.js";
+import Basket from "../Model/basket.js";
+import User from "../Model/user.js";
+import Coupon from "../Model/coupon.js";
+import PricingRule from "../Model/pricingRule.js";
 import { asyncHandler } from "../utility/AsyncHandler.js";
 import { ApiResponse } from "../utility/ApiResponse.js";
 import { ApiError } from "../utility/ApiError.js";
+import { recommendVegetables } from "./coPurchase.js";
+import { placeOrder, fetchActivePricingRules } from "./order.js";
+import { sendCartInviteEmail } from "../utility/emailService.js";
 
 // ─── LRU Cache ────────────────────────────────────────────────────────────────
 class CartLRUCache {
@@ -127,76 +136,161 @@ class CartBloomFilter {
   }
 }
 
-// ─── Product Recommendation Graph ────────────────────────────────────────────
-class ProductRecommendationGraph {
-  constructor() {
-    this.adjacencyList = new Map();
-    this.purchaseFrequency = new Map();
-  }
-
-  addPurchase(products) {
-    for (let i = 0; i < products.length; i++) {
-      const productId = products[i];
-      if (!this.adjacencyList.has(productId)) {
-        this.adjacencyList.set(productId, new Set());
-      }
-      for (let j = 0; j < products.length; j++) {
-        if (i !== j) {
-          const relatedId = products[j];
-          this.adjacencyList.get(productId).add(relatedId);
-          const pairKey = [productId, relatedId].sort().join("-");
-          this.purchaseFrequency.set(pairKey, (this.purchaseFrequency.get(pairKey) || 0) + 1);
-        }
-      }
-    }
-  }
-
-  getRecommendations(productId, limit = 5) {
-    const related = this.adjacencyList.get(productId);
-    if (!related) return [];
-    return Array.from(related)
-      .map((relatedId) => ({
-        productId: relatedId,
-        frequency: this.purchaseFrequency.get([productId, relatedId].sort().join("-")) || 1,
-      }))
-      .sort((a, b) => b.frequency - a.frequency)
-      .slice(0, limit);
-  }
-}
-
 // ─── Global DSA instances ─────────────────────────────────────────────────────
 const cartCache = new CartLRUCache(200);
 const cartItemBloomFilter = new CartBloomFilter(50000, 5);
-const recommendationGraph = new ProductRecommendationGraph();
 const userCartMap = new Map();
 const activeCartSessions = new Set();
 
 // ─── Utility ──────────────────────────────────────────────────────────────────
-function getWeightInGrams(weight) {
-  return { "1kg": 1000, "500g": 500, "250g": 250, "100g": 100 }[weight] || 0;
+const MAX_LINE_QUANTITY = 99;
+const SET_WEIGHT = /^set(\d+)$/;
+
+// Purchase option a cart line refers to: a weight variant ("500g") or, for
+// set-priced products, a set by index ("set0")
+function findCartOption(product, weight) {
+  if (product.setPricing?.enabled) {
+    const match = SET_WEIGHT.exec(weight || "");
+    const set = match && product.setPricing.sets?.[Number(match[1])];
+    return set
+      ? { label: `${set.quantity} ${set.unit}`, price: set.price, grams: 0, pieces: set.quantity, minQty: 1, maxQty: null }
+      : null;
+  }
+  return Vegetable.findVariant(product, weight);
 }
 
-// ─── GET /api/cart ────────────────────────────────────────────────────────────
-export const getCart = asyncHandler(async (req, res) => {
-  const userId = req.user.id;
-  const { sortBy = "addedAt", sortOrder = "desc" } = req.query;
+// Active option of a product, checked against its quantity limits and priced
+// with the pricing rules in force now, as checkout will charge it
+async function getWeightVariant(productId, weight, quantity) {
+  const [product, rules] = await Promise.all([
+    Vegetable.findById(productId).lean(),
+    fetchActivePricingRules(),
+  ]);
+  if (!product)          throw new ApiError(404, "Product not found");
+  if (product.outOfStock) throw new ApiError(400, "Product is not available");
+
+  const variant = findCartOption(PricingRule.priceVegetable(product, rules), weight);
+  if (!variant?.price) throw new ApiError(400, "Invalid weight selection");
+  if (quantity < (variant.minQty || 1))
+    throw new ApiError(400, `Minimum quantity for ${variant.label} is ${variant.minQty}`);
+  if (variant.maxQty != null && quantity > variant.maxQty)
+    throw new ApiError(400, `Maximum quantity for ${variant.label} is ${variant.maxQty}`);
 
-  const cacheKey = `cart_${userId}`;
-  let cart = cartCache.get(cacheKey);
+  return variant;
+}
 
-  if (!cart) {
-    cart = await Cart.getOrCreateCart(userId);
-    cartCache.set(cacheKey, cart);
+// Re-prices cart lines at current prices with the pricing rules in force now,
+// so the cart shows what checkout charges through a markdown or a scheduled
+// change. Lines whose product or option is gone keep their last price.
+// Returns whether any line changed.
+async function priceCartLines(cart) {
+  if (!cart.items.length) return false;
+
+  const [products, rules] = await Promise.all([
+    Vegetable.find({ _id: { $in: [...new Set(cart.items.map((i) => i.product.toString()))] } }).lean(),
+    fetchActivePricingRules(),
+  ]);
+  const at = new Date();
+  const priced = new Map(products.map((p) => [p._id.toString(), PricingRule.priceVegetable(p, rules, at)]));
+
+  let changed = false;
+  for (const item of cart.items) {
+    const product = priced.get(item.product.toString());
+    const price = product && findCartOption(product, item.weight)?.price;
+    if (!price || price === item.price) continue;
+    item.price = price;
+    item.totalPrice = item.quantity * price;
+    changed = true;
   }
+  return changed;
+}
+
+// ─── Cart access ──────────────────────────────────────────────────────────────
+const SHARING = Object.freeze({
+  // Members plus pending invites per cart
+  maxMembers: 6,
+  inviteTtlDays: 7,
+});
+
+const CHECKOUT = Object.freeze({
+  // A checkout lock older than this is left over from a crashed request
+  lockMinutes: 2,
+});
+
+const isCheckingOut = (cart, now = Date.now()) =>
+  !!cart.checkout?.startedAt && now - cart.checkout.startedAt.getTime() < CHECKOUT.lockMinutes * 60 * 1000;
+
+// The cart cannot change while its order is being placed
+const assertNotCheckingOut = (cart) => {
+  if (isCheckingOut(cart)) throw new ApiError(409, "This cart is being checked out, try again shortly");
+};
+
+// Resolves the cart a request works on into req.cart / req.cartRole. Without a
+// cartId (X-Cart-Id header, query or body) that is the user's own cart; with
+// one it is any active cart the user owns or is a member of. The document is
+// loaded fresh for every request (members edit the same cart concurrently);
+// cartCache only holds read views.
+export const resolveCart = ({ create = false, ownerOnly = false } = {}) =>
+  asyncHandler(async (req, res, next) => {
+    const userId = req.user.id;
+    const cartId = req.get("x-cart-id") || req.query.cartId || req.body?.cartId;
+    let cart;
+
+    if (cartId) {
+      if (!mongoose.isValidObjectId(cartId)) throw new ApiError(400, "Invalid cart ID");
+      cart = await Cart.findById(cartId);
+    } else {
+      cart = create ? await Cart.getOrCreateCart(userId) : await Cart.findOne({ user: userId, status: "active" });
+    }
+    if (!cart || cart.status !== "active") throw new ApiError(404, "Cart not found");
+
+    const role = cart.roleOf(userId);
+    if (!role) throw new ApiError(403, "You do not have access to this cart");
+    if (ownerOnly && role !== "owner") throw new ApiError(403, "Only the cart owner can do this");
+    if (req.method !== "GET") assertNotCheckingOut(cart);
 
-  await cart.populate({
-    path: "items.product",
-    select: "name image category isAvailable",
+    // Lines are served at today's prices; the cart stays untouched mid-checkout
+    if ((await priceCartLines(cart)) && !isCheckingOut(cart)) await cart.save();
+
+    if (role === "owner") userCartMap.set(userId, cart._id.toString());
+
+    req.cart = cart;
+    req.cartRole = role;
+    next();
   });
 
+// Contribution summary with member names
+async function namedContributions(cart) {
+  const contributions = cart.contributions();
+  const users = await User.find({ _id: { $in: contributions.map((c) => c.user) } }, "username").lean();
+  const names = new Map(users.map((u) => [u._id.toString(), u.username || null]));
+  return contributions.map((c) => ({
+    ...c,
+    username: names.get(c.user) || null,
+    isOwner: c.user === cart.user.toString(),
+  }));
+}
+
+// ─── GET /api/cart ────────────────────────────────────────────────────────────
+export const getCart = asyncHandler(async (req, res) => {
+  const { cart } = req;
+  const { sortBy = "addedAt", sortOrder = "desc" } = req.query;
+  const cacheKey = `cart_${cart._id}`;
+
+  // Populated view, reused until the cart changes
+  const cached = cartCache.get(cacheKey);
+  const isCached = cached?.updatedAt?.getTime() === cart.updatedAt?.getTime();
+  const view = isCached
+    ? cached.view
+    : await Cart.populate(cart.toObject(), [
+        { path: "items.product", select: "name image category isAvailable" },
+        { path: "items.addedBy", select: "username" },
+      ]);
+  cartCache.set(cacheKey, { updatedAt: cart.updatedAt, view });
+
   // Sort via Priority Queue
   const pq = new CartPriorityQueue();
-  cart.items.forEach((item, index) => {
+  view.items.forEach((item, index) => {
     let priority = 0;
     switch (sortBy) {
       case "price":       priority = item.price;                              break;
@@ -205,7 +299,7 @@ export const getCart = asyncHandler(async (req, res) => {
       case "addedAt":
       default:            priority = new Date(item.addedAt).getTime();        break;
     }
-    pq.enqueue({ ...item.toObject(), originalIndex: index }, sortOrder === "desc" ? -priority : priority);
+    pq.enqueue({ ...item, originalIndex: index }, sortOrder === "desc" ? -priority : priority);
   });
 
   const sortedItems = [];
@@ -213,10 +307,16 @@ export const getCart = asyncHandler(async (req, res) => {
 
   res.status(200).json(
     new ApiResponse(200, {
-      cart: { ...cart.toObject(), items: sortedItems },
+      cart: { ...view, items: sortedItems },
+      sharing: {
+        role: req.cartRole,
+        isShared: cart.members.length > 0,
+        members: cart.members.length,
+        contributions: await namedContributions(cart),
+      },
       cacheStats: {
         cacheSize: cartCache.size,          // ✅ property, not method
-        isCached: !!cartCache.get(cacheKey),
+        isCached,
       },
     }, "Cart retrieved successfully")
   );
@@ -234,39 +334,24 @@ export const addToCart = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Quantity must be between 1 and 99");
   }
 
-  const product = await Vegetable.findById(productId);
-  if (!product)          throw new ApiError(404, "Product not found");
-  if (!product.isAvailable) throw new ApiError(400, "Product is not available");
-
-  const weightPriceMap = {
-    "1kg": product.weight1kg, "500g": product.weight500g,
-    "250g": product.weight250g, "100g": product.weight100g,
-  };
-  const selectedWeightPrice = weightPriceMap[weight];
-  if (!selectedWeightPrice) throw new ApiError(400, "Invalid weight selection");
+  const variant = await getWeightVariant(productId, weight, quantity);
+  const selectedWeightPrice = variant.price;
 
-  const itemSignature = `${userId}-${productId}-${weight}`;
+  const { cart } = req;
+  const itemSignature = `${cart._id}-${productId}-${weight}`;
   if (cartItemBloomFilter.mightContain(itemSignature)) {
-    const existingCart = await Cart.findOne({ user: userId, status: "active" });
-    if (existingCart) {
-      const found = existingCart.items.find(
-        (i) => i.product.toString() === productId && i.weight === weight
-      );
-      if (found) throw new ApiError(409, "Item already exists in cart. Use update quantity instead.");
-    }
+    const found = cart.items.find(
+      (i) => i.product.toString() === productId && i.weight === weight
+    );
+    if (found) throw new ApiError(409, "Item already exists in cart. Use update quantity instead.");
   }
 
-  const cart = await Cart.getOrCreateCart(userId);
-  await cart.addItem(productId, quantity, selectedWeightPrice, weight, getWeightInGrams(weight));
+  await cart.addItem(productId, quantity, selectedWeightPrice, weight, variant.grams, userId);
 
   cartItemBloomFilter.add(itemSignature);
   activeCartSessions.add(userId);
-  userCartMap.set(userId, cart._id.toString());
 
-  const currentProductIds = cart.items.map((i) => i.product.toString());
-  recommendationGraph.addPurchase(currentProductIds);
-
-  cartCache.set(`cart_${userId}`, cart);
+  cartCache.delete(`cart_${cart._id}`);
 
   res.status(201).json(
     new ApiResponse(201, {
@@ -288,16 +373,16 @@ export const updateCartItem = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Quantity must be between 0 and 99");
   }
 
-  const cart = await Cart.findOne({ user: userId, status: "active" });
-  if (!cart) throw new ApiError(404, "Cart not found");
+  const { cart } = req;
 
   if (quantity === 0) {
     await cart.removeItem(productId, weight);
   } else {
-    await cart.updateItemQuantity(productId, weight, quantity);
+    await getWeightVariant(productId, weight, quantity);
+    await cart.updateItemQuantity(productId, weight, quantity, userId);
   }
 
-  cartCache.set(`cart_${userId}`, cart);
+  cartCache.delete(`cart_${cart._id}`);
 
   res.status(200).json(
     new ApiResponse(200, {
@@ -309,16 +394,13 @@ export const updateCartItem = asyncHandler(async (req, res) => {
 
 // ─── DELETE /api/cart/remove ──────────────────────────────────────────────────
 export const removeFromCart = asyncHandler(async (req, res) => {
-  const userId = req.user.id;
   const { productId, weight } = req.body;
 
   if (!productId || !weight) throw new ApiError(400, "Product ID and weight are required");
 
-  const cart = await Cart.findOne({ user: userId, status: "active" });
-  if (!cart) throw new ApiError(404, "Cart not found");
-
+  const { cart } = req;
   await cart.removeItem(productId, weight);
-  cartCache.set(`cart_${userId}`, cart);
+  cartCache.delete(`cart_${cart._id}`);
 
   res.status(200).json(
     new ApiResponse(200, { cart: cart.toObject() }, "Item removed from cart successfully")
@@ -329,12 +411,10 @@ export const removeFromCart = asyncHandler(async (req, res) => {
 export const clearCart = asyncHandler(async (req, res) => {
   const userId = req.user.id;
 
-  const cart = await Cart.findOne({ user: userId, status: "active" });
-  if (!cart) throw new ApiError(404, "Cart not found");
-
+  const { cart } = req;
   await cart.clearCart();
 
-  cartCache.delete(`cart_${userId}`);
+  cartCache.delete(`cart_${cart._id}`);
   activeCartSessions.delete(userId);
   userCartMap.delete(userId);
 
@@ -345,18 +425,15 @@ export const clearCart = asyncHandler(async (req, res) => {
 
 // ─── POST /api/cart/coupon/apply ──────────────────────────────────────────────
 export const applyCoupon = asyncHandler(async (req, res) => {
-  const userId = req.user.id;
   const { couponId, discountAmount } = req.body;
 
   if (!couponId || discountAmount === undefined) {
     throw new ApiError(400, "Coupon ID and discount amount are required");
   }
 
-  const cart = await Cart.findOne({ user: userId, status: "active" });
-  if (!cart) throw new ApiError(404, "Cart not found");
-
+  const { cart } = req;
   await cart.applyCoupon(couponId, discountAmount);
-  cartCache.set(`cart_${userId}`, cart);
+  cartCache.delete(`cart_${cart._id}`);
 
   res.status(200).json(
     new ApiResponse(200, {
@@ -368,13 +445,9 @@ export const applyCoupon = asyncHandler(async (req, res) => {
 
 // ─── DELETE /api/cart/coupon ──────────────────────────────────────────────────
 export const removeCoupon = asyncHandler(async (req, res) => {
-  const userId = req.user.id;
-
-  const cart = await Cart.findOne({ user: userId, status: "active" });
-  if (!cart) throw new ApiError(404, "Cart not found");
-
+  const { cart } = req;
   await cart.removeCoupon();
-  cartCache.set(`cart_${userId}`, cart);
+  cartCache.delete(`cart_${cart._id}`);
 
   res.status(200).json(
     new ApiResponse(200, { cart: cart.toObject() }, "Coupon removed successfully")
@@ -382,59 +455,27 @@ export const removeCoupon = asyncHandler(async (req, res) => {
 });
 
 // ─── GET /api/cart/recommendations ───────────────────────────────────────────
+// Served from co-purchase counts learnt from past orders; carts with nothing
+// learnt yet get the most-ordered vegetables instead
 export const getCartRecommendations = asyncHandler(async (req, res) => {
-  const userId = req.user.id;
-  const { limit = 5 } = req.query;
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 5, 1), 20);
 
-  const cart = await Cart.findOne({ user: userId, status: "active" });
-  if (!cart || cart.items.length === 0) {
-    return res.status(200).json(
-      new ApiResponse(200, { recommendations: [] }, "No recommendations available")
-    );
-  }
-
-  const cartProductIds = cart.items.map((i) => i.product.toString());
-  const allRecommendations = new Map();
-
-  cartProductIds.forEach((productId) => {
-    recommendationGraph.getRecommendations(productId, limit).forEach((rec) => {
-      if (!cartProductIds.includes(rec.productId)) {
-        allRecommendations.set(rec.productId, rec);
-      }
-    });
-  });
-
-  const topRecs = Array.from(allRecommendations.values())
-    .sort((a, b) => b.frequency - a.frequency)
-    .slice(0, Number(limit));
+  const cartProductIds = [...new Set(req.cart.items.map((i) => i.product.toString()))];
 
-  const productIds = topRecs.map((r) => r.productId);
-  const products = await Vegetable.find({ _id: { $in: productIds } })
-    .select("name image price category")
-    .limit(Number(limit));
-
-  const recommendationsWithProducts = topRecs
-    .map((rec) => ({
-      ...rec,
-      product: products.find((p) => p._id.toString() === rec.productId),
-    }))
-    .filter((rec) => rec.product);
+  const { recommendations, algorithm } = await recommendVegetables(cartProductIds, { limit });
 
   res.status(200).json(
     new ApiResponse(200, {
-      recommendations: recommendationsWithProducts,
+      recommendations,
       basedOn: cartProductIds.length,
-      algorithm: "Collaborative Filtering",
-    }, "Cart recommendations retrieved successfully")
+      algorithm,
+    }, recommendations.length ? "Cart recommendations retrieved successfully" : "No recommendations available")
   );
 });
 
 // ─── GET /api/cart/analytics ──────────────────────────────────────────────────
 export const getCartAnalytics = asyncHandler(async (req, res) => {
-  const userId = req.user.id;
-
-  const cart = await Cart.findOne({ user: userId, status: "active" });
-  if (!cart) throw new ApiError(404, "Cart not found");
+  const { cart } = req;
 
   const analytics = {
     itemCount: cart.items.length,
@@ -459,7 +500,6 @@ export const getCartAnalytics = asyncHandler(async (req, res) => {
         cacheSize: cartCache.size,                              // ✅ property
         bloomFilterSize: cartItemBloomFilter.size,
         activeSessions: activeCartSessions.size,
-        recommendationGraphNodes: recommendationGraph.adjacencyList.size,
       },
     }, "Cart analytics retrieved successfully")
   );
@@ -481,7 +521,7 @@ export const mergeGuestCart = asyncHandler(async (req, res) => {
     );
   }
 
-  const cart = await Cart.getOrCreateCart(userId);
+  const { cart } = req;
 
   for (const guestItem of guestCartItems) {
     if (!guestItem.product || !guestItem.weight || !guestItem.quantity) continue;
@@ -503,12 +543,15 @@ export const mergeGuestCart = asyncHandler(async (req, res) => {
         price: guestItem.price || 0,
         totalPrice: guestItem.totalPrice || 0,
         addedAt: new Date(),
+        addedBy: userId,
       });
     }
   }
 
+  // Guest lines carry client-side prices
+  await priceCartLines(cart);
   await cart.save();
-  cartCache.set(`cart_${userId}`, cart);
+  cartCache.delete(`cart_${cart._id}`);
 
   res.status(200).json(
     new ApiResponse(200, {
@@ -516,4 +559,475 @@ export const mergeGuestCart = asyncHandler(async (req, res) => {
       mergedItems: guestCartItems.length,
     }, "Guest cart merged successfully")
   );
-});
\ No newline at end of file
+});
+// ─── POST /api/orders/:orderId/reorder ────────────────────────────────────────
+// Puts a past order's lines back in the cart at today's prices. Each line goes
+// through the same checks as addToCart; lines that cannot be added are skipped
+// and everything that changed since the order is reported. Order lines were
+// priced with the pricing rules of their day, so they are compared against
+// today's prices with today's rules applied.
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Lines to repeat: what the order contained, or the basket's current contents
+// when the order only recorded the basket
+async function reorderLines(order) {
+  const picked = (order.selectedVegetables || []).filter((i) => i.vegetable);
+  if (picked.length || !order.selectedBasket) return picked;
+
+  const basket = await Basket.findById(order.selectedBasket, "vegetables").lean();
+  return (basket?.vegetables || []).map((i) => ({ vegetable: i.vegetable, weight: i.weight, quantity: i.quantity || 1 }));
+}
+
+// Option the old line maps to today. Sets are matched by label first because
+// their index moves when the admin edits the list.
+function currentOption(product, line) {
+  if (!product.setPricing?.enabled) {
+    if (SET_WEIGHT.test(line.weight)) return { reason: "weight_unavailable" };
+    const option = findCartOption(product, line.weight);
+    return option?.price ? { weight: line.weight, option } : { reason: "weight_unavailable" };
+  }
+
+  const sets = product.setPricing.sets || [];
+  let index = line.setLabel ? sets.findIndex((set) => `${set.quantity} ${set.unit}` === line.setLabel) : -1;
+  if (index === -1 && !line.setLabel) {
+    const match = SET_WEIGHT.exec(line.weight || "");
+    index = match ? Number(match[1]) : -1;
+  }
+  const weight = `set${index}`;
+  const option = index >= 0 && findCartOption(product, weight);
+  return option?.price ? { weight, option } : { reason: "set_unavailable" };
+}
+
+export const reorderToCart = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { orderId } = req.params;
+
+  if (!/^ORD\d{9,12}$/.test(orderId)) throw new ApiError(400, "Invalid order ID");
+
+  const order = await Order.findOne(
+    { orderId },
+    "orderId customerInfo orderType selectedBasket selectedVegetables"
+  ).lean();
+  if (!order) throw new ApiError(404, "Order not found");
+  if (order.customerInfo.toString() !== userId.toString()) throw new ApiError(403, "Access denied");
+
+  const lines = await reorderLines(order);
+  if (!lines.length) throw new ApiError(400, "This order has nothing to reorder");
+
+  const [products, cart, pricingRules] = await Promise.all([
+    Vegetable.find({ _id: { $in: lines.map((l) => l.vegetable) } }).lean(),
+    Cart.getOrCreateCart(userId),
+    fetchActivePricingRules(),
+  ]);
+  const pricedAt = new Date();
+  assertNotCheckingOut(cart);
+  const productById = new Map(products.map((p) => [p._id.toString(), p]));
+
+  const report = { added: [], priceIncreased: [], priceDecreased: [], quantityAdjusted: [], skipped: [] };
+  const toAdd = [];
+  // Quantity already claimed per cart line (cart contents + earlier lines of this order)
+  const claimed = new Map(cart.items.map((i) => [`${i.product}:${i.weight}`, i.quantity]));
+  // Stock already claimed per product (cart contents + earlier lines), in kg or pieces
+  const stockUsed = new Map();
+  for (const item of cart.items) {
+    const product = productById.get(item.product.toString());
+    const option = product && findCartOption(product, item.weight);
+    if (!option) continue;
+    const id = item.product.toString();
+    stockUsed.set(id, (stockUsed.get(id) || 0) + item.quantity * (option.pieces || option.grams / 1000));
+  }
+
+  for (const line of lines) {
+    const productId = line.vegetable.toString();
+    const product = productById.get(productId);
+    const base = { productId, name: product?.name || null, weight: line.weight, quantity: line.quantity };
+
+    if (!product) { report.skipped.push({ ...base, reason: "product_removed" }); continue; }
+    if (product.outOfStock) { report.skipped.push({ ...base, reason: "out_of_stock" }); continue; }
+
+    const { weight, option, reason } = currentOption(product, line);
+    if (reason) { report.skipped.push({ ...base, reason }); continue; }
+
+    // Same limits as addToCart, counting what is already in the cart
+    const key = `${productId}:${weight}`;
+    const inCart = claimed.get(key) || 0;
+    const perUnit = option.pieces || option.grams / 1000;
+    const stock = option.pieces ? product.stockPieces : product.stockKg;
+    const byStock = perUnit > 0 ? Math.floor(((stock || 0) - (stockUsed.get(productId) || 0)) / perUnit) : Infinity;
+    const cap = Math.min(MAX_LINE_QUANTITY, option.maxQty ?? MAX_LINE_QUANTITY) - inCart;
+    const quantity = Math.min(Math.max(line.quantity, option.minQty || 1), cap, byStock);
+
+    if (quantity < 1 || inCart + quantity < (option.minQty || 1)) {
+      report.skipped.push({ ...base, reason: byStock < 1 ? "insufficient_stock" : "quantity_limit" });
+      continue;
+    }
+    if (quantity !== line.quantity) {
+      report.quantityAdjusted.push({
+        ...base,
+        quantity,
+        previousQuantity: line.quantity,
+        reason: quantity > line.quantity ? "minimum_quantity" : quantity === byStock && byStock < cap ? "stock" : "quantity_limit",
+      });
+    }
+
+    // The cart line carries what checkout charges today
+    const priced = PricingRule.priceVegetable(product, pricingRules, pricedAt);
+    const price = findCartOption(priced, weight)?.price || option.price;
+
+    claimed.set(key, inCart + quantity);
+    stockUsed.set(productId, (stockUsed.get(productId) || 0) + quantity * perUnit);
+    toAdd.push({ productId, quantity, price, weight, selectedWeight: option.grams, addedBy: userId });
+
+    const previousPrice = line.pricePerUnit || null;
+    const added = { ...base, weight, label: option.label, quantity, price, previousPrice };
+    report.added.push(added);
+    if (previousPrice && price !== previousPrice) {
+      const change = {
+        ...added,
+        change: round2(price - previousPrice),
+        changePercent: round2(((price - previousPrice) / previousPrice) * 100),
+      };
+      (price > previousPrice ? report.priceIncreased : report.priceDecreased).push(change);
+    }
+  }
+
+  if (toAdd.length) {
+    await cart.addItems(toAdd);
+    toAdd.forEach((l) => cartItemBloomFilter.add(`${cart._id}-${l.productId}-${l.weight}`));
+    activeCartSessions.add(userId);
+    cartCache.delete(`cart_${cart._id}`);
+  }
+
+  // Both totals cover the lines added, at the quantities added; there is no
+  // previous total when some of them have no recorded price (basket orders)
+  const currentTotal = round2(report.added.reduce((sum, l) => sum + l.price * l.quantity, 0));
+  const previousTotal = report.added.every((l) => l.previousPrice)
+    ? round2(report.added.reduce((sum, l) => sum + l.previousPrice * l.quantity, 0))
+    : null;
+
+  res.status(200).json(
+    new ApiResponse(200, {
+      cart: cart.toObject(),
+      orderId: order.orderId,
+      fromBasket: !(order.selectedVegetables || []).some((i) => i.vegetable),
+      ...report,
+      summary: {
+        lines: lines.length,
+        added: report.added.length,
+        skipped: report.skipped.length,
+        previousTotal: previousTotal || null,
+        currentTotal,
+      },
+    }, toAdd.length
+      ? `${report.added.length} of ${lines.length} items added to cart`
+      : "None of the items in this order are available right now")
+  );
+});
+
+// ─── Household sharing ────────────────────────────────────────────────────────
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Phones are compared on their last 10 digits so "+91 98…" matches "98…"
+const normalizePhone = (phone) => {
+  const digits = String(phone || "").replace(/\D/g, "");
+  return digits.length >= 10 ? digits.slice(-10) : null;
+};
+
+const isLive = (invite, now = new Date()) => invite.status === "pending" && invite.expiresAt > now;
+
+// Invite addressed to this user (by email or phone)
+const inviteMatchesUser = (invite, user) =>
+  (invite.email && invite.email === user.email?.toLowerCase()) ||
+  (invite.phone && invite.phone === normalizePhone(user.phone));
+
+// ─── GET /api/cart/share ──────────────────────────────────────────────────────
+export const getCartSharing = asyncHandler(async (req, res) => {
+  const { cart, cartRole } = req;
+  // Members only see each other's usernames; contact details are for the owner
+  const userFields = cartRole === "owner" ? "username email phone" : "username";
+  const view = await Cart.populate(
+    { user: cart.user, members: cart.members.map((m) => m.toObject()) },
+    [
+      { path: "user", select: userFields },
+      { path: "members.user", select: userFields },
+    ]
+  );
+
+  res.status(200).json(
+    new ApiResponse(200, {
+      cartId: cart._id,
+      role: cartRole,
+      owner: view.user,
+      members: view.members,
+      // Who was invited is the owner's business
+      invites: cartRole === "owner" ? cart.invites.filter((i) => isLive(i)) : undefined,
+      contributions: await namedContributions(cart),
+    }, "Cart sharing details retrieved successfully")
+  );
+});
+
+// ─── POST /api/cart/share/invite ──────────────────────────────────────────────
+export const inviteToCart = asyncHandler(async (req, res) => {
+  const { cart } = req;
+  const email = req.body.email ? String(req.body.email).trim().toLowerCase() : null;
+  const phone = req.body.phone ? normalizePhone(req.body.phone) : null;
+
+  if (!email && !req.body.phone) throw new ApiError(400, "Email or phone is required");
+  if (email && !EMAIL_PATTERN.test(email)) throw new ApiError(400, "Invalid email address");
+  if (req.body.phone && !phone) throw new ApiError(400, "Invalid phone number");
+
+  const [owner, invitee] = await Promise.all([
+    User.findById(cart.user, "username email phone").lean(),
+    User.findOne(email ? { email } : { phone: new RegExp(`${phone}$`) }, "_id").lean(),
+  ]);
+  if (owner && inviteMatchesUser({ email, phone }, owner)) throw new ApiError(400, "You cannot invite yourself");
+  if (invitee && cart.roleOf(invitee._id)) throw new ApiError(409, "This person is already a member of the cart");
+
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + SHARING.inviteTtlDays * 24 * 60 * 60 * 1000);
+  let invite = cart.invites.find(
+    (i) => isLive(i, now) && ((email && i.email === email) || (phone && i.phone === phone))
+  );
+
+  if (invite) {
+    // Re-inviting just extends the existing invitation
+    invite.expiresAt = expiresAt;
+  } else {
+    const seats = cart.members.length + cart.invites.filter((i) => isLive(i, now)).length;
+    if (seats >= SHARING.maxMembers)
+      throw new ApiError(409, `A cart can be shared with at most ${SHARING.maxMembers} people`);
+    cart.invites.push({ email, phone, invitedBy: req.user.id, expiresAt });
+    invite = cart.invites[cart.invites.length - 1];
+  }
+
+  await cart.save();
+  cartCache.delete(`cart_${cart._id}`);
+
+  // Best effort: the invite also shows up in the invitee's GET /api/cart/invitations
+  if (email && process.env.EMAIL_USER) {
+    const inviterName = (owner?.username || "").replace(/[<>&"]/g, "");
+    sendCartInviteEmail(email, inviterName, expiresAt.toDateString()).catch((err) =>
+      console.error("Failed to send cart invite email:", err.message)
+    );
+  }
+
+  res.status(201).json(
+    new ApiResponse(201, { invite }, "Invitation sent successfully")
+  );
+});
+
+// ─── DELETE /api/cart/share/invites/:inviteId ─────────────────────────────────
+export const revokeCartInvite = asyncHandler(async (req, res) => {
+  const { cart } = req;
+  const invite = cart.invites.id(req.params.inviteId);
+  if (!invite || invite.status !== "pending") throw new ApiError(404, "Invitation not found");
+
+  invite.status = "revoked";
+  invite.respondedAt = new Date();
+  await cart.save();
+  cartCache.delete(`cart_${cart._id}`);
+
+  res.status(200).json(new ApiResponse(200, { invite }, "Invitation revoked"));
+});
+
+// ─── DELETE /api/cart/share/members/:userId ───────────────────────────────────
+// The owner removes anyone; a member can only remove themselves (leave).
+// Lines they added stay in the cart.
+export const removeCartMember = asyncHandler(async (req, res) => {
+  const { cart, cartRole } = req;
+  const userId = req.user.id.toString();
+  const memberId = req.params.userId;
+
+  if (cartRole !== "owner" && memberId !== userId)
+    throw new ApiError(403, "Only the cart owner can remove other members");
+
+  const index = cart.members.findIndex((m) => m.user.toString() === memberId);
+  if (index === -1) throw new ApiError(404, "Member not found");
+
+  cart.members.splice(index, 1);
+  await cart.save();
+  cartCache.delete(`cart_${cart._id}`);
+
+  res.status(200).json(
+    new ApiResponse(200, { cartId: cart._id, members: cart.members }, memberId === userId ? "You left the cart" : "Member removed")
+  );
+});
+
+// ─── GET /api/cart/shared ─────────────────────────────────────────────────────
+// Other people's carts this user is a member of
+export const getSharedCarts = asyncHandler(async (req, res) => {
+  const carts = await Cart.find(
+    { "members.user": req.user.id, status: "active" },
+    "user itemCount subtotal total updatedAt members"
+  )
+    .populate("user", "username")
+    .lean();
+
+  res.status(200).json(
+    new ApiResponse(200, {
+      carts: carts.map(({ members, ...cart }) => ({ ...cart, owner: cart.user, members: members.length })),
+    }, "Shared carts retrieved successfully")
+  );
+});
+
+// ─── GET /api/cart/invitations ────────────────────────────────────────────────
+export const getCartInvitations = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id, "email phone").lean();
+  if (!user) throw new ApiError(404, "User not found");
+
+  const phone = normalizePhone(user.phone);
+  const addressedTo = [
+    ...(user.email ? [{ email: user.email.toLowerCase() }] : []),
+    ...(phone ? [{ phone }] : []),
+  ];
+  const now = new Date();
+  if (!addressedTo.length) {
+    return res.status(200).json(
+      new ApiResponse(200, { invitations: [] }, "Cart invitations retrieved successfully")
+    );
+  }
+
+  const carts = await Cart.find(
+    {
+      status: "active",
+      invites: { $elemMatch: { status: "pending", expiresAt: { $gt: now }, $or: addressedTo } },
+    },
+    "user invites itemCount"
+  )
+    .populate("user", "username")
+    .lean();
+
+  const invitations = carts.flatMap((cart) =>
+    cart.invites
+      .filter((i) => isLive(i, now) && inviteMatchesUser(i, user))
+      .map((i) => ({
+        inviteId: i._id,
+        cartId: cart._id,
+        owner: cart.user,
+        itemCount: cart.itemCount,
+        expiresAt: i.expiresAt,
+      }))
+  );
+
+  res.status(200).json(
+    new ApiResponse(200, { invitations }, "Cart invitations retrieved successfully")
+  );
+});
+
+// ─── POST /api/cart/invitations/:inviteId/(accept|decline) ────────────────────
+const respondToInvitation = (accept) =>
+  asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+    const { inviteId } = req.params;
+    if (!mongoose.isValidObjectId(inviteId)) throw new ApiError(400, "Invalid invitation ID");
+
+    const [user, cart] = await Promise.all([
+      User.findById(userId, "email phone").lean(),
+      Cart.findOne({ "invites._id": inviteId, status: "active" }),
+    ]);
+    const invite = cart?.invites.id(inviteId);
+    if (!user || !invite || !inviteMatchesUser(invite, user)) throw new ApiError(404, "Invitation not found");
+    if (!isLive(invite)) throw new ApiError(410, "This invitation is no longer valid");
+    if (cart.roleOf(userId)) throw new ApiError(409, "You already have access to this cart");
+
+    invite.status = accept ? "accepted" : "declined";
+    invite.respondedAt = new Date();
+    if (accept) cart.members.push({ user: userId, invitedBy: invite.invitedBy });
+
+    await cart.save();
+    cartCache.delete(`cart_${cart._id}`);
+
+    res.status(200).json(
+      new ApiResponse(200, { cartId: cart._id, status: invite.status },
+        accept ? "You joined the cart" : "Invitation declined")
+    );
+  });
+
+export const acceptCartInvitation = respondToInvitation(true);
+export const declineCartInvitation = respondToInvitation(false);
+
+// ─── POST /api/cart/checkout ──────────────────────────────────────────────────
+// Owner places one order for the whole (shared) cart through the same pipeline
+// as POST /api/orders/create-order. The cart is locked while the order is
+// placed, so a repeated request cannot order it twice, and the ordered lines
+// leave the cart once the order is confirmed: straight away for COD and
+// wallet, on payment for ONLINE. An unpaid ONLINE order leaves the cart as is.
+export const checkoutCart = asyncHandler(async (req, res) => {
+  const { cart } = req;
+  const { paymentMethod, deliveryAddressId, deliverySlotId, deliveryDate } = req.body;
+
+  if (!cart.items.length) throw new ApiError(400, "Cart is empty");
+
+  if (cart.checkout?.orderId) {
+    const previous = await Order.findOne(
+      { orderId: cart.checkout.orderId },
+      "orderId orderStatus paymentStatus razorpayOrderId finalPayableAmount"
+    ).lean();
+    if (previous?.orderStatus !== "cancelled" && previous?.paymentStatus === "awaiting_payment") {
+      return res.status(409).json(
+        new ApiResponse(409, { order: previous }, "This cart's order is waiting for payment")
+      );
+    }
+  }
+
+  // Claim the cart as it was read; a second checkout or an edit since then misses
+  const claimed = await Cart.findOneAndUpdate(
+    {
+      _id: cart._id,
+      status: "active",
+      updatedAt: cart.updatedAt,
+      $or: [
+        { "checkout.startedAt": null },
+        { "checkout.startedAt": { $lt: new Date(Date.now() - CHECKOUT.lockMinutes * 60 * 1000) } },
+      ],
+    },
+    { $set: { "checkout.startedAt": new Date(), "checkout.orderId": null } },
+    { new: true }
+  );
+  if (!claimed) throw new ApiError(409, "The cart changed or is already being checked out, please retry");
+
+  let { couponCode } = req.body;
+  if (!couponCode && claimed.appliedCoupon) {
+    couponCode = (await Coupon.findById(claimed.appliedCoupon, "code").lean())?.code;
+  }
+
+  const contributions = await namedContributions(claimed);
+  const orderedLines = claimed.items.map((item) => ({
+    vegetable: item.product.toString(),
+    weight: item.weight,
+    quantity: item.quantity,
+  }));
+
+  let result;
+  try {
+    result = await placeOrder({
+      customerInfo: claimed.user.toString(),
+      orderType: "custom",
+      selectedVegetables: orderedLines,
+      paymentMethod,
+      couponCode,
+      deliveryAddressId,
+      deliverySlotId,
+      deliveryDate,
+    });
+  } finally {
+    // Release the lock, recording the order when there is one
+    const orderId = result?.success ? result.data.orderData?.orderId || result.data.orderId : null;
+    await Cart.updateOne(
+      { _id: claimed._id },
+      { $set: { "checkout.startedAt": null, "checkout.orderId": orderId } }
+    );
+  }
+  cartCache.delete(`cart_${claimed._id}`);
+  if (!result.success) return res.status(result.statusCode).json(result);
+
+  // ONLINE orders come back with the Razorpay order to pay
+  if (!result.data.razorpayOrder) {
+    await Cart.completeCheckout(result.data.orderId, orderedLines);
+    activeCartSessions.delete(req.user.id);
+  }
+
+  res.status(result.statusCode).json(
+    new ApiResponse(result.statusCode, { order: result.data, contributions }, result.message)
+  );
+});
@@ -0,0 +1,148 @@
+import Category from "../Model/category.js";
+import Vegetable from "../Model/vegetable.js";
+import { clearCatalogueCache } from "./vegetable.js";
+import { asyncHandler } from "../utility/AsyncHandler.js";
+import { ApiResponse } from "../utility/ApiResponse.js";
+import { ApiError } from "../utility/ApiError.js";
+import mongoose from "mongoose";
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+const EDITABLE_FIELDS = ["name", "slug", "parent", "sortOrder", "description", "image", "isActive"];
+
+const pickFields = (body) =>
+  Object.fromEntries(
+    EDITABLE_FIELDS.filter((key) => body[key] !== undefined).map((key) => [key, body[key]])
+  );
+
+// Parent must exist and must not sit below the category being moved
+const assertValidParent = async (categoryId, parentId) => {
+  if (!parentId) return;
+  if (!isValidId(parentId)) throw new ApiError(400, "Invalid parent id");
+
+  const categories = await Category.find({}, { parent: 1 }).lean();
+  if (!categories.some((c) => c._id.toString() === parentId.toString()))
+    throw new ApiError(404, "Parent category not found");
+
+  if (categoryId && Category.descendantIds(categories, [categoryId]).has(parentId.toString()))
+    throw new ApiError(400, "A category cannot be moved under itself or one of its sub-categories");
+};
+
+const saveCategory = async (category) => {
+  try {
+    await category.save();
+  } catch (err) {
+    if (err.code === 11000) throw new ApiError(409, "A category with this slug already exists");
+    if (err.name === "ValidationError" || err.name === "CastError") throw new ApiError(400, err.message);
+    throw err;
+  }
+  clearCatalogueCache();
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PUBLIC
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @desc    Active categories as a tree (or flat with flat=true), siblings in sort order
+ * @route   GET /api/categories?flat=true
+ * @access  Public
+ */
+export const getCategories = asyncHandler(async (req, res) => {
+  const categories = await Category.find({ isActive: true }, "-__v").lean();
+  const data =
+    req.query.flat === "true"
+      ? Category.buildTree(categories).flatMap(function flatten({ children, ...node }) {
+          return [node, ...children.flatMap(flatten)];
+        })
+      : Category.buildTree(categories);
+
+  return res.status(200).json(new ApiResponse(200, data, "Categories fetched successfully"));
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ADMIN
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @desc    All categories including inactive ones, with vegetable counts
+ * @route   GET /api/categories/admin
+ * @access  Private/Admin
+ */
+export const getAllCategories = asyncHandler(async (req, res) => {
+  const [categories, counts] = await Promise.all([
+    Category.find({}, "-__v").lean(),
+    Vegetable.aggregate([
+      { $match: { category: { $ne: null } } },
+      { $group: { _id: "$category", vegetables: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const countById = new Map(counts.map((c) => [c._id.toString(), c.vegetables]));
+  const withCounts = categories.map((c) => ({ ...c, vegetables: countById.get(c._id.toString()) || 0 }));
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, Category.buildTree(withCounts), "Categories fetched successfully"));
+});
+
+/**
+ * @desc    Create a category
+ * @route   POST /api/categories/admin
+ * @body    { name, slug?, parent?, sortOrder?, description?, image? }
+ * @access  Private/Admin
+ */
+export const createCategory = asyncHandler(async (req, res) => {
+  const fields = pickFields(req.body);
+  await assertValidParent(null, fields.parent);
+
+  const category = new Category(fields);
+  await saveCategory(category);
+
+  return res.status(201).json(new ApiResponse(201, category, "Category created successfully"));
+});
+
+/**
+ * @desc    Update a category; moving it under another parent is checked for cycles
+ * @route   PATCH /api/categories/admin/:id
+ * @access  Private/Admin
+ */
+export const updateCategory = asyncHandler(async (req, res) => {
+  if (!isValidId(req.params.id)) throw new ApiError(400, "Invalid category id");
+
+  const category = await Category.findById(req.params.id);
+  if (!category) throw new ApiError(404, "Category not found");
+
+  const fields = pickFields(req.body);
+  if (fields.parent !== undefined) await assertValidParent(category._id, fields.parent);
+
+  category.set(fields);
+  await saveCategory(category);
+
+  return res.status(200).json(new ApiResponse(200, category, "Category updated successfully"));
+});
+
+/**
+ * @desc    Delete a category that has no sub-categories and no vegetables
+ * @route   DELETE /api/categories/admin/:id
+ * @access  Private/Admin
+ */
+export const deleteCategory = asyncHandler(async (req, res) => {
+  if (!isValidId(req.params.id)) throw new ApiError(400, "Invalid category id");
+
+  const [children, vegetables] = await Promise.all([
+    Category.countDocuments({ parent: req.params.id }),
+    Vegetable.countDocuments({ category: req.params.id }),
+  ]);
+  if (children || vegetables)
+    throw new ApiError(
+      409,
+      `Category still has ${children} sub-categories and ${vegetables} vegetables; move them or deactivate it instead`
+    );
+
+  const category = await Category.findByIdAndDelete(req.params.id);
+  if (!category) throw new ApiError(404, "Category not found");
+  clearCatalogueCache();
+
+  return res.status(200).json(new ApiResponse(200, null, "Category deleted"));
+});
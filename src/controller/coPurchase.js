@@ -0,0 +1,176 @@
+import mongoose from "mongoose";
+import CoPurchase from "../Model/coPurchase.js";
+import Vegetable from "../Model/vegetable.js";
+import { asyncHandler } from "../utility/AsyncHandler.js";
+import { ApiResponse } from "../utility/ApiResponse.js";
+import { ApiError } from "../utility/ApiError.js";
+
+// ================= CONFIGURATION =================
+const CONFIG = Object.freeze({
+  trainerIntervalMinutes: parseInt(process.env.COPURCHASE_TRAINER_INTERVAL_MINUTES) || 30,
+  // Orders folded in per trainer run; a backlog is worked off over several runs
+  maxOrdersPerRun: 20000,
+  maxLimit: 20,
+});
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+const PRODUCT_FIELDS = "name image images weightVariants prices setPricing outOfStock category";
+
+/**
+ * Vegetables that go with a basket, best first, with their product documents.
+ * Falls back to the most-ordered vegetables when the basket has no learnt
+ * pairs yet (empty cart, new vegetables, fresh install).
+ * Out-of-stock and deleted vegetables are skipped.
+ * @param {Array<string>} vegetableIds - basket
+ * @param {Object} [options] - { limit }
+ * @returns {Promise<Object>} { recommendations, algorithm }
+ */
+export const recommendVegetables = async (vegetableIds, { limit = 5 } = {}) => {
+  // Over-fetch so skipped vegetables do not leave the list short
+  const fetch = limit * 2;
+  let algorithm = "co-purchase";
+  let picks = (await CoPurchase.recommendFor(vegetableIds, { limit: fetch })).map((rec) => ({
+    productId: rec.vegetable,
+    frequency: rec.together,
+    score: rec.score,
+    lift: rec.lift,
+    confidence: rec.confidence,
+  }));
+
+  if (!picks.length) {
+    algorithm = "popularity";
+    picks = (await CoPurchase.popular({ limit: fetch, exclude: vegetableIds })).map((rec) => ({
+      productId: rec.vegetable,
+      frequency: rec.orders,
+      score: 0,
+      lift: null,
+      confidence: null,
+    }));
+  }
+
+  const products = await Vegetable.find({
+    _id: { $in: picks.map((p) => p.productId) },
+    outOfStock: { $ne: true },
+  })
+    .select(PRODUCT_FIELDS)
+    .lean();
+  const byId = new Map(products.map((p) => [p._id.toString(), p]));
+
+  const recommendations = picks
+    .filter((p) => byId.has(p.productId))
+    .slice(0, limit)
+    .map((p) => ({ ...p, product: byId.get(p.productId) }));
+
+  return { recommendations, algorithm };
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// TRAINER
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Fold orders placed since the last run into the co-purchase counts
+ * @returns {Promise<Object>} { processed, counted, trainedUntil }
+ */
+export const runCoPurchaseTraining = () =>
+  CoPurchase.trainIncremental({ maxOrders: CONFIG.maxOrdersPerRun });
+
+let trainerTimer = null;
+let trainerRunning = false;
+
+/**
+ * Start the in-process trainer timer (idempotent). Runs once straight away so
+ * a fresh deployment has recommendations without waiting a full interval.
+ * Disabled with COPURCHASE_TRAINER_ENABLED=false.
+ */
+export const startCoPurchaseTrainer = () => {
+  if (trainerTimer || process.env.COPURCHASE_TRAINER_ENABLED === "false") return;
+
+  const tick = async () => {
+    if (trainerRunning) return;
+    trainerRunning = true;
+    try {
+      const run = await runCoPurchaseTraining();
+      if (run.processed)
+        console.log(`[co-purchase] Trained on ${run.processed} order(s) up to ${run.trainedUntil.toISOString()}`);
+    } catch (err) {
+      console.error("[co-purchase] Training run failed:", err.message);
+    } finally {
+      trainerRunning = false;
+    }
+  };
+
+  trainerTimer = setInterval(tick, CONFIG.trainerIntervalMinutes * 60 * 1000);
+  trainerTimer.unref();
+  tick();
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PUBLIC
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @desc    Vegetables frequently bought together with a vegetable
+ * @route   GET /api/co-purchase/vegetables/:id?limit=5
+ * @access  Public
+ */
+export const getFrequentlyBoughtTogether = asyncHandler(async (req, res) => {
+  if (!isValidId(req.params.id)) throw new ApiError(400, "Invalid vegetable id");
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 5, 1), CONFIG.maxLimit);
+  const data = await recommendVegetables([req.params.id], { limit });
+
+  return res.status(200).json(new ApiResponse(200, data, "Recommendations fetched successfully"));
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ADMIN
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @desc    Training state: orders learnt from, watermark, pairs stored
+ * @route   GET /api/co-purchase/admin/status
+ * @access  Private/Admin
+ */
+export const getCoPurchaseStatus = asyncHandler(async (req, res) => {
+  const [totals, vegetables, pairs] = await Promise.all([
+    CoPurchase.findOne({ vegetable: null, related: null }).lean(),
+    CoPurchase.countDocuments({ vegetable: { $ne: null }, related: null }),
+    CoPurchase.countDocuments({ related: { $ne: null } }),
+  ]);
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        orders: totals?.orders || 0,
+        trainedUntil: totals?.trainedUntil || null,
+        lastTrainedAt: totals?.updatedAt || null,
+        vegetables,
+        // Each pair is stored in both directions
+        pairs: pairs / 2,
+        trainerRunning,
+      },
+      "Co-purchase status fetched successfully"
+    )
+  );
+});
+
+/**
+ * @desc    Drop the counts and retrain from the full order history (picks up
+ *          cancellations that incremental training does not undo)
+ * @route   POST /api/co-purchase/admin/rebuild
+ * @access  Private/Admin
+ */
+export const rebuildCoPurchase = asyncHandler(async (req, res) => {
+  if (trainerRunning) throw new ApiError(409, "Training is already running, try again shortly");
+
+  trainerRunning = true;
+  try {
+    const run = await CoPurchase.rebuild();
+    return res.status(200).json(new ApiResponse(200, run, "Recommendations rebuilt"));
+  } finally {
+    trainerRunning = false;
+  }
+});
@@ -0,0 +1,913 @@
+import Order from "../Model/order.js";
+import User from "../Model/user.js";
+import Address from "../Model/address.js";
+import { asyncHandler } from "../utility/AsyncHandler.js";
+import { ApiResponse } from "../utility/ApiResponse.js";
+import { ApiError } from "../utility/ApiError.js";
+import { sendInvoiceEmail } from "./invoice.js";
+import { calculateDistance, planDeliveryRoute } from "./address.js";
+import { storePrivateImage, resolvePrivateImage, removePrivateImage } from "../utility/imageStorage.js";
+import mongoose from "mongoose";
+import crypto from "crypto";
+import { EventEmitter } from "events";
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONSTANTS & CONFIG
+// ─────────────────────────────────────────────────────────────────────────────
+const CONFIG = Object.freeze({
+  // Orders a partner can be assigned to and still be working on
+  openOrderStatuses: ["placed", "processed", "shipped"],
+  activeDeliveryStatuses: ["assigned", "picked_up"],
+  // Assignment can be (re)made until the goods leave with a partner
+  assignableDeliveryStatuses: [null, "assigned", "failed"],
+  partnerFields: "username email phone isActive isApproved roleDetails performanceMetrics",
+  tracking: Object.freeze({
+    avgSpeedKmph: parseInt(process.env.DELIVERY_AVG_SPEED_KMPH) || 20,
+    minutesPerStop: 5,
+    // Older pings are shown but flagged so the app can say "last seen"
+    staleAfterMinutes: 10,
+    streamRefreshSeconds: 30,
+    streamMinIntervalMs: 5000,
+  }),
+});
+
+// Partner location pings, fanned out to open tracking streams in this process
+const locationEvents = new EventEmitter();
+locationEvents.setMaxListeners(0);
+
+const isValidOrderId = (orderId) => /^ORD\d{9,12}$/.test(orderId);
+
+const startOfToday = () => {
+  const day = new Date();
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const zoneKeys = (address) =>
+  [address?.deliveryZone, address?.area]
+    .filter(Boolean)
+    .map((z) => z.trim().toLowerCase());
+
+const servesZone = (partner, address) => {
+  const zones = new Set(
+    (partner.roleDetails?.deliveryZones || []).map((z) => z.trim().toLowerCase())
+  );
+  return zoneKeys(address).some((z) => zones.has(z));
+};
+
+// [0, 0] is the schema default, i.e. "no location reported yet"
+const hasLocation = (coords) =>
+  Array.isArray(coords) && coords.length === 2 && (coords[0] !== 0 || coords[1] !== 0);
+
+// Open assignments per partner
+const activeLoad = async (partnerIds) => {
+  const rows = await Order.aggregate([
+    {
+      $match: {
+        "delivery.partner": { $in: partnerIds },
+        "delivery.status": { $in: CONFIG.activeDeliveryStatuses },
+        orderStatus: { $in: CONFIG.openOrderStatuses },
+      },
+    },
+    { $group: { _id: "$delivery.partner", count: { $sum: 1 } } },
+  ]);
+  return new Map(rows.map((r) => [r._id.toString(), r.count]));
+};
+
+/**
+ * Available, approved partners serving an address, least loaded first and
+ * then nearest to the drop
+ */
+const rankPartnersForAddress = async (address) => {
+  const partners = await User.find(
+    {
+      role: "delivery_partner",
+      isActive: true,
+      isApproved: true,
+      "roleDetails.isAvailable": true,
+    },
+    CONFIG.partnerFields
+  ).lean();
+
+  const eligible = partners.filter((p) => servesZone(p, address));
+  const load = await activeLoad(eligible.map((p) => p._id));
+  const drop = address?.location?.coordinates;
+
+  return eligible
+    .map((partner) => {
+      const here = partner.roleDetails?.currentLocation?.coordinates;
+      return {
+        partner,
+        activeOrders: load.get(partner._id.toString()) || 0,
+        distanceKm:
+          hasLocation(here) && hasLocation(drop)
+            ? Math.round(calculateDistance(here, drop) * 100) / 100
+            : null,
+      };
+    })
+    .sort(
+      (a, b) =>
+        a.activeOrders - b.activeOrders ||
+        (a.distanceKm ?? Infinity) - (b.distanceKm ?? Infinity)
+    );
+};
+
+/**
+ * Visiting order for a partner's open drops: earlier slots first, and within a
+ * slot the nearest-neighbour route over the drop addresses. Orders need
+ * deliveryAddressId and deliverySlot populated.
+ */
+const sequenceStops = async (orders) => {
+  const slotGroups = new Map();
+  for (const order of orders) {
+    const key = order.deliverySlot?.startTime || order.DeliveryTimeSlot || "~";
+    if (!slotGroups.has(key)) slotGroups.set(key, []);
+    slotGroups.get(key).push(order);
+  }
+
+  const ordered = [];
+  let totalDistance = 0;
+
+  for (const key of [...slotGroups.keys()].sort()) {
+    const group = slotGroups.get(key);
+    const addressIds = [
+      ...new Set(group.map((o) => o.deliveryAddressId?._id?.toString()).filter(Boolean)),
+    ];
+    const { optimizedRoute, totalDistance: distance } = await planDeliveryRoute(addressIds);
+    totalDistance += distance;
+
+    const position = new Map(optimizedRoute.map((id, i) => [id, i]));
+    group.sort(
+      (a, b) =>
+        (position.get(a.deliveryAddressId?._id?.toString()) ?? Infinity) -
+        (position.get(b.deliveryAddressId?._id?.toString()) ?? Infinity)
+    );
+    ordered.push(...group);
+  }
+
+  return { ordered, totalDistance };
+};
+
+const findPartnerOrder = async (orderId, partnerId, projection = null) => {
+  if (!isValidOrderId(orderId)) throw new ApiError(400, "Invalid order ID");
+  const order = await Order.findOne({ orderId }, projection).lean();
+  if (!order) throw new ApiError(404, "Order not found");
+  if (order.delivery?.partner?.toString() !== partnerId.toString())
+    throw new ApiError(403, "Order is not assigned to you");
+  return order;
+};
+
+const PROOF_FOLDER = "delivery-proofs";
+
+// What clients see of a proof: the photo only as the authenticated route serving it
+const proofView = (orderId, proof) =>
+  proof && {
+    method: proof.method,
+    receivedBy: proof.receivedBy,
+    photoUrl: proof.photo?.key ? `/api/delivery/orders/${orderId}/proof-photo` : null,
+  };
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ADMIN — partner assignment
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @desc    Delivery partners with zones, availability and open assignments.
+ *          With ?orderId= only partners eligible for that order, best first.
+ * @route   GET /api/delivery/partners
+ * @access  Private/Admin
+ */
+export const getDeliveryPartners = asyncHandler(async (req, res) => {
+  const { orderId } = req.query;
+
+  if (orderId) {
+    if (!isValidOrderId(orderId)) throw new ApiError(400, "Invalid order ID");
+    const order = await Order.findOne({ orderId }, { deliveryAddressId: 1 }).lean();
+    if (!order) throw new ApiError(404, "Order not found");
+
+    const address = await Address.findById(order.deliveryAddressId).lean();
+    const ranked = await rankPartnersForAddress(address);
+
+    return res.status(200).json(
+      new ApiResponse(
+        200,
+        { orderId, zones: zoneKeys(address), partners: ranked },
+        ranked.length ? "Eligible partners fetched" : "No available partner serves this zone"
+      )
+    );
+  }
+
+  const partners = await User.find({ role: "delivery_partner" }, CONFIG.partnerFields)
+    .sort({ "roleDetails.isAvailable": -1, username: 1 })
+    .lean();
+  const load = await activeLoad(partners.map((p) => p._id));
+
+  const data = partners.map((partner) => ({
+    ...partner,
+    activeOrders: load.get(partner._id.toString()) || 0,
+  }));
+
+  return res.status(200).json(new ApiResponse(200, data, "Delivery partners fetched successfully"));
+});
+
+/**
+ * @desc    Assign an order to a delivery partner. Without partnerId the least
+ *          loaded available partner serving the order's zone is picked.
+ *          `force` lets an admin assign outside the partner's zones.
+ * @route   POST /api/delivery/orders/:orderId/assign
+ * @body    { partnerId?, force? }
+ * @access  Private/Admin
+ */
+export const assignDeliveryPartner = asyncHandler(async (req, res) => {
+  const { orderId } = req.params;
+  const { partnerId, force = false } = req.body;
+
+  if (!isValidOrderId(orderId)) throw new ApiError(400, "Invalid order ID");
+
+  const order = await Order.findOne({ orderId }).lean();
+  if (!order) throw new ApiError(404, "Order not found");
+  if (!CONFIG.openOrderStatuses.includes(order.orderStatus))
+    throw new ApiError(409, `Cannot assign a ${order.orderStatus} order`);
+  if (!CONFIG.assignableDeliveryStatuses.includes(order.delivery?.status ?? null))
+    throw new ApiError(409, "Order is already out for delivery");
+
+  const address = order.deliveryAddressId
+    ? await Address.findById(order.deliveryAddressId).lean()
+    : null;
+
+  let partner;
+  if (partnerId) {
+    if (!mongoose.isValidObjectId(partnerId)) throw new ApiError(400, "Invalid partner ID");
+    partner = await User.findOne({ _id: partnerId, role: "delivery_partner" }, CONFIG.partnerFields).lean();
+    if (!partner) throw new ApiError(404, "Delivery partner not found");
+    if (!partner.isActive || !partner.isApproved)
+      throw new ApiError(400, "Delivery partner is not active");
+    if (!partner.roleDetails?.isAvailable)
+      throw new ApiError(409, "Delivery partner is not available");
+    if (!force && !servesZone(partner, address))
+      throw new ApiError(409, "Delivery partner does not serve this zone");
+  } else {
+    const [best] = await rankPartnersForAddress(address);
+    if (!best) throw new ApiError(409, "No available delivery partner serves this zone");
+    partner = best.partner;
+  }
+
+  const assigned = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      orderStatus: { $in: CONFIG.openOrderStatuses },
+      "delivery.status": { $in: CONFIG.assignableDeliveryStatuses },
+    },
+    {
+      $set: {
+        "delivery.partner": partner._id,
+        "delivery.status": "assigned",
+        "delivery.assignedBy": req.user.id,
+        "delivery.assignedAt": new Date(),
+      },
+    },
+    { new: true }
+  )
+    .populate("delivery.partner", "username phone roleDetails.vehicleType roleDetails.vehicleNumber")
+    .lean();
+
+  if (!assigned) throw new ApiError(409, "Order changed while assigning, please retry");
+
+  return res.status(200).json(
+    new ApiResponse(200, { orderId, delivery: assigned.delivery }, "Delivery partner assigned")
+  );
+});
+
+/**
+ * @desc    Remove the partner from an order that has not been picked up
+ * @route   DELETE /api/delivery/orders/:orderId/assign
+ * @access  Private/Admin
+ */
+export const unassignDeliveryPartner = asyncHandler(async (req, res) => {
+  const { orderId } = req.params;
+  if (!isValidOrderId(orderId)) throw new ApiError(400, "Invalid order ID");
+
+  const updated = await Order.findOneAndUpdate(
+    { orderId, "delivery.status": { $in: ["assigned", "failed"] } },
+    {
+      $set: {
+        "delivery.partner": null,
+        "delivery.status": null,
+        "delivery.assignedBy": null,
+        "delivery.assignedAt": null,
+      },
+    },
+    { new: true }
+  ).lean();
+
+  if (!updated) throw new ApiError(409, "Order has no assignment that can be removed");
+
+  return res.status(200).json(new ApiResponse(200, { orderId }, "Delivery partner unassigned"));
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// DELIVERY PARTNER — run sheet and drop workflow
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @desc    Partner's open drops in visiting order (slot by slot, each slot
+ *          routed nearest-neighbour) plus today's completed and failed drops
+ * @route   GET /api/delivery/run-sheet
+ * @access  Private/Delivery partner
+ */
+export const getRunSheet = asyncHandler(async (req, res) => {
+  const partnerId = new mongoose.Types.ObjectId(req.user.id);
+  const today = startOfToday();
+
+  const orders = await Order.find({
+    "delivery.partner": partnerId,
+    $or: [
+      {
+        "delivery.status": { $in: CONFIG.activeDeliveryStatuses },
+        orderStatus: { $in: CONFIG.openOrderStatuses },
+      },
+      { "delivery.status": "delivered", "delivery.deliveredAt": { $gte: today } },
+      { "delivery.status": "failed", "delivery.attempts.at": { $gte: today } },
+    ],
+  })
+    .populate("customerInfo", "username name phone")
+    .populate("deliveryAddressId", "street area city pincode location deliveryZone")
+    .populate("deliverySlot", "label startTime endTime")
+    .populate("selectedVegetables.vegetable", "name")
+    .sort({ deliveryDate: 1, createdAt: 1 })
+    .lean();
+
+  const toStop = (order) => ({
+    _id: order._id,
+    orderId: order.orderId,
+    orderStatus: order.orderStatus,
+    deliveryStatus: order.delivery.status,
+    deliveryDate: order.deliveryDate,
+    slot: order.deliverySlot?.label || order.DeliveryTimeSlot,
+    customer: {
+      name: order.customerInfo?.username || order.customerInfo?.name,
+      phone: order.customerInfo?.phone,
+    },
+    address: order.deliveryAddressId,
+    paymentMethod: order.paymentMethod,
+    // Cash to collect at the door; prepaid and wallet orders collect nothing
+    amountToCollect: order.paymentStatus === "completed" ? 0 : order.finalPayableAmount,
+    items: order.selectedVegetables.map((item) => ({
+      name: item.vegetable?.name,
+      weight: item.weight,
+      quantity: item.quantity,
+    })),
+    attempts: order.delivery.attempts?.length || 0,
+  });
+
+  const open = orders.filter((o) => CONFIG.activeDeliveryStatuses.includes(o.delivery.status));
+
+  const { ordered, totalDistance } = await sequenceStops(open);
+  const stops = ordered.map((order, i) => ({ sequence: i + 1, ...toStop(order) }));
+
+  const done = orders.filter((o) => !CONFIG.activeDeliveryStatuses.includes(o.delivery.status));
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        date: today,
+        stops,
+        completed: done.map(toStop),
+        summary: {
+          pending: stops.length,
+          pickedUp: stops.filter((s) => s.deliveryStatus === "picked_up").length,
+          delivered: done.filter((o) => o.delivery.status === "delivered").length,
+          failed: done.filter((o) => o.delivery.status === "failed").length,
+          cashToCollect: stops.reduce((sum, s) => sum + s.amountToCollect, 0),
+          routeDistanceKm: Math.round(totalDistance * 100) / 100,
+        },
+      },
+      "Run sheet fetched successfully"
+    )
+  );
+});
+
+/**
+ * @desc    Partner location ping from the mobile app
+ * @route   POST /api/delivery/location
+ * @body    { latitude, longitude }
+ * @access  Private/Delivery partner
+ */
+export const updatePartnerLocation = asyncHandler(async (req, res) => {
+  const latitude = Number(req.body.latitude);
+  const longitude = Number(req.body.longitude);
+
+  if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90)
+    throw new ApiError(400, "Valid latitude required");
+  if (!Number.isFinite(longitude) || longitude < -180 || longitude > 180)
+    throw new ApiError(400, "Valid longitude required");
+
+  const updatedAt = new Date();
+  await User.updateOne(
+    { _id: req.user.id },
+    {
+      $set: {
+        "roleDetails.currentLocation": { type: "Point", coordinates: [longitude, latitude] },
+        "roleDetails.locationUpdatedAt": updatedAt,
+      },
+    }
+  );
+
+  locationEvents.emit("location", req.user.id.toString());
+
+  return res.status(200).json(
+    new ApiResponse(200, { latitude, longitude, updatedAt }, "Location updated")
+  );
+});
+
+/**
+ * @desc    Partner toggles whether they can take new assignments
+ * @route   PATCH /api/delivery/availability
+ * @body    { isAvailable }
+ * @access  Private/Delivery partner
+ */
+export const setPartnerAvailability = asyncHandler(async (req, res) => {
+  const { isAvailable } = req.body;
+  if (typeof isAvailable !== "boolean") throw new ApiError(400, "isAvailable must be true or false");
+
+  await User.updateOne({ _id: req.user.id }, { $set: { "roleDetails.isAvailable": isAvailable } });
+
+  return res.status(200).json(
+    new ApiResponse(200, { isAvailable }, isAvailable ? "You are now available" : "You are now offline")
+  );
+});
+
+/**
+ * @desc    Partner collects a packed order. Moves it to shipped and sends the
+ *          customer the delivery OTP.
+ * @route   POST /api/delivery/orders/:orderId/pickup
+ * @access  Private/Delivery partner
+ */
+export const markOrderPickedUp = asyncHandler(async (req, res) => {
+  const { orderId } = req.params;
+  const order = await findPartnerOrder(orderId, req.user.id);
+
+  if (order.delivery.status !== "assigned")
+    throw new ApiError(409, `Order cannot be picked up (delivery status: ${order.delivery.status})`);
+  if (order.packing?.status !== "packed") throw new ApiError(409, "Order has not been packed yet");
+  if (order.paymentMethod === "ONLINE" && order.paymentStatus !== "completed")
+    throw new ApiError(409, "Online payment has not been received for this order");
+
+  const otp = crypto.randomInt(1000, 10000).toString();
+  const filter = {
+    _id: order._id,
+    "delivery.partner": order.delivery.partner,
+    "delivery.status": "assigned",
+    "packing.status": "packed",
+  };
+  const set = {
+    "delivery.status": "picked_up",
+    "delivery.pickedUpAt": new Date(),
+    "delivery.otp": otp,
+  };
+
+  // A re-attempt after a failed drop is already shipped
+  const updated =
+    order.orderStatus === "processed"
+      ? await Order.transitionStatus(filter, "shipped", {
+          actor: req.user.id,
+          note: "Picked up by delivery partner",
+          from: ["processed"],
+          set,
+        })
+      : await Order.findOneAndUpdate({ ...filter, orderStatus: "shipped" }, { $set: set }, { new: true });
+
+  if (!updated) throw new ApiError(409, "Order changed, please refresh your run sheet");
+
+  const customer = await User.findById(order.customerInfo, "username name email").lean();
+  if (customer?.email) {
+    sendInvoiceEmail({ ...order, customerInfo: customer }, null, {
+      customSubject: `Your order #${order.orderId} is out for delivery`,
+      customMessage: `
+        <div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto;">
+          <div style="background:#0e540b;color:white;padding:20px;text-align:center;"><h1>VegBazar</h1></div>
+          <div style="padding:20px;background:#f8f9fa;">
+            <h2 style="color:#0e540b;">Out for Delivery</h2>
+            <p>Dear ${customer.username || customer.name || "Customer"},</p>
+            <p>Your order <strong>#${order.orderId}</strong> is on its way. Share this code with the delivery partner:</p>
+            <h3 style="color:#e57512;letter-spacing:6px;margin:20px 0;">${otp}</h3>
+            <p>Thank you for shopping with VegBazar!</p>
+          </div>
+          <div style="background:#0e540b;color:white;padding:15px;text-align:center;font-size:12px;">
+            <p>Need help? Contact us at info.vegbazar@gmail.com</p>
+          </div>
+        </div>`,
+      emailType: "statusUpdate",
+    }).catch(() => {});
+  }
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      { orderId, orderStatus: updated.orderStatus, deliveryStatus: "picked_up" },
+      "Order picked up"
+    )
+  );
+});
+
+/**
+ * @desc    Complete a drop with proof of delivery: the customer's OTP or a
+ *          photo (multipart field "photo")
+ * @route   POST /api/delivery/orders/:orderId/deliver
+ * @body    { otp?, receivedBy? }
+ * @access  Private/Delivery partner
+ */
+export const markOrderDelivered = asyncHandler(async (req, res) => {
+  const { orderId } = req.params;
+  const { otp, receivedBy } = req.body;
+
+  // An unused upload is removed by the upload middleware once the response is sent
+  const order = await findPartnerOrder(orderId, req.user.id, "+delivery.otp");
+
+  if (order.delivery.status !== "picked_up" || order.orderStatus !== "shipped")
+    throw new ApiError(409, "Order must be picked up before it can be delivered");
+
+  let method;
+  if (otp !== undefined && otp !== "") {
+    if (String(otp).trim() !== order.delivery.otp) throw new ApiError(400, "Incorrect delivery OTP");
+    method = "otp";
+  } else if (req.file) {
+    method = "photo";
+  } else {
+    throw new ApiError(400, "Delivery OTP or photo required");
+  }
+
+  const photo = req.file ? await storePrivateImage(req.file, PROOF_FOLDER) : null;
+  const proof = { method, photo };
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const delivered = await Order.transitionStatus(
+      { _id: order._id, "delivery.partner": order.delivery.partner, "delivery.status": "picked_up" },
+      "delivered",
+      {
+        actor: req.user.id,
+        note: `Delivered (proof: ${proof.method})`,
+        from: ["shipped"],
+        session,
+        set: {
+          // COD cash is collected at the door
+          paymentStatus: "completed",
+          "delivery.status": "delivered",
+          "delivery.deliveredAt": new Date(),
+          "delivery.otp": null,
+          "delivery.proof": {
+            ...proof,
+            receivedBy: typeof receivedBy === "string" ? receivedBy.trim() || null : null,
+          },
+        },
+      }
+    );
+
+    if (!delivered) {
+      await session.abortTransaction();
+      session.endSession();
+      await removePrivateImage(photo);
+      return res.status(409).json(new ApiResponse(409, null, "Order changed, please refresh your run sheet"));
+    }
+
+    await User.updateOne(
+      { _id: order.delivery.partner },
+      {
+        $inc: {
+          "performanceMetrics.totalDeliveries": 1,
+          "performanceMetrics.successfulDeliveries": 1,
+        },
+      },
+      { session }
+    );
+
+    await session.commitTransaction();
+    session.endSession();
+
+    return res.status(200).json(
+      new ApiResponse(
+        200,
+        { orderId, orderStatus: delivered.orderStatus, proof: proofView(orderId, delivered.delivery.proof) },
+        "Order delivered"
+      )
+    );
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    await removePrivateImage(photo);
+    return res.status(500).json(new ApiResponse(500, null, err.message));
+  }
+});
+
+/**
+ * @desc    Record a failed drop. The order stays shipped for an admin to
+ *          reassign or cancel.
+ * @route   POST /api/delivery/orders/:orderId/fail
+ * @body    { reason, note? }
+ * @access  Private/Delivery partner
+ */
+export const markDeliveryFailed = asyncHandler(async (req, res) => {
+  const { orderId } = req.params;
+  const { reason, note } = req.body;
+
+  if (!Order.DELIVERY_FAILURE_REASONS.includes(reason))
+    throw new ApiError(400, `Reason must be one of: ${Order.DELIVERY_FAILURE_REASONS.join(", ")}`);
+  if (reason === "other" && !note?.trim())
+    throw new ApiError(400, "Please describe what went wrong");
+
+  const order = await findPartnerOrder(orderId, req.user.id);
+  if (order.delivery.status !== "picked_up")
+    throw new ApiError(409, "Only picked-up orders can be marked as failed");
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const failed = await Order.findOneAndUpdate(
+      { _id: order._id, "delivery.partner": order.delivery.partner, "delivery.status": "picked_up" },
+      {
+        $set: { "delivery.status": "failed", "delivery.otp": null },
+        $push: {
+          "delivery.attempts": {
+            partner: order.delivery.partner,
+            reason,
+            note: typeof note === "string" ? note.trim() || null : null,
+            at: new Date(),
+          },
+        },
+      },
+      { new: true, runValidators: true, session }
+    ).lean();
+
+    if (!failed) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(409).json(new ApiResponse(409, null, "Order changed, please refresh your run sheet"));
+    }
+
+    await User.updateOne(
+      { _id: order.delivery.partner },
+      { $inc: { "performanceMetrics.totalDeliveries": 1 } },
+      { session }
+    );
+
+    await session.commitTransaction();
+    session.endSession();
+
+    return res.status(200).json(
+      new ApiResponse(
+        200,
+        { orderId, deliveryStatus: "failed", attempts: failed.delivery.attempts.length },
+        "Delivery attempt recorded"
+      )
+    );
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    return res.status(500).json(new ApiResponse(500, null, err.message));
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CUSTOMER
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @desc    Delivery OTP for the customer's order while it is out for delivery
+ * @route   GET /api/delivery/orders/:orderId/otp
+ * @access  Private (order owner)
+ */
+export const getDeliveryOtp = asyncHandler(async (req, res) => {
+  const { orderId } = req.params;
+  if (!isValidOrderId(orderId)) throw new ApiError(400, "Invalid order ID");
+
+  const order = await Order.findOne({ orderId }, "+delivery.otp customerInfo delivery.status").lean();
+  if (!order) throw new ApiError(404, "Order not found");
+  if (order.customerInfo.toString() !== req.user.id.toString())
+    throw new ApiError(403, "Access denied");
+  if (order.delivery?.status !== "picked_up")
+    throw new ApiError(409, "Order is not out for delivery");
+
+  return res.status(200).json(new ApiResponse(200, { orderId, otp: order.delivery.otp }, "Delivery OTP"));
+});
+
+/**
+ * @desc    Proof-of-delivery photo, for the order's customer, its delivery
+ *          partner or an admin. Never served from the public static root.
+ * @route   GET /api/delivery/orders/:orderId/proof-photo
+ * @access  Private
+ */
+export const getDeliveryProofPhoto = asyncHandler(async (req, res) => {
+  const { orderId } = req.params;
+  if (!isValidOrderId(orderId)) throw new ApiError(400, "Invalid order ID");
+
+  const order = await Order.findOne({ orderId }, "customerInfo delivery.partner delivery.proof").lean();
+  if (!order) throw new ApiError(404, "Order not found");
+
+  const userId = req.user.id.toString();
+  const allowed =
+    req.user.role === "admin" ||
+    order.customerInfo?.toString() === userId ||
+    order.delivery?.partner?.toString() === userId;
+  if (!allowed) throw new ApiError(403, "Access denied");
+
+  const photo = order.delivery?.proof?.photo;
+  if (!photo?.key) throw new ApiError(404, "No proof photo for this order");
+
+  const source = await resolvePrivateImage(photo);
+  res.set({ "Cache-Control": "private, no-store", "X-Content-Type-Options": "nosniff" });
+  if (source.url) return res.redirect(source.url);
+  return res.sendFile(source.path);
+});
+
+/**
+ * Live view of one order's delivery: partner position, ETA over the partner's
+ * remaining picked-up drops, and where this order sits in that sequence.
+ * @param {string} orderId
+ * @returns {Promise<{ data: Object, partnerId: string|null }|null>} null when the order does not exist
+ */
+const buildTrackingSnapshot = async (orderId) => {
+  const order = await Order.findOne(
+    { orderId },
+    {
+      orderId: 1,
+      orderStatus: 1,
+      delivery: 1,
+      deliveryAddressId: 1,
+      deliveryDate: 1,
+      DeliveryTimeSlot: 1,
+      deliverySlot: 1,
+    }
+  )
+    .populate("deliveryAddressId", "location")
+    .populate("deliverySlot", "label startTime endTime")
+    .lean();
+  if (!order) return null;
+
+  const drop = order.deliveryAddressId?.location?.coordinates;
+  const data = {
+    orderId,
+    orderStatus: order.orderStatus,
+    deliveryStatus: order.delivery?.status || null,
+    slot: order.deliverySlot?.label || order.DeliveryTimeSlot,
+    deliveryDate: order.deliveryDate,
+    deliveredAt: order.delivery?.deliveredAt || null,
+    destination: hasLocation(drop) ? { latitude: drop[1], longitude: drop[0] } : null,
+    partner: null,
+    eta: null,
+    stops: [],
+  };
+
+  const partnerId = order.delivery?.partner?.toString() || null;
+  if (!partnerId) return { data, partnerId };
+
+  const partner = await User.findById(
+    partnerId,
+    "username phone roleDetails.vehicleType roleDetails.vehicleNumber roleDetails.currentLocation roleDetails.locationUpdatedAt"
+  ).lean();
+
+  data.partner = {
+    name: partner?.username || null,
+    vehicleType: partner?.roleDetails?.vehicleType || null,
+  };
+
+  // Position, contact and ETA only while the order is on its way
+  if (data.deliveryStatus !== "picked_up" || !partner) return { data, partnerId };
+
+  const here = partner.roleDetails?.currentLocation?.coordinates;
+  const seenAt = partner.roleDetails?.locationUpdatedAt || null;
+  Object.assign(data.partner, {
+    phone: partner.phone,
+    vehicleNumber: partner.roleDetails?.vehicleNumber || null,
+    location: hasLocation(here)
+      ? {
+          latitude: here[1],
+          longitude: here[0],
+          updatedAt: seenAt,
+          isStale:
+            !seenAt ||
+            Date.now() - new Date(seenAt).getTime() > CONFIG.tracking.staleAfterMinutes * 60 * 1000,
+        }
+      : null,
+  });
+
+  const trip = await Order.find({
+    "delivery.partner": partner._id,
+    "delivery.status": "picked_up",
+    orderStatus: "shipped",
+  })
+    .populate("deliveryAddressId", "location")
+    .populate("deliverySlot", "startTime")
+    .lean();
+
+  const { ordered } = await sequenceStops(trip);
+  const index = ordered.findIndex((o) => o.orderId === orderId);
+
+  data.stops = ordered.map((o, i) => ({ sequence: i + 1, isYourOrder: i === index }));
+  data.stopsBefore = Math.max(0, index);
+
+  if (!hasLocation(here) || !hasLocation(drop) || index < 0) return { data, partnerId };
+
+  // Partner → each earlier drop → this drop, straight-line legs
+  let distanceKm = 0;
+  let from = here;
+  for (const stop of ordered.slice(0, index + 1)) {
+    const to = stop.deliveryAddressId?.location?.coordinates;
+    if (!hasLocation(to)) continue;
+    distanceKm += calculateDistance(from, to);
+    from = to;
+  }
+
+  const minutes = Math.round(
+    (distanceKm / CONFIG.tracking.avgSpeedKmph) * 60 + index * CONFIG.tracking.minutesPerStop
+  );
+  data.eta = {
+    distanceKm: Math.round(distanceKm * 100) / 100,
+    minutes,
+    arrivalBy: new Date(Date.now() + minutes * 60 * 1000),
+  };
+
+  return { data, partnerId };
+};
+
+/**
+ * @desc    Track an order. Plain GET returns one snapshot for polling;
+ *          `?stream=true` (or Accept: text/event-stream) keeps a Server-Sent
+ *          Events stream open, pushing a "tracking" event on every partner ping.
+ * @route   GET /api/orders/:orderId/track
+ * @access  Private (order owner or admin)
+ */
+export const trackOrder = asyncHandler(async (req, res) => {
+  const { orderId } = req.params;
+
+  const initial = await buildTrackingSnapshot(orderId);
+  if (!initial) throw new ApiError(404, "Order not found");
+
+  const wantsStream =
+    req.query.stream === "true" || req.headers.accept?.includes("text/event-stream");
+  if (!wantsStream) {
+    return res.status(200).json(new ApiResponse(200, initial.data, "Tracking details fetched"));
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  const isFinal = (data) => ["delivered", "cancelled"].includes(data.orderStatus);
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  send("tracking", initial.data);
+  if (isFinal(initial.data)) return res.end();
+
+  let partnerId = initial.partnerId;
+  let lastSentAt = Date.now();
+  let pending = null;
+  let closed = false;
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    locationEvents.off("location", onLocation);
+    clearInterval(refreshTimer);
+    clearTimeout(pending);
+    res.end();
+  };
+
+  const refresh = async () => {
+    pending = null;
+    if (closed) return;
+    try {
+      const next = await buildTrackingSnapshot(orderId);
+      if (closed || !next) return;
+      partnerId = next.partnerId;
+      lastSentAt = Date.now();
+      send("tracking", next.data);
+      if (isFinal(next.data)) close();
+    } catch (err) {
+      send("error", { message: err.message });
+    }
+  };
+
+  // Pings can arrive every few seconds; coalesce them per stream
+  const onLocation = (pingPartnerId) => {
+    if (pingPartnerId !== partnerId || pending) return;
+    const wait = Math.max(0, CONFIG.tracking.streamMinIntervalMs - (Date.now() - lastSentAt));
+    pending = setTimeout(refresh, wait);
+  };
+
+  // Periodic refresh also picks up reassignment and status changes
+  const refreshTimer = setInterval(() => {
+    if (!pending) pending = setTimeout(refresh, 0);
+  }, CONFIG.tracking.streamRefreshSeconds * 1000);
+
+  locationEvents.on("location", onLocation);
+  res.on("close", close);
+});
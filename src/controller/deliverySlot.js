@@ -0,0 +1,274 @@
+import DeliverySlot from "../Model/deliverySlot.js";
+import SlotCapacity from "../Model/slotCapacity.js";
+import Address from "../Model/address.js";
+import { asyncHandler } from "../utility/AsyncHandler.js";
+import { ApiResponse } from "../utility/ApiResponse.js";
+import { ApiError } from "../utility/ApiError.js";
+import mongoose from "mongoose";
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+const EDITABLE_FIELDS = [
+  "city",
+  "zone",
+  "label",
+  "startTime",
+  "endTime",
+  "cutoffMinutes",
+  "maxOrders",
+  "daysOfWeek",
+  "isActive",
+];
+
+const parseDate = (value) => {
+  const day = DeliverySlot.toDeliveryDate(value);
+  if (!day) throw new ApiError(400, "Valid date required (YYYY-MM-DD)");
+  return day;
+};
+
+// Booked counts for a set of slots on one day, keyed by slot id
+const bookedBySlot = async (slotIds, date) => {
+  const rows = await SlotCapacity.find({ slot: { $in: slotIds }, date }, { slot: 1, booked: 1 }).lean();
+  return new Map(rows.map((r) => [r.slot.toString(), r.booked]));
+};
+
+const withAvailability = (slot, date, booked) => {
+  const { overrides, ...rest } = slot.toObject ? slot.toObject() : slot;
+  return { ...rest, ...DeliverySlot.describeForDate(slot, date, booked) };
+};
+
+// Slots an override targets: explicit ids, or every slot in a city (optionally one zone)
+const overrideTarget = ({ slotIds, city, zone }) => {
+  if (Array.isArray(slotIds) && slotIds.length) {
+    if (slotIds.some((id) => !isValidId(id))) throw new ApiError(400, "Invalid slot id");
+    return { _id: { $in: slotIds } };
+  }
+  if (!city?.trim()) throw new ApiError(400, "City or slotIds required");
+  return {
+    city: city.trim().toLowerCase(),
+    ...(zone?.trim() && { zone: zone.trim().toLowerCase() }),
+  };
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CUSTOMER
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @desc    Delivery slots for an address on a day, with remaining capacity
+ * @route   GET /api/delivery-slots?date=YYYY-MM-DD&addressId=
+ * @access  Private
+ */
+export const getDeliverySlots = asyncHandler(async (req, res) => {
+  const { date, addressId } = req.query;
+
+  if (!isValidId(addressId)) throw new ApiError(400, "Valid addressId required");
+  const day = parseDate(date);
+
+  const address = await Address.findById(addressId, {
+    user: 1,
+    city: 1,
+    area: 1,
+    deliveryZone: 1,
+  }).lean();
+  if (!address) throw new ApiError(404, "Address not found");
+  if (req.user.role !== "admin" && address.user.toString() !== req.user.id.toString())
+    throw new ApiError(403, "Access denied");
+
+  const candidates = await DeliverySlot.find({
+    city: address.city?.trim().toLowerCase(),
+    isActive: true,
+  }).sort({ startTime: 1 });
+
+  const slots = candidates.filter((slot) => slot.servesAddress(address));
+  const booked = await bookedBySlot(slots.map((s) => s._id), day);
+
+  const data = slots.map((slot) => {
+    const availability = withAvailability(slot, day, booked.get(slot._id.toString()) || 0);
+    return {
+      _id: slot._id,
+      label: slot.label,
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+      remaining: availability.available ? availability.remaining : 0,
+      available: availability.available,
+      reason: availability.reason,
+      cutoffAt: availability.cutoffAt,
+      ...(availability.note && { note: availability.note }),
+    };
+  });
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      { date: day, city: address.city, area: address.area, slots: data },
+      data.length ? "Delivery slots fetched successfully" : "No delivery slots for this address"
+    )
+  );
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ADMIN
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @desc    All delivery slots, optionally with bookings for a day
+ * @route   GET /api/delivery-slots/admin?city=&zone=&date=
+ * @access  Private/Admin
+ */
+export const getAllDeliverySlots = asyncHandler(async (req, res) => {
+  const { city, zone, date } = req.query;
+
+  const filter = {
+    ...(city && { city: city.trim().toLowerCase() }),
+    ...(zone && { zone: zone.trim().toLowerCase() }),
+  };
+  const slots = await DeliverySlot.find(filter).sort({ city: 1, zone: 1, startTime: 1 }).lean();
+
+  if (!date) {
+    return res.status(200).json(new ApiResponse(200, slots, "Delivery slots fetched successfully"));
+  }
+
+  const day = parseDate(date);
+  const booked = await bookedBySlot(slots.map((s) => s._id), day);
+  const data = slots.map((slot) => withAvailability(slot, day, booked.get(slot._id.toString()) || 0));
+
+  return res.status(200).json(new ApiResponse(200, data, "Delivery slots fetched successfully"));
+});
+
+/**
+ * @desc    Create a delivery slot for a city/zone
+ * @route   POST /api/delivery-slots/admin
+ * @access  Private/Admin
+ */
+export const createDeliverySlot = asyncHandler(async (req, res) => {
+  const fields = Object.fromEntries(
+    EDITABLE_FIELDS.filter((key) => req.body[key] !== undefined).map((key) => [key, req.body[key]])
+  );
+
+  try {
+    const slot = await DeliverySlot.create(fields);
+    return res.status(201).json(new ApiResponse(201, slot, "Delivery slot created successfully"));
+  } catch (err) {
+    if (err.code === 11000)
+      throw new ApiError(409, "A slot starting at this time already exists for this city/zone");
+    if (err.name === "ValidationError") throw new ApiError(400, err.message);
+    throw err;
+  }
+});
+
+/**
+ * @desc    Update a delivery slot. Lowering maxOrders never cancels existing
+ *          bookings, it only stops new ones.
+ * @route   PATCH /api/delivery-slots/admin/:id
+ * @access  Private/Admin
+ */
+export const updateDeliverySlot = asyncHandler(async (req, res) => {
+  if (!isValidId(req.params.id)) throw new ApiError(400, "Invalid slot id");
+
+  const slot = await DeliverySlot.findById(req.params.id);
+  if (!slot) throw new ApiError(404, "Delivery slot not found");
+
+  for (const key of EDITABLE_FIELDS) {
+    if (req.body[key] !== undefined) slot[key] = req.body[key];
+  }
+
+  try {
+    await slot.save();
+  } catch (err) {
+    if (err.code === 11000)
+      throw new ApiError(409, "A slot starting at this time already exists for this city/zone");
+    if (err.name === "ValidationError") throw new ApiError(400, err.message);
+    throw err;
+  }
+
+  return res.status(200).json(new ApiResponse(200, slot, "Delivery slot updated successfully"));
+});
+
+/**
+ * @desc    Deactivate a delivery slot (orders keep their reference to it)
+ * @route   DELETE /api/delivery-slots/admin/:id
+ * @access  Private/Admin
+ */
+export const deactivateDeliverySlot = asyncHandler(async (req, res) => {
+  if (!isValidId(req.params.id)) throw new ApiError(400, "Invalid slot id");
+
+  const slot = await DeliverySlot.findByIdAndUpdate(
+    req.params.id,
+    { $set: { isActive: false } },
+    { new: true }
+  );
+  if (!slot) throw new ApiError(404, "Delivery slot not found");
+
+  return res.status(200).json(new ApiResponse(200, slot, "Delivery slot deactivated"));
+});
+
+/**
+ * @desc    Close slots or change their capacity for one day (holidays, festivals).
+ *          Replaces any existing override for that day. Orders already booked
+ *          are reported, not cancelled.
+ * @route   POST /api/delivery-slots/admin/overrides
+ * @body    { date, city?, zone?, slotIds?, isClosed?, maxOrders?, reason? }
+ * @access  Private/Admin
+ */
+export const setDeliverySlotOverride = asyncHandler(async (req, res) => {
+  const { date, isClosed = false, maxOrders = null, reason = null } = req.body;
+
+  const day = parseDate(date);
+  if (!isClosed && (maxOrders === null || !Number.isInteger(maxOrders) || maxOrders < 0))
+    throw new ApiError(400, "Provide isClosed or a non-negative integer maxOrders");
+
+  const filter = overrideTarget(req.body);
+  const slots = await DeliverySlot.find(filter, { _id: 1 }).lean();
+  if (!slots.length) throw new ApiError(404, "No delivery slots match");
+
+  const slotIds = slots.map((s) => s._id);
+  await DeliverySlot.updateMany({ _id: { $in: slotIds } }, { $pull: { overrides: { date: day } } });
+  await DeliverySlot.updateMany(
+    { _id: { $in: slotIds } },
+    {
+      $push: {
+        overrides: {
+          date: day,
+          isClosed: Boolean(isClosed),
+          maxOrders: isClosed ? null : maxOrders,
+          reason: typeof reason === "string" ? reason.trim() || null : null,
+        },
+      },
+    }
+  );
+
+  const booked = await bookedBySlot(slotIds, day);
+  const alreadyBooked = [...booked.values()].reduce((sum, n) => sum + n, 0);
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      { date: day, slotsUpdated: slotIds.length, alreadyBooked },
+      alreadyBooked
+        ? `Override saved; ${alreadyBooked} order(s) are already booked on this day`
+        : "Override saved"
+    )
+  );
+});
+
+/**
+ * @desc    Remove the override for a day, restoring the regular schedule
+ * @route   DELETE /api/delivery-slots/admin/overrides?date=&city=&zone=&slotId=
+ * @access  Private/Admin
+ */
+export const removeDeliverySlotOverride = asyncHandler(async (req, res) => {
+  const { date, city, zone, slotId } = req.query;
+
+  const day = parseDate(date);
+  const filter = overrideTarget({ slotIds: slotId ? [slotId] : null, city, zone });
+
+  const result = await DeliverySlot.updateMany(
+    { ...filter, "overrides.date": day },
+    { $pull: { overrides: { date: day } } }
+  );
+
+  return res.status(200).json(
+    new ApiResponse(200, { date: day, slotsUpdated: result.modifiedCount }, "Override removed")
+  );
+});
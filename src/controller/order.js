@@ -4,6 +4,12 @@ import Vegetable from "../Model/vegetable.js";
 import Basket from "../Model/basket.js";
 import Coupon from "../Model/coupon.js";
 import Address from "../Model/address.js";
+import PaymentSweep from "../Model/paymentSweep.js";
+import DeliverySlot from "../Model/deliverySlot.js";
+import SlotCapacity from "../Model/slotCapacity.js";
+import StockMovement from "../Model/stockMovement.js";
+import PricingRule from "../Model/pricingRule.js";
+import Cart from "../Model/cart.js";
 import { ApiResponse } from "../utility/ApiResponse.js";
 import { asyncHandler } from "../utility/AsyncHandler.js";
 import { ApiError } from "../utility/ApiError.js";
@@ -17,6 +23,7 @@ import { DELIVERY_CHARGES } from "../../const.js";
 import Wallet from "../Model/wallet.model.js";
 import WalletTransaction from "../Model/walletTransaction.model.js";
 import { rupeeToPaise, generateReferenceId } from "../utility/walletHelpers.js";
+import { verifyWebhookSignature } from "../utility/razorpayWebhook.js";
 import mongoose from "mongoose";
 import {
   calculateCashback,
@@ -79,22 +86,16 @@ const CONFIG = Object.freeze({
   freeDeliveryThreshold: 269,
   orderIdRetries: 5,
   validStatuses: new Set(["placed", "processed", "shipped", "delivered", "cancelled"]),
-  weightToKg: new Map([
-    ["1kg", 1],
-    ["500g", 0.5],
-    ["250g", 0.25],
-    ["100g", 0.1],
-  ]),
-  weightPriceMap: new Map([
-    ["1kg", "weight1kg"],
-    ["500g", "weight500g"],
-    ["250g", "weight250g"],
-    ["100g", "weight100g"],
-  ]),
+  customerCancellableStatuses: Object.freeze(["placed", "processed"]),
   maxOrderAmount: 100000,
   maxQuantity: 1000,
   maxItemsPerOrder: 50,
-  cache: { vegetable: 300, coupon: 60, basket: 120 },
+  pendingPayment: Object.freeze({
+    expiryMinutes: parseInt(process.env.PENDING_PAYMENT_EXPIRY_MINUTES) || 30,
+    sweepIntervalMinutes: parseInt(process.env.PENDING_PAYMENT_SWEEP_INTERVAL_MINUTES) || 5,
+    batchSize: 100,
+  }),
+  cache: { vegetable: 300, coupon: 60, basket: 120, pricingRules: 60 },
 });
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -269,6 +270,27 @@ export const invalidateVegetableCache = async (vegetableId) => {
   await cacheDel(`veg:${vegetableId}`);
 };
 
+// ─────────────────────────────────────────────────────────────────────────────
+// CACHED ACTIVE PRICING RULES
+// ─────────────────────────────────────────────────────────────────────────────
+// Whether a rule applies (time window, stock level…) is decided per order in
+// getPrice, so only the active, unexpired set is cached
+export const fetchActivePricingRules = async () => {
+  const key = "pricing:rules:active";
+  const cached = await cacheGet(key);
+  if (cached) return cached;
+  const rules = await PricingRule.find({
+    isActive: true,
+    $or: [{ effectiveTo: null }, { effectiveTo: { $gte: new Date() } }],
+  }).lean();
+  await cacheSet(key, rules, CONFIG.cache.pricingRules);
+  return rules;
+};
+
+export const invalidatePricingRulesCache = async () => {
+  await cacheDel("pricing:rules:active");
+};
+
 // ─────────────────────────────────────────────────────────────────────────────
 // CACHED BASKET PRICE FETCH
 // ─────────────────────────────────────────────────────────────────────────────
@@ -356,13 +378,34 @@ const priceStrategies = {
     };
   },
   weight: (veg, weight, qty) => {
-    const price = veg.prices?.[CONFIG.weightPriceMap.get(weight)];
-    if (!price) throw new Error(`Invalid weight: ${weight}`);
-    return { type: "weight", pricePerUnit: price, subtotal: price * qty, weight };
+    const variant = Vegetable.findVariant(veg, weight);
+    if (!variant?.price) throw new Error(`Invalid weight: ${weight}`);
+    assertVariantQuantity(veg, variant, qty);
+    return {
+      type: "weight",
+      pricePerUnit: variant.price,
+      subtotal: variant.price * qty,
+      weight,
+      grams: variant.grams,
+    };
   },
 };
 
-const getPrice = (veg, weightOrSet, qty = 1) => {
+// Per-variant quantity limits; checked again once duplicate lines are grouped
+const assertVariantQuantity = (veg, variant, qty) => {
+  if (qty < (variant.minQty || 1))
+    throw new Error(`Minimum quantity for ${veg.name} ${variant.label} is ${variant.minQty}`);
+  if (variant.maxQty != null && qty > variant.maxQty)
+    throw new Error(`Maximum quantity for ${veg.name} ${variant.label} is ${variant.maxQty}`);
+};
+
+// Kg in a weight label such as "500g" or "1.5kg"
+const weightKg = (weight) => Vegetable.labelToGrams(weight) / 1000;
+
+// `rules` are the active pricing rules; the ones in force at `at` adjust the
+// vegetable's base prices before the strategy runs
+const getPrice = (veg, weightOrSet, qty = 1, rules = [], at = new Date()) => {
+  if (rules.length) veg = PricingRule.priceVegetable(veg, rules, at);
   const isSet = veg.pricingType === "set" || veg.setPricing?.enabled;
   const setIdx = weightOrSet.startsWith("set")
     ? parseInt(weightOrSet.slice(3))
@@ -375,14 +418,16 @@ const getPrice = (veg, weightOrSet, qty = 1) => {
 // ─────────────────────────────────────────────────────────────────────────────
 // STOCK UPDATE — atomic findOneAndUpdate (no race condition)
 // ─────────────────────────────────────────────────────────────────────────────
-const updateStock = async (items, operation = "deduct", session = null) => {
+// `movement` ({ type, actor, reference, note }) records the change in the
+// StockMovement ledger; without it the caller records the returned updates
+const updateStock = async (items, operation = "deduct", session = null, movement = null) => {
   const vegIds = [...new Set(items.map((i) => i.vegetable))];
   const vegMap = await fetchVegetablesBatch(vegIds.map((id) => id.toString()));
   const updates = [];
 
   for (const item of items) {
     const veg = vegMap.get(item.vegetable.toString());
-    if (!veg) throw new Error(`Vegetable not found: ${item.vegetable}`);
+    if (!veg) throw new ApiError(404, `Vegetable not found: ${item.vegetable}`);
 
     const isSet = veg.pricingType === "set" || veg.setPricing?.enabled;
     const setIdx = item.setIndex ?? parseInt(item.weight?.slice(3) || "0");
@@ -391,8 +436,9 @@ const updateStock = async (items, operation = "deduct", session = null) => {
       const pieces = veg.setPricing.sets[setIdx].quantity * item.quantity;
       const delta = operation === "deduct" ? -pieces : pieces;
 
+      let updated;
       if (operation === "deduct") {
-        const updated = await Vegetable.findOneAndUpdate(
+        updated = await Vegetable.findOneAndUpdate(
           { _id: item.vegetable, stockPieces: { $gte: pieces } },
           {
             $inc: { stockPieces: delta },
@@ -400,12 +446,12 @@ const updateStock = async (items, operation = "deduct", session = null) => {
           },
           session ? { new: true, session } : { new: true }
         );
-        if (!updated) throw new Error(`Insufficient stock for ${veg.name}`);
+        if (!updated) throw new ApiError(409, `Insufficient stock for ${veg.name}`);
       } else {
-        await Vegetable.findOneAndUpdate(
+        updated = await Vegetable.findOneAndUpdate(
           { _id: item.vegetable },
           { $inc: { stockPieces: delta }, $set: { outOfStock: false } },
-          session ? { session } : {}
+          session ? { new: true, session } : { new: true }
         );
       }
 
@@ -416,13 +462,15 @@ const updateStock = async (items, operation = "deduct", session = null) => {
         [operation === "deduct" ? "deducted" : "restored"]: pieces,
         previousStock: veg.stockPieces,
         type: "pieces",
+        ...(updated && { before: updated.stockPieces - delta, after: updated.stockPieces }),
       });
     } else {
-      const kg = CONFIG.weightToKg.get(item.weight) * item.quantity;
+      const kg = weightKg(item.weight) * item.quantity;
       const delta = operation === "deduct" ? -kg : kg;
 
+      let updated;
       if (operation === "deduct") {
-        const updated = await Vegetable.findOneAndUpdate(
+        updated = await Vegetable.findOneAndUpdate(
           { _id: item.vegetable, stockKg: { $gte: kg } },
           {
             $inc: { stockKg: delta },
@@ -430,12 +478,12 @@ const updateStock = async (items, operation = "deduct", session = null) => {
           },
           session ? { new: true, session } : { new: true }
         );
-        if (!updated) throw new Error(`Insufficient stock for ${veg.name}`);
+        if (!updated) throw new ApiError(409, `Insufficient stock for ${veg.name}`);
       } else {
-        await Vegetable.findOneAndUpdate(
+        updated = await Vegetable.findOneAndUpdate(
           { _id: item.vegetable },
           { $inc: { stockKg: delta }, $set: { outOfStock: false } },
-          session ? { session } : {}
+          session ? { new: true, session } : { new: true }
         );
       }
 
@@ -446,13 +494,28 @@ const updateStock = async (items, operation = "deduct", session = null) => {
         [operation === "deduct" ? "deducted" : "restored"]: kg,
         previousStock: veg.stockKg,
         type: "kg",
+        ...(updated && { before: updated.stockKg - delta, after: updated.stockKg }),
       });
     }
   }
 
+  if (movement) await recordStockMovements(updates, movement, session);
+
   return updates;
 };
 
+const recordStockMovements = (updates, movement, session = null) =>
+  StockMovement.recordChanges(
+    updates
+      .filter((u) => u.after !== undefined)
+      .map((u) => ({ vegetable: u.vegetableId, unit: u.type, before: u.before, after: u.after })),
+    movement,
+    session
+  );
+
+// Ledger reference for an order (lean or document)
+const orderRef = (order) => ({ kind: "Order", id: order._id, code: order.orderId });
+
 // ─────────────────────────────────────────────────────────────────────────────
 // CUSTOMER PROCESSING — upsert user by phone
 // ─────────────────────────────────────────────────────────────────────────────
@@ -573,6 +636,8 @@ const processVegetables = async (items, isBasket = false) => {
 
   if (vegMap.size === 0) throw new Error("Missing vegetables");
 
+  const pricingRules = await fetchActivePricingRules();
+  const pricedAt = new Date();
   const grouped = new Map();
 
   for (const item of items) {
@@ -592,8 +657,10 @@ const processVegetables = async (items, isBasket = false) => {
       const existing = grouped.get(key);
       existing.quantity += qty;
       existing.subtotal = existing.pricePerUnit * existing.quantity;
+      if (existing.setIndex === undefined)
+        assertVariantQuantity(veg, Vegetable.findVariant(veg, weight), existing.quantity);
     } else {
-      const priceInfo = getPrice(veg, weight, qty);
+      const priceInfo = getPrice(veg, weight, qty, pricingRules, pricedAt);
       grouped.set(key, {
         vegetable: veg._id,
         quantity: qty,
@@ -642,7 +709,9 @@ const processOrderData = async (customer, basket, vegetables, type = "custom") =
 // ─────────────────────────────────────────────────────────────────────────────
 // COUPON VALIDATION — Trie → cache → DB fallback
 // ─────────────────────────────────────────────────────────────────────────────
-const validateCoupon = async (code, subtotal, userId = null) => {
+// `alreadyRedeemed` re-checks a coupon on an existing order without counting
+// that order's own use against the usage limits
+const validateCoupon = async (code, subtotal, userId = null, { alreadyRedeemed = false } = {}) => {
   if (!code) {
     return { couponId: null, couponDiscount: 0, validatedCouponCode: null, couponDetails: null };
   }
@@ -670,9 +739,9 @@ const validateCoupon = async (code, subtotal, userId = null) => {
     throw new Error("Coupon expired");
   if (coupon.minOrderAmount && subtotal < coupon.minOrderAmount)
     throw new Error(`Minimum ₹${coupon.minOrderAmount} required`);
-  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit)
+  if (!alreadyRedeemed && coupon.usageLimit && coupon.usedCount >= coupon.usageLimit)
     throw new Error("Coupon limit reached");
-  if (userId && coupon.perUserLimit) {
+  if (!alreadyRedeemed && userId && coupon.perUserLimit) {
     const userUsage =
       coupon.usedBy?.filter((id) => id.toString() === userId.toString()).length || 0;
     if (userUsage >= coupon.perUserLimit) throw new Error("User limit reached");
@@ -697,6 +766,41 @@ const validateCoupon = async (code, subtotal, userId = null) => {
   };
 };
 
+// ─────────────────────────────────────────────────────────────────────────────
+// DELIVERY SLOTS — availability check up front, seat reserved in-transaction
+// ─────────────────────────────────────────────────────────────────────────────
+const resolveDeliverySlot = async (slotId, date, addressId) => {
+  if (!mongoose.isValidObjectId(slotId)) return { status: 400, error: "Invalid delivery slot" };
+
+  const day = DeliverySlot.toDeliveryDate(date);
+  if (!day) return { status: 400, error: "Valid delivery date required (YYYY-MM-DD)" };
+
+  const [slot, address] = await Promise.all([
+    DeliverySlot.findById(slotId),
+    addressId && mongoose.isValidObjectId(addressId)
+      ? Address.findById(addressId, { city: 1, area: 1, deliveryZone: 1 }).lean()
+      : null,
+  ]);
+
+  if (!slot) return { status: 404, error: "Delivery slot not found" };
+  if (!slot.servesAddress(address))
+    return { status: 400, error: "Delivery slot does not serve this address" };
+
+  const capacity = await SlotCapacity.findOne({ slot: slot._id, date: day }, { booked: 1 }).lean();
+  const availability = DeliverySlot.describeForDate(slot, day, capacity?.booked || 0);
+  if (!availability.available) return { status: 409, error: availability.reason, availability };
+
+  return { slot, date: day };
+};
+
+const reserveDeliverySlot = async (booking, session) => {
+  const reserved = await DeliverySlot.reserve(booking.slot, booking.date, session);
+  if (!reserved) throw new ApiError(409, "Delivery slot is full");
+};
+
+const releaseDeliverySlot = (order, session = null) =>
+  DeliverySlot.release(order.deliverySlot, order.deliveryDate, session);
+
 // ─────────────────────────────────────────────────────────────────────────────
 // ORDER TOTAL CALCULATION
 // ─────────────────────────────────────────────────────────────────────────────
@@ -896,14 +1000,15 @@ const populateOrder = (orderId) =>
 // ─────────────────────────────────────────────────────────────────────────────
 const debitWallet = async (customerId, walletRef, amountRupees, orderId, description, session) => {
   const walletDoc = walletRef ?? (await Wallet.findByUserId(customerId));
-  if (!walletDoc) throw new Error("Wallet not found for debit");
-  if (!walletDoc.isActive()) throw new Error("Wallet inactive");
+  if (!walletDoc) throw new ApiError(400, "Wallet not found for debit");
+  if (!walletDoc.isActive()) throw new ApiError(400, "Wallet inactive");
 
   const amountInPaise = rupeeToPaise(amountRupees);
   const currentBalance = await WalletTransaction.getCurrentBalance(walletDoc._id);
 
   if (currentBalance < amountInPaise) {
-    throw new Error(
+    throw new ApiError(
+      400,
       `Wallet balance insufficient: required ₹${amountRupees}, available ₹${currentBalance / 100}`
     );
   }
@@ -920,22 +1025,432 @@ const debitWallet = async (customerId, walletRef, amountRupees, orderId, descrip
   return { walletId: walletDoc._id, amountInPaise, previousBalance: currentBalance };
 };
 
+// ─────────────────────────────────────────────────────────────────────────────
+// CANCELLATION WALLET SETTLEMENT — reverse debit, refund online, claw back cashback
+// ─────────────────────────────────────────────────────────────────────────────
+const settleCancelledOrderWallet = async (order, session) => {
+  const summary = { walletCreditReversed: 0, refundedToWallet: 0, cashbackClawedBack: 0, cashbackUnrecovered: 0 };
+
+  const isPaidOnline =
+    order.paymentMethod === "ONLINE" && order.paymentStatus === "completed" && order.finalPayableAmount > 0;
+  if (!(order.walletCreditUsed > 0) && !isPaidOnline && !order.cashbackCredited) return summary;
+
+  let wallet = await Wallet.findByUserId(order.customerInfo, session);
+  if (!wallet) wallet = await Wallet.createWallet(order.customerInfo, session);
+
+  // 1. Give back the wallet credit applied to the order. walletCreditUsed is the
+  //    net amount, so charges and refunds from item modifications are included
+  if (order.walletCreditUsed > 0) {
+    await WalletTransaction.updateMany(
+      {
+        source: "order_payment",
+        type: "debit",
+        status: "success",
+        referenceId: { $in: [order.orderId, new RegExp(`^MOD_${order.orderId}_`)] },
+      },
+      { $set: { status: "reversed" } },
+      { session }
+    );
+    await WalletTransaction.createCreditTransaction(
+      wallet._id,
+      "reversal",
+      `REV_${order.orderId}`,
+      rupeeToPaise(order.walletCreditUsed),
+      `Wallet credit returned for cancelled order ${order.orderId}`,
+      session
+    );
+    summary.walletCreditReversed = order.walletCreditUsed;
+  }
+
+  // 2. Paid ONLINE orders are refunded to the wallet
+  if (isPaidOnline) {
+    await WalletTransaction.createCreditTransaction(
+      wallet._id,
+      "refund",
+      `REF_${order.orderId}`,
+      rupeeToPaise(order.finalPayableAmount),
+      `Refund for cancelled order ${order.orderId}`,
+      session
+    );
+    summary.refundedToWallet = order.finalPayableAmount;
+  }
+
+  // 3. Claw back cashback already credited — capped at the available balance;
+  //    what the balance cannot cover is recorded as unrecovered
+  if (order.cashbackCredited && order.cashbackAmount > 0) {
+    const balance = await WalletTransaction.getCurrentBalance(wallet._id, session);
+    const clawback = Math.min(balance, rupeeToPaise(order.cashbackAmount));
+    summary.cashbackUnrecovered = (rupeeToPaise(order.cashbackAmount) - clawback) / 100;
+    if (clawback > 0) {
+      await WalletTransaction.createDebitTransaction(
+        wallet._id,
+        "reversal",
+        `REV_CASH_${order.orderId}`,
+        clawback,
+        `Cashback reversed for cancelled order ${order.orderId}`,
+        session
+      );
+      summary.cashbackClawedBack = clawback / 100;
+    }
+  }
+
+  return summary;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MODIFICATION SETTLEMENT — split a price difference between cash due & wallet
+// ─────────────────────────────────────────────────────────────────────────────
+const roundRupees = (amount) => Math.round(amount * 100) / 100;
+
+const planModificationSettlement = (order, difference) => {
+  let walletCreditUsed = order.walletCreditUsed || 0;
+  let finalPayableAmount = order.finalPayableAmount || 0;
+  let walletCharge = 0, walletRefund = 0;
+
+  if (difference > 0) {
+    // COD collects the extra on delivery; prepaid orders charge the wallet
+    if (order.paymentMethod === "COD") finalPayableAmount += difference;
+    else {
+      walletCharge = difference;
+      walletCreditUsed += difference;
+    }
+  } else if (difference < 0) {
+    let remaining = -difference;
+
+    // Unpaid cash is reduced first, anything already paid goes back to the wallet
+    if (order.paymentMethod === "COD") {
+      const cut = Math.min(finalPayableAmount, remaining);
+      finalPayableAmount -= cut;
+      remaining -= cut;
+    }
+
+    walletRefund = remaining;
+    const fromWallet = Math.min(walletCreditUsed, remaining);
+    walletCreditUsed -= fromWallet;
+    finalPayableAmount -= remaining - fromWallet;
+  }
+
+  finalPayableAmount = Math.max(0, roundRupees(finalPayableAmount));
+
+  return {
+    walletCharge: roundRupees(walletCharge),
+    walletRefund: roundRupees(walletRefund),
+    walletCreditUsed: roundRupees(walletCreditUsed),
+    finalPayableAmount,
+    paymentStatus:
+      order.paymentMethod === "COD"
+        ? finalPayableAmount === 0 ? "completed" : "pending"
+        : order.paymentStatus,
+  };
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ONLINE PAYMENT STATE — shared by verify-payment and the Razorpay webhook
+// ─────────────────────────────────────────────────────────────────────────────
+// ONLINE orders are stored as awaiting_payment (stock, wallet credit and coupon
+// already held) and confirmed here once. Every transition is a conditional
+// update, so the browser callback and webhook retries can race safely.
+const confirmOnlinePayment = async (razorpayOrderId, razorpayPaymentId) => {
+  const confirmed = await Order.findOneAndUpdate(
+    {
+      razorpayOrderId,
+      paymentMethod: "ONLINE",
+      paymentStatus: { $in: ["awaiting_payment", "failed"] },
+      orderStatus: { $ne: "cancelled" },
+    },
+    { $set: { paymentStatus: "completed", razorpayPaymentId } },
+    { new: true }
+  ).lean();
+
+  if (confirmed) {
+    const populated = await populateOrder(confirmed._id);
+    await dispatchOrderJobs(populated, {
+      cashback: confirmed.cashbackEligible && confirmed.cashbackAmount > 0,
+    });
+    // Paid cart checkout: the ordered lines leave the cart now
+    await Cart.completeCheckout(confirmed.orderId, confirmed.selectedVegetables).catch((err) =>
+      console.error("Cart checkout completion failed:", err.message)
+    );
+    return { outcome: "confirmed", order: populated };
+  }
+
+  const existing = await Order.findOne({ razorpayOrderId }).lean();
+  if (!existing) return { outcome: "not_found", order: null };
+  if (existing.razorpayPaymentId === razorpayPaymentId)
+    return { outcome: "duplicate", order: existing };
+  if (existing.orderStatus !== "cancelled" || existing.razorpayPaymentId)
+    return { outcome: "conflict", order: existing };
+
+  // Captured after the order was cancelled or expired — keep the money in the wallet
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const claimed = await Order.findOneAndUpdate(
+      { _id: existing._id, orderStatus: "cancelled", razorpayPaymentId: null },
+      {
+        $set: {
+          razorpayPaymentId,
+          paymentStatus: "refunded",
+          "cancellation.refundedToWallet": existing.finalPayableAmount,
+        },
+      },
+      { new: true, session }
+    ).lean();
+
+    if (!claimed) {
+      await session.abortTransaction();
+      session.endSession();
+      return { outcome: "duplicate", order: existing };
+    }
+
+    let wallet = await Wallet.findByUserId(existing.customerInfo);
+    if (!wallet) wallet = await Wallet.createWallet(existing.customerInfo);
+
+    await WalletTransaction.createCreditTransaction(
+      wallet._id,
+      "refund",
+      `REF_${existing.orderId}`,
+      rupeeToPaise(existing.finalPayableAmount),
+      `Refund for payment received after order ${existing.orderId} was cancelled`,
+      session
+    );
+
+    await session.commitTransaction();
+    session.endSession();
+    return { outcome: "refunded", order: claimed };
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    throw err;
+  }
+};
+
+// A failed attempt keeps the order open — Razorpay lets the customer retry on
+// the same order, and stale orders are released by the pending-payment expiry
+const recordOnlinePaymentFailure = (razorpayOrderId, payment) =>
+  Order.findOneAndUpdate(
+    { razorpayOrderId, paymentMethod: "ONLINE", paymentStatus: "awaiting_payment" },
+    {
+      $set: {
+        paymentStatus: "failed",
+        paymentFailure: {
+          paymentId: payment.id || null,
+          code: payment.error_code || null,
+          description: payment.error_description || null,
+          failedAt: new Date(),
+        },
+      },
+    },
+    { new: true }
+  ).lean();
+
+// Gateway refunds go back to the original payment method, so only the order changes
+const recordGatewayRefund = async (refund) => {
+  const order = await Order.findOneAndUpdate(
+    { razorpayPaymentId: refund.payment_id, "razorpayRefunds.refundId": { $ne: refund.id } },
+    {
+      $push: {
+        razorpayRefunds: { refundId: refund.id, amount: refund.amount / 100, processedAt: new Date() },
+      },
+    },
+    { new: true }
+  ).lean();
+
+  if (!order) return null;
+
+  const refundedTotal = order.razorpayRefunds.reduce((sum, r) => sum + r.amount, 0);
+  if (refundedTotal >= order.finalPayableAmount - 0.01 && order.paymentStatus !== "refunded") {
+    await Order.updateOne({ _id: order._id }, { $set: { paymentStatus: "refunded" } });
+    order.paymentStatus = "refunded";
+  }
+
+  return order;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PENDING PAYMENT SWEEPER — in-process timer, expires unpaid ONLINE orders
+// ─────────────────────────────────────────────────────────────────────────────
+const expirePendingOrder = async (order, windowMinutes) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    // Conditional on the payment still being open, so a capture that lands
+    // mid-sweep wins and the order is left alone
+    const expired = await Order.transitionStatus(
+      {
+        _id: order._id,
+        paymentMethod: "ONLINE",
+        paymentStatus: { $in: ["awaiting_payment", "failed"] },
+      },
+      "cancelled",
+      {
+        note: `Payment not received within ${windowMinutes} minutes`,
+        from: ["placed"],
+        session,
+        set: {
+          paymentStatus: "failed",
+          cashbackEligible: false,
+          "cancellation.reason": "Payment not received in time",
+          "cancellation.cancelledAt": new Date(),
+        },
+      }
+    );
+
+    if (!expired) {
+      await session.abortTransaction();
+      session.endSession();
+      return null;
+    }
+
+    const restored = await updateStock(order.selectedVegetables, "restore", session, {
+      type: "cancellation_restore",
+      reference: orderRef(order),
+      note: "Payment not received in time",
+    });
+    await releaseDeliverySlot(order, session);
+    const settlement = await settleCancelledOrderWallet(order, session);
+
+    await Order.updateOne(
+      { _id: order._id },
+      { $set: { "cancellation.walletCreditReversed": settlement.walletCreditReversed } },
+      { session }
+    );
+
+    await session.commitTransaction();
+    session.endSession();
+
+    return {
+      order: order._id,
+      orderId: order.orderId,
+      customerInfo: order.customerInfo,
+      razorpayOrderId: order.razorpayOrderId,
+      previousPaymentStatus: order.paymentStatus,
+      totalAmount: order.totalAmount,
+      walletCreditReversed: settlement.walletCreditReversed,
+      itemsRestored: restored.length,
+      orderCreatedAt: order.createdAt,
+    };
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    throw err;
+  }
+};
+
+/**
+ * Expire ONLINE orders still unpaid after the configured window, restoring
+ * stock and wallet credit, and record the run as a PaymentSweep.
+ * Safe to run from several processes — each order is claimed conditionally.
+ * @param {Object} options - { trigger, triggeredBy, windowMinutes }
+ * @returns {Promise<PaymentSweep>}
+ */
+export const runPendingPaymentSweep = async ({
+  trigger = "scheduled",
+  triggeredBy = null,
+  windowMinutes = CONFIG.pendingPayment.expiryMinutes,
+} = {}) => {
+  const startedAt = new Date();
+  const cutoff = new Date(startedAt.getTime() - windowMinutes * 60 * 1000);
+
+  const candidates = await Order.find({
+    paymentMethod: "ONLINE",
+    paymentStatus: { $in: ["awaiting_payment", "failed"] },
+    orderStatus: "placed",
+    createdAt: { $lt: cutoff },
+  })
+    .sort({ createdAt: 1 })
+    .limit(CONFIG.pendingPayment.batchSize)
+    .lean();
+
+  const expired = [];
+  const failures = [];
+
+  for (const order of candidates) {
+    try {
+      const entry = await expirePendingOrder(order, windowMinutes);
+      if (entry) expired.push(entry);
+    } catch (err) {
+      console.error(`[payment-sweep] Could not expire ${order.orderId}:`, err.message);
+      failures.push({ orderId: order.orderId, message: err.message });
+    }
+  }
+
+  return PaymentSweep.create({
+    trigger,
+    triggeredBy,
+    windowMinutes,
+    cutoff,
+    startedAt,
+    finishedAt: new Date(),
+    scanned: candidates.length,
+    expiredCount: expired.length,
+    expired,
+    failures,
+  });
+};
+
+let sweepTimer = null;
+let sweepRunning = false;
+
+/**
+ * Start the in-process sweeper timer (idempotent). Disabled with
+ * PENDING_PAYMENT_SWEEP_ENABLED=false.
+ */
+export const startPendingPaymentSweeper = () => {
+  if (sweepTimer || process.env.PENDING_PAYMENT_SWEEP_ENABLED === "false") return;
+
+  const tick = async () => {
+    if (sweepRunning) return;
+    sweepRunning = true;
+    try {
+      const sweep = await runPendingPaymentSweep();
+      if (sweep.expiredCount)
+        console.log(`[payment-sweep] Expired ${sweep.expiredCount} unpaid order(s)`);
+    } catch (err) {
+      console.error("[payment-sweep] Sweep failed:", err.message);
+    } finally {
+      sweepRunning = false;
+    }
+  };
+
+  sweepTimer = setInterval(tick, CONFIG.pendingPayment.sweepIntervalMinutes * 60 * 1000);
+  sweepTimer.unref();
+};
+
 // ─────────────────────────────────────────────────────────────────────────────
 // WEEKLY ORDER COUNT HELPER — used by cashback calculation
 // ─────────────────────────────────────────────────────────────────────────────
-const getWeeklyOrderCount = async (customerId) => {
-  const now = new Date();
-  const startOfWeek = new Date(now);
-  startOfWeek.setDate(now.getDate() - now.getDay());
+// Orders placed earlier in the week of `at` (default: now)
+const getWeeklyOrderCount = async (customerId, at = new Date()) => {
+  const startOfWeek = new Date(at);
+  startOfWeek.setDate(at.getDate() - at.getDay());
   startOfWeek.setHours(0, 0, 0, 0);
 
   return Order.countDocuments({
     customerInfo: customerId,
     orderStatus: { $in: ["placed", "processed", "shipped", "delivered"] },
-    createdAt: { $gte: startOfWeek },
+    createdAt: { $gte: startOfWeek, $lt: at },
   });
 };
 
+// ─────────────────────────────────────────────────────────────────────────────
+// TRANSACTION FAILURES — abort, then answer with the error's own status
+// ─────────────────────────────────────────────────────────────────────────────
+// ApiErrors (stock, wallet, slot…) are business outcomes and keep their status
+// and message; anything else is logged and answered with a generic 500
+const failTransaction = async (res, session, label, err) => {
+  if (session.inTransaction()) await session.abortTransaction();
+  session.endSession();
+
+  if (err instanceof ApiError)
+    return res.status(err.statusCode).json(new ApiResponse(err.statusCode, null, err.message));
+
+  console.error(`${label} failed:`, err.message);
+  return res.status(500).json(new ApiResponse(500, null, "Something went wrong, please try again"));
+};
+
 // ─────────────────────────────────────────────────────────────────────────────
 // CONTROLLERS
 // ─────────────────────────────────────────────────────────────────────────────
@@ -1018,8 +1533,61 @@ export const getOrderById = asyncHandler(async (req, res) => {
   res.json(new ApiResponse(200, order, "Order fetched"));
 });
 
-// POST /api/orders/add  — COD / WALLET / ONLINE
-export const addOrder = asyncHandler(async (req, res) => {
+// GET /api/orders/:orderId/timeline
+export const getOrderTimeline = asyncHandler(async (req, res) => {
+  const { orderId } = req.params;
+  if (!/^ORD\d{9,12}$/.test(orderId))
+    return res.status(400).json(new ApiResponse(400, null, "Invalid order ID"));
+
+  const order = await Order.findOne(
+    { orderId },
+    { orderId: 1, customerInfo: 1, orderStatus: 1, statusHistory: 1, orderDate: 1, createdAt: 1 }
+  )
+    .populate("statusHistory.actor", "username role")
+    .lean();
+
+  if (!order) return res.status(404).json(new ApiResponse(404, null, "Order not found"));
+
+  const isStaff = ["admin", "editor"].includes(req.user.role);
+  if (!isStaff && order.customerInfo?.toString() !== req.user.id.toString())
+    throw new ApiError(403, "Access denied");
+
+  // Orders created before status history existed only know their creation time
+  const history = order.statusHistory?.length
+    ? order.statusHistory
+    : [{ status: "placed", actor: null, timestamp: order.orderDate || order.createdAt, note: null }];
+
+  res.json(
+    new ApiResponse(
+      200,
+      {
+        orderId: order.orderId,
+        currentStatus: order.orderStatus,
+        allowedTransitions: Order.STATUS_TRANSITIONS[order.orderStatus] || [],
+        timeline: [...history].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp)),
+      },
+      "Order timeline fetched"
+    )
+  );
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ORDER PLACEMENT PIPELINE — shared by addOrder and subscription orders
+// ─────────────────────────────────────────────────────────────────────────────
+/**
+ * Price, validate and persist an order (stock, coupon, wallet, cashback, invoice).
+ * Never throws for business errors — the result is an ApiResponse whose
+ * statusCode/success describe the outcome.
+ * @param {Object} input - addOrder request body; `deliverySlotId` + `deliveryDate`
+ *   book capacity in a DeliverySlot
+ * @param {Object} options - trusted server-side fields:
+ *   { subscription, DeliveryTimeSlot, dropInvalidCoupon }
+ * @returns {Promise<ApiResponse>}
+ */
+export const placeOrder = async (
+  input,
+  { subscription = null, DeliveryTimeSlot = null, dropInvalidCoupon = false } = {}
+) => {
   const {
     customerInfo,
     selectedBasket,
@@ -1028,19 +1596,21 @@ export const addOrder = asyncHandler(async (req, res) => {
     orderType,
     couponCode,
     deliveryAddressId,
-  } = req.body;
+    deliverySlotId,
+    deliveryDate,
+  } = input;
 
   // ── Validation ──────────────────────────────────────────────────────────
   if (!customerInfo)
-    return res.status(400).json(new ApiResponse(400, null, "Customer info required"));
+    return new ApiResponse(400, null, "Customer info required");
   if (!["basket", "custom"].includes(orderType))
-    return res.status(400).json(new ApiResponse(400, null, "Invalid order type"));
+    return new ApiResponse(400, null, "Invalid order type");
   if (orderType === "basket" && !selectedBasket)
-    return res.status(400).json(new ApiResponse(400, null, "Basket required"));
+    return new ApiResponse(400, null, "Basket required");
   if (!Array.isArray(selectedVegetables) || !selectedVegetables.length)
-    return res.status(400).json(new ApiResponse(400, null, "Items required"));
+    return new ApiResponse(400, null, "Items required");
   if (!["COD", "ONLINE", "WALLET", "WALLET_COD", "WALLET_ONLINE"].includes(paymentMethod))
-    return res.status(400).json(new ApiResponse(400, null, "Invalid payment method"));
+    return new ApiResponse(400, null, "Invalid payment method");
 
   // Normalize hybrid payment methods: WALLET_COD → COD flow, WALLET_ONLINE → ONLINE flow
   const basePaymentMethod = paymentMethod === "WALLET_COD"
@@ -1049,6 +1619,26 @@ export const addOrder = asyncHandler(async (req, res) => {
       ? "ONLINE"
       : paymentMethod;
 
+  // ── Delivery slot: reject closed/full slots before touching stock ───────
+  let slotBooking = null;
+  if (deliverySlotId) {
+    const resolved = await resolveDeliverySlot(deliverySlotId, deliveryDate, deliveryAddressId);
+    if (resolved.error)
+      return new ApiResponse(resolved.status, resolved.availability || null, resolved.error);
+    slotBooking = resolved;
+  }
+
+  // Fields stamped on every order this pipeline creates
+  const orderSource = {
+    ...(subscription && { subscription }),
+    ...(DeliveryTimeSlot && { DeliveryTimeSlot }),
+    ...(slotBooking && {
+      deliverySlot: slotBooking.slot._id,
+      deliveryDate: slotBooking.date,
+      DeliveryTimeSlot: slotBooking.slot.label,
+    }),
+  };
+
   // ── Process customer + basket + vegetables in parallel ──────────────────
   const processed = await processOrderData(
     customerInfo,
@@ -1058,7 +1648,7 @@ export const addOrder = asyncHandler(async (req, res) => {
   );
 
   if (processed.error)
-    return res.status(400).json(new ApiResponse(400, null, processed.error));
+    return new ApiResponse(400, null, processed.error);
 
   const { customerId, basketId, processedVegetables } = processed;
 
@@ -1068,7 +1658,7 @@ export const addOrder = asyncHandler(async (req, res) => {
     try {
       basketPrice = await fetchBasketPrice(basketId);
     } catch {
-      return res.status(404).json(new ApiResponse(404, null, "Basket not found"));
+      return new ApiResponse(404, null, "Basket not found");
     }
   }
 
@@ -1078,7 +1668,7 @@ export const addOrder = asyncHandler(async (req, res) => {
       : processedVegetables.reduce((sum, i) => sum + i.subtotal, 0);
 
   if (subtotal <= 0 || subtotal > CONFIG.maxOrderAmount)
-    return res.status(400).json(new ApiResponse(400, null, "Invalid order amount"));
+    return new ApiResponse(400, null, "Invalid order amount");
 
   // ── Coupon + wallet fetch in parallel ───────────────────────────────────
   const [couponResult, walletResult] = await Promise.allSettled([
@@ -1088,12 +1678,14 @@ export const addOrder = asyncHandler(async (req, res) => {
 
   let couponId = null, couponDiscount = 0, validatedCode = null;
   if (couponCode) {
-    if (couponResult.status === "rejected")
-      return res.status(400).json(new ApiResponse(400, null, couponResult.reason.message));
-    const v = couponResult.value;
-    couponId = v.couponId;
-    couponDiscount = v.couponDiscount;
-    validatedCode = v.validatedCouponCode;
+    if (couponResult.status === "rejected") {
+      if (!dropInvalidCoupon) return new ApiResponse(400, null, couponResult.reason.message);
+    } else {
+      const v = couponResult.value;
+      couponId = v.couponId;
+      couponDiscount = v.couponDiscount;
+      validatedCode = v.validatedCouponCode;
+    }
   }
 
   const totals = calculateOrderTotal(processedVegetables, basketPrice, orderType, couponDiscount);
@@ -1123,7 +1715,8 @@ export const addOrder = asyncHandler(async (req, res) => {
     session.startTransaction();
 
     try {
-      await updateStock(processedVegetables, "deduct", session);
+      if (slotBooking) await reserveDeliverySlot(slotBooking, session);
+      const stockUpdates = await updateStock(processedVegetables, "deduct", session);
 
       const orderId = await generateUniqueOrderId();
       const completedOrderCount = await getWeeklyOrderCount(customerId);
@@ -1154,11 +1747,18 @@ export const addOrder = asyncHandler(async (req, res) => {
           orderStatus: "placed",
           deliveryAddressId,
           ...(orderType === "basket" && { selectedBasket: basketId }),
+          ...orderSource,
         },
         CONFIG.orderIdRetries,
         session
       );
 
+      await recordStockMovements(
+        stockUpdates,
+        { type: "order_deduction", actor: customerId, reference: orderRef(result.order) },
+        session
+      );
+
       if (walletCreditUsed > 0) {
         await debitWallet(
           customerId,
@@ -1184,50 +1784,46 @@ export const addOrder = asyncHandler(async (req, res) => {
       const populated = await populateOrder(result.order._id);
       await dispatchOrderJobs(populated, { cashback: cashbackEligible && cashbackAmount > 0 });
 
-      return res.json(new ApiResponse(201, populated, "Order placed with COD"));
+      return new ApiResponse(201, populated, "Order placed with COD");
     } catch (err) {
       await session.abortTransaction();
       session.endSession();
-      return res.status(500).json(new ApiResponse(500, null, err.message));
+      return new ApiResponse(err.statusCode || 500, null, err.message);
     }
   }
 
   // ── WALLET ────────────────────────────────────────────────────────────────
   if (basePaymentMethod === "WALLET") {
     if (finalPayableAmount > 0) {
-      return res.status(400).json(
-        new ApiResponse(
-          400,
-          {
-            totalAmount: totals.totalAmount,
-            walletBalance: walletCreditUsed,
-            shortfall: finalPayableAmount,
-          },
-          "Insufficient wallet balance"
-        )
+      return new ApiResponse(
+        400,
+        {
+          totalAmount: totals.totalAmount,
+          walletBalance: walletCreditUsed,
+          shortfall: finalPayableAmount,
+        },
+        "Insufficient wallet balance"
       );
     }
 
     if (!wallet)
-      return res.status(404).json(new ApiResponse(404, null, "Wallet not found"));
+      return new ApiResponse(404, null, "Wallet not found");
     if (!wallet.isActive())
-      return res.status(400).json(new ApiResponse(400, null, "Wallet inactive"));
+      return new ApiResponse(400, null, "Wallet inactive");
 
     // Pre-session balance check (early exit before stock deduction)
     const currentBalance = await WalletTransaction.getCurrentBalance(wallet._id);
     const amountInPaise = rupeeToPaise(totals.totalAmount);
 
     if (currentBalance < amountInPaise) {
-      return res.status(400).json(
-        new ApiResponse(
-          400,
-          {
-            required: totals.totalAmount,
-            available: currentBalance / 100,
-            shortfall: (amountInPaise - currentBalance) / 100,
-          },
-          "Insufficient wallet balance"
-        )
+      return new ApiResponse(
+        400,
+        {
+          required: totals.totalAmount,
+          available: currentBalance / 100,
+          shortfall: (amountInPaise - currentBalance) / 100,
+        },
+        "Insufficient wallet balance"
       );
     }
 
@@ -1235,7 +1831,8 @@ export const addOrder = asyncHandler(async (req, res) => {
     session.startTransaction();
 
     try {
-      await updateStock(processedVegetables, "deduct", session);
+      if (slotBooking) await reserveDeliverySlot(slotBooking, session);
+      const stockUpdates = await updateStock(processedVegetables, "deduct", session);
 
       const orderId = await generateUniqueOrderId();
       const completedOrderCount = await getWeeklyOrderCount(customerId);
@@ -1266,11 +1863,18 @@ export const addOrder = asyncHandler(async (req, res) => {
           orderStatus: "placed",
           deliveryAddressId,
           ...(orderType === "basket" && { selectedBasket: basketId }),
+          ...orderSource,
         },
         CONFIG.orderIdRetries,
         session
       );
 
+      await recordStockMovements(
+        stockUpdates,
+        { type: "order_deduction", actor: customerId, reference: orderRef(result.order) },
+        session
+      );
+
       await debitWallet(
         customerId,
         wallet,
@@ -1294,36 +1898,36 @@ export const addOrder = asyncHandler(async (req, res) => {
       const populated = await populateOrder(result.order._id);
       await dispatchOrderJobs(populated, { cashback: cashbackEligible && cashbackAmount > 0 });
 
-      return res.json(
-        new ApiResponse(
-          201,
-          {
-            ...populated,
-            walletDebit: {
-              amount: totals.totalAmount,
-              previousBalance: currentBalance / 100,
-              newBalance: (currentBalance - amountInPaise) / 100,
-            },
+      return new ApiResponse(
+        201,
+        {
+          ...populated,
+          walletDebit: {
+            amount: totals.totalAmount,
+            previousBalance: currentBalance / 100,
+            newBalance: (currentBalance - amountInPaise) / 100,
           },
-          "Order placed with wallet"
-        )
+        },
+        "Order placed with wallet"
       );
     } catch (error) {
       await session.abortTransaction();
       session.endSession();
-      return res.status(500).json(new ApiResponse(500, null, error.message));
+      return new ApiResponse(error.statusCode || 500, null, error.message);
     }
   }
 
   // ── ONLINE (Razorpay) ─────────────────────────────────────────────────────
+  // The order is stored as awaiting_payment with stock, wallet credit and coupon
+  // held; verify-payment or the Razorpay webhook confirms it
   const orderId = await generateUniqueOrderId();
   const razorpayOrder = await razorpay.orders.create({
     amount: Math.round(finalPayableAmount * 100),
     currency: "INR",
     receipt: orderId,
     payment_capture: 1,
-    // Store walletCreditUsed in Razorpay notes — verifyPayment reads from here
-    // so we never trust the client-sent value
+    // Store walletCreditUsed in Razorpay notes so the locked credit is visible
+    // on the gateway side as well
     notes: {
       walletCreditUsed: String(walletCreditUsed),
       orderId,
@@ -1338,150 +1942,12 @@ export const addOrder = asyncHandler(async (req, res) => {
   );
   const cashbackEligible = cashbackAmount > 0;
 
-  res.json(
-    new ApiResponse(
-      201,
-      {
-        razorpayOrder,
-        walletInfo: {
-          walletCreditUsed,
-          originalAmount: totals.totalAmount,
-          finalPayableAmount,
-        },
-        orderData: {
-          orderType,
-          customerInfo: customerId,
-          selectedVegetables: processedVegetables,
-          orderId,
-          couponCode: validatedCode,
-          couponId,
-          ...totals,
-          walletCreditUsed,
-          finalPayableAmount,
-          cashbackEligible,
-          cashbackAmount,
-          deliveryAddressId,
-          ...(orderType === "basket" && { selectedBasket: basketId }),
-        },
-      },
-      "Razorpay order created"
-    )
-  );
-});
-
-// POST /api/orders/verify-payment
-export const verifyPayment = asyncHandler(async (req, res) => {
-  const {
-    razorpay_order_id,
-    razorpay_payment_id,
-    razorpay_signature,
-    customerInfo,
-    selectedBasket,
-    selectedVegetables,
-    orderId,
-    orderType,
-    couponCode,
-    deliveryAddressId,
-  } = req.body;
-
-  // ── Validation ──────────────────────────────────────────────────────────
-  if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature)
-    return res.status(400).json(new ApiResponse(400, null, "Missing payment data"));
-  if (!customerInfo || !selectedVegetables || !orderId)
-    return res.status(400).json(new ApiResponse(400, null, "Missing order data"));
-  if (!["basket", "custom"].includes(orderType))
-    return res.status(400).json(new ApiResponse(400, null, "Invalid order type"));
-  if (orderType === "basket" && !selectedBasket)
-    return res.status(400).json(new ApiResponse(400, null, "Missing basket"));
-
-  // ── Signature verification ───────────────────────────────────────────────
-  const expectedSig = crypto
-    .createHmac("sha256", process.env.RAZORPAY_SECRET)
-    .update(`${razorpay_order_id}|${razorpay_payment_id}`)
-    .digest("hex");
-
-  if (expectedSig !== razorpay_signature)
-    return res.status(400).json(new ApiResponse(400, null, "Invalid signature"));
-
-  // ── Duplicate check ──────────────────────────────────────────────────────
-  const [paymentExists, orderIdExists] = await Promise.all([
-    Order.exists({ razorpayPaymentId: razorpay_payment_id }),
-    Order.exists({ orderId }),
-  ]);
-
-  if (paymentExists)
-    return res.status(400).json(new ApiResponse(400, null, "Payment already processed"));
-  if (orderIdExists)
-    return res.status(400).json(new ApiResponse(400, null, "Order ID already exists"));
-
-  const processed = await processOrderData(
-    customerInfo,
-    selectedBasket,
-    selectedVegetables,
-    orderType
-  );
-
-  if (processed.error)
-    return res.status(400).json(new ApiResponse(400, null, processed.error));
-
-  const { customerId, basketId, processedVegetables } = processed;
-
-  let basketPrice = null;
-  if (orderType === "basket") {
-    try {
-      basketPrice = await fetchBasketPrice(basketId);
-    } catch {
-      return res.status(404).json(new ApiResponse(404, null, "Basket not found"));
-    }
-  }
-
-  const subtotal =
-    orderType === "basket"
-      ? basketPrice
-      : processedVegetables.reduce((sum, i) => sum + i.subtotal, 0);
-
-  let couponId = null, couponDiscount = 0, validatedCode = null;
-  if (couponCode) {
-    try {
-      const v = await validateCoupon(couponCode, subtotal, customerId);
-      couponId = v.couponId;
-      couponDiscount = v.couponDiscount;
-      validatedCode = v.validatedCouponCode;
-    } catch (err) {
-      console.warn(`[verifyPayment] Coupon '${couponCode}' failed after payment: ${err.message}`);
-    }
-  }
-
-  const totals = calculateOrderTotal(processedVegetables, basketPrice, orderType, couponDiscount);
-
-  // ── Read wallet credit from Razorpay notes (secure — not from client) ────
-  let walletCreditUsed = 0;
-  let finalPayableAmount = totals.totalAmount;
-
-  try {
-    const rzpOrder = await razorpay.orders.fetch(razorpay_order_id);
-    const lockedCredit = parseFloat(rzpOrder.notes?.walletCreditUsed || "0");
-    if (!isNaN(lockedCredit) && lockedCredit > 0) {
-      walletCreditUsed = lockedCredit;
-      finalPayableAmount = Math.max(0, totals.totalAmount - walletCreditUsed);
-    }
-  } catch {
-    console.error("[verifyPayment] Could not fetch Razorpay notes — proceeding without wallet credit");
-  }
-
   const session = await mongoose.startSession();
   session.startTransaction();
 
   try {
-    await updateStock(processedVegetables, "deduct", session);
-
-    const completedOrderCount = await getWeeklyOrderCount(customerId);
-    const cashbackAmount = calculateCashback(
-      { finalPayableAmount, totalAmount: totals.totalAmount, paymentMethod: "ONLINE", walletCreditUsed },
-      customerId,
-      completedOrderCount
-    );
-    const cashbackEligible = cashbackAmount > 0;
+    if (slotBooking) await reserveDeliverySlot(slotBooking, session);
+    const stockUpdates = await updateStock(processedVegetables, "deduct", session);
 
     const result = await createOrderWithRetry(
       {
@@ -1498,21 +1964,27 @@ export const verifyPayment = asyncHandler(async (req, res) => {
         cashbackEligible,
         cashbackAmount,
         paymentMethod: "ONLINE",
+        paymentStatus: "awaiting_payment",
         orderStatus: "placed",
-        paymentStatus: "completed",
-        razorpayOrderId: razorpay_order_id,
-        razorpayPaymentId: razorpay_payment_id,
+        razorpayOrderId: razorpayOrder.id,
         deliveryAddressId,
         ...(orderType === "basket" && { selectedBasket: basketId }),
+        ...orderSource,
       },
       CONFIG.orderIdRetries,
       session
     );
 
+    await recordStockMovements(
+      stockUpdates,
+      { type: "order_deduction", actor: customerId, reference: orderRef(result.order) },
+      session
+    );
+
     if (walletCreditUsed > 0) {
       await debitWallet(
         customerId,
-        null, // re-fetched fresh inside debitWallet to catch race conditions
+        wallet,
         walletCreditUsed,
         result.orderId,
         `Wallet credit applied to order ${result.orderId}`,
@@ -1530,32 +2002,136 @@ export const verifyPayment = asyncHandler(async (req, res) => {
 
     await session.commitTransaction();
     session.endSession();
-
-    const populated = await populateOrder(result.order._id);
-    await dispatchOrderJobs(populated, { cashback: cashbackEligible && cashbackAmount > 0 });
-
-    res.json(new ApiResponse(200, populated, "Payment verified"));
   } catch (err) {
     await session.abortTransaction();
     session.endSession();
+    return new ApiResponse(err.statusCode || 500, null, err.message);
+  }
 
-    if (processedVegetables?.length) {
-      try {
-        await updateStock(processedVegetables, "restore");
-      } catch (restoreErr) {
-        console.error("Stock restore failed:", restoreErr.message);
-      }
-    }
+  return new ApiResponse(
+    201,
+    {
+      razorpayOrder,
+      walletInfo: {
+        walletCreditUsed,
+        originalAmount: totals.totalAmount,
+        finalPayableAmount,
+      },
+      orderData: {
+        orderType,
+        customerInfo: customerId,
+        selectedVegetables: processedVegetables,
+        orderId,
+        couponCode: validatedCode,
+        couponId,
+        ...totals,
+        walletCreditUsed,
+        finalPayableAmount,
+        cashbackEligible,
+        cashbackAmount,
+        deliveryAddressId,
+        ...(orderType === "basket" && { selectedBasket: basketId }),
+      },
+    },
+    "Razorpay order created"
+  );
+};
 
-    console.error("verifyPayment failed:", err.message, err.stack);
-    return res.status(500).json(new ApiResponse(500, null, err.message));
+// POST /api/orders/add  — COD / WALLET / ONLINE
+export const addOrder = asyncHandler(async (req, res) => {
+  const result = await placeOrder(req.body);
+  if (!result.success) return res.status(result.statusCode).json(result);
+  res.json(result);
+});
+
+// POST /api/orders/verify-payment
+export const verifyPayment = asyncHandler(async (req, res) => {
+  const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
+
+  // ── Validation ──────────────────────────────────────────────────────────
+  if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature)
+    return res.status(400).json(new ApiResponse(400, null, "Missing payment data"));
+
+  // ── Signature verification ───────────────────────────────────────────────
+  const expectedSig = crypto
+    .createHmac("sha256", process.env.RAZORPAY_SECRET)
+    .update(`${razorpay_order_id}|${razorpay_payment_id}`)
+    .digest("hex");
+
+  if (expectedSig !== razorpay_signature)
+    return res.status(400).json(new ApiResponse(400, null, "Invalid signature"));
+
+  // ── Confirm the pending order (the webhook may already have done it) ─────
+  const { outcome, order } = await confirmOnlinePayment(razorpay_order_id, razorpay_payment_id);
+
+  switch (outcome) {
+    case "confirmed":
+      return res.json(new ApiResponse(200, order, "Payment verified"));
+    case "duplicate":
+      return res.json(new ApiResponse(200, await populateOrder(order._id), "Payment already verified"));
+    case "refunded":
+      return res.status(409).json(
+        new ApiResponse(409, { orderId: order.orderId }, "Order was cancelled, payment credited to wallet")
+      );
+    case "conflict":
+      return res.status(409).json(new ApiResponse(409, null, "Order already settled with another payment"));
+    default:
+      return res.status(404).json(new ApiResponse(404, null, "Order not found for this payment"));
   }
 });
 
+// POST /api/orders/razorpay/webhook  — signed with RAZORPAY_WEBHOOK_SECRET
+export const razorpayWebhook = asyncHandler(async (req, res) => {
+  const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+  if (!secret)
+    return res.status(500).json(new ApiResponse(500, null, "Webhook secret not configured"));
+
+  if (!verifyWebhookSignature(req.rawBody, req.headers["x-razorpay-signature"], secret))
+    return res.status(400).json(new ApiResponse(400, null, "Invalid signature"));
+
+  const { event, payload } = req.body;
+  const payment = payload?.payment?.entity;
+  let result = { outcome: "ignored" };
+
+  switch (event) {
+    case "payment.captured": {
+      if (!payment?.order_id || !payment?.id)
+        return res.status(400).json(new ApiResponse(400, null, "Missing payment entity"));
+      const { outcome, order } = await confirmOnlinePayment(payment.order_id, payment.id);
+      result = { outcome, orderId: order?.orderId || null };
+      break;
+    }
+    case "payment.failed": {
+      if (!payment?.order_id)
+        return res.status(400).json(new ApiResponse(400, null, "Missing payment entity"));
+      const order = await recordOnlinePaymentFailure(payment.order_id, payment);
+      result = { outcome: order ? "failed" : "ignored", orderId: order?.orderId || null };
+      break;
+    }
+    case "refund.processed": {
+      const refund = payload?.refund?.entity;
+      if (!refund?.id || !refund?.payment_id)
+        return res.status(400).json(new ApiResponse(400, null, "Missing refund entity"));
+      const order = await recordGatewayRefund(refund);
+      result = {
+        outcome: order ? "refund_recorded" : "ignored",
+        orderId: order?.orderId || null,
+        paymentStatus: order?.paymentStatus || null,
+      };
+      break;
+    }
+    default:
+      break;
+  }
+
+  // Always 200 for handled or ignored events so Razorpay stops retrying
+  res.json(new ApiResponse(200, { event, ...result }, "Webhook processed"));
+});
+
 // PATCH /api/orders/:_id/status
 export const updateOrderStatus = asyncHandler(async (req, res) => {
   const { _id } = req.params;
-  const { orderStatus } = req.body;
+  const { orderStatus, note } = req.body;
 
   const sanitizedStatus = sanitizeString(orderStatus);
 
@@ -1569,27 +2145,112 @@ export const updateOrderStatus = asyncHandler(async (req, res) => {
     );
   }
 
-  const current = await Order.findById(_id, { orderStatus: 1, selectedVegetables: 1 }).lean();
+  // Full order: a cancellation settles the wallet from it
+  const current = await Order.findById(_id).lean();
   if (!current)
     return res.status(404).json(new ApiResponse(404, null, "Order not found"));
 
-  if (sanitizedStatus === "cancelled" && current.orderStatus !== "cancelled") {
-    try {
-      await updateStock(current.selectedVegetables, "restore");
-    } catch (err) {
-      console.error("Stock restore error");
-    }
+  if (
+    current.paymentMethod === "ONLINE" &&
+    ["awaiting_payment", "failed"].includes(current.paymentStatus) &&
+    sanitizedStatus !== "cancelled"
+  )
+    return res.status(409).json(
+      new ApiResponse(409, { paymentStatus: current.paymentStatus }, "Payment not received for this order yet")
+    );
+
+  if (!Order.canTransition(current.orderStatus, sanitizedStatus)) {
+    const allowed = Order.STATUS_TRANSITIONS[current.orderStatus] || [];
+    return res.status(409).json(
+      new ApiResponse(
+        409,
+        { currentStatus: current.orderStatus, allowedTransitions: allowed },
+        `Cannot move order from '${current.orderStatus}' to '${sanitizedStatus}'`
+      )
+    );
   }
 
-  const updateFields = { orderStatus: sanitizedStatus };
-  if (sanitizedStatus.toLowerCase() === "delivered") {
+  // Orders leave the store only through packing (completeOrderPacking)
+  if (sanitizedStatus === "shipped" && current.packing?.status !== "packed")
+    return res.status(409).json(
+      new ApiResponse(409, { packingStatus: current.packing?.status || null }, "Order has not been packed yet")
+    );
+
+  const isCancel = sanitizedStatus === "cancelled";
+  const reason = typeof note === "string" ? note.trim() || null : null;
+
+  const updateFields = {};
+  if (sanitizedStatus === "delivered") {
     updateFields.paymentStatus = "completed";
   }
+  if (isCancel) {
+    Object.assign(updateFields, {
+      cashbackEligible: false,
+      "cancellation.reason": reason || "Cancelled by admin",
+      "cancellation.cancelledBy": req.user?.id || null,
+      "cancellation.cancelledAt": new Date(),
+    });
+    if (current.paymentMethod === "ONLINE" && current.paymentStatus === "completed")
+      updateFields.paymentStatus = "refunded";
+  }
 
-  const order = await Order.findByIdAndUpdate(_id, updateFields, {
-    new: true,
-    runValidators: true,
-  })
+  // Stock, slot and wallet are settled with the status change or not at all
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    // A cancellation only applies to the order as read, so the settlement
+    // below matches what the customer actually paid
+    const filter = isCancel
+      ? { _id, updatedAt: current.updatedAt }
+      : sanitizedStatus === "shipped"
+        ? { _id, "packing.status": "packed" }
+        : { _id };
+    const transitioned = await Order.transitionStatus(filter, sanitizedStatus, {
+      actor: req.user?.id || null,
+      note: reason,
+      session,
+      set: updateFields,
+    });
+
+    // Another request moved the order between our read and the atomic update
+    if (!transitioned) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(409).json(new ApiResponse(409, null, "Order status changed concurrently, please retry"));
+    }
+
+    if (isCancel) {
+      await updateStock(current.selectedVegetables, "restore", session, {
+        type: "cancellation_restore",
+        actor: req.user?.id || null,
+        reference: orderRef(current),
+        note: reason,
+      });
+      await releaseDeliverySlot(current, session);
+
+      const settlement = await settleCancelledOrderWallet(current, session);
+      await Order.updateOne(
+        { _id: current._id },
+        {
+          $set: {
+            "cancellation.walletCreditReversed": settlement.walletCreditReversed,
+            "cancellation.cashbackClawedBack": settlement.cashbackClawedBack,
+            "cancellation.cashbackUnrecovered": settlement.cashbackUnrecovered,
+            "cancellation.refundedToWallet": settlement.refundedToWallet,
+          },
+        },
+        { session }
+      );
+    }
+
+    await session.commitTransaction();
+    session.endSession();
+  } catch (err) {
+    return failTransaction(res, session, "updateOrderStatus", err);
+  }
+
+  const order = await Order.findById(_id)
     .populate("customerInfo", "name email mobile phone address city area state")
     .populate({
       path: "selectedBasket",
@@ -1622,6 +2283,756 @@ export const updateOrderStatus = asyncHandler(async (req, res) => {
   res.json(new ApiResponse(200, order, "Order status updated"));
 });
 
+// POST /api/orders/:orderId/cancel  — customer self-service, before shipping
+export const cancelOrder = asyncHandler(async (req, res) => {
+  const { orderId } = req.params;
+  const reason = typeof req.body?.reason === "string" ? req.body.reason.trim() : "";
+
+  if (!/^ORD\d{9,12}$/.test(orderId))
+    return res.status(400).json(new ApiResponse(400, null, "Invalid order ID"));
+  if (!reason)
+    return res.status(400).json(new ApiResponse(400, null, "Cancellation reason required"));
+
+  const order = await Order.findOne({ orderId }).lean();
+  if (!order) return res.status(404).json(new ApiResponse(404, null, "Order not found"));
+
+  const isAdminUser = req.user.role === "admin";
+  if (!isAdminUser && order.customerInfo.toString() !== req.user.id.toString())
+    throw new ApiError(403, "Access denied");
+
+  if (!CONFIG.customerCancellableStatuses.includes(order.orderStatus))
+    return res.status(409).json(
+      new ApiResponse(
+        409,
+        { currentStatus: order.orderStatus },
+        `Order can no longer be cancelled (status: ${order.orderStatus})`
+      )
+    );
+
+  const isPaidOnline = order.paymentMethod === "ONLINE" && order.paymentStatus === "completed";
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const cancelled = await Order.transitionStatus({ _id: order._id }, "cancelled", {
+      actor: req.user.id,
+      note: reason,
+      from: CONFIG.customerCancellableStatuses,
+      session,
+      set: {
+        cashbackEligible: false,
+        "cancellation.reason": reason,
+        "cancellation.cancelledBy": req.user.id,
+        "cancellation.cancelledAt": new Date(),
+        ...(isPaidOnline && { paymentStatus: "refunded" }),
+      },
+    });
+
+    if (!cancelled) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(409).json(new ApiResponse(409, null, "Order status changed, it can no longer be cancelled"));
+    }
+
+    await updateStock(order.selectedVegetables, "restore", session, {
+      type: "cancellation_restore",
+      actor: req.user.id,
+      reference: orderRef(order),
+      note: reason,
+    });
+    await releaseDeliverySlot(order, session);
+
+    const settlement = await settleCancelledOrderWallet(order, session);
+
+    await Order.updateOne(
+      { _id: order._id },
+      {
+        $set: {
+          "cancellation.walletCreditReversed": settlement.walletCreditReversed,
+          "cancellation.cashbackClawedBack": settlement.cashbackClawedBack,
+          "cancellation.cashbackUnrecovered": settlement.cashbackUnrecovered,
+          "cancellation.refundedToWallet": settlement.refundedToWallet,
+        },
+      },
+      { session }
+    );
+
+    await session.commitTransaction();
+    session.endSession();
+
+    const populated = await populateOrder(order._id);
+    res.json(new ApiResponse(200, { order: populated, settlement }, "Order cancelled"));
+  } catch (err) {
+    return failTransaction(res, session, "cancelOrder", err);
+  }
+});
+
+// PATCH /api/orders/:orderId/items  — add, remove or change quantity before dispatch
+// Body: { items: [{ vegetableId, weight, quantity }] } — quantity is the new line
+// quantity, 0 removes the line, an unknown vegetable/weight pair adds one.
+export const modifyOrderItems = asyncHandler(async (req, res) => {
+  const { orderId } = req.params;
+  const { items } = req.body;
+
+  if (!/^ORD\d{9,12}$/.test(orderId))
+    return res.status(400).json(new ApiResponse(400, null, "Invalid order ID"));
+  if (!Array.isArray(items) || !items.length)
+    return res.status(400).json(new ApiResponse(400, null, "Items required"));
+  if (items.length > CONFIG.maxItemsPerOrder)
+    return res.status(400).json(new ApiResponse(400, null, `Maximum ${CONFIG.maxItemsPerOrder} items allowed`));
+
+  for (const item of items) {
+    if (
+      !/^[0-9a-fA-F]{24}$/.test(item.vegetableId) ||
+      typeof item.weight !== "string" ||
+      !Number.isInteger(item.quantity) ||
+      item.quantity < 0 ||
+      item.quantity > CONFIG.maxQuantity
+    )
+      return res.status(400).json(new ApiResponse(400, null, "Invalid item"));
+  }
+
+  const order = await Order.findOne({ orderId }).lean();
+  if (!order) return res.status(404).json(new ApiResponse(404, null, "Order not found"));
+
+  const isAdminUser = req.user.role === "admin";
+  if (!isAdminUser && order.customerInfo.toString() !== req.user.id.toString())
+    throw new ApiError(403, "Access denied");
+
+  if (order.orderStatus !== "placed")
+    return res.status(409).json(
+      new ApiResponse(
+        409,
+        { currentStatus: order.orderStatus },
+        `Order can no longer be modified (status: ${order.orderStatus})`
+      )
+    );
+  if (order.orderType !== "custom")
+    return res.status(400).json(new ApiResponse(400, null, "Basket orders cannot be modified"));
+  if (order.paymentMethod !== "COD" && order.paymentStatus !== "completed")
+    return res.status(409).json(new ApiResponse(409, null, "Order payment is not completed"));
+
+  // ── Apply the requested changes to the current lines ────────────────────
+  const lineKey = (vegetable, weight) => `${vegetable}_${weight}`;
+  const previousLines = new Map(
+    order.selectedVegetables.map((i) => [lineKey(i.vegetable, i.weight), i])
+  );
+  const nextLines = new Map(
+    order.selectedVegetables.map((i) => [
+      lineKey(i.vegetable, i.weight),
+      { vegetable: i.vegetable.toString(), weight: i.weight, quantity: i.quantity },
+    ])
+  );
+
+  for (const item of items) {
+    const key = lineKey(item.vegetableId, item.weight);
+    if (item.quantity === 0) nextLines.delete(key);
+    else nextLines.set(key, { vegetable: item.vegetableId, weight: item.weight, quantity: item.quantity });
+  }
+
+  if (!nextLines.size)
+    return res.status(400).json(
+      new ApiResponse(400, null, "An order needs at least one item, cancel the order instead")
+    );
+
+  // ── Reprice every line at current prices ────────────────────────────────
+  let processedVegetables;
+  try {
+    processedVegetables = await processVegetables([...nextLines.values()]);
+  } catch (error) {
+    return res.status(400).json(new ApiResponse(400, null, error.message));
+  }
+
+  const subtotal = processedVegetables.reduce((sum, i) => sum + i.subtotal, 0);
+  if (subtotal <= 0 || subtotal > CONFIG.maxOrderAmount)
+    return res.status(400).json(new ApiResponse(400, null, "Invalid order amount"));
+
+  // ── Re-validate the coupon against the new subtotal ─────────────────────
+  let couponId = null, couponDiscount = 0, couponCode = null, couponRemoved = null;
+  if (order.couponCode) {
+    try {
+      const v = await validateCoupon(order.couponCode, subtotal, order.customerInfo, {
+        alreadyRedeemed: true,
+      });
+      couponId = v.couponId;
+      couponDiscount = v.couponDiscount;
+      couponCode = v.validatedCouponCode;
+    } catch (error) {
+      couponRemoved = `${order.couponCode}: ${error.message}`;
+    }
+  }
+
+  const totals = calculateOrderTotal(processedVegetables, null, "custom", couponDiscount);
+  const difference = roundRupees(totals.totalAmount - order.totalAmount);
+  const settlement = planModificationSettlement(order, difference);
+
+  // ── Cashback follows the new amount; the order count is as at placement ─
+  const cashbackAmount = calculateCashback(
+    {
+      finalPayableAmount: settlement.finalPayableAmount,
+      totalAmount: totals.totalAmount,
+      paymentMethod: order.paymentMethod.replace(/^WALLET_/, ""),
+      walletCreditUsed: settlement.walletCreditUsed,
+    },
+    order.customerInfo,
+    await getWeeklyOrderCount(order.customerInfo, order.createdAt)
+  );
+  const cashbackDelta = order.cashbackCredited ? roundRupees(cashbackAmount - order.cashbackAmount) : 0;
+
+  // ── Stock deltas per line ───────────────────────────────────────────────
+  const toDeduct = [], toRestore = [];
+  for (const line of processedVegetables) {
+    const before = previousLines.get(lineKey(line.vegetable, line.weight))?.quantity || 0;
+    if (line.quantity > before) toDeduct.push({ ...line, quantity: line.quantity - before });
+    if (line.quantity < before) toRestore.push({ ...line, quantity: before - line.quantity });
+  }
+  for (const [key, line] of previousLines) {
+    if (!nextLines.has(key)) toRestore.push(line);
+  }
+
+  // Early exit before touching stock when the wallet cannot cover the extra
+  let wallet = null;
+  if (settlement.walletCharge > 0) {
+    wallet = await Wallet.findByUserId(order.customerInfo);
+    if (!wallet || !wallet.isActive())
+      return res.status(400).json(new ApiResponse(400, null, "Wallet not available for the price difference"));
+
+    const currentBalance = await WalletTransaction.getCurrentBalance(wallet._id);
+    if (currentBalance < rupeeToPaise(settlement.walletCharge))
+      return res.status(400).json(
+        new ApiResponse(
+          400,
+          {
+            required: settlement.walletCharge,
+            available: currentBalance / 100,
+            shortfall: (rupeeToPaise(settlement.walletCharge) - currentBalance) / 100,
+          },
+          "Insufficient wallet balance"
+        )
+      );
+  }
+
+  const modificationNo = (order.modifications?.length || 0) + 1;
+  const referenceId = `MOD_${orderId}_${modificationNo}`;
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const doc = await Order.findOne({ _id: order._id, orderStatus: "placed" }).session(session);
+    if (!doc || doc.modifications.length !== modificationNo - 1) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(409).json(new ApiResponse(409, null, "Order changed, please retry"));
+    }
+
+    const movement = { type: "order_modification", actor: req.user.id, reference: orderRef(order) };
+    const deducted = toDeduct.length ? await updateStock(toDeduct, "deduct", session, movement) : [];
+    const restored = toRestore.length ? await updateStock(toRestore, "restore", session, movement) : [];
+
+    if (settlement.walletCharge > 0) {
+      await debitWallet(
+        order.customerInfo,
+        wallet,
+        settlement.walletCharge,
+        referenceId,
+        `Price difference for modified order ${orderId}`,
+        session
+      );
+    }
+
+    if (settlement.walletRefund > 0) {
+      let refundWallet = await Wallet.findByUserId(order.customerInfo);
+      if (!refundWallet) refundWallet = await Wallet.createWallet(order.customerInfo);
+      await WalletTransaction.createCreditTransaction(
+        refundWallet._id,
+        "refund",
+        `REF_${referenceId}`,
+        rupeeToPaise(settlement.walletRefund),
+        `Refund for modified order ${orderId}`,
+        session
+      );
+    }
+
+    // Cashback already in the wallet is topped up or clawed back (capped at
+    // the balance); otherwise it is credited at the new amount after commit
+    let cashback = { amount: cashbackAmount, eligible: cashbackAmount > 0 };
+    if (cashbackDelta !== 0) {
+      let cashbackWallet = await Wallet.findByUserId(order.customerInfo);
+      if (!cashbackWallet) cashbackWallet = await Wallet.createWallet(order.customerInfo);
+      let adjusted = rupeeToPaise(Math.abs(cashbackDelta));
+
+      if (cashbackDelta > 0) {
+        await WalletTransaction.createCreditTransaction(
+          cashbackWallet._id,
+          "cashback",
+          `CASH_${referenceId}`,
+          adjusted,
+          `Cashback adjusted for modified order ${orderId}`,
+          session
+        );
+      } else {
+        const balance = await WalletTransaction.getCurrentBalance(cashbackWallet._id, session);
+        adjusted = Math.min(balance, adjusted);
+        if (adjusted > 0) {
+          await WalletTransaction.createDebitTransaction(
+            cashbackWallet._id,
+            "reversal",
+            `REV_CASH_${referenceId}`,
+            adjusted,
+            `Cashback adjusted for modified order ${orderId}`,
+            session
+          );
+        }
+        adjusted = -adjusted;
+      }
+      cashback = { amount: roundRupees(order.cashbackAmount + adjusted / 100), eligible: true };
+    }
+
+    doc.selectedVegetables = processedVegetables;
+    doc.set({
+      ...totals,
+      couponCode,
+      couponId,
+      walletCreditUsed: settlement.walletCreditUsed,
+      finalPayableAmount: settlement.finalPayableAmount,
+      paymentStatus: settlement.paymentStatus,
+      cashbackAmount: cashback.amount,
+      cashbackEligible: cashback.eligible,
+    });
+    doc.modifications.push({
+      modifiedBy: req.user.id,
+      previousTotal: order.totalAmount,
+      newTotal: totals.totalAmount,
+      walletCharged: settlement.walletCharge,
+      walletRefunded: settlement.walletRefund,
+      couponRemoved,
+    });
+
+    // Pre-save hook re-checks vegetablesTotal / subtotal / totalAmount
+    await doc.save({ session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    if (!order.cashbackCredited && cashback.eligible) {
+      creditCashbackToWallet(doc).then((credit) => {
+        if (credit.error) console.error(`Cashback credit for modified order ${orderId} failed:`, credit.error);
+      });
+    }
+
+    const populated = await populateOrder(order._id);
+    res.json(
+      new ApiResponse(
+        200,
+        {
+          order: populated,
+          changes: {
+            previousTotal: order.totalAmount,
+            newTotal: totals.totalAmount,
+            difference,
+            walletCharged: settlement.walletCharge,
+            walletRefunded: settlement.walletRefund,
+            finalPayableAmount: settlement.finalPayableAmount,
+            cashback: { previous: order.cashbackAmount || 0, current: cashback.amount },
+            couponRemoved,
+            stock: { deducted, restored },
+          },
+        },
+        "Order modified"
+      )
+    );
+  } catch (err) {
+    return failTransaction(res, session, "modifyOrderItems", err);
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PACKING — per-slot pick-list, line-by-line packing, short-pick refunds
+// ─────────────────────────────────────────────────────────────────────────────
+const isSetLine = (item) => item.setQuantity != null || /^set\d+$/.test(item.weight);
+
+// Quantity to pick for an order line: pieces for set items, kg otherwise
+const pickAmount = (item) =>
+  isSetLine(item)
+    ? (item.setQuantity || 1) * item.quantity
+    : weightKg(item.weight) * item.quantity;
+
+const packingProgress = (order) => {
+  const resolved = new Set((order.packing?.lines || []).map((l) => l.line.toString()));
+  const open = order.selectedVegetables.filter((item) => !resolved.has(item._id.toString()));
+  return {
+    orderId: order.orderId,
+    packingStatus: order.packing?.status || null,
+    linesTotal: order.selectedVegetables.length,
+    linesResolved: order.selectedVegetables.length - open.length,
+    openLines: open.map((item) => item._id),
+    shortPickRefund: order.packing?.shortPickRefund || 0,
+  };
+};
+
+// Processed orders for a delivery slot (user-booked slot id, or a legacy slot label) and day
+const pickListFilter = ({ date, slotId, slot }) => {
+  const filter = { orderStatus: "processed" };
+
+  if (slotId) {
+    if (!mongoose.isValidObjectId(slotId)) throw new ApiError(400, "Invalid delivery slot");
+    filter.deliverySlot = new mongoose.Types.ObjectId(slotId);
+  } else if (slot) {
+    filter.DeliveryTimeSlot = String(slot);
+  }
+
+  if (date) {
+    const day = DeliverySlot.toDeliveryDate(date);
+    if (!day) throw new ApiError(400, "Valid date required (YYYY-MM-DD)");
+    const next = new Date(day);
+    next.setDate(next.getDate() + 1);
+    // Orders placed without a slot booking have no deliveryDate; use the order day
+    filter.$or = [
+      { deliveryDate: day },
+      { deliveryDate: null, orderDate: { $gte: day, $lt: next } },
+    ];
+  }
+
+  return filter;
+};
+
+// GET /api/orders/packing/pick-list?date=&slotId=|slot=  — packaging & admin
+export const getPackingPickList = asyncHandler(async (req, res) => {
+  const orders = await Order.find(pickListFilter(req.query), {
+    orderId: 1,
+    orderType: 1,
+    selectedVegetables: 1,
+    packing: 1,
+    DeliveryTimeSlot: 1,
+    deliveryDate: 1,
+    createdAt: 1,
+  })
+    .populate("selectedVegetables.vegetable", "name")
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const totals = new Map();
+
+  for (const order of orders) {
+    const resolved = new Set((order.packing?.lines || []).map((l) => l.line.toString()));
+
+    for (const item of order.selectedVegetables) {
+      const unit = isSetLine(item) ? "pieces" : "kg";
+      const vegId = item.vegetable?._id?.toString() || item.vegetable?.toString();
+      const key = `${vegId}_${unit}`;
+
+      if (!totals.has(key)) {
+        totals.set(key, {
+          vegetable: vegId,
+          name: item.vegetable?.name || null,
+          unit,
+          total: 0,
+          packed: 0,
+          toPick: 0,
+          byWeight: {},
+          orders: new Set(),
+        });
+      }
+
+      const entry = totals.get(key);
+      const amount = pickAmount(item);
+      entry.total += amount;
+      if (resolved.has(item._id.toString())) entry.packed += amount;
+      else entry.toPick += amount;
+      entry.byWeight[item.weight] = (entry.byWeight[item.weight] || 0) + item.quantity;
+      entry.orders.add(order.orderId);
+    }
+  }
+
+  const round = (n) => Math.round(n * 1000) / 1000;
+  const items = [...totals.values()]
+    .map(({ orders: orderIds, ...entry }) => ({
+      ...entry,
+      total: round(entry.total),
+      packed: round(entry.packed),
+      toPick: round(entry.toPick),
+      orderCount: orderIds.size,
+    }))
+    .sort((a, b) => (a.name || "").localeCompare(b.name || ""));
+
+  res.json(
+    new ApiResponse(
+      200,
+      {
+        orderCount: orders.length,
+        items,
+        orders: orders.map((order) => ({
+          ...packingProgress(order),
+          slot: order.DeliveryTimeSlot,
+          deliveryDate: order.deliveryDate,
+        })),
+      },
+      "Pick-list generated"
+    )
+  );
+});
+
+// POST /api/orders/:orderId/packing/lines/:lineId  — packaging & admin
+// Body: { packedQuantity } — omitted or equal to the ordered quantity packs the
+// line; anything less is a short-pick, repriced and refunded like a modification
+export const packOrderLine = asyncHandler(async (req, res) => {
+  const { orderId, lineId } = req.params;
+
+  if (!/^ORD\d{9,12}$/.test(orderId))
+    return res.status(400).json(new ApiResponse(400, null, "Invalid order ID"));
+  if (!mongoose.isValidObjectId(lineId))
+    return res.status(400).json(new ApiResponse(400, null, "Invalid order line"));
+
+  const order = await Order.findOne({ orderId }).lean();
+  if (!order) return res.status(404).json(new ApiResponse(404, null, "Order not found"));
+  if (order.orderStatus !== "processed")
+    return res.status(409).json(new ApiResponse(409, null, `Only processed orders can be packed (status: ${order.orderStatus})`));
+
+  const item = order.selectedVegetables.find((i) => i._id.toString() === lineId);
+  if (!item) return res.status(404).json(new ApiResponse(404, null, "Order line not found"));
+  if (order.packing?.lines?.some((l) => l.line.toString() === lineId))
+    return res.status(409).json(new ApiResponse(409, null, "Line already resolved"));
+
+  const packedQuantity = req.body.packedQuantity ?? item.quantity;
+  if (!Number.isInteger(packedQuantity) || packedQuantity < 0 || packedQuantity > item.quantity)
+    return res.status(400).json(new ApiResponse(400, null, `packedQuantity must be between 0 and ${item.quantity}`));
+
+  const shortQuantity = item.quantity - packedQuantity;
+  if (shortQuantity && packedQuantity === 0 && order.selectedVegetables.length === 1)
+    return res.status(409).json(new ApiResponse(409, null, "Nothing left to pack, cancel the order instead"));
+
+  const now = new Date();
+  const entry = {
+    line: item._id,
+    vegetable: item.vegetable,
+    weight: item.weight,
+    status: shortQuantity ? "short" : "packed",
+    orderedQuantity: item.quantity,
+    packedQuantity,
+    resolvedBy: req.user.id,
+    resolvedAt: now,
+  };
+  const unresolved = { _id: order._id, orderStatus: "processed", "packing.lines.line": { $ne: item._id } };
+
+  if (!shortQuantity) {
+    const updated = await Order.findOneAndUpdate(
+      unresolved,
+      {
+        $push: { "packing.lines": entry },
+        $set: { "packing.status": "in_progress", "packing.startedAt": order.packing?.startedAt || now },
+      },
+      { new: true }
+    ).lean();
+
+    if (!updated) return res.status(409).json(new ApiResponse(409, null, "Order changed, please retry"));
+    return res.json(new ApiResponse(200, packingProgress(updated), "Line packed"));
+  }
+
+  // Stock is not restored for the missing quantity — it was never on the shelf
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const doc = await Order.findOne(unresolved).session(session);
+    if (!doc) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(409).json(new ApiResponse(409, null, "Order changed, please retry"));
+    }
+
+    const line = doc.selectedVegetables.id(item._id);
+    const shortValue = line.pricePerUnit * shortQuantity;
+    if (packedQuantity === 0) line.deleteOne();
+    else {
+      line.quantity = packedQuantity;
+      line.subtotal = roundRupees(line.pricePerUnit * packedQuantity);
+    }
+
+    const vegetablesTotal = roundRupees(doc.selectedVegetables.reduce((sum, i) => sum + i.subtotal, 0));
+    // Basket orders give back the short line's share of the basket price
+    const basketPrice =
+      doc.orderType === "basket" && doc.vegetablesTotal > 0
+        ? roundRupees(Math.max(0, doc.basketPrice - (shortValue * doc.basketPrice) / doc.vegetablesTotal))
+        : doc.basketPrice;
+    const base = doc.orderType === "basket" ? basketPrice : vegetablesTotal;
+    const couponDiscount = Math.min(doc.couponDiscount, base);
+    const subtotalAfterDiscount = roundRupees(Math.max(0, base - couponDiscount));
+    const totalAmount = roundRupees(subtotalAfterDiscount + doc.deliveryCharges);
+
+    const refundAmount = roundRupees(doc.totalAmount - totalAmount);
+    const settlement = planModificationSettlement(doc, totalAmount - doc.totalAmount);
+
+    if (settlement.walletRefund > 0) {
+      let wallet = await Wallet.findByUserId(doc.customerInfo);
+      if (!wallet) wallet = await Wallet.createWallet(doc.customerInfo);
+      await WalletTransaction.createCreditTransaction(
+        wallet._id,
+        "refund",
+        `REF_SHORT_${orderId}_${lineId}`,
+        rupeeToPaise(settlement.walletRefund),
+        `Refund for items short in order ${orderId}`,
+        session
+      );
+    }
+
+    doc.set({
+      vegetablesTotal,
+      basketPrice,
+      couponDiscount,
+      subtotalAfterDiscount,
+      totalAmount,
+      walletCreditUsed: settlement.walletCreditUsed,
+      finalPayableAmount: settlement.finalPayableAmount,
+      paymentStatus: settlement.paymentStatus,
+      "packing.status": "in_progress",
+      "packing.startedAt": doc.packing?.startedAt || now,
+      "packing.shortPickRefund": roundRupees((doc.packing?.shortPickRefund || 0) + refundAmount),
+    });
+    doc.packing.lines.push({ ...entry, refundAmount });
+
+    // Pre-save hook re-checks vegetablesTotal / subtotal / totalAmount
+    await doc.save({ session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.json(
+      new ApiResponse(
+        200,
+        {
+          ...packingProgress(doc.toObject()),
+          shortPick: {
+            shortQuantity,
+            refundAmount,
+            walletRefunded: settlement.walletRefund,
+            newTotal: totalAmount,
+            finalPayableAmount: settlement.finalPayableAmount,
+          },
+        },
+        "Short-pick recorded"
+      )
+    );
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    console.error("packOrderLine failed:", err.message);
+    return res.status(500).json(new ApiResponse(500, null, err.message));
+  }
+});
+
+// POST /api/orders/:orderId/packing/complete  — packaging & admin
+// Ships the order once every line is packed or short-picked
+export const completeOrderPacking = asyncHandler(async (req, res) => {
+  const { orderId } = req.params;
+
+  if (!/^ORD\d{9,12}$/.test(orderId))
+    return res.status(400).json(new ApiResponse(400, null, "Invalid order ID"));
+
+  const order = await Order.findOne({ orderId }, { orderId: 1, orderStatus: 1, selectedVegetables: 1, packing: 1 }).lean();
+  if (!order) return res.status(404).json(new ApiResponse(404, null, "Order not found"));
+
+  const progress = packingProgress(order);
+  if (progress.openLines.length)
+    return res.status(409).json(new ApiResponse(409, progress, "Every line must be packed or short-picked first"));
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const shipped = await Order.transitionStatus(
+      { _id: order._id },
+      "shipped",
+      {
+        actor: req.user.id,
+        note: "Packed",
+        from: ["processed"],
+        session,
+        set: {
+          "packing.status": "packed",
+          "packing.completedAt": new Date(),
+          "packing.packedBy": req.user.id,
+        },
+      }
+    );
+
+    if (!shipped) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(409).json(new ApiResponse(409, null, "Order changed, please retry"));
+    }
+
+    await User.updateOne(
+      { _id: req.user.id },
+      { $inc: { "performanceMetrics.totalPackages": 1 } },
+      { session }
+    );
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.json(new ApiResponse(200, { ...packingProgress(shipped), orderStatus: shipped.orderStatus }, "Order packed and shipped"));
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    console.error("completeOrderPacking failed:", err.message);
+    return res.status(500).json(new ApiResponse(500, null, err.message));
+  }
+});
+
+// GET /api/orders/payment-sweeps  (admin, paginated)
+export const getPaymentSweeps = asyncHandler(async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+  const skip = (page - 1) * limit;
+
+  const filter = {};
+  if (req.query.expiredOnly === "true") filter.expiredCount = { $gt: 0 };
+  if (req.query.orderId) filter["expired.orderId"] = sanitizeString(req.query.orderId);
+
+  const [total, sweeps] = await Promise.all([
+    PaymentSweep.countDocuments(filter),
+    PaymentSweep.find(filter)
+      .populate("triggeredBy", "username email")
+      .sort({ startedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+  ]);
+
+  res.json(
+    new ApiResponse(
+      200,
+      {
+        sweeps,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalSweeps: total,
+          hasMore: page * limit < total,
+        },
+      },
+      "Payment sweeps fetched"
+    )
+  );
+});
+
+// POST /api/orders/payment-sweeps/run  (admin)
+export const triggerPaymentSweep = asyncHandler(async (req, res) => {
+  const windowMinutes = req.body?.windowMinutes ?? CONFIG.pendingPayment.expiryMinutes;
+  if (!Number.isInteger(windowMinutes) || windowMinutes < 1)
+    throw new ApiError(400, "windowMinutes must be a positive integer");
+
+  const sweep = await runPendingPaymentSweep({
+    trigger: "manual",
+    triggeredBy: req.user.id,
+    windowMinutes,
+  });
+
+  res.json(new ApiResponse(200, sweep, `Expired ${sweep.expiredCount} unpaid order(s)`));
+});
+
 // GET /api/orders/razorpay-key
 export const getRazorpayKey = asyncHandler(async (req, res) => {
   if (!process.env.RAZORPAY_KEY_ID)
@@ -1645,7 +3056,11 @@ export const calculatePrice = asyncHandler(async (req, res) => {
   }
 
   const ids = items.map((i) => i.vegetableId);
-  const vegMap = await fetchVegetablesBatch(ids);
+  const [vegMap, pricingRules] = await Promise.all([
+    fetchVegetablesBatch(ids),
+    fetchActivePricingRules(),
+  ]);
+  const pricedAt = new Date();
 
   let subtotal = 0;
   const calculatedItems = [];
@@ -1655,7 +3070,7 @@ export const calculatePrice = asyncHandler(async (req, res) => {
     if (!veg) throw new ApiError(404, `Vegetable not found: ${item.vegetableId}`);
 
     try {
-      const priceInfo = getPrice(veg, item.weight, item.quantity);
+      const priceInfo = getPrice(veg, item.weight, item.quantity, pricingRules, pricedAt);
       calculatedItems.push({
         vegetableId: item.vegetableId,
         name: veg.name,
@@ -1837,7 +3252,7 @@ export const getOrdersByDateTimeRange = asyncHandler(async (req, res) => {
         else if (item.setUnit === "bundles") veg.totalBundles += qty;
         else veg.totalPieces += qty;
       } else {
-        veg.totalWeightKg += (CONFIG.weightToKg.get(item.weight) || 0) * item.quantity;
+        veg.totalWeightKg += weightKg(item.weight) * item.quantity;
       }
       veg.orders++;
     }
@@ -1928,7 +3343,7 @@ export const getOrdersByStatus = asyncHandler(async (req, res) => {
         else if (item.setUnit === "bundles") veg.totalBundles += qty;
         else veg.totalPieces += qty;
       } else {
-        veg.totalWeightKg += (CONFIG.weightToKg.get(item.weight) || 0) * item.quantity;
+        veg.totalWeightKg += weightKg(item.weight) * item.quantity;
       }
       veg.orders++;
     }
@@ -0,0 +1,231 @@
+import PricingRule from "../Model/pricingRule.js";
+import Vegetable from "../Model/vegetable.js";
+import { invalidatePricingRulesCache } from "./order.js";
+import { asyncHandler } from "../utility/AsyncHandler.js";
+import { ApiResponse } from "../utility/ApiResponse.js";
+import { ApiError } from "../utility/ApiError.js";
+import mongoose from "mongoose";
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+const EDITABLE_FIELDS = [
+  "name",
+  "type",
+  "vegetables",
+  "adjustment",
+  "effectiveFrom",
+  "effectiveTo",
+  "timeWindow",
+  "daysOfWeek",
+  "stockAbove",
+  "priority",
+];
+
+const pickFields = (body) =>
+  Object.fromEntries(
+    EDITABLE_FIELDS.filter((key) => body[key] !== undefined).map((key) => [key, body[key]])
+  );
+
+const parseAt = (value) => {
+  if (!value) return new Date();
+  const at = new Date(value);
+  if (isNaN(at)) throw new ApiError(400, "Invalid preview time");
+  return at;
+};
+
+const saveRule = async (rule) => {
+  if (rule.vegetables?.some((id) => !isValidId(id))) throw new ApiError(400, "Invalid vegetable id");
+  try {
+    await rule.save();
+  } catch (err) {
+    if (err.name === "ValidationError" || err.name === "CastError") throw new ApiError(400, err.message);
+    throw err;
+  }
+};
+
+// Price table a customer would see: one row per weight variant or per set
+const priceTable = (veg) =>
+  veg.setPricing?.enabled
+    ? (veg.setPricing.sets || []).map((set, i) => ({
+        set: `set${i}`,
+        label: set.label || `${set.quantity} ${set.unit}`,
+        price: set.price,
+      }))
+    : Vegetable.variantsOf(veg).map((v) => ({ weight: v.label, price: v.price }));
+
+// ─────────────────────────────────────────────────────────────────────────────
+// RULES
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @desc    List pricing rules
+ * @route   GET /api/pricing-rules?active=true|false&type=&vegetableId=
+ * @access  Private/Admin
+ */
+export const getPricingRules = asyncHandler(async (req, res) => {
+  const { active, type, vegetableId } = req.query;
+
+  const filter = {};
+  if (active !== undefined) filter.isActive = active === "true";
+  if (type) filter.type = type;
+  if (vegetableId) {
+    if (!isValidId(vegetableId)) throw new ApiError(400, "Invalid vegetableId");
+    // Rules with no vegetables apply to all of them
+    filter.$or = [{ vegetables: vegetableId }, { vegetables: { $size: 0 } }];
+  }
+
+  const rules = await PricingRule.find(filter)
+    .sort({ isActive: -1, priority: -1, createdAt: -1 })
+    .populate("vegetables", "name")
+    .lean();
+
+  return res.status(200).json(new ApiResponse(200, rules, "Pricing rules fetched successfully"));
+});
+
+/**
+ * @desc    Create a pricing rule. Rules start inactive; preview, then activate.
+ * @route   POST /api/pricing-rules
+ * @access  Private/Admin
+ */
+export const createPricingRule = asyncHandler(async (req, res) => {
+  const rule = new PricingRule({ ...pickFields(req.body), createdBy: req.user.id });
+  await saveRule(rule);
+
+  return res.status(201).json(new ApiResponse(201, rule, "Pricing rule created (inactive)"));
+});
+
+/**
+ * @desc    Update a pricing rule
+ * @route   PATCH /api/pricing-rules/:id
+ * @access  Private/Admin
+ */
+export const updatePricingRule = asyncHandler(async (req, res) => {
+  if (!isValidId(req.params.id)) throw new ApiError(400, "Invalid rule id");
+
+  const rule = await PricingRule.findById(req.params.id);
+  if (!rule) throw new ApiError(404, "Pricing rule not found");
+
+  rule.set(pickFields(req.body));
+  await saveRule(rule);
+  if (rule.isActive) await invalidatePricingRulesCache();
+
+  return res.status(200).json(new ApiResponse(200, rule, "Pricing rule updated successfully"));
+});
+
+/**
+ * @desc    Activate or deactivate a pricing rule
+ * @route   POST /api/pricing-rules/:id/activate | /api/pricing-rules/:id/deactivate
+ * @access  Private/Admin
+ */
+export const setPricingRuleActive = (isActive) =>
+  asyncHandler(async (req, res) => {
+    if (!isValidId(req.params.id)) throw new ApiError(400, "Invalid rule id");
+
+    const rule = await PricingRule.findById(req.params.id);
+    if (!rule) throw new ApiError(404, "Pricing rule not found");
+    if (isActive && rule.effectiveTo && rule.effectiveTo < new Date())
+      throw new ApiError(409, "Rule has already expired");
+
+    rule.isActive = isActive;
+    rule.activatedAt = isActive ? new Date() : null;
+    await rule.save();
+    await invalidatePricingRulesCache();
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, rule, isActive ? "Pricing rule activated" : "Pricing rule deactivated"));
+  });
+
+/**
+ * @desc    Delete a pricing rule
+ * @route   DELETE /api/pricing-rules/:id
+ * @access  Private/Admin
+ */
+export const deletePricingRule = asyncHandler(async (req, res) => {
+  if (!isValidId(req.params.id)) throw new ApiError(400, "Invalid rule id");
+
+  const rule = await PricingRule.findByIdAndDelete(req.params.id);
+  if (!rule) throw new ApiError(404, "Pricing rule not found");
+  if (rule.isActive) await invalidatePricingRulesCache();
+
+  return res.status(200).json(new ApiResponse(200, null, "Pricing rule deleted"));
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PREVIEW
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @desc    Price table with and without a rule, at a given moment. Pass the
+ *          id of a saved rule or an unsaved rule body. Other active rules
+ *          are applied on both sides.
+ * @route   POST /api/pricing-rules/preview
+ * @body    { ruleId? | rule?, at?, vegetableIds?, includeUnchanged? }
+ * @access  Private/Admin
+ */
+export const previewPricingRule = asyncHandler(async (req, res) => {
+  const { ruleId, rule: draft, vegetableIds, includeUnchanged = false } = req.body;
+  const at = parseAt(req.body.at);
+
+  let candidate;
+  if (ruleId) {
+    if (!isValidId(ruleId)) throw new ApiError(400, "Invalid rule id");
+    candidate = await PricingRule.findById(ruleId).lean();
+    if (!candidate) throw new ApiError(404, "Pricing rule not found");
+  } else if (draft) {
+    const doc = new PricingRule(pickFields(draft));
+    try {
+      await doc.validate();
+    } catch (err) {
+      throw new ApiError(400, err.message);
+    }
+    candidate = doc.toObject();
+  } else {
+    throw new ApiError(400, "ruleId or rule required");
+  }
+
+  const vegFilter = candidate.vegetables?.length
+    ? { _id: { $in: candidate.vegetables } }
+    : Array.isArray(vegetableIds) && vegetableIds.length
+      ? { _id: { $in: vegetableIds.filter(isValidId) } }
+      : {};
+
+  const [vegetables, active] = await Promise.all([
+    Vegetable.find(vegFilter, "name prices marketPrices weightVariants setPricing stockKg stockPieces").sort({ name: 1 }).lean(),
+    PricingRule.find({ isActive: true, _id: { $ne: candidate._id } }).lean(),
+  ]);
+
+  const rows = vegetables.map((veg) => {
+    const current = PricingRule.priceVegetable(veg, active, at);
+    const preview = PricingRule.priceVegetable(veg, [...active, candidate], at);
+    const before = priceTable(current);
+    const after = priceTable(preview);
+
+    return {
+      vegetable: veg._id,
+      name: veg.name,
+      unit: veg.setPricing?.enabled ? "set" : "weight",
+      base: priceTable(veg),
+      current: before,
+      preview: after,
+      changed: JSON.stringify(before) !== JSON.stringify(after),
+      ruleApplies: preview.appliedRules.some((r) => r._id?.toString() === candidate._id.toString()),
+      appliedRules: preview.appliedRules,
+    };
+  });
+
+  const changed = rows.filter((row) => row.changed);
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        at,
+        rule: candidate,
+        summary: { vegetables: rows.length, changed: changed.length },
+        items: includeUnchanged ? rows : changed,
+      },
+      "Pricing preview generated"
+    )
+  );
+});
@@ -0,0 +1,321 @@
+import Purchase from "../Model/purchase.js";
+import Vegetable from "../Model/vegetable.js";
+import StockMovement from "../Model/stockMovement.js";
+import Supplier from "../Model/supplier.js";
+import SupplierPrice from "../Model/supplierPrice.js";
+import { invalidateVegetableCache } from "./order.js";
+import { asyncHandler } from "../utility/AsyncHandler.js";
+import { ApiResponse } from "../utility/ApiResponse.js";
+import { ApiError } from "../utility/ApiError.js";
+import mongoose from "mongoose";
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+const unitFor = (vegetable) => (vegetable.setPricing?.enabled ? "pieces" : "kg");
+
+const parseDay = (value, endOfDay = false) => {
+  const day = new Date(value);
+  if (isNaN(day)) throw new ApiError(400, "Invalid date");
+  if (endOfDay) day.setHours(23, 59, 59, 999);
+  return day;
+};
+
+/**
+ * Mark a pending purchase received, add it to the vegetable's stock and
+ * record the receipt in the stock ledger. Runs inside the caller's session.
+ */
+const receivePurchase = async (purchaseId, actor, session) => {
+  const purchase = await Purchase.findOneAndUpdate(
+    { _id: purchaseId, status: "pending" },
+    { $set: { status: "received", receivedAt: new Date(), receivedBy: actor } },
+    { new: true, session }
+  );
+  if (!purchase) {
+    const exists = await Purchase.exists({ _id: purchaseId }).session(session);
+    throw new ApiError(exists ? 409 : 404, exists ? "Purchase is not pending" : "Purchase not found");
+  }
+
+  const field = purchase.unit === "kg" ? "stockKg" : "stockPieces";
+  const vegetable = await Vegetable.findByIdAndUpdate(
+    purchase.vegetable,
+    { $inc: { [field]: purchase.quantity } },
+    { new: true, session }
+  );
+  if (!vegetable) throw new ApiError(404, "Vegetable not found");
+
+  // A small receipt into negative or near-empty stock can leave it out of stock
+  const outOfStock = purchase.unit === "kg" ? vegetable.stockKg < 0.25 : vegetable.stockPieces <= 0;
+  if (outOfStock !== vegetable.outOfStock) {
+    await Vegetable.updateOne({ _id: vegetable._id }, { $set: { outOfStock } }, { session });
+    vegetable.outOfStock = outOfStock;
+  }
+
+  await StockMovement.recordChanges(
+    [
+      {
+        vegetable: vegetable._id,
+        unit: purchase.unit,
+        before: vegetable[field] - purchase.quantity,
+        after: vegetable[field],
+      },
+    ],
+    {
+      type: "purchase_receipt",
+      actor,
+      reference: { kind: "Purchase", id: purchase._id, code: purchase.invoiceNumber },
+      note: `Received from ${purchase.supplier}`,
+    },
+    session
+  );
+
+  return { purchase, vegetable };
+};
+
+// Run receivePurchase in its own transaction and clear the vegetable cache after commit
+const receiveInTransaction = async (purchaseId, actor) => {
+  const session = await mongoose.startSession();
+  try {
+    session.startTransaction();
+    const result = await receivePurchase(purchaseId, actor, session);
+    await session.commitTransaction();
+    await invalidateVegetableCache(result.vegetable._id.toString());
+    return result;
+  } catch (err) {
+    await session.abortTransaction();
+    throw err;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Create a purchase, optionally receive it, and add the price paid to the
+ * supplier's history in one transaction: a failure leaves nothing behind, so
+ * a retry cannot receive the stock twice
+ */
+const createInTransaction = async (fields, { receive, actor }) => {
+  const session = await mongoose.startSession();
+  try {
+    session.startTransaction();
+    let [purchase] = await Purchase.create([fields], { session });
+    if (receive) ({ purchase } = await receivePurchase(purchase._id, actor, session));
+
+    if (fields.supplierRef) {
+      await SupplierPrice.record(
+        {
+          supplier: fields.supplierRef,
+          vegetable: fields.vegetable,
+          unit: fields.unit,
+          price: purchase.unitCost,
+          date: purchase.purchaseDate,
+          source: "purchase",
+          recordedBy: actor,
+        },
+        session
+      );
+      await Supplier.updateOne(
+        { _id: fields.supplierRef },
+        { $addToSet: { vegetables: fields.vegetable } },
+        { session }
+      );
+    }
+
+    await session.commitTransaction();
+    if (receive) await invalidateVegetableCache(fields.vegetable.toString());
+    return purchase;
+  } catch (err) {
+    await session.abortTransaction();
+    throw err;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * @desc    Record a mandi purchase. Pass receive=true when the produce is
+ *          already in the store to add it to stock straight away.
+ * @route   POST /api/purchases
+ *          With a supplierId the price paid is added to that supplier's price history.
+ * @body    { supplier | supplierId, vegetableId, quantity, unitCost, purchaseDate?, invoiceNumber?, notes?, receive? }
+ * @access  Private/Admin
+ */
+export const createPurchase = asyncHandler(async (req, res) => {
+  const { supplierId, vegetableId, quantity, unitCost, purchaseDate, invoiceNumber, notes, receive = false } =
+    req.body;
+  let { supplier } = req.body;
+
+  if (!isValidId(vegetableId)) throw new ApiError(400, "Valid vegetableId required");
+  if (!(Number(quantity) > 0)) throw new ApiError(400, "Quantity must be greater than 0");
+  if (!(Number(unitCost) >= 0)) throw new ApiError(400, "Unit cost must be 0 or more");
+
+  const vegetable = await Vegetable.findById(vegetableId, { name: 1, setPricing: 1 }).lean();
+  if (!vegetable) throw new ApiError(404, "Vegetable not found");
+
+  let supplierRef = null;
+  if (supplierId) {
+    if (!isValidId(supplierId)) throw new ApiError(400, "Invalid supplierId");
+    const registered = await Supplier.findById(supplierId, { name: 1 }).lean();
+    if (!registered) throw new ApiError(404, "Supplier not found");
+    supplierRef = registered._id;
+    supplier = registered.name;
+  }
+
+  const unit = unitFor(vegetable);
+  if (unit === "pieces" && !Number.isInteger(Number(quantity)))
+    throw new ApiError(400, `${vegetable.name} is stocked in pieces; quantity must be a whole number`);
+
+  const fields = {
+    supplier,
+    supplierRef,
+    vegetable: vegetable._id,
+    unit,
+    quantity: Number(quantity),
+    unitCost: Number(unitCost),
+    ...(purchaseDate && { purchaseDate: parseDay(purchaseDate) }),
+    invoiceNumber,
+    notes,
+    createdBy: req.user.id,
+  };
+
+  let purchase;
+  try {
+    purchase = await createInTransaction(fields, { receive, actor: req.user.id });
+  } catch (err) {
+    if (err.name === "ValidationError") throw new ApiError(400, err.message);
+    throw err;
+  }
+
+  return res
+    .status(201)
+    .json(
+      new ApiResponse(201, purchase, receive ? "Purchase recorded and received into stock" : "Purchase recorded")
+    );
+});
+
+/**
+ * @desc    Receive a pending purchase into stock
+ * @route   POST /api/purchases/:id/receive
+ * @access  Private/Admin
+ */
+export const receivePurchaseHandler = asyncHandler(async (req, res) => {
+  if (!isValidId(req.params.id)) throw new ApiError(400, "Invalid purchase id");
+
+  const { purchase, vegetable } = await receiveInTransaction(req.params.id, req.user.id);
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        purchase,
+        stock: {
+          vegetable: vegetable._id,
+          name: vegetable.name,
+          unit: purchase.unit,
+          current: purchase.unit === "kg" ? vegetable.stockKg : vegetable.stockPieces,
+        },
+      },
+      "Purchase received into stock"
+    )
+  );
+});
+
+/**
+ * @desc    Cancel a purchase that has not been received
+ * @route   POST /api/purchases/:id/cancel
+ * @access  Private/Admin
+ */
+export const cancelPurchase = asyncHandler(async (req, res) => {
+  if (!isValidId(req.params.id)) throw new ApiError(400, "Invalid purchase id");
+
+  const purchase = await Purchase.findOneAndUpdate(
+    { _id: req.params.id, status: "pending" },
+    { $set: { status: "cancelled" } },
+    { new: true }
+  );
+  if (!purchase) {
+    const exists = await Purchase.exists({ _id: req.params.id });
+    throw new ApiError(exists ? 409 : 404, exists ? "Only pending purchases can be cancelled" : "Purchase not found");
+  }
+
+  return res.status(200).json(new ApiResponse(200, purchase, "Purchase cancelled"));
+});
+
+/**
+ * @desc    List purchases
+ * @route   GET /api/purchases?vegetableId=&supplier=&supplierId=&status=&from=&to=&page=&limit=
+ * @access  Private/Admin
+ */
+export const getPurchases = asyncHandler(async (req, res) => {
+  const { vegetableId, supplier, status, from, to } = req.query;
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+
+  const filter = {};
+  if (vegetableId) {
+    if (!isValidId(vegetableId)) throw new ApiError(400, "Invalid vegetableId");
+    filter.vegetable = new mongoose.Types.ObjectId(vegetableId);
+  }
+  if (supplier !== undefined) {
+    if (typeof supplier !== "string") throw new ApiError(400, "supplier must be a single value");
+    if (supplier.trim()) filter.supplier = supplier.trim();
+  }
+  if (req.query.supplierId) {
+    if (!isValidId(req.query.supplierId)) throw new ApiError(400, "Invalid supplierId");
+    filter.supplierRef = new mongoose.Types.ObjectId(req.query.supplierId);
+  }
+  if (status !== undefined) {
+    const statuses = Purchase.schema.path("status").enumValues;
+    if (!statuses.includes(status)) throw new ApiError(400, `status must be one of: ${statuses.join(", ")}`);
+    filter.status = status;
+  }
+  if (from || to) {
+    filter.purchaseDate = {
+      ...(from && { $gte: parseDay(from) }),
+      ...(to && { $lte: parseDay(to, true) }),
+    };
+  }
+
+  const [purchases, total, totals] = await Promise.all([
+    Purchase.find(filter)
+      .sort({ purchaseDate: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate("vegetable", "name image")
+      .populate("receivedBy", "username")
+      .lean(),
+    Purchase.countDocuments(filter),
+    Purchase.aggregate([
+      { $match: filter },
+      { $group: { _id: "$status", spend: { $sum: "$totalCost" }, count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        purchases,
+        totals: Object.fromEntries(totals.map((t) => [t._id, { count: t.count, spend: t.spend }])),
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+      },
+      "Purchases fetched successfully"
+    )
+  );
+});
+
+/**
+ * @desc    Get a purchase
+ * @route   GET /api/purchases/:id
+ * @access  Private/Admin
+ */
+export const getPurchaseById = asyncHandler(async (req, res) => {
+  if (!isValidId(req.params.id)) throw new ApiError(400, "Invalid purchase id");
+
+  const purchase = await Purchase.findById(req.params.id)
+    .populate("vegetable", "name image stockKg stockPieces")
+    .populate("createdBy receivedBy", "username")
+    .lean();
+  if (!purchase) throw new ApiError(404, "Purchase not found");
+
+  return res.status(200).json(new ApiResponse(200, purchase, "Purchase fetched successfully"));
+});
@@ -1,4 +1,6 @@
 import Order from "../Model/order.js";
+import Vegetable from "../Model/vegetable.js";
+import Purchase from "../Model/purchase.js";
 import ExcelJS from "exceljs";
 import path from "path";
 import fs from "fs";
@@ -10,13 +12,119 @@ import { ApiResponse } from "../utility/ApiResponse.js";
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-/* ================= CONFIG ================= */
-const MIN_REDUCTION = 9;
-const MAX_REDUCTION = 12;
-const AVG_REDUCTION = 10;
+const round2 = (n) => parseFloat(n.toFixed(2));
 
-const randomReduction = () =>
-  Number((Math.random() * (MAX_REDUCTION - MIN_REDUCTION) + MIN_REDUCTION).toFixed(2));
+/* ==========================================
+   PURCHASE COST (FROM RECEIVED PURCHASES)
+========================================== */
+// Stock an order line used, in the unit the vegetable is bought in
+const lineUsage = (item, veg) => {
+  if (/^set\d+$/.test(item.weight)) {
+    const idx = item.setIndex ?? parseInt(item.weight.slice(3));
+    const pieces = veg?.setPricing?.sets?.[idx]?.quantity;
+    return pieces ? { unit: "pieces", quantity: pieces * item.quantity } : null;
+  }
+  const kg = Vegetable.labelToGrams(item.weight) / 1000;
+  return kg ? { unit: "kg", quantity: kg * item.quantity } : null;
+};
+
+/**
+ * Cost every order line at the weighted average price paid for that
+ * vegetable (see Purchase.averageUnitCosts) and total it per order and
+ * per vegetable. Lines with no purchase on record are left uncosted: their
+ * revenue is kept apart (uncostedRevenue) and listed, so profit and margin
+ * only cover revenue whose cost is known and are never silently overstated.
+ */
+const costOrders = async (orders, start, end) => {
+  const vegIds = [
+    ...new Set(orders.flatMap((o) => o.selectedVegetables.map((i) => i.vegetable.toString()))),
+  ];
+  const [vegetables, unitCosts] = await Promise.all([
+    Vegetable.find({ _id: { $in: vegIds } }, "name setPricing").lean(),
+    Purchase.averageUnitCosts(start, end),
+  ]);
+  const vegMap = new Map(vegetables.map((v) => [v._id.toString(), v]));
+
+  const orderCosts = new Map();
+  const rows = new Map();
+
+  for (const order of orders) {
+    const orderCost = { cost: 0, costedRevenue: 0, uncostedRevenue: 0 };
+
+    for (const item of order.selectedVegetables) {
+      const vegId = item.vegetable.toString();
+      const usage = lineUsage(item, vegMap.get(vegId));
+      if (!usage) {
+        orderCost.uncostedRevenue += item.subtotal || 0;
+        continue;
+      }
+
+      const key = `${vegId}:${usage.unit}`;
+      if (!rows.has(key)) {
+        rows.set(key, {
+          vegetable: vegId,
+          name: vegMap.get(vegId)?.name || "Deleted vegetable",
+          unit: usage.unit,
+          quantitySold: 0,
+          revenue: 0,
+          unitCost: unitCosts.get(key)?.unitCost ?? null,
+          purchaseCost: 0,
+        });
+      }
+
+      const row = rows.get(key);
+      row.quantitySold += usage.quantity;
+      row.revenue += item.subtotal || 0;
+      if (row.unitCost !== null) {
+        row.purchaseCost += usage.quantity * row.unitCost;
+        orderCost.cost += usage.quantity * row.unitCost;
+        orderCost.costedRevenue += item.subtotal || 0;
+      } else {
+        orderCost.uncostedRevenue += item.subtotal || 0;
+      }
+    }
+
+    orderCosts.set(order._id.toString(), orderCost);
+  }
+
+  const byVegetable = [...rows.values()]
+    .map((row) => ({
+      ...row,
+      quantitySold: parseFloat(row.quantitySold.toFixed(3)),
+      revenue: round2(row.revenue),
+      unitCost: row.unitCost === null ? null : round2(row.unitCost),
+      purchaseCost: round2(row.purchaseCost),
+      grossMargin: row.unitCost === null ? null : round2(row.revenue - row.purchaseCost),
+      marginPercent:
+        row.unitCost === null || !row.revenue
+          ? null
+          : round2(((row.revenue - row.purchaseCost) / row.revenue) * 100),
+    }))
+    .sort((a, b) => b.revenue - a.revenue);
+
+  const sum = (field) => [...orderCosts.values()].reduce((total, c) => total + c[field], 0);
+
+  return {
+    orderCosts,
+    byVegetable,
+    totalCost: sum("cost"),
+    costedRevenue: sum("costedRevenue"),
+    uncostedRevenue: sum("uncostedRevenue"),
+    uncosted: byVegetable.filter((row) => row.unitCost === null).map((row) => row.name),
+  };
+};
+
+// Gross profit and margin over the item revenue whose purchase cost is known
+const profitSummary = (costs) => {
+  const grossProfit = costs.costedRevenue - costs.totalCost;
+  return {
+    purchaseCost: round2(costs.totalCost),
+    costedRevenue: round2(costs.costedRevenue),
+    uncostedRevenue: round2(costs.uncostedRevenue),
+    grossProfit: round2(grossProfit),
+    grossMarginPercent: costs.costedRevenue ? round2((grossProfit / costs.costedRevenue) * 100) : 0,
+  };
+};
 
 /* ==========================================
    CALCULATE TOTAL REVENUE (EXCLUDING CANCELLED)
@@ -31,9 +139,11 @@ export const calculateTotalRevenue = asyncHandler(async (req, res) => {
     }
   };
 
+  let start = new Date(0);
+  let end = new Date();
   if (startDate && endDate) {
-    const start = new Date(startDate);
-    const end = new Date(endDate);
+    start = new Date(startDate);
+    end = new Date(endDate);
     end.setHours(23, 59, 59, 999);
     query.orderDate = { $gte: start, $lte: end };
   }
@@ -82,8 +192,7 @@ export const calculateTotalRevenue = asyncHandler(async (req, res) => {
   }, 0);
 
   const netRevenue = totalRevenue - totalCouponDiscount;
-  const estimatedPurchaseCost = totalRevenue * (1 - AVG_REDUCTION / 100);
-  const estimatedProfit = totalRevenue - estimatedPurchaseCost;
+  const costs = await costOrders(orders, start, end);
 
   return res.status(200).json(
     new ApiResponse(200, {
@@ -93,11 +202,11 @@ export const calculateTotalRevenue = asyncHandler(async (req, res) => {
       totalCouponDiscount: parseFloat(totalCouponDiscount.toFixed(2)),
       totalDeliveryCharges: parseFloat(totalDeliveryCharges.toFixed(2)),
       netRevenue: parseFloat(netRevenue.toFixed(2)),
-      estimatedPurchaseCost: parseFloat(estimatedPurchaseCost.toFixed(2)),
-      estimatedProfit: parseFloat(estimatedProfit.toFixed(2)),
+      ...profitSummary(costs),
       avgOrderValue: totalOrders ? parseFloat((totalRevenue / totalOrders).toFixed(2)) : 0,
-      avgReduction: `${AVG_REDUCTION}%`,
-      note: "Cancelled orders are excluded from all calculations"
+      vegetableMargins: costs.byVegetable,
+      uncostedVegetables: costs.uncosted,
+      note: "Cancelled orders are excluded from all calculations. Purchase cost uses the average price paid for each vegetable in the period; gross profit and margin cover item revenue with a known cost only (costedRevenue). Uncosted vegetables have no purchase on record; their revenue is reported as uncostedRevenue."
     }, "Revenue calculated successfully (cancelled orders excluded)")
   );
 });
@@ -128,6 +237,8 @@ export const generateDailyOrderReport = asyncHandler(async (req, res) => {
     throw new ApiError(404, "No non-cancelled orders found for selected range");
   }
 
+  const costs = await costOrders(orders, start, end);
+
   /* ---------- DAILY AGGREGATION ---------- */
   const dailyMap = new Map();
   const cursor = new Date(start);
@@ -139,7 +250,9 @@ export const generateDailyOrderReport = asyncHandler(async (req, res) => {
       revenue: 0,
       couponDiscount: 0,
       deliveryCharges: 0,
-      reduction: randomReduction(),
+      cost: 0,
+      costedRevenue: 0,
+      uncostedRevenue: 0,
     });
     cursor.setDate(cursor.getDate() + 1);
   }
@@ -159,6 +272,10 @@ export const generateDailyOrderReport = asyncHandler(async (req, res) => {
       day.revenue += order.totalAmount || 0;
       day.couponDiscount += order.couponDiscount || 0;
       day.deliveryCharges += order.deliveryCharges || 0;
+      const orderCost = costs.orderCosts.get(order._id.toString());
+      day.cost += orderCost?.cost || 0;
+      day.costedRevenue += orderCost?.costedRevenue || 0;
+      day.uncostedRevenue += orderCost?.uncostedRevenue || 0;
     }
   });
 
@@ -174,8 +291,10 @@ export const generateDailyOrderReport = asyncHandler(async (req, res) => {
     { header: "Coupon Discount (₹)", key: "couponDiscount", width: 18 },
     { header: "Delivery Charges (₹)", key: "deliveryCharges", width: 18 },
     { header: "Net Revenue (₹)", key: "netRevenue", width: 16 },
-    { header: "Reduction %", key: "reduction", width: 14 },
+    { header: "Costed Item Revenue (₹)", key: "costedRevenue", width: 22 },
+    { header: "Uncosted Item Revenue (₹)", key: "uncostedRevenue", width: 24 },
     { header: "Purchase Cost (₹)", key: "cost", width: 18 },
+    { header: "Margin %", key: "margin", width: 12 },
     { header: "Profit (₹)", key: "profit", width: 14 },
   ];
 
@@ -194,6 +313,12 @@ export const generateDailyOrderReport = asyncHandler(async (req, res) => {
   let totalCouponDiscount = 0;
   let totalDeliveryCharges = 0;
   let totalCost = 0;
+  let totalCostedRevenue = 0;
+  let totalUncostedRevenue = 0;
+
+  // Profit and margin only over item revenue whose purchase cost is known
+  const marginText = (profit, costedRevenue) =>
+    costedRevenue > 0 ? `${((profit / costedRevenue) * 100).toFixed(2)}%` : "";
 
   // Add daily rows
   [...dailyMap.keys()].sort().forEach((date) => {
@@ -202,15 +327,16 @@ export const generateDailyOrderReport = asyncHandler(async (req, res) => {
     const couponDiscount = day.couponDiscount;
     const deliveryCharges = day.deliveryCharges;
     const netRevenue = revenue - couponDiscount;
-    const reduction = revenue > 0 ? day.reduction : 0;
-    const cost = revenue * (1 - reduction / 100);
-    const profit = revenue - cost;
+    const cost = day.cost;
+    const profit = day.costedRevenue - cost;
 
     totalOrders += day.orders;
     totalRevenue += revenue;
     totalCouponDiscount += couponDiscount;
     totalDeliveryCharges += deliveryCharges;
     totalCost += cost;
+    totalCostedRevenue += day.costedRevenue;
+    totalUncostedRevenue += day.uncostedRevenue;
 
     const row = ws.addRow({
       date,
@@ -220,8 +346,10 @@ export const generateDailyOrderReport = asyncHandler(async (req, res) => {
       couponDiscount: couponDiscount.toFixed(2),
       deliveryCharges: deliveryCharges.toFixed(2),
       netRevenue: netRevenue.toFixed(2),
-      reduction: reduction ? `${reduction}%` : "",
+      costedRevenue: day.costedRevenue.toFixed(2),
+      uncostedRevenue: day.uncostedRevenue.toFixed(2),
       cost: cost.toFixed(2),
+      margin: marginText(profit, day.costedRevenue),
       profit: profit.toFixed(2),
     });
 
@@ -244,8 +372,11 @@ export const generateDailyOrderReport = asyncHandler(async (req, res) => {
     couponDiscount: totalCouponDiscount.toFixed(2),
     deliveryCharges: totalDeliveryCharges.toFixed(2),
     netRevenue: (totalRevenue - totalCouponDiscount).toFixed(2),
+    costedRevenue: totalCostedRevenue.toFixed(2),
+    uncostedRevenue: totalUncostedRevenue.toFixed(2),
     cost: totalCost.toFixed(2),
-    profit: (totalRevenue - totalCost).toFixed(2),
+    margin: marginText(totalCostedRevenue - totalCost, totalCostedRevenue),
+    profit: (totalCostedRevenue - totalCost).toFixed(2),
   });
 
   totalRow.font = { bold: true, size: 12 };
@@ -275,7 +406,46 @@ export const generateDailyOrderReport = asyncHandler(async (req, res) => {
     date: "NOTE: Cancelled orders are excluded from all calculations above",
   });
   noteRow.font = { italic: true, color: { argb: "FFFF0000" } };
-  ws.mergeCells(`A${ws.rowCount}:J${ws.rowCount}`);
+  ws.mergeCells(`A${ws.rowCount}:L${ws.rowCount}`);
+
+  if (costs.uncosted.length) {
+    const uncostedRow = ws.addRow({
+      date: `NOTE: No purchases recorded for ${costs.uncosted.join(", ")}; their revenue is shown as uncosted and left out of profit and margin`,
+    });
+    uncostedRow.font = { italic: true, color: { argb: "FFFF0000" } };
+    ws.mergeCells(`A${ws.rowCount}:L${ws.rowCount}`);
+  }
+
+  /* ---------- PER-VEGETABLE MARGIN SHEET ---------- */
+  const vs = wb.addWorksheet("Vegetable Margins");
+
+  vs.columns = [
+    { header: "Vegetable", key: "name", width: 22 },
+    { header: "Unit", key: "unit", width: 10 },
+    { header: "Quantity Sold", key: "quantitySold", width: 14 },
+    { header: "Revenue (₹)", key: "revenue", width: 16 },
+    { header: "Avg Unit Cost (₹)", key: "unitCost", width: 18 },
+    { header: "Purchase Cost (₹)", key: "purchaseCost", width: 18 },
+    { header: "Gross Margin (₹)", key: "grossMargin", width: 18 },
+    { header: "Margin %", key: "marginPercent", width: 12 },
+  ];
+
+  vs.getRow(1).font = { bold: true, color: { argb: "FFFFFFFF" } };
+  vs.getRow(1).fill = {
+    type: "pattern",
+    pattern: "solid",
+    fgColor: { argb: "FF4472C4" },
+  };
+
+  costs.byVegetable.forEach((row) => {
+    vs.addRow({
+      ...row,
+      unitCost: row.unitCost ?? "No purchases",
+      purchaseCost: row.unitCost === null ? "" : row.purchaseCost,
+      grossMargin: row.grossMargin ?? "",
+      marginPercent: row.marginPercent === null ? "" : `${row.marginPercent}%`,
+    });
+  });
 
   /* ---------- FILE GENERATION ---------- */
   const tempDir = path.join(__dirname, "../temp");
@@ -324,8 +494,7 @@ export const getReportStats = asyncHandler(async (req, res) => {
   const totalDeliveryCharges = orders.reduce((sum, order) => sum + (order.deliveryCharges || 0), 0);
 
   const netRevenue = totalRevenue - totalCouponDiscount;
-  const estimatedPurchaseCost = totalRevenue * (1 - AVG_REDUCTION / 100);
-  const estimatedProfit = totalRevenue - estimatedPurchaseCost;
+  const costs = await costOrders(orders, start, end);
 
   return res.status(200).json(
     new ApiResponse(200, {
@@ -335,10 +504,9 @@ export const getReportStats = asyncHandler(async (req, res) => {
       totalCouponDiscount: parseFloat(totalCouponDiscount.toFixed(2)),
       totalDeliveryCharges: parseFloat(totalDeliveryCharges.toFixed(2)),
       netRevenue: parseFloat(netRevenue.toFixed(2)),
-      estimatedPurchaseCost: parseFloat(estimatedPurchaseCost.toFixed(2)),
-      estimatedProfit: parseFloat(estimatedProfit.toFixed(2)),
+      ...profitSummary(costs),
       avgOrderValue: totalOrders ? parseFloat((totalRevenue / totalOrders).toFixed(2)) : 0,
-      avgReduction: `${AVG_REDUCTION}%`,
+      uncostedVegetables: costs.uncosted,
       note: "Cancelled orders excluded"
     }, "Report statistics fetched (cancelled orders excluded)")
   );
@@ -371,12 +539,23 @@ export const getCancelledOrdersReport = asyncHandler(async (req, res) => {
     return sum + (order.totalAmount || 0);
   }, 0);
 
+  // Group by cancellation reason (orders cancelled before reasons were recorded fall under "Not specified")
+  const reasonBreakdown = cancelledOrders.reduce((acc, order) => {
+    const reason = order.cancellation?.reason || "Not specified";
+    acc[reason] = (acc[reason] || 0) + 1;
+    return acc;
+  }, {});
+
   return res.status(200).json(
     new ApiResponse(200, {
       dateRange: { start: startDate, end: endDate },
       totalCancelledOrders,
       potentialLostRevenue: parseFloat(potentialLostRevenue.toFixed(2)),
-      orders: cancelledOrders,
+      reasonBreakdown,
+      orders: cancelledOrders.map((order) => ({
+        ...order.toObject(),
+        cancellationReason: order.cancellation?.reason || null,
+      })),
     }, "Cancelled orders report fetched successfully")
   );
 });
@@ -0,0 +1,538 @@
+import Subscription from "../Model/subscription.js";
+import Basket from "../Model/basket.js";
+import Vegetable from "../Model/vegetable.js";
+import Address from "../Model/address.js";
+import DeliverySlot from "../Model/deliverySlot.js";
+import { asyncHandler } from "../utility/AsyncHandler.js";
+import { ApiResponse } from "../utility/ApiResponse.js";
+import { ApiError } from "../utility/ApiError.js";
+import { placeOrder } from "./order.js";
+import mongoose from "mongoose";
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONSTANTS & CONFIG
+// ─────────────────────────────────────────────────────────────────────────────
+const CONFIG = Object.freeze({
+  // Orders are materialised this many hours before the delivery day starts
+  leadHours: parseInt(process.env.SUBSCRIPTION_LEAD_HOURS) || 12,
+  schedulerIntervalMinutes: parseInt(process.env.SUBSCRIPTION_SCHEDULER_INTERVAL_MINUTES) || 15,
+  batchSize: 100,
+  historyLimit: 52,
+  maxActivePerUser: 5,
+  maxUpcomingDays: 60,
+});
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+const tomorrow = () => {
+  const day = DeliverySlot.toDeliveryDate(new Date());
+  day.setDate(day.getDate() + 1);
+  return day;
+};
+
+const findOwnedSubscription = async (req) => {
+  const { id } = req.params;
+  if (!isValidId(id)) throw new ApiError(400, "Invalid subscription ID");
+
+  const subscription = await Subscription.findById(id);
+  if (!subscription) throw new ApiError(404, "Subscription not found");
+
+  if (req.user.role !== "admin" && subscription.user.toString() !== req.user.id.toString())
+    throw new ApiError(403, "Access denied");
+
+  return subscription;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SCHEDULER — materialises due deliveries through the addOrder pipeline
+// ─────────────────────────────────────────────────────────────────────────────
+const recordDelivery = (subscriptionId, entry, extraSet = {}) =>
+  Subscription.updateOne(
+    { _id: subscriptionId },
+    {
+      $set: extraSet,
+      $push: { history: { $each: [entry], $slice: -CONFIG.historyLimit } },
+    }
+  );
+
+const materialiseDelivery = async (sub) => {
+  const deliveryDate = sub.nextDeliveryDate;
+
+  // Claim this delivery by advancing the schedule; a concurrent run sees a
+  // different nextDeliveryDate and skips the subscription
+  const claimed = await Subscription.findOneAndUpdate(
+    { _id: sub._id, status: "active", nextDeliveryDate: deliveryDate },
+    {
+      $set: { nextDeliveryDate: Subscription.nextOccurrence(deliveryDate, sub.frequency) },
+      $pull: { skipDates: deliveryDate },
+    }
+  );
+  if (!claimed) return null;
+
+  if (deliveryDate < DeliverySlot.toDeliveryDate(new Date())) {
+    await recordDelivery(sub._id, {
+      deliveryDate,
+      outcome: "skipped",
+      message: "Delivery date passed before the order could be created",
+    });
+    return "skipped";
+  }
+
+  if (claimed.isSkipped(deliveryDate)) {
+    await recordDelivery(sub._id, { deliveryDate, outcome: "skipped", message: "Skipped by customer" });
+    return "skipped";
+  }
+
+  let result;
+  try {
+    result = await placeOrder(
+      {
+        customerInfo: sub.user.toString(),
+        orderType: sub.orderType,
+        selectedBasket: sub.selectedBasket?.toString(),
+        selectedVegetables: sub.selectedVegetables.map((item) => ({
+          vegetable: item.vegetable.toString(),
+          weight: item.weight,
+          quantity: item.quantity,
+        })),
+        paymentMethod: sub.paymentMethod,
+        couponCode: sub.couponCode,
+        deliveryAddressId: sub.deliveryAddressId,
+        deliverySlotId: sub.deliverySlot,
+        deliveryDate,
+      },
+      {
+        subscription: sub._id,
+        DeliveryTimeSlot: sub.DeliveryTimeSlot,
+        dropInvalidCoupon: true,
+      }
+    );
+  } catch (err) {
+    result = { success: false, message: err.message };
+  }
+
+  if (!result.success) {
+    await recordDelivery(sub._id, { deliveryDate, outcome: "failed", message: result.message });
+    return "failed";
+  }
+
+  const order = result.data;
+  await recordDelivery(
+    sub._id,
+    { deliveryDate, outcome: "created", order: order._id, orderId: order.orderId },
+    { lastOrder: order._id }
+  );
+  return "created";
+};
+
+/**
+ * One scheduler pass: resume subscriptions whose pause has ended and create
+ * orders for deliveries inside the lead window
+ * @returns {Promise<{resumed: number, created: number, skipped: number, failed: number}>}
+ */
+export const runSubscriptionScheduler = async () => {
+  const now = new Date();
+  const summary = { resumed: 0, created: 0, skipped: 0, failed: 0 };
+
+  // ── Auto-resume ─────────────────────────────────────────────────────────
+  const resumable = await Subscription.find({
+    status: "paused",
+    pausedUntil: { $ne: null, $lte: now },
+  })
+    .limit(CONFIG.batchSize)
+    .lean();
+
+  for (const sub of resumable) {
+    const resumed = await Subscription.updateOne(
+      { _id: sub._id, status: "paused", pausedUntil: sub.pausedUntil },
+      {
+        $set: {
+          status: "active",
+          pausedUntil: null,
+          nextDeliveryDate: Subscription.rollForward(sub.nextDeliveryDate, sub.frequency, sub.pausedUntil),
+        },
+      }
+    );
+    summary.resumed += resumed.modifiedCount;
+  }
+
+  // ── Due deliveries ──────────────────────────────────────────────────────
+  const horizon = new Date(now.getTime() + CONFIG.leadHours * 60 * 60 * 1000);
+  const due = await Subscription.find({
+    status: "active",
+    nextDeliveryDate: { $lte: horizon },
+  })
+    .sort({ nextDeliveryDate: 1 })
+    .limit(CONFIG.batchSize);
+
+  for (const sub of due) {
+    try {
+      const outcome = await materialiseDelivery(sub);
+      if (outcome) summary[outcome] += 1;
+    } catch (err) {
+      console.error(`[subscriptions] Delivery for ${sub._id} failed:`, err.message);
+      summary.failed += 1;
+    }
+  }
+
+  return summary;
+};
+
+let schedulerTimer = null;
+let schedulerRunning = false;
+
+/**
+ * Start the in-process scheduler timer (idempotent). Disabled with
+ * SUBSCRIPTION_SCHEDULER_ENABLED=false.
+ */
+export const startSubscriptionScheduler = () => {
+  if (schedulerTimer || process.env.SUBSCRIPTION_SCHEDULER_ENABLED === "false") return;
+
+  const tick = async () => {
+    if (schedulerRunning) return;
+    schedulerRunning = true;
+    try {
+      const summary = await runSubscriptionScheduler();
+      if (summary.created || summary.failed)
+        console.log(
+          `[subscriptions] Created ${summary.created}, failed ${summary.failed}, skipped ${summary.skipped}`
+        );
+    } catch (err) {
+      console.error("[subscriptions] Scheduler run failed:", err.message);
+    } finally {
+      schedulerRunning = false;
+    }
+  };
+
+  schedulerTimer = setInterval(tick, CONFIG.schedulerIntervalMinutes * 60 * 1000);
+  schedulerTimer.unref();
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CUSTOMER CONTROLLERS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @desc    Create a subscription
+ * @route   POST /api/subscriptions
+ * @access  Private
+ */
+export const createSubscription = asyncHandler(async (req, res) => {
+  const {
+    orderType = "custom",
+    selectedBasket,
+    selectedVegetables,
+    frequency = "weekly",
+    DeliveryTimeSlot,
+    deliverySlotId,
+    deliveryAddressId,
+    paymentMethod = "COD",
+    couponCode,
+    startDate,
+  } = req.body;
+
+  if (!["basket", "custom"].includes(orderType))
+    throw new ApiError(400, "Invalid order type");
+  if (!["weekly", "biweekly", "monthly"].includes(frequency))
+    throw new ApiError(400, "Frequency must be weekly, biweekly or monthly");
+  // A configured DeliverySlot, by id or by its label for the delivery address
+  const slotLabel = typeof DeliveryTimeSlot === "string" ? DeliveryTimeSlot.trim() : "";
+  if (deliverySlotId ? !isValidId(deliverySlotId) : !slotLabel)
+    throw new ApiError(400, "Invalid delivery time slot");
+  if (!["COD", "WALLET", "WALLET_COD"].includes(paymentMethod))
+    throw new ApiError(400, "Subscriptions support COD, WALLET or WALLET_COD payments");
+  if (!Array.isArray(selectedVegetables) || !selectedVegetables.length)
+    throw new ApiError(400, "Items required");
+  if (!isValidId(deliveryAddressId))
+    throw new ApiError(400, "Delivery address required");
+
+  const items = selectedVegetables.map((item) => ({
+    vegetable: item.vegetable?._id || item.vegetable || item.vegetableId,
+    weight: item.weight || "1kg",
+    quantity: item.quantity || 1,
+  }));
+  if (items.some((item) => !isValidId(item.vegetable)))
+    throw new ApiError(400, "Invalid vegetable in items");
+
+  const vegIds = [...new Set(items.map((item) => item.vegetable.toString()))];
+
+  const [address, basketExists, vegetableCount, activeCount, slots] = await Promise.all([
+    Address.findOne(
+      { _id: deliveryAddressId, user: req.user.id },
+      { city: 1, area: 1, deliveryZone: 1 }
+    ).lean(),
+    orderType === "basket" && isValidId(selectedBasket)
+      ? Basket.exists({ _id: selectedBasket })
+      : null,
+    Vegetable.countDocuments({ _id: { $in: vegIds } }),
+    Subscription.countDocuments({ user: req.user.id, status: { $ne: "cancelled" } }),
+    DeliverySlot.find(
+      deliverySlotId ? { _id: deliverySlotId, isActive: true } : { label: slotLabel, isActive: true }
+    ),
+  ]);
+
+  if (!address) throw new ApiError(404, "Delivery address not found");
+  if (!slots.length) throw new ApiError(404, "Delivery slot not found");
+  const slot = slots.find((s) => s.servesAddress(address));
+  if (!slot) throw new ApiError(400, "Delivery slot does not serve this address");
+  if (orderType === "basket" && !basketExists) throw new ApiError(404, "Basket not found");
+  if (vegetableCount !== vegIds.length) throw new ApiError(404, "Some vegetables were not found");
+  if (activeCount >= CONFIG.maxActivePerUser)
+    throw new ApiError(400, `Maximum ${CONFIG.maxActivePerUser} subscriptions allowed`);
+
+  const firstDelivery = DeliverySlot.toDeliveryDate(startDate || tomorrow());
+  if (!firstDelivery || firstDelivery < tomorrow())
+    throw new ApiError(400, "Start date must be tomorrow or later");
+
+  const subscription = await Subscription.create({
+    user: req.user.id,
+    orderType,
+    ...(orderType === "basket" && { selectedBasket }),
+    selectedVegetables: items,
+    frequency,
+    DeliveryTimeSlot: slot.label,
+    deliverySlot: slot._id,
+    deliveryAddressId,
+    paymentMethod,
+    couponCode: couponCode || null,
+    startDate: firstDelivery,
+    nextDeliveryDate: firstDelivery,
+  });
+
+  res.status(201).json(new ApiResponse(201, subscription, "Subscription created"));
+});
+
+/**
+ * @desc    List the logged-in user's subscriptions
+ * @route   GET /api/subscriptions/my
+ * @access  Private
+ */
+export const getMySubscriptions = asyncHandler(async (req, res) => {
+  const filter = { user: req.user.id };
+  if (req.query.status) filter.status = String(req.query.status);
+
+  const subscriptions = await Subscription.find(filter)
+    .populate("selectedBasket", "title price")
+    .populate("selectedVegetables.vegetable", "name image")
+    .populate("deliveryAddressId")
+    .sort({ createdAt: -1 });
+
+  res.status(200).json(new ApiResponse(200, subscriptions, "Subscriptions fetched"));
+});
+
+/**
+ * @desc    Get one subscription with its delivery history
+ * @route   GET /api/subscriptions/:id
+ * @access  Private (owner or admin)
+ */
+export const getSubscriptionById = asyncHandler(async (req, res) => {
+  const subscription = await findOwnedSubscription(req);
+
+  await subscription.populate([
+    { path: "selectedBasket", select: "title price" },
+    { path: "selectedVegetables.vegetable", select: "name image" },
+    { path: "deliveryAddressId" },
+  ]);
+
+  res.status(200).json(new ApiResponse(200, subscription, "Subscription fetched"));
+});
+
+/**
+ * @desc    Pause deliveries, optionally until a date (resumes automatically)
+ * @route   POST /api/subscriptions/:id/pause
+ * @access  Private (owner or admin)
+ */
+export const pauseSubscription = asyncHandler(async (req, res) => {
+  const subscription = await findOwnedSubscription(req);
+  if (subscription.status !== "active")
+    throw new ApiError(409, `Only active subscriptions can be paused (status: ${subscription.status})`);
+
+  let pausedUntil = null;
+  if (req.body?.until) {
+    pausedUntil = DeliverySlot.toDeliveryDate(req.body.until);
+    if (!pausedUntil || pausedUntil < tomorrow())
+      throw new ApiError(400, "Pause end date must be in the future");
+  }
+
+  subscription.status = "paused";
+  subscription.pausedUntil = pausedUntil;
+  await subscription.save();
+
+  res.status(200).json(new ApiResponse(200, subscription, "Subscription paused"));
+});
+
+/**
+ * @desc    Resume a paused subscription
+ * @route   POST /api/subscriptions/:id/resume
+ * @access  Private (owner or admin)
+ */
+export const resumeSubscription = asyncHandler(async (req, res) => {
+  const subscription = await findOwnedSubscription(req);
+  if (subscription.status !== "paused")
+    throw new ApiError(409, "Subscription is not paused");
+
+  subscription.status = "active";
+  subscription.pausedUntil = null;
+  subscription.nextDeliveryDate = Subscription.rollForward(
+    subscription.nextDeliveryDate,
+    subscription.frequency,
+    tomorrow()
+  );
+  await subscription.save();
+
+  res.status(200).json(new ApiResponse(200, subscription, "Subscription resumed"));
+});
+
+/**
+ * @desc    Skip the next delivery (or a specific upcoming delivery date)
+ * @route   POST /api/subscriptions/:id/skip
+ * @access  Private (owner or admin)
+ */
+export const skipSubscriptionDelivery = asyncHandler(async (req, res) => {
+  const subscription = await findOwnedSubscription(req);
+  if (subscription.status === "cancelled")
+    throw new ApiError(409, "Subscription is cancelled");
+
+  const upcoming = Subscription.projectDeliveries(
+    subscription.toObject(),
+    tomorrow(),
+    new Date(Date.now() + CONFIG.maxUpcomingDays * 24 * 60 * 60 * 1000)
+  );
+
+  const date = req.body?.date
+    ? DeliverySlot.toDeliveryDate(req.body.date)
+    : upcoming[0];
+
+  if (!date || !upcoming.some((d) => d.getTime() === date.getTime()))
+    throw new ApiError(400, "Date is not an upcoming delivery of this subscription");
+
+  // The order for a delivery inside the lead window may already exist
+  const cutoff = new Date(date.getTime() - CONFIG.leadHours * 60 * 60 * 1000);
+  if (new Date() >= cutoff)
+    throw new ApiError(409, "This delivery is already being prepared and can no longer be skipped");
+
+  subscription.skipDates.push(date);
+  await subscription.save();
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      { subscription, skippedDate: date, nextDelivery: upcoming.find((d) => d > date) || null },
+      "Delivery skipped"
+    )
+  );
+});
+
+/**
+ * @desc    Cancel a subscription
+ * @route   POST /api/subscriptions/:id/cancel
+ * @access  Private (owner or admin)
+ */
+export const cancelSubscription = asyncHandler(async (req, res) => {
+  const subscription = await findOwnedSubscription(req);
+  if (subscription.status === "cancelled")
+    throw new ApiError(409, "Subscription is already cancelled");
+
+  subscription.status = "cancelled";
+  subscription.pausedUntil = null;
+  subscription.cancelledAt = new Date();
+  subscription.cancelReason =
+    typeof req.body?.reason === "string" ? req.body.reason.trim() || null : null;
+  await subscription.save();
+
+  res.status(200).json(new ApiResponse(200, subscription, "Subscription cancelled"));
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ADMIN CONTROLLERS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @desc    Projected subscription deliveries per day
+ * @route   GET /api/subscriptions/admin/upcoming?days=14
+ * @access  Admin
+ */
+export const getUpcomingSubscriptionVolume = asyncHandler(async (req, res) => {
+  const days = Math.min(CONFIG.maxUpcomingDays, Math.max(1, parseInt(req.query.days) || 14));
+  const from = DeliverySlot.toDeliveryDate(new Date());
+  const to = new Date(from);
+  to.setDate(to.getDate() + days - 1);
+
+  const subscriptions = await Subscription.find({ status: { $in: ["active", "paused"] } })
+    .populate("selectedBasket", "title price")
+    .populate("selectedVegetables.vegetable", "name")
+    .lean();
+
+  const byDay = new Map();
+
+  for (const sub of subscriptions) {
+    for (const date of Subscription.projectDeliveries(sub, from, to)) {
+      const key = date.toISOString().slice(0, 10);
+      if (!byDay.has(key)) {
+        byDay.set(key, {
+          date: key,
+          subscriptions: 0,
+          bySlot: {},
+          byOrderType: { basket: 0, custom: 0 },
+          byPaymentMethod: {},
+          baskets: {},
+          items: new Map(),
+        });
+      }
+
+      const day = byDay.get(key);
+      day.subscriptions += 1;
+      day.bySlot[sub.DeliveryTimeSlot] = (day.bySlot[sub.DeliveryTimeSlot] || 0) + 1;
+      day.byOrderType[sub.orderType] += 1;
+      day.byPaymentMethod[sub.paymentMethod] = (day.byPaymentMethod[sub.paymentMethod] || 0) + 1;
+
+      if (sub.orderType === "basket" && sub.selectedBasket) {
+        const title = sub.selectedBasket.title;
+        day.baskets[title] = (day.baskets[title] || 0) + 1;
+      }
+
+      for (const item of sub.selectedVegetables) {
+        const itemKey = `${item.vegetable?._id}_${item.weight}`;
+        const existing = day.items.get(itemKey);
+        if (existing) existing.quantity += item.quantity;
+        else
+          day.items.set(itemKey, {
+            vegetableId: item.vegetable?._id,
+            name: item.vegetable?.name || "Unknown",
+            weight: item.weight,
+            quantity: item.quantity,
+          });
+      }
+    }
+  }
+
+  const volume = [...byDay.values()]
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map((day) => ({
+      ...day,
+      items: [...day.items.values()].sort((a, b) => b.quantity - a.quantity),
+    }));
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        from,
+        to,
+        totalDeliveries: volume.reduce((sum, day) => sum + day.subscriptions, 0),
+        days: volume,
+      },
+      "Upcoming subscription volume fetched"
+    )
+  );
+});
+
+/**
+ * @desc    Run the subscription scheduler now
+ * @route   POST /api/subscriptions/admin/run
+ * @access  Admin
+ */
+export const triggerSubscriptionScheduler = asyncHandler(async (req, res) => {
+  const summary = await runSubscriptionScheduler();
+  res.status(200).json(new ApiResponse(200, summary, "Subscription scheduler run completed"));
+});
@@ -0,0 +1,391 @@
+import Supplier from "../Model/supplier.js";
+import SupplierPrice from "../Model/supplierPrice.js";
+import Vegetable from "../Model/vegetable.js";
+import { asyncHandler } from "../utility/AsyncHandler.js";
+import { ApiResponse } from "../utility/ApiResponse.js";
+import { ApiError } from "../utility/ApiError.js";
+import mongoose from "mongoose";
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONSTANTS & CONFIG
+// ─────────────────────────────────────────────────────────────────────────────
+const CONFIG = Object.freeze({
+  // Items whose selling margin over the best quote is below this are flagged
+  minMarginPercent: parseFloat(process.env.SUPPLIER_MIN_MARGIN_PERCENT) || 15,
+  historyDays: 30,
+  maxHistoryDays: 365,
+});
+
+const EDITABLE_FIELDS = ["name", "contact", "mandi", "notes", "isActive"];
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const parseDay = (value) => {
+  const day = SupplierPrice.toDay(value || new Date());
+  if (!day) throw new ApiError(400, "Valid date required (YYYY-MM-DD)");
+  return day;
+};
+
+const parseVegetableIds = (ids) => {
+  if (!Array.isArray(ids)) throw new ApiError(400, "vegetables must be an array of ids");
+  if (ids.some((id) => !isValidId(id))) throw new ApiError(400, "Invalid vegetable id");
+  return [...new Set(ids.map(String))];
+};
+
+// Our selling and market price per kg, or per piece for set-priced items.
+// For sets the cheapest per-piece set is used since it leaves the least margin.
+const unitPrices = (veg) => {
+  if (!veg.setPricing?.enabled) {
+    return {
+      unit: "kg",
+      selling: Vegetable.pricePerKg(veg),
+      market: Vegetable.pricePerKg(veg, "marketPrice"),
+    };
+  }
+
+  const perPiece = (veg.setPricing.sets || [])
+    .filter((set) => set.quantity > 0 && set.price > 0)
+    .map((set) => ({
+      selling: set.price / set.quantity,
+      market: set.marketPrice ? set.marketPrice / set.quantity : null,
+    }))
+    .sort((a, b) => a.selling - b.selling);
+
+  return { unit: "pieces", selling: perPiece[0]?.selling ?? null, market: perPiece[0]?.market ?? null };
+};
+
+const marginPercent = (price, cost) => (price ? round2(((price - cost) / price) * 100) : null);
+
+const handleWriteError = (err) => {
+  if (err.code === 11000) throw new ApiError(409, "A supplier with this name already exists");
+  if (err.name === "ValidationError") throw new ApiError(400, err.message);
+  throw err;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SUPPLIERS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @desc    List suppliers
+ * @route   GET /api/suppliers?vegetableId=&city=&search=&includeInactive=true
+ * @access  Private/Admin
+ */
+export const getSuppliers = asyncHandler(async (req, res) => {
+  const { vegetableId, city, search, includeInactive } = req.query;
+
+  const filter = {};
+  if (includeInactive !== "true") filter.isActive = true;
+  if (vegetableId) {
+    if (!isValidId(vegetableId)) throw new ApiError(400, "Invalid vegetableId");
+    filter.vegetables = vegetableId;
+  }
+  if (city) filter["mandi.city"] = city.trim().toLowerCase();
+  if (search?.trim()) {
+    const pattern = new RegExp(search.trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
+    filter.$or = [{ name: pattern }, { "mandi.name": pattern }, { "contact.person": pattern }];
+  }
+
+  const suppliers = await Supplier.find(filter)
+    .sort({ name: 1 })
+    .populate("vegetables", "name image")
+    .lean();
+
+  return res.status(200).json(new ApiResponse(200, suppliers, "Suppliers fetched successfully"));
+});
+
+/**
+ * @desc    Get a supplier with their latest price for each vegetable
+ * @route   GET /api/suppliers/:id
+ * @access  Private/Admin
+ */
+export const getSupplierById = asyncHandler(async (req, res) => {
+  if (!isValidId(req.params.id)) throw new ApiError(400, "Invalid supplier id");
+
+  const supplier = await Supplier.findById(req.params.id).populate("vegetables", "name image").lean();
+  if (!supplier) throw new ApiError(404, "Supplier not found");
+
+  const latestPrices = await SupplierPrice.aggregate([
+    { $match: { supplier: supplier._id } },
+    { $sort: { date: -1 } },
+    {
+      $group: {
+        _id: "$vegetable",
+        price: { $first: "$price" },
+        unit: { $first: "$unit" },
+        date: { $first: "$date" },
+        source: { $first: "$source" },
+      },
+    },
+  ]);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { ...supplier, latestPrices }, "Supplier fetched successfully"));
+});
+
+/**
+ * @desc    Register a supplier
+ * @route   POST /api/suppliers
+ * @body    { name, contact?: { person, phone, email }, mandi?: { name, city, stall }, vegetables?: [id], notes? }
+ * @access  Private/Admin
+ */
+export const createSupplier = asyncHandler(async (req, res) => {
+  const fields = Object.fromEntries(
+    EDITABLE_FIELDS.filter((key) => req.body[key] !== undefined).map((key) => [key, req.body[key]])
+  );
+  if (req.body.vegetables !== undefined) {
+    const ids = parseVegetableIds(req.body.vegetables);
+    if ((await Vegetable.countDocuments({ _id: { $in: ids } })) !== ids.length)
+      throw new ApiError(404, "One or more vegetables not found");
+    fields.vegetables = ids;
+  }
+
+  try {
+    const supplier = await Supplier.create(fields);
+    return res.status(201).json(new ApiResponse(201, supplier, "Supplier created successfully"));
+  } catch (err) {
+    handleWriteError(err);
+  }
+});
+
+/**
+ * @desc    Update a supplier. `vegetables` replaces the supplied list.
+ * @route   PATCH /api/suppliers/:id
+ * @access  Private/Admin
+ */
+export const updateSupplier = asyncHandler(async (req, res) => {
+  if (!isValidId(req.params.id)) throw new ApiError(400, "Invalid supplier id");
+
+  const supplier = await Supplier.findById(req.params.id);
+  if (!supplier) throw new ApiError(404, "Supplier not found");
+
+  for (const key of EDITABLE_FIELDS) {
+    if (req.body[key] !== undefined) supplier.set(key, req.body[key]);
+  }
+  if (req.body.vegetables !== undefined) {
+    const ids = parseVegetableIds(req.body.vegetables);
+    if ((await Vegetable.countDocuments({ _id: { $in: ids } })) !== ids.length)
+      throw new ApiError(404, "One or more vegetables not found");
+    supplier.vegetables = ids;
+  }
+
+  try {
+    await supplier.save();
+  } catch (err) {
+    handleWriteError(err);
+  }
+
+  return res.status(200).json(new ApiResponse(200, supplier, "Supplier updated successfully"));
+});
+
+/**
+ * @desc    Deactivate a supplier (price history and purchases are kept)
+ * @route   DELETE /api/suppliers/:id
+ * @access  Private/Admin
+ */
+export const deactivateSupplier = asyncHandler(async (req, res) => {
+  if (!isValidId(req.params.id)) throw new ApiError(400, "Invalid supplier id");
+
+  const supplier = await Supplier.findByIdAndUpdate(
+    req.params.id,
+    { $set: { isActive: false } },
+    { new: true }
+  );
+  if (!supplier) throw new ApiError(404, "Supplier not found");
+
+  return res.status(200).json(new ApiResponse(200, supplier, "Supplier deactivated"));
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PRICE HISTORY
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @desc    Record a supplier's quotes for a day. Re-posting a vegetable for
+ *          the same day replaces the earlier quote.
+ * @route   POST /api/suppliers/:id/prices
+ * @body    { date?, prices: [{ vegetableId, price }] }  price is per kg, or per piece for set items
+ * @access  Private/Admin
+ */
+export const recordSupplierPrices = asyncHandler(async (req, res) => {
+  if (!isValidId(req.params.id)) throw new ApiError(400, "Invalid supplier id");
+
+  const { prices } = req.body;
+  const date = parseDay(req.body.date);
+
+  if (!Array.isArray(prices) || !prices.length) throw new ApiError(400, "prices must be a non-empty array");
+  for (const entry of prices) {
+    if (!isValidId(entry?.vegetableId)) throw new ApiError(400, "Each price needs a valid vegetableId");
+    if (!(Number(entry.price) >= 0)) throw new ApiError(400, "Each price must be 0 or more");
+  }
+
+  const supplier = await Supplier.findById(req.params.id, { name: 1, isActive: 1 }).lean();
+  if (!supplier) throw new ApiError(404, "Supplier not found");
+  if (!supplier.isActive) throw new ApiError(409, "Supplier is not active");
+
+  const vegIds = [...new Set(prices.map((p) => p.vegetableId.toString()))];
+  const vegetables = await Vegetable.find({ _id: { $in: vegIds } }, { setPricing: 1 }).lean();
+  if (vegetables.length !== vegIds.length) throw new ApiError(404, "One or more vegetables not found");
+  const vegMap = new Map(vegetables.map((v) => [v._id.toString(), v]));
+
+  const recorded = await Promise.all(
+    prices.map((entry) =>
+      SupplierPrice.record({
+        supplier: supplier._id,
+        vegetable: entry.vegetableId,
+        unit: unitPrices(vegMap.get(entry.vegetableId.toString())).unit,
+        price: Number(entry.price),
+        date,
+        recordedBy: req.user.id,
+      })
+    )
+  );
+
+  await Supplier.updateOne({ _id: supplier._id }, { $addToSet: { vegetables: { $each: vegIds } } });
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, { date, prices: recorded }, `${recorded.length} price(s) recorded`));
+});
+
+/**
+ * @desc    A supplier's dated price history
+ * @route   GET /api/suppliers/:id/prices?vegetableId=&days=30
+ * @access  Private/Admin
+ */
+export const getSupplierPriceHistory = asyncHandler(async (req, res) => {
+  if (!isValidId(req.params.id)) throw new ApiError(400, "Invalid supplier id");
+
+  const { vegetableId } = req.query;
+  const days = Math.min(CONFIG.maxHistoryDays, Math.max(1, parseInt(req.query.days) || CONFIG.historyDays));
+
+  const since = parseDay();
+  since.setDate(since.getDate() - days + 1);
+
+  const filter = { supplier: req.params.id, date: { $gte: since } };
+  if (vegetableId) {
+    if (!isValidId(vegetableId)) throw new ApiError(400, "Invalid vegetableId");
+    filter.vegetable = vegetableId;
+  }
+
+  if (!(await Supplier.exists({ _id: req.params.id }))) throw new ApiError(404, "Supplier not found");
+
+  const prices = await SupplierPrice.find(filter)
+    .sort({ date: -1 })
+    .populate("vegetable", "name")
+    .lean();
+
+  // Group per vegetable, newest first, for charting
+  const byVegetable = new Map();
+  for (const p of prices) {
+    const key = p.vegetable?._id?.toString() || String(p.vegetable);
+    if (!byVegetable.has(key)) {
+      byVegetable.set(key, { vegetable: key, name: p.vegetable?.name || null, unit: p.unit, history: [] });
+    }
+    byVegetable.get(key).history.push({ date: p.date, price: p.price, source: p.source });
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, { since, days, vegetables: [...byVegetable.values()] }, "Price history fetched successfully")
+    );
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// COMPARISON
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @desc    Compare a day's supplier quotes with our selling price
+ *          and the market price, per kg or per piece.
+ *          Items whose margin over the cheapest quote is below minMargin are flagged.
+ * @route   GET /api/suppliers/price-comparison?date=&minMargin=&flaggedOnly=true
+ * @access  Private/Admin
+ */
+export const getPriceComparison = asyncHandler(async (req, res) => {
+  const date = parseDay(req.query.date);
+  const minMargin =
+    req.query.minMargin !== undefined ? parseFloat(req.query.minMargin) : CONFIG.minMarginPercent;
+  if (!Number.isFinite(minMargin)) throw new ApiError(400, "minMargin must be a number");
+
+  const quotes = await SupplierPrice.find({ date })
+    .populate("supplier", "name mandi isActive")
+    .lean();
+
+  const quotesByVeg = new Map();
+  for (const quote of quotes) {
+    if (!quote.supplier?.isActive) continue;
+    const key = quote.vegetable.toString();
+    if (!quotesByVeg.has(key)) quotesByVeg.set(key, []);
+    quotesByVeg.get(key).push(quote);
+  }
+
+  const vegetables = await Vegetable.find(
+    { _id: { $in: [...quotesByVeg.keys()] } },
+    "name image prices marketPrices weightVariants setPricing outOfStock"
+  ).lean();
+
+  const items = vegetables
+    .map((veg) => {
+      const pricing = unitPrices(veg);
+      // A quote in the wrong unit (e.g. taken before the pricing mode changed) cannot be compared
+      const vegQuotes = quotesByVeg
+        .get(veg._id.toString())
+        .filter((q) => q.unit === pricing.unit)
+        .sort((a, b) => a.price - b.price);
+      if (!vegQuotes.length) return null;
+
+      const best = vegQuotes[0];
+      const margin = marginPercent(pricing.selling, best.price);
+
+      let reason = null;
+      if (pricing.selling === null) reason = "No selling price set";
+      else if (margin < minMargin) reason = `Margin ${margin}% is below ${minMargin}%`;
+
+      return {
+        vegetable: veg._id,
+        name: veg.name,
+        image: veg.image,
+        unit: pricing.unit,
+        sellingPrice: pricing.selling === null ? null : round2(pricing.selling),
+        marketPrice: pricing.market === null ? null : round2(pricing.market),
+        bestQuote: { supplier: best.supplier._id, name: best.supplier.name, price: best.price },
+        marginPercent: margin,
+        // How far the best quote sits below the market price
+        marketMarginPercent: marginPercent(pricing.market, best.price),
+        flagged: reason !== null,
+        reason,
+        quotes: vegQuotes.map((q) => ({
+          supplier: q.supplier._id,
+          name: q.supplier.name,
+          mandi: q.supplier.mandi?.name || null,
+          price: q.price,
+          source: q.source,
+          marginPercent: marginPercent(pricing.selling, q.price),
+        })),
+      };
+    })
+    .filter(Boolean)
+    .filter((item) => req.query.flaggedOnly !== "true" || item.flagged)
+    .sort((a, b) => b.flagged - a.flagged || (a.marginPercent ?? -Infinity) - (b.marginPercent ?? -Infinity));
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        date,
+        minMarginPercent: minMargin,
+        summary: {
+          compared: items.length,
+          flagged: items.filter((i) => i.flagged).length,
+        },
+        items,
+      },
+      quotes.length ? "Price comparison generated" : "No supplier quotes recorded for this day"
+    )
+  );
+});
@@ -1,6 +1,7 @@
 import User from "../Model/user.js";
 import Order from "../Model/order.js";
 import Address from "../Model/address.js";
+import Vegetable from "../Model/vegetable.js";
 import { asyncHandler } from "../utility/AsyncHandler.js";
 import { ApiResponse } from "../utility/ApiResponse.js";
 import { ApiError } from "../utility/ApiError.js";
@@ -17,6 +18,22 @@ const ORDER_SORT_OPTIONS = new Set(["date", "status", "total"]);
 
 const ADDRESS_TYPES = new Set(["home", "work", "other"]);
 
+// Buy-again shelf
+const BUY_AGAIN = Object.freeze({
+  statuses: ["placed", "processed", "shipped", "delivered"],
+  lookbackDays: 365,
+  maxOrders: 200,
+  // An order this many days old counts half as much as one placed today
+  recencyHalfLifeDays: 30,
+  // Items due within this many days (or overdue by less than one interval) get a boost
+  dueWindowDays: 2,
+  dueBoost: 2,
+  defaultLimit: 12,
+  maxLimit: 50,
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 const userOrderCountCache = new Map();
 const CACHE_TTL = 5 * 60 * 1000;
 
@@ -183,6 +200,175 @@ export const getUserOrderHistory = asyncHandler(async (req, res) => {
   );
 });
 
+// Current price options of a vegetable, keyed the way orders store the choice:
+// weight labels ("500g") or set indexes ("set0")
+const purchaseOptions = (veg) =>
+  veg.setPricing?.enabled
+    ? (veg.setPricing.sets || []).map((set, index) => ({
+        weight: `set${index}`,
+        // Same label orders record as setLabel
+        label: `${set.quantity} ${set.unit}`,
+        price: set.price,
+        marketPrice: set.marketPrice || set.price,
+        isSet: true,
+      }))
+    : Vegetable.variantsOf(veg)
+        .filter((v) => v.isActive !== false && v.price > 0)
+        .map((v) => ({
+          weight: v.label,
+          label: v.label,
+          price: v.price,
+          marketPrice: v.marketPrice || v.price,
+          isSet: false,
+          minQty: v.minQty || 1,
+          maxQty: v.maxQty ?? null,
+        }));
+
+const mostCommon = (counts) =>
+  [...counts.entries()].sort((a, b) => b[1].count - a[1].count || b[1].lastAt - a[1].lastAt)[0];
+
+// Per vegetable: order days, last order and how often each weight/set and quantity was picked
+const summariseHistory = (orders) => {
+  const history = new Map();
+  for (const order of orders) {
+    const at = new Date(order.orderDate || order.createdAt).getTime();
+    const seen = new Set();
+    for (const item of order.selectedVegetables || []) {
+      // Basket contents were not picked individually
+      if (item.isFromBasket || !item.vegetable) continue;
+      const id = item.vegetable.toString();
+      const entry =
+        history.get(id) || { orders: 0, days: new Set(), lastAt: 0, firstAt: Infinity, choices: new Map() };
+      if (!seen.has(id)) {
+        entry.orders += 1;
+        entry.days.add(Math.floor(at / DAY_MS));
+        seen.add(id);
+      }
+      entry.lastAt = Math.max(entry.lastAt, at);
+      entry.firstAt = Math.min(entry.firstAt, at);
+
+      const choice = entry.choices.get(item.weight) || { count: 0, lastAt: 0, setLabel: null, quantities: new Map() };
+      choice.count += 1;
+      choice.lastAt = Math.max(choice.lastAt, at);
+      if (item.setLabel) choice.setLabel = item.setLabel;
+      const qty = choice.quantities.get(item.quantity) || { count: 0, lastAt: 0 };
+      qty.count += 1;
+      qty.lastAt = Math.max(qty.lastAt, at);
+      choice.quantities.set(item.quantity, qty);
+      entry.choices.set(item.weight, choice);
+
+      history.set(id, entry);
+    }
+  }
+  return history;
+};
+
+// Average days between orders and when the next one is due; null with a single order day
+const reorderPrediction = (entry, now) => {
+  const days = [...entry.days].sort((a, b) => a - b);
+  if (days.length < 2) return { averageIntervalDays: null, nextDueAt: null, daysUntilDue: null, dueStatus: "unknown" };
+
+  const averageIntervalDays = (days[days.length - 1] - days[0]) / (days.length - 1);
+  const nextDueAt = new Date(entry.lastAt + averageIntervalDays * DAY_MS);
+  const daysUntilDue = Math.round((nextDueAt.getTime() - now) / DAY_MS) || 0;
+
+  let dueStatus = "upcoming";
+  if (daysUntilDue < -averageIntervalDays) dueStatus = "lapsed";
+  else if (daysUntilDue < 0) dueStatus = "overdue";
+  else if (daysUntilDue <= BUY_AGAIN.dueWindowDays) dueStatus = "due";
+
+  return { averageIntervalDays: Math.round(averageIntervalDays * 10) / 10, nextDueAt, daysUntilDue, dueStatus };
+};
+
+// GET /api/user/buy-again?limit=12&inStockOnly=true
+// Vegetables the customer has ordered before, ranked by how often and how
+// recently, with a reorder prediction from their average interval and the
+// weight/set and quantity they usually pick at today's price
+export const getBuyAgain = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || BUY_AGAIN.defaultLimit, 1), BUY_AGAIN.maxLimit);
+  const inStockOnly = req.query.inStockOnly === "true";
+  const now = Date.now();
+
+  const orders = await Order.find(
+    {
+      customerInfo: userId,
+      orderStatus: { $in: BUY_AGAIN.statuses },
+      orderDate: { $gte: new Date(now - BUY_AGAIN.lookbackDays * DAY_MS) },
+    },
+    { selectedVegetables: 1, orderDate: 1, createdAt: 1 },
+  )
+    .sort({ orderDate: -1 })
+    .limit(BUY_AGAIN.maxOrders)
+    .lean();
+
+  const history = summariseHistory(orders);
+  if (!history.size) {
+    return res
+      .status(200)
+      .json(new ApiResponse(200, { items: [], basedOnOrders: orders.length }, "No previous purchases yet"));
+  }
+
+  const vegetables = await Vegetable.find(
+    { _id: { $in: [...history.keys()] } },
+    "name image images outOfStock weightVariants prices marketPrices setPricing category",
+  ).lean();
+
+  const items = vegetables
+    .map((veg) => {
+      const entry = history.get(veg._id.toString());
+      const prediction = reorderPrediction(entry, now);
+      const options = purchaseOptions(veg);
+
+      const [weight, choice] = mostCommon(entry.choices);
+      const [quantity] = mostCommon(choice.quantities);
+      // Sets are matched by label first: the index moves if the admin reorders sets
+      const current =
+        (choice.setLabel && options.find((o) => o.isSet && o.label === choice.setLabel)) ||
+        options.find((o) => o.weight === weight) ||
+        null;
+
+      const daysSinceLast = (now - entry.lastAt) / DAY_MS;
+      const recency = Math.pow(0.5, daysSinceLast / BUY_AGAIN.recencyHalfLifeDays);
+      const isDue = prediction.dueStatus === "due" || prediction.dueStatus === "overdue";
+      const score = entry.orders * recency + (isDue ? BUY_AGAIN.dueBoost : 0);
+
+      return {
+        vegetable: {
+          _id: veg._id,
+          name: veg.name,
+          image: veg.image,
+          category: veg.category || null,
+        },
+        inStock: !veg.outOfStock,
+        timesOrdered: entry.orders,
+        firstOrderedAt: new Date(entry.firstAt),
+        lastOrderedAt: new Date(entry.lastAt),
+        ...prediction,
+        usual: {
+          weight: current?.weight || weight,
+          label: current?.label || choice.setLabel || weight,
+          quantity,
+          isSet: current ? current.isSet : weight.startsWith("set"),
+          price: current?.price ?? null,
+          marketPrice: current?.marketPrice ?? null,
+          // The usual pick no longer exists when false; offer `options` instead
+          available: !!current && !veg.outOfStock,
+        },
+        options,
+        score: Math.round(score * 1000) / 1000,
+      };
+    })
+    .filter((item) => !inStockOnly || item.inStock)
+    // In-stock first so the shelf leads with things that can be bought now
+    .sort((a, b) => b.inStock - a.inStock || b.score - a.score || b.lastOrderedAt - a.lastOrderedAt)
+    .slice(0, limit);
+
+  res.status(200).json(
+    new ApiResponse(200, { items, basedOnOrders: orders.length }, "Buy again items fetched successfully"),
+  );
+});
+
 export const getUserAddresses = asyncHandler(async (req, res) => {
   const userId = req.user.id;
 
@@ -1,32 +1,95 @@
 import Vegetable from "../Model/vegetable.js";
+import StockMovement from "../Model/stockMovement.js";
+import PriceHistory from "../Model/priceHistory.js";
+import Category from "../Model/category.js";
+import Order from "../Model/order.js";
+import { storeImages, removeImages } from "../utility/imageStorage.js";
+import { Trie } from "../utility/Trie.js";
 import { ApiResponse } from "../utility/ApiResponse.js";
 import { asyncHandler } from "../utility/AsyncHandler.js";
+import mongoose from "mongoose";
 
 // Cache for frequently accessed data
 const cache = new Map();
 const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
 
+// Listings embed category facets, so category changes must drop them too
+export const clearCatalogueCache = () => cache.clear();
+
+// Default pack sizes with their share of the 1kg price (selling, market)
+const DEFAULT_VARIANTS = [
+  { grams: 1000, price: 1, market: 1 },
+  { grams: 500, price: 0.54, market: 0.60 },
+  { grams: 250, price: 0.32, market: 0.40 },
+  { grams: 100, price: 0.12, market: 0.20 },
+];
+
 // Optimized price calculation using bit operations for rounding
-const calculatePrices = (price1kg) => {
-  const p = price1kg;
-  return {
-    weight1kg: p,
-    weight500g: (p * 0.54) | 0,
-    weight250g: (p * 0.32) | 0,
-    weight100g: (p * 0.12) | 0,
-  };
+const defaultWeightVariants = (price1kg, marketPrice1kg) =>
+  DEFAULT_VARIANTS.map((d) => ({
+    grams: d.grams,
+    price: (price1kg * d.price) | 0,
+    marketPrice: (marketPrice1kg * d.market) | 0,
+  }));
+
+// Scale every variant's price (or marketPrice) so the per-kg price becomes `perKg`
+const repriceVariants = (veg, variants, field, perKg) => {
+  const current = Vegetable.pricePerKg(veg, field);
+  return variants.map((v) => ({
+    ...v,
+    [field]: current ? Math.round((v[field] * perKg) / current) : Math.round((perKg * v.grams) / 1000),
+  }));
 };
 
-const calculateMarketPrices = (price1kg) => {
-  const p = price1kg;
-  return {
-    weight1kg: p,
-    weight500g: (p * 0.60) | 0,
-    weight250g: (p * 0.40) | 0,
-    weight100g: (p * 0.20) | 0,
-  };
+// Validate a weightVariants body: [{ grams | label, price, marketPrice?, minQty?, maxQty?, isActive? }]
+const parseWeightVariants = (list) => {
+  if (!Array.isArray(list) || list.length === 0) {
+    return { error: "weightVariants must be a non-empty array" };
+  }
+
+  const variants = [];
+  for (const v of list) {
+    const grams = v.grams !== undefined ? Math.round(parseFloat(v.grams)) : Vegetable.labelToGrams(v.label);
+    if (!(grams > 0)) {
+      return { error: "Each weight variant needs grams or a label such as 750g or 2kg" };
+    }
+    const label = Vegetable.labelForGrams(grams);
+    if (isNaN(v.price) || parseFloat(v.price) < 0) {
+      return { error: `Price for ${label} must be a non-negative number` };
+    }
+    const minQty = v.minQty !== undefined ? parseInt(v.minQty) : 1;
+    const maxQty = v.maxQty !== undefined && v.maxQty !== null ? parseInt(v.maxQty) : null;
+    if (!(minQty >= 1) || (maxQty !== null && !(maxQty >= minQty))) {
+      return { error: `Invalid quantity limits for ${label}` };
+    }
+    variants.push({
+      grams,
+      price: parseFloat(v.price),
+      marketPrice: v.marketPrice !== undefined ? parseFloat(v.marketPrice) || 0 : 0,
+      minQty,
+      maxQty,
+      isActive: v.isActive !== false,
+    });
+  }
+
+  if (new Set(variants.map((v) => v.grams)).size !== variants.length) {
+    return { error: "Each weight variant must have a different weight" };
+  }
+  if (!variants.some((v) => v.isActive && v.price > 0)) {
+    return { error: "At least one active weight variant with a price is required" };
+  }
+  return { variants };
 };
 
+// Ledger rows for whichever stock fields differ between two snapshots
+const stockChanges = (vegetableId, before, after) =>
+  [
+    { unit: "kg", from: before.stockKg || 0, to: after.stockKg || 0 },
+    { unit: "pieces", from: before.stockPieces || 0, to: after.stockPieces || 0 },
+  ]
+    .filter((c) => c.from !== c.to)
+    .map((c) => ({ vegetable: vegetableId, unit: c.unit, before: c.from, after: c.to }));
+
 // Optimized formatting using object pooling pattern
 const formatVegetableWithOptions = (veg) => {
   const vegObject = veg.toObject ? veg.toObject() : veg;
@@ -48,15 +111,137 @@ const formatVegetableWithOptions = (veg) => {
   return {
     ...vegObject,
     pricingType: 'weight',
-    weightOptions: [
-      { weight: '1kg', price: vegObject.prices.weight1kg, marketPrice: vegObject.marketPrices.weight1kg },
-      { weight: '500g', price: vegObject.prices.weight500g, marketPrice: vegObject.marketPrices.weight500g },
-      { weight: '250g', price: vegObject.prices.weight250g, marketPrice: vegObject.marketPrices.weight250g },
-      { weight: '100g', price: vegObject.prices.weight100g, marketPrice: vegObject.marketPrices.weight100g },
-    ],
+    weightOptions: Vegetable.variantsOf(vegObject)
+      .filter((v) => v.isActive !== false && v.price > 0)
+      .sort((a, b) => b.grams - a.grams)
+      .map((v) => ({
+        weight: v.label,
+        grams: v.grams,
+        price: v.price,
+        marketPrice: v.marketPrice,
+        minQty: v.minQty || 1,
+        maxQty: v.maxQty ?? null,
+      })),
+  };
+};
+
+const IMAGE_FOLDER = "vegetables";
+const MAX_GALLERY_IMAGES = 12;
+
+// Gallery of a vegetable; one without a gallery yet starts from its legacy `image`
+const currentGallery = (veg) => {
+  if (veg.images?.length) return veg.images.map((img) => (img.toObject ? img.toObject() : img));
+  return veg.image ? [{ url: veg.image, alt: veg.name || "", isPrimary: true }] : [];
+};
+
+// Gallery entries for freshly stored uploads; `alts` lines up with the files
+const uploadedEntries = (stored, alts, fallbackAlt = "") => {
+  const list = Array.isArray(alts) ? alts : alts !== undefined ? [alts] : [];
+  return stored.map((img, i) => ({
+    ...img,
+    alt: String(list[i] ?? fallbackAlt).trim().slice(0, 150),
+    isPrimary: false,
+  }));
+};
+
+// Comma-separated query value as a list
+const splitParam = (value) =>
+  value ? String(value).split(",").map((v) => v.trim()).filter(Boolean) : [];
+
+// Tags / aliases from an array or comma-separated string: trimmed, lowercase, unique
+const normalizeTerms = (terms) => {
+  const list = Array.isArray(terms) ? terms : String(terms || "").split(",");
+  return [...new Set(list.map((t) => String(t).trim().toLowerCase()).filter(Boolean))];
+};
+
+// Category from a request body: null/"" clears it, undefined leaves it alone
+const resolveCategory = async (value) => {
+  if (value === undefined) return {};
+  if (value === null || value === "") return { category: null };
+  if (!mongoose.isValidObjectId(value)) return { error: "Invalid category ID" };
+  if (!(await Category.exists({ _id: value }))) return { error: "Category not found" };
+  return { category: value };
+};
+
+// Price to sort by: per kg from the weight variants, the cheapest set for
+// set-priced items, null when nothing is priced
+const sortPrice = (veg) => {
+  if (!veg.setPricing?.enabled) return Vegetable.pricePerKg(veg);
+  const prices = (veg.setPricing.sets || []).map((set) => set.price).filter((price) => price > 0);
+  return prices.length ? Math.min(...prices) : null;
+};
+
+// Facet predicates for the catalogue. Values within a facet are OR-ed,
+// facets are AND-ed; a facet's own counts ignore its own filter.
+const catalogueFilters = (query, categoryIds) => {
+  const tags = normalizeTerms(query.tags);
+  const outOfStock = query.inStock === 'true' ? false : query.outOfStock === 'true' ? true : null;
+  const pricingType = ['weight', 'set'].includes(query.pricingType) ? query.pricingType : null;
+
+  return {
+    category: categoryIds && ((veg) => categoryIds.has(veg.category?.toString())),
+    tags: tags.length > 0 && ((veg) => veg.tags?.some((t) => tags.includes(t))),
+    availability: outOfStock !== null && ((veg) => !!veg.outOfStock === outOfStock),
+    offer: query.hasOffer === 'true' && ((veg) => !!veg.offer),
+    pricingType: pricingType && ((veg) => (veg.setPricing?.enabled ? 'set' : 'weight') === pricingType),
   };
 };
 
+const matchesFilters = (veg, filters, except = null) =>
+  Object.entries(filters).every(([facet, test]) => facet === except || !test || test(veg));
+
+// Counts for the storefront filter sidebar; categories roll up into their parents
+const buildFacets = (vegetables, filters, categories) => {
+  const pool = (facet) => vegetables.filter((veg) => matchesFilters(veg, filters, facet));
+  const countBy = (list, keysOf) => {
+    const counts = new Map();
+    for (const item of list) {
+      for (const key of keysOf(item)) counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    return counts;
+  };
+
+  const byId = new Map(categories.map((c) => [c._id.toString(), c]));
+  const categoryCounts = countBy(pool('category'), (veg) => Category.ancestry(byId, veg.category));
+  const tagCounts = countBy(pool('tags'), (veg) => new Set(veg.tags || []));
+  const stockCounts = countBy(pool('availability'), (veg) => [veg.outOfStock ? 'outOfStock' : 'inStock']);
+  const typeCounts = countBy(pool('pricingType'), (veg) => [veg.setPricing?.enabled ? 'set' : 'weight']);
+
+  return {
+    categories: Category.buildTree(
+      categories.map(({ _id, name, slug, parent, sortOrder }) => ({
+        _id,
+        name,
+        slug,
+        parent,
+        sortOrder,
+        count: categoryCounts.get(_id.toString()) || 0,
+      }))
+    ),
+    tags: [...tagCounts]
+      .map(([tag, count]) => ({ tag, count }))
+      .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag)),
+    availability: {
+      inStock: stockCounts.get('inStock') || 0,
+      outOfStock: stockCounts.get('outOfStock') || 0,
+    },
+    offers: pool('offer').filter((veg) => veg.offer).length,
+    pricingType: {
+      weight: typeCounts.get('weight') || 0,
+      set: typeCounts.get('set') || 0,
+    },
+  };
+};
+
+// Listing shape plus priceTrend (up/down/flat vs the 7-day average) for storefront badges
+const formatWithTrends = async (vegetables) => {
+  const trends = await PriceHistory.trendsFor(vegetables);
+  return vegetables.map((veg) => ({
+    ...formatVegetableWithOptions(veg),
+    priceTrend: trends.get(veg._id.toString()) || "flat",
+  }));
+};
+
 // Fisher-Yates shuffle - O(n) time complexity
 const shuffleArray = (array) => {
   const arr = [...array];
@@ -121,8 +306,144 @@ class MinHeap {
   }
 }
 
+// Levenshtein distance, giving up once a whole row exceeds `max` - O(n·m)
+const editDistance = (a, b, max) => {
+  const s = [...a];
+  const t = [...b];
+  if (Math.abs(s.length - t.length) > max) return max + 1;
+
+  let prev = Array.from({ length: t.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= s.length; i++) {
+    const curr = [i];
+    let rowMin = i;
+    for (let j = 1; j <= t.length; j++) {
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + (s[i - 1] === t[j - 1] ? 0 : 1));
+      rowMin = Math.min(rowMin, curr[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev = curr;
+  }
+  return prev[t.length];
+};
+
+const SEARCH = Object.freeze({
+  defaultLimit: 20,
+  maxLimit: 50,
+  maxQueryLength: 60,
+  minRelevance: 30,
+  popularityDays: 30,
+  popularityWeight: 10,
+});
+
+// Lowercase, drop Latin accents, keep letters / digits / Indic vowel signs
+const normalizeSearch = (value) =>
+  String(value || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\p{M}]+/gu, ' ')
+    .trim();
+
+// Typos tolerated for a query of this many characters
+const maxEdits = (length) => (length < 4 ? 0 : length < 7 ? 1 : 2);
+
+// Relevance of one indexed term to a query: exact > prefix > fuzzy > substring
+const termScore = (query, term) => {
+  if (term === query) return 100;
+  const queryLength = [...query].length;
+  if (term.startsWith(query)) return 80 - Math.min(10, [...term].length - queryLength);
+
+  const allowed = maxEdits(queryLength);
+  if (allowed) {
+    const distance = editDistance(query, term, allowed);
+    if (distance <= allowed) return 70 - 15 * distance;
+    // Misspelt while still typing: compare with the start of the term
+    const partial = editDistance(query, [...term].slice(0, queryLength).join(''), allowed);
+    if (partial <= allowed) return 60 - 15 * partial;
+  }
+
+  if (queryLength >= 3 && term.includes(query)) return 40;
+  return 0;
+};
+
+// Name / alias index plus 30-day order counts; cached with the listings so
+// any catalogue write rebuilds it
+const getSearchIndex = async () => {
+  const cached = cache.get('search:index');
+  if (cached && Date.now() - cached.timestamp < CACHE_TTL) return cached.data;
+
+  const since = new Date(Date.now() - SEARCH.popularityDays * 24 * 60 * 60 * 1000);
+  const [vegetables, popularity] = await Promise.all([
+    Vegetable.find().lean(),
+    Order.aggregate([
+      { $match: { orderDate: { $gte: since }, orderStatus: { $ne: 'cancelled' } } },
+      { $unwind: '$selectedVegetables' },
+      { $group: { _id: '$selectedVegetables.vegetable', orders: { $sum: 1 } } },
+    ]),
+  ]);
+
+  // Vegetable ids by name / alias prefix
+  const trie = new Trie();
+  const termsById = new Map();
+  for (const veg of vegetables) {
+    const id = veg._id.toString();
+    const terms = new Map();
+    const sources = [[veg.name, 'name'], ...(veg.aliases || []).map((alias) => [alias, 'alias'])];
+    for (const [text, source] of sources) {
+      const phrase = normalizeSearch(text);
+      for (const term of [phrase, ...phrase.split(' ')]) {
+        if (!term || terms.has(term)) continue;
+        terms.set(term, { source, whole: term === phrase });
+        trie.insert(term, id);
+      }
+    }
+    termsById.set(id, [...terms].map(([term, meta]) => ({ term, ...meta })));
+  }
+
+  const data = {
+    trie,
+    termsById,
+    vegetables: new Map(vegetables.map((veg) => [veg._id.toString(), veg])),
+    popularity: new Map(popularity.map((p) => [p._id.toString(), p.orders])),
+    maxOrders: Math.max(0, ...popularity.map((p) => p.orders)),
+  };
+  cache.set('search:index', { data, timestamp: Date.now() });
+  return data;
+};
+
+// Best-matching term per query for one vegetable. Multi-word queries score
+// the whole phrase or, if better, the average of their words.
+const matchVegetable = (terms, phrase, tokens) => {
+  const best = (query) =>
+    terms.reduce(
+      (top, { term, source, whole }) => {
+        const score = termScore(query, term);
+        // Name beats alias, and a whole name beats one word of a longer one
+        // ("capsicum" -> Capsicum before Red Capsicum)
+        const adjusted = score && score + (source === 'name' ? 5 : 0) - (whole ? 0 : 10);
+        return adjusted > top.score ? { score: adjusted, term, source } : top;
+      },
+      { score: 0 }
+    );
+
+  const whole = best(phrase);
+  if (tokens.length < 2) return whole;
+
+  const perToken = tokens.map(best);
+  const average = perToken.reduce((sum, m) => sum + m.score, 0) / tokens.length;
+  if (average <= whole.score) return whole;
+  const strongest = perToken.reduce((a, b) => (b.score > a.score ? b : a));
+  return { ...strongest, score: Math.round(average) };
+};
+
+// GET /api/vegetables?category=&tags=&inStock=&outOfStock=&hasOffer=&pricingType=&facets=true
+// category and tags take comma-separated values; category accepts ids or slugs
+// and includes sub-categories. sortBy=price sorts on the per-kg price (cheapest
+// set for set-priced items). With facets=true the response is
+// { vegetables, total, facets } instead of a plain array.
 export const getVegetables = asyncHandler(async (req, res) => {
-  const { sortBy, order, featured, popular, random, inStock, limit } = req.query;
+  const { sortBy, order, featured, popular, random, limit } = req.query;
+  const withFacets = req.query.facets === 'true';
   const cacheKey = JSON.stringify(req.query);
   const cached = cache.get(cacheKey);
   
@@ -136,11 +457,28 @@ export const getVegetables = asyncHandler(async (req, res) => {
     query = query.where('isFeatured').equals(true);
   }
   
-  if (inStock === 'true') {
-    query = query.where('outOfStock').equals(false);
+  const requestedCategories = splitParam(req.query.category);
+  const [catalogue, categories] = await Promise.all([
+    query.lean(),
+    withFacets || requestedCategories.length
+      ? Category.find({ isActive: true }, 'name slug parent sortOrder').lean()
+      : [],
+  ]);
+
+  let categoryIds = null;
+  if (requestedCategories.length) {
+    const roots = requestedCategories.map(
+      (key) => categories.find((c) => c._id.toString() === key || c.slug === key.toLowerCase())?._id
+    );
+    if (roots.some((id) => !id)) {
+      return res.status(400).json(new ApiResponse(400, null, "Unknown category"));
+    }
+    categoryIds = Category.descendantIds(categories, roots);
   }
-  
-  let vegetables = await query.lean();
+
+  const filters = catalogueFilters(req.query, categoryIds);
+  let vegetables = catalogue.filter((veg) => matchesFilters(veg, filters));
+  const total = vegetables.length;
   
   if (random === 'true') {
     vegetables = shuffleArray(vegetables);
@@ -148,6 +486,15 @@ export const getVegetables = asyncHandler(async (req, res) => {
     vegetables = quickSort(vegetables, (a, b) => {
       return (b.salesCount || 0) - (a.salesCount || 0) || (b.views || 0) - (a.views || 0);
     });
+  } else if (sortBy === 'price') {
+    // Unpriced items go last in either direction
+    const sortOrder = order === 'desc' ? -1 : 1;
+    vegetables = quickSort(vegetables, (a, b) => {
+      const aVal = sortPrice(a);
+      const bVal = sortPrice(b);
+      if (aVal === null || bVal === null) return (aVal === null) - (bVal === null);
+      return sortOrder * (aVal - bVal);
+    });
   } else if (sortBy) {
     const sortOrder = order === 'desc' ? -1 : 1;
     vegetables = quickSort(vegetables, (a, b) => {
@@ -161,14 +508,75 @@ export const getVegetables = asyncHandler(async (req, res) => {
     vegetables = vegetables.slice(0, parseInt(limit));
   }
   
-  const vegetablesWithOptions = vegetables.map(veg => formatVegetableWithOptions(veg));
+  const vegetablesWithOptions = await formatWithTrends(vegetables);
+  const data = withFacets
+    ? { vegetables: vegetablesWithOptions, total, facets: buildFacets(catalogue, filters, categories) }
+    : vegetablesWithOptions;
   
   cache.set(cacheKey, {
-    data: vegetablesWithOptions,
+    data,
     timestamp: Date.now()
   });
   
-  res.json(new ApiResponse(200, vegetablesWithOptions, "Vegetables fetched successfully"));
+  res.json(new ApiResponse(200, data, "Vegetables fetched successfully"));
+});
+
+// GET /api/vegetables/search?q=&limit=20
+// Prefix, typo-tolerant and alias matching on names, ranked by relevance,
+// then nudged by how often each vegetable was ordered in the last 30 days.
+export const searchVegetables = asyncHandler(async (req, res) => {
+  const q = String(req.query.q || '').slice(0, SEARCH.maxQueryLength);
+  const limit = Math.min(SEARCH.maxLimit, Math.max(1, parseInt(req.query.limit) || SEARCH.defaultLimit));
+  const phrase = normalizeSearch(q);
+
+  if (!phrase) {
+    return res.json(new ApiResponse(200, { query: q, results: [], total: 0 }, "Search query is empty"));
+  }
+
+  const index = await getSearchIndex();
+  const tokens = [...new Set(phrase.split(' '))];
+
+  // Prefix hits come straight from the trie; the full fuzzy scan only runs
+  // when they cannot fill the page
+  const candidates = new Set();
+  for (const query of tokens.length > 1 ? [phrase, ...tokens] : [phrase]) {
+    for (const id of index.trie.search(query)) candidates.add(id);
+  }
+  const pool = candidates.size >= limit ? candidates : index.termsById.keys();
+
+  const results = [];
+  for (const id of pool) {
+    const match = matchVegetable(index.termsById.get(id), phrase, tokens);
+    if (match.score < SEARCH.minRelevance) continue;
+
+    const veg = index.vegetables.get(id);
+    const orders = index.popularity.get(id) || 0;
+    const popularity = index.maxOrders
+      ? (SEARCH.popularityWeight * Math.log1p(orders)) / Math.log1p(index.maxOrders)
+      : 0;
+    const score = match.score + popularity - (veg.outOfStock ? SEARCH.popularityWeight : 0);
+
+    results.push({
+      veg,
+      search: {
+        score: Math.round(score * 10) / 10,
+        relevance: match.score,
+        matched: match.term,
+        matchedOn: match.source,
+        recentOrders: orders,
+      },
+    });
+  }
+
+  results.sort((a, b) => b.search.score - a.search.score || a.veg.name.localeCompare(b.veg.name));
+
+  const data = {
+    query: q,
+    total: results.length,
+    results: results.slice(0, limit).map(({ veg, search }) => ({ ...formatVegetableWithOptions(veg), search })),
+  };
+
+  res.json(new ApiResponse(200, data, "Search results fetched successfully"));
 });
 
 export const getVegetableById = asyncHandler(async (req, res) => {
@@ -181,7 +589,7 @@ export const getVegetableById = asyncHandler(async (req, res) => {
     return res.json(new ApiResponse(200, cached.data, "Vegetable fetched from cache"));
   }
   
-  const vegetable = await Vegetable.findById(id).lean();
+  const vegetable = await Vegetable.findById(id).populate('category', 'name slug parent').lean();
   
   if (!vegetable) {
     return res.status(404).json(new ApiResponse(404, null, "Vegetable not found"));
@@ -210,18 +618,29 @@ export const addVegetable = asyncHandler(async (req, res) => {
     setPricingEnabled,
     sets,
     stockPieces,
+    weightVariants,
+    tags,
+    aliases,
   } = req.body;
 
   if (!name) {
     return res.status(400).json(new ApiResponse(400, null, "Name is required"));
   }
 
+  const { category, error: categoryError } = await resolveCategory(req.body.category);
+  if (categoryError) {
+    return res.status(400).json(new ApiResponse(400, null, categoryError));
+  }
+
   const vegetableData = {
     name,
     image,
     screenNumber,
     offer,
     description,
+    category: category ?? null,
+    tags: normalizeTerms(tags),
+    aliases: normalizeTerms(aliases),
   };
 
   if (setPricingEnabled === true) {
@@ -259,19 +678,24 @@ export const addVegetable = asyncHandler(async (req, res) => {
     vegetableData.stockPieces = parseFloat(stockPieces);
     vegetableData.outOfStock = parseFloat(stockPieces) === 0;
 
-    vegetableData.prices = {
-      weight1kg: 0,
-      weight500g: 0,
-      weight250g: 0,
-      weight100g: 0,
-    };
-    vegetableData.marketPrices = {
-      weight1kg: 0,
-      weight500g: 0,
-      weight250g: 0,
-      weight100g: 0,
-    };
     vegetableData.stockKg = 0;
+  } else if (weightVariants !== undefined) {
+    const { variants, error } = parseWeightVariants(weightVariants);
+    if (error) {
+      return res.status(400).json(new ApiResponse(400, null, error));
+    }
+
+    if (stockKg === undefined || isNaN(stockKg) || parseFloat(stockKg) < 0) {
+      return res.status(400).json(new ApiResponse(400, null, "Stock must be a valid non-negative number"));
+    }
+
+    const stockValue = parseFloat(stockKg);
+
+    vegetableData.weightVariants = variants;
+    vegetableData.stockKg = stockValue;
+    vegetableData.outOfStock = stockValue < 0.25;
+    vegetableData.setPricing = { enabled: false, sets: [] };
+    vegetableData.stockPieces = 0;
   } else {
     if (price1kg === undefined || marketPrice1kg === undefined || stockKg === undefined) {
       return res.status(400).json(new ApiResponse(400, null, "Missing required fields: price1kg, marketPrice1kg, stockKg"));
@@ -291,16 +715,38 @@ export const addVegetable = asyncHandler(async (req, res) => {
 
     const stockValue = parseFloat(stockKg);
 
-    vegetableData.prices = calculatePrices(price1kg);
-    vegetableData.marketPrices = calculateMarketPrices(marketPrice1kg);
+    vegetableData.weightVariants = defaultWeightVariants(parseFloat(price1kg), parseFloat(marketPrice1kg));
     vegetableData.stockKg = stockValue;
     vegetableData.outOfStock = stockValue < 0.25;
     vegetableData.setPricing = { enabled: false, sets: [] };
     vegetableData.stockPieces = 0;
   }
 
+  // Uploaded files (multipart "images") become the gallery, first one primary
+  // unless primaryImage gives another index
+  let stored = [];
+  if (req.files?.length) {
+    stored = await storeImages(req.files, IMAGE_FOLDER);
+    const primaryIdx = parseInt(req.body.primaryImage) || 0;
+    vegetableData.images = uploadedEntries(stored, req.body.imageAlts, name).map((img, i) => ({
+      ...img,
+      isPrimary: i === primaryIdx,
+    }));
+  }
+
   const vegetable = new Vegetable(vegetableData);
-  await vegetable.save();
+  try {
+    await vegetable.save();
+  } catch (err) {
+    await removeImages(stored);
+    throw err;
+  }
+
+  await StockMovement.recordChanges(stockChanges(vegetable._id, {}, vegetable), {
+    type: "initial",
+    actor: req.user?.id || null,
+  });
+  await PriceHistory.recordChange(null, vegetable, req.user?.id || null);
 
   cache.clear();
 
@@ -315,6 +761,7 @@ export const deleteVegetable = asyncHandler(async (req, res) => {
     return res.status(404).json(new ApiResponse(404, null, "Vegetable not found"));
   }
   
+  await removeImages(result.images);
   cache.clear();
   
   res.json(new ApiResponse(200, result, "Vegetable deleted successfully"));
@@ -334,6 +781,9 @@ export const updateVegetable = asyncHandler(async (req, res) => {
     setPricingEnabled,
     sets,
     stockPieces,
+    weightVariants,
+    tags,
+    aliases,
   } = req.body;
 
   const existingVeg = await Vegetable.findById(id);
@@ -341,7 +791,25 @@ export const updateVegetable = asyncHandler(async (req, res) => {
     return res.status(404).json(new ApiResponse(404, null, "Vegetable not found"));
   }
 
+  const { category, error: categoryError } = await resolveCategory(req.body.category);
+  if (categoryError) {
+    return res.status(400).json(new ApiResponse(400, null, categoryError));
+  }
+
   const updateData = {};
+  if (category !== undefined) updateData.category = category;
+  if (tags !== undefined) updateData.tags = normalizeTerms(tags);
+  if (aliases !== undefined) updateData.aliases = normalizeTerms(aliases);
+
+  // An explicit variant list replaces the existing one in weight mode
+  let parsedVariants = null;
+  if (weightVariants !== undefined && setPricingEnabled !== true) {
+    const { variants, error } = parseWeightVariants(weightVariants);
+    if (error) {
+      return res.status(400).json(new ApiResponse(400, null, error));
+    }
+    parsedVariants = variants;
+  }
 
   if (setPricingEnabled !== undefined) {
     if (setPricingEnabled === true) {
@@ -379,14 +847,17 @@ export const updateVegetable = asyncHandler(async (req, res) => {
 
       updateData.stockKg = 0;
     } else {
-      if (price1kg !== undefined && marketPrice1kg !== undefined && stockKg !== undefined) {
-        if (parseFloat(price1kg) <= 0 || parseFloat(marketPrice1kg) <= 0 || parseFloat(stockKg) < 0) {
+      if ((parsedVariants || (price1kg !== undefined && marketPrice1kg !== undefined)) && stockKg !== undefined) {
+        if (
+          (!parsedVariants && (parseFloat(price1kg) <= 0 || parseFloat(marketPrice1kg) <= 0)) ||
+          parseFloat(stockKg) < 0
+        ) {
           return res.status(400).json(new ApiResponse(400, null, "Valid price and stock required for weight pricing"));
         }
 
         const stockValue = parseFloat(stockKg);
-        updateData.prices = calculatePrices(price1kg);
-        updateData.marketPrices = calculateMarketPrices(marketPrice1kg);
+        updateData.weightVariants =
+          parsedVariants || defaultWeightVariants(parseFloat(price1kg), parseFloat(marketPrice1kg));
         updateData.stockKg = stockValue;
         updateData.outOfStock = stockValue < 0.25;
         updateData.setPricing = { enabled: false, sets: [] };
@@ -434,18 +905,25 @@ export const updateVegetable = asyncHandler(async (req, res) => {
         updateData.outOfStock = parseFloat(stockPieces) === 0;
       }
     } else {
-      if (price1kg !== undefined) {
+      // price1kg / marketPrice1kg reprice every variant in proportion
+      let variants = parsedVariants || Vegetable.variantsOf(existingVeg.toObject());
+
+      if (price1kg !== undefined && !parsedVariants) {
         if (parseFloat(price1kg) <= 0) {
           return res.status(400).json(new ApiResponse(400, null, "VegBazar price must be positive"));
         }
-        updateData.prices = calculatePrices(price1kg);
+        variants = repriceVariants(existingVeg, variants, "price", parseFloat(price1kg));
       }
 
-      if (marketPrice1kg !== undefined) {
+      if (marketPrice1kg !== undefined && !parsedVariants) {
         if (parseFloat(marketPrice1kg) <= 0) {
           return res.status(400).json(new ApiResponse(400, null, "Market price must be positive"));
         }
-        updateData.marketPrices = calculateMarketPrices(marketPrice1kg);
+        variants = repriceVariants(existingVeg, variants, "marketPrice", parseFloat(marketPrice1kg));
+      }
+
+      if (parsedVariants || price1kg !== undefined || marketPrice1kg !== undefined) {
+        updateData.weightVariants = variants;
       }
 
       if (stockKg !== undefined) {
@@ -459,25 +937,200 @@ export const updateVegetable = asyncHandler(async (req, res) => {
     }
   }
 
-  if (image !== undefined) updateData.image = image;
   if (name !== undefined) updateData.name = name;
   if (offer !== undefined) updateData.offer = offer;
   if (description !== undefined) updateData.description = description;
   if (screenNumber !== undefined) updateData.screenNumber = screenNumber;
 
-  const vegetable = await Vegetable.findByIdAndUpdate(
+  // Uploads are appended to the gallery; an `image` URL on a vegetable that
+  // has a gallery becomes a new primary entry so the two never disagree
+  let stored = [];
+  if (req.files?.length || (image !== undefined && existingVeg.images?.length)) {
+    const gallery = currentGallery(existingVeg);
+    if (image !== undefined && image !== existingVeg.image) {
+      gallery.forEach((img) => (img.isPrimary = false));
+      gallery.push({ url: image, alt: existingVeg.name, isPrimary: true });
+    }
+    if (req.files?.length) {
+      if (gallery.length + req.files.length > MAX_GALLERY_IMAGES) {
+        return res.status(400).json(new ApiResponse(400, null, `A vegetable can have at most ${MAX_GALLERY_IMAGES} images`));
+      }
+      stored = await storeImages(req.files, IMAGE_FOLDER);
+      gallery.push(...uploadedEntries(stored, req.body.imageAlts, name ?? existingVeg.name));
+    }
+    Object.assign(updateData, Vegetable.normalizeGallery(gallery));
+  } else if (image !== undefined) {
+    updateData.image = image;
+  }
+
+  // The ledger's "before" is the pre-image returned by the update itself, in
+  // the same transaction as the ledger entry; existingVeg would miss stock
+  // deducted by orders in between and show it as drift
+  let before;
+  let vegetable;
+  const session = await mongoose.startSession();
+  try {
+    session.startTransaction();
+    before = await Vegetable.findByIdAndUpdate(
+      id,
+      { $set: updateData },
+      { new: false, runValidators: true, session }
+    );
+    if (before) {
+      vegetable = await Vegetable.findById(id).session(session);
+      await StockMovement.recordChanges(
+        stockChanges(vegetable._id, before, vegetable),
+        {
+          type: "adjustment",
+          actor: req.user?.id || null,
+          note: typeof req.body.stockNote === "string" ? req.body.stockNote.trim() || null : null,
+        },
+        session
+      );
+    }
+    await session.commitTransaction();
+  } catch (err) {
+    await session.abortTransaction();
+    await removeImages(stored);
+    throw err;
+  } finally {
+    session.endSession();
+  }
+
+  if (!before) {
+    await removeImages(stored);
+    return res.status(404).json(new ApiResponse(404, null, "Vegetable not found"));
+  }
+
+  await PriceHistory.recordChange(before, vegetable, req.user?.id || null);
+
+  cache.clear();
+
+  res.json(new ApiResponse(200, vegetable, "Vegetable updated successfully"));
+});
+
+// Save a reworked gallery and refresh the listings
+const saveGallery = (id, gallery) =>
+  Vegetable.findByIdAndUpdate(
     id,
-    { $set: updateData },
+    { $set: Vegetable.normalizeGallery(gallery) },
     { new: true, runValidators: true }
-  );
+  ).lean();
 
-  if (!vegetable) {
+// POST /api/vegetables/:id/images  (multipart "images", optional "alt" per file, primary=true)
+export const addVegetableImages = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.isValidObjectId(id)) {
+    return res.status(400).json(new ApiResponse(400, null, "Invalid vegetable ID"));
+  }
+  if (!req.files?.length) {
+    return res.status(400).json(new ApiResponse(400, null, "At least one image file is required"));
+  }
+
+  const existing = await Vegetable.findById(id, "name image images").lean();
+  if (!existing) {
     return res.status(404).json(new ApiResponse(404, null, "Vegetable not found"));
   }
 
+  const gallery = currentGallery(existing);
+  if (gallery.length + req.files.length > MAX_GALLERY_IMAGES) {
+    return res.status(400).json(new ApiResponse(400, null, `A vegetable can have at most ${MAX_GALLERY_IMAGES} images`));
+  }
+
+  const stored = await storeImages(req.files, IMAGE_FOLDER);
+  const added = uploadedEntries(stored, req.body.alt, existing.name);
+  if (req.body.primary === true) {
+    gallery.forEach((img) => (img.isPrimary = false));
+    added[0].isPrimary = true;
+  }
+
+  let vegetable;
+  try {
+    vegetable = await saveGallery(id, [...gallery, ...added]);
+  } catch (err) {
+    await removeImages(stored);
+    throw err;
+  }
   cache.clear();
 
-  res.json(new ApiResponse(200, vegetable, "Vegetable updated successfully"));
+  res.status(201).json(new ApiResponse(201, vegetable.images, "Images added successfully"));
+});
+
+// PATCH /api/vegetables/:id/images  { order?: [imageId], primaryImageId?, alt?: { [imageId]: text } }
+export const updateVegetableImages = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { order, primaryImageId, alt } = req.body;
+
+  if (!mongoose.isValidObjectId(id)) {
+    return res.status(400).json(new ApiResponse(400, null, "Invalid vegetable ID"));
+  }
+
+  const existing = await Vegetable.findById(id, "images").lean();
+  if (!existing) {
+    return res.status(404).json(new ApiResponse(404, null, "Vegetable not found"));
+  }
+
+  const byId = new Map(existing.images.map((img) => [img._id.toString(), img]));
+  let gallery = [...existing.images];
+
+  if (order !== undefined) {
+    const ids = Array.isArray(order) ? order.map(String) : [];
+    if (ids.length !== byId.size || new Set(ids).size !== ids.length || ids.some((i) => !byId.has(i))) {
+      return res.status(400).json(new ApiResponse(400, null, "order must list every image ID exactly once"));
+    }
+    gallery = ids.map((i) => byId.get(i));
+  }
+
+  if (primaryImageId !== undefined) {
+    if (!byId.has(String(primaryImageId))) {
+      return res.status(404).json(new ApiResponse(404, null, "Image not found"));
+    }
+    gallery = gallery.map((img) => ({ ...img, isPrimary: img._id.toString() === String(primaryImageId) }));
+  }
+
+  if (alt !== undefined) {
+    if (typeof alt !== "object" || alt === null || Object.keys(alt).some((i) => !byId.has(i))) {
+      return res.status(400).json(new ApiResponse(400, null, "alt must map existing image IDs to text"));
+    }
+    gallery = gallery.map((img) => {
+      const text = alt[img._id.toString()];
+      return text === undefined ? img : { ...img, alt: String(text).trim() };
+    });
+  }
+
+  const vegetable = await saveGallery(id, gallery);
+  cache.clear();
+
+  res.json(new ApiResponse(200, vegetable.images, "Images updated successfully"));
+});
+
+// DELETE /api/vegetables/:id/images/:imageId
+export const deleteVegetableImage = asyncHandler(async (req, res) => {
+  const { id, imageId } = req.params;
+
+  if (!mongoose.isValidObjectId(id) || !mongoose.isValidObjectId(imageId)) {
+    return res.status(400).json(new ApiResponse(400, null, "Invalid vegetable or image ID"));
+  }
+
+  const existing = await Vegetable.findById(id, "images").lean();
+  if (!existing) {
+    return res.status(404).json(new ApiResponse(404, null, "Vegetable not found"));
+  }
+
+  const image = existing.images.find((img) => img._id.toString() === imageId);
+  if (!image) {
+    return res.status(404).json(new ApiResponse(404, null, "Image not found"));
+  }
+  if (existing.images.length === 1) {
+    return res.status(400).json(new ApiResponse(400, null, "A vegetable needs at least one image; upload another first"));
+  }
+
+  const vegetable = await saveGallery(id, existing.images.filter((img) => img !== image));
+  await removeImages([image]);
+  cache.clear();
+
+  res.json(new ApiResponse(200, vegetable.images, "Image deleted successfully"));
 });
 
 export const homepageApi = asyncHandler(async (req, res) => {
@@ -489,7 +1142,7 @@ export const homepageApi = asyncHandler(async (req, res) => {
   }
   
   const vegetables = await Vegetable.find({ outOfStock: false }).lean();
-  const vegetablesWithOptions = vegetables.map(veg => formatVegetableWithOptions(veg));
+  const vegetablesWithOptions = await formatWithTrends(vegetables);
   const shuffled = shuffleArray(vegetablesWithOptions);
   
   cache.set(cacheKey, {
@@ -498,4 +1151,194 @@ export const homepageApi = asyncHandler(async (req, res) => {
   });
   
   res.json(new ApiResponse(200, shuffled, "Vegetables fetched successfully"));
-});
\ No newline at end of file
+});
+
+// GET /api/vegetables/:id/price-history?days=30
+export const getPriceHistory = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const days = Math.min(365, Math.max(1, parseInt(req.query.days) || 30));
+
+  if (!mongoose.isValidObjectId(id)) {
+    return res.status(400).json(new ApiResponse(400, null, "Invalid vegetable ID"));
+  }
+
+  const vegetable = await Vegetable.findById(id, "name prices marketPrices weightVariants setPricing").lean();
+  if (!vegetable) {
+    return res.status(404).json(new ApiResponse(404, null, "Vegetable not found"));
+  }
+
+  const since = new Date();
+  since.setHours(0, 0, 0, 0);
+  since.setDate(since.getDate() - days + 1);
+
+  // Versions inside the window, plus the one already in force when it opened
+  const [versions, opening, trends] = await Promise.all([
+    PriceHistory.find({ vegetable: vegetable._id, effectiveAt: { $gte: since } }, "-__v")
+      .sort({ effectiveAt: 1 })
+      .lean(),
+    PriceHistory.findOne({ vegetable: vegetable._id, effectiveAt: { $lt: since } }, "-__v")
+      .sort({ effectiveAt: -1 })
+      .lean(),
+    PriceHistory.trendsFor([vegetable]),
+  ]);
+
+  const history = opening ? [opening, ...versions] : versions;
+  const reference = history.map((h) => h.referencePrice);
+  const current = PriceHistory.snapshot(vegetable);
+
+  res.json(
+    new ApiResponse(
+      200,
+      {
+        vegetable: { _id: vegetable._id, name: vegetable.name, ...current },
+        days,
+        since,
+        priceTrend: trends.get(vegetable._id.toString()) || "flat",
+        summary: reference.length
+          ? {
+              min: Math.min(...reference),
+              max: Math.max(...reference),
+              changes: versions.length,
+            }
+          : null,
+        history,
+      },
+      "Price history fetched successfully"
+    )
+  );
+});
+
+// GET /api/vegetables/:id/stock-history?type=&from=&to=&page=&limit=  (admin)
+export const getStockHistory = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { type, from, to } = req.query;
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 50));
+
+  if (!mongoose.isValidObjectId(id)) {
+    return res.status(400).json(new ApiResponse(400, null, "Invalid vegetable ID"));
+  }
+  if (type && !StockMovement.MOVEMENT_TYPES.includes(type)) {
+    return res.status(400).json(new ApiResponse(400, null, `Type must be one of: ${StockMovement.MOVEMENT_TYPES.join(", ")}`));
+  }
+
+  const vegetable = await Vegetable.findById(id, "name stockKg stockPieces setPricing.enabled").lean();
+  if (!vegetable) {
+    return res.status(404).json(new ApiResponse(404, null, "Vegetable not found"));
+  }
+
+  const filter = { vegetable: vegetable._id };
+  if (type) filter.type = type;
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
+
+  const [movements, total] = await Promise.all([
+    StockMovement.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate("actor", "username role")
+      .lean(),
+    StockMovement.countDocuments(filter),
+  ]);
+
+  res.json(
+    new ApiResponse(
+      200,
+      {
+        vegetable: {
+          _id: vegetable._id,
+          name: vegetable.name,
+          unit: vegetable.setPricing?.enabled ? "pieces" : "kg",
+          stockKg: vegetable.stockKg,
+          stockPieces: vegetable.stockPieces,
+        },
+        movements,
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+      },
+      "Stock history fetched successfully"
+    )
+  );
+});
+
+// GET /api/vegetables/stock/reconciliation?driftOnly=true  (admin)
+// Replays the ledger per vegetable and unit (opening balance of the first
+// entry + every movement since) and compares it with the live stock fields
+export const getStockReconciliation = asyncHandler(async (req, res) => {
+  const driftOnly = req.query.driftOnly === "true";
+  const tolerance = 0.001;
+
+  const [ledger, vegetables] = await Promise.all([
+    StockMovement.aggregate([
+      { $sort: { createdAt: 1, _id: 1 } },
+      {
+        $group: {
+          _id: { vegetable: "$vegetable", unit: "$unit" },
+          opening: { $first: "$before" },
+          net: { $sum: "$quantity" },
+          lastRecorded: { $last: "$after" },
+          movements: { $sum: 1 },
+          lastMovementAt: { $last: "$createdAt" },
+        },
+      },
+    ]),
+    Vegetable.find({}, "name stockKg stockPieces").lean(),
+  ]);
+
+  const vegMap = new Map(vegetables.map((v) => [v._id.toString(), v]));
+  const tracked = new Set();
+  const round = (n) => Math.round(n * 1000) / 1000;
+
+  const items = ledger
+    .map((row) => {
+      const veg = vegMap.get(row._id.vegetable.toString());
+      tracked.add(row._id.vegetable.toString());
+
+      const expected = round(row.opening + row.net);
+      const current = veg ? (row._id.unit === "kg" ? veg.stockKg : veg.stockPieces) || 0 : null;
+      const drift = current === null ? null : round(current - expected);
+
+      return {
+        vegetable: row._id.vegetable,
+        name: veg?.name || null,
+        unit: row._id.unit,
+        openingBalance: round(row.opening),
+        ledgerNet: round(row.net),
+        expected,
+        lastRecorded: round(row.lastRecorded),
+        current,
+        drift,
+        hasDrift: drift === null || Math.abs(drift) > tolerance,
+        deleted: !veg,
+        movements: row.movements,
+        lastMovementAt: row.lastMovementAt,
+      };
+    })
+    .filter((item) => !driftOnly || item.hasDrift)
+    .sort((a, b) => Math.abs(b.drift ?? Infinity) - Math.abs(a.drift ?? Infinity));
+
+  // Stock that has never been through the ledger cannot be reconciled yet
+  const untracked = vegetables
+    .filter((v) => !tracked.has(v._id.toString()) && ((v.stockKg || 0) > 0 || (v.stockPieces || 0) > 0))
+    .map((v) => ({ vegetable: v._id, name: v.name, stockKg: v.stockKg, stockPieces: v.stockPieces }));
+
+  res.json(
+    new ApiResponse(
+      200,
+      {
+        generatedAt: new Date(),
+        summary: {
+          reconciled: ledger.length,
+          withDrift: items.filter((i) => i.hasDrift).length,
+          untracked: untracked.length,
+        },
+        items,
+        untracked,
+      },
+      "Stock reconciliation generated"
+    )
+  );
+});
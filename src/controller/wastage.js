@@ -0,0 +1,174 @@
+import Wastage from "../Model/wastage.js";
+import Vegetable from "../Model/vegetable.js";
+import Purchase from "../Model/purchase.js";
+import StockMovement from "../Model/stockMovement.js";
+import { invalidateVegetableCache } from "./order.js";
+import { asyncHandler } from "../utility/AsyncHandler.js";
+import { ApiResponse } from "../utility/ApiResponse.js";
+import { ApiError } from "../utility/ApiError.js";
+import mongoose from "mongoose";
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+const parseDay = (value, endOfDay = false) => {
+  const day = new Date(value);
+  if (isNaN(day)) throw new ApiError(400, "Invalid date");
+  if (endOfDay) day.setHours(23, 59, 59, 999);
+  return day;
+};
+
+/**
+ * @desc    Write off spoiled, damaged or returned stock. The stock deduction,
+ *          the wastage entry and its ledger row commit together.
+ * @route   POST /api/wastage
+ * @body    { vegetableId, quantity, reason, note?, orderId?, occurredAt? }
+ * @access  Private/Admin
+ */
+export const recordWastage = asyncHandler(async (req, res) => {
+  const { vegetableId, reason, note, orderId, occurredAt } = req.body;
+  const quantity = Number(req.body.quantity);
+
+  if (!isValidId(vegetableId)) throw new ApiError(400, "Valid vegetableId required");
+  if (!(quantity > 0)) throw new ApiError(400, "Quantity must be greater than 0");
+  if (!Wastage.WASTAGE_REASONS.includes(reason))
+    throw new ApiError(400, `Reason must be one of: ${Wastage.WASTAGE_REASONS.join(", ")}`);
+  if (orderId && !isValidId(orderId)) throw new ApiError(400, "Invalid orderId");
+
+  const vegetable = await Vegetable.findById(vegetableId, "name setPricing stockKg stockPieces").lean();
+  if (!vegetable) throw new ApiError(404, "Vegetable not found");
+
+  const unit = vegetable.setPricing?.enabled ? "pieces" : "kg";
+  const field = unit === "kg" ? "stockKg" : "stockPieces";
+  if (unit === "pieces" && !Number.isInteger(quantity))
+    throw new ApiError(400, `${vegetable.name} is stocked in pieces; quantity must be a whole number`);
+
+  const lastPurchase = await Purchase.findOne(
+    { vegetable: vegetable._id, unit, status: "received" },
+    { unitCost: 1 }
+  )
+    .sort({ purchaseDate: -1 })
+    .lean();
+  const unitCost = lastPurchase?.unitCost ?? null;
+
+  const session = await mongoose.startSession();
+  let entry;
+  try {
+    session.startTransaction();
+
+    const updated = await Vegetable.findOneAndUpdate(
+      { _id: vegetable._id, [field]: { $gte: quantity } },
+      { $inc: { [field]: -quantity } },
+      { new: true, session }
+    );
+    if (!updated) {
+      throw new ApiError(409, `Only ${vegetable[field] || 0} ${unit} of ${vegetable.name} in stock`);
+    }
+
+    const outOfStock = unit === "kg" ? updated.stockKg < 0.25 : updated.stockPieces <= 0;
+    if (outOfStock !== updated.outOfStock) {
+      await Vegetable.updateOne({ _id: updated._id }, { $set: { outOfStock } }, { session });
+    }
+
+    [entry] = await Wastage.create(
+      [
+        {
+          vegetable: vegetable._id,
+          unit,
+          quantity,
+          reason,
+          note,
+          order: orderId || null,
+          stockBefore: updated[field] + quantity,
+          stockAfter: updated[field],
+          unitCost,
+          valueLost: unitCost === null ? null : Math.round(unitCost * quantity * 100) / 100,
+          recordedBy: req.user.id,
+          ...(occurredAt && { occurredAt: parseDay(occurredAt) }),
+        },
+      ],
+      { session }
+    );
+
+    await StockMovement.recordChanges(
+      [{ vegetable: vegetable._id, unit, before: entry.stockBefore, after: entry.stockAfter }],
+      {
+        type: "wastage",
+        actor: req.user.id,
+        reference: { kind: "Wastage", id: entry._id, code: reason },
+        note,
+      },
+      session
+    );
+
+    await session.commitTransaction();
+  } catch (err) {
+    await session.abortTransaction();
+    if (err.name === "ValidationError") throw new ApiError(400, err.message);
+    throw err;
+  } finally {
+    session.endSession();
+  }
+
+  await invalidateVegetableCache(vegetable._id.toString());
+
+  return res.status(201).json(new ApiResponse(201, entry, "Wastage recorded"));
+});
+
+/**
+ * @desc    List wastage entries with totals per reason
+ * @route   GET /api/wastage?vegetableId=&reason=&from=&to=&page=&limit=
+ * @access  Private/Admin
+ */
+export const getWastage = asyncHandler(async (req, res) => {
+  const { vegetableId, reason, from, to } = req.query;
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+
+  const filter = {};
+  if (vegetableId) {
+    if (!isValidId(vegetableId)) throw new ApiError(400, "Invalid vegetableId");
+    filter.vegetable = new mongoose.Types.ObjectId(vegetableId);
+  }
+  if (reason) filter.reason = reason;
+  if (from || to) {
+    filter.occurredAt = {
+      ...(from && { $gte: parseDay(from) }),
+      ...(to && { $lte: parseDay(to, true) }),
+    };
+  }
+
+  const [entries, total, byReason] = await Promise.all([
+    Wastage.find(filter)
+      .sort({ occurredAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate("vegetable", "name image")
+      .populate("recordedBy", "username")
+      .lean(),
+    Wastage.countDocuments(filter),
+    Wastage.aggregate([
+      { $match: filter },
+      {
+        $group: {
+          _id: { reason: "$reason", unit: "$unit" },
+          entries: { $sum: 1 },
+          quantity: { $sum: "$quantity" },
+          valueLost: { $sum: { $ifNull: ["$valueLost", 0] } },
+        },
+      },
+      { $sort: { valueLost: -1 } },
+    ]),
+  ]);
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        entries,
+        byReason: byReason.map((r) => ({ ...r._id, entries: r.entries, quantity: r.quantity, valueLost: r.valueLost })),
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+      },
+      "Wastage fetched successfully"
+    )
+  );
+});
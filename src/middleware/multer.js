@@ -1,4 +1,8 @@
 import multer from "multer";
+import fs from "fs";
+import crypto from "crypto";
+import { ApiError } from "../utility/ApiError.js";
+import { IMAGE_EXTENSIONS, isImageFile } from "../utility/imageStorage.js";
 
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
@@ -9,4 +13,98 @@ const storage = multer.diskStorage({
   },
 });
 
-export const upload = multer({ storage: storage });
\ No newline at end of file
+export const upload = multer({ storage: storage });
+
+// ================= PRODUCT IMAGES =================
+const imageStorage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    fs.mkdir("./public/temp", { recursive: true }, (err) => cb(err, "./public/temp"));
+  },
+  // Unique temp names so parallel uploads of "image.jpg" do not collide; the
+  // extension follows the accepted type, not the client's file name
+  filename: function (req, file, cb) {
+    cb(null, `${Date.now()}_${crypto.randomBytes(6).toString("hex")}${IMAGE_EXTENSIONS[file.mimetype]}`);
+  },
+});
+
+const imageUpload = multer({
+  storage: imageStorage,
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: function (req, file, cb) {
+    if (IMAGE_EXTENSIONS[file.mimetype]) return cb(null, true);
+    cb(new ApiError(400, "Only JPEG, PNG, WebP or AVIF images are allowed"));
+  },
+});
+
+const uploadedFiles = (req) => req.files || (req.file ? [req.file] : []);
+
+// Temp files the handler did not hand to a storage driver are removed once
+// the response is sent, whatever the outcome
+const discardTempFiles = (req, res, next) => {
+  res.on("finish", () => {
+    for (const file of uploadedFiles(req)) fs.unlink(file.path, () => {});
+  });
+  next();
+};
+
+// The mimetype is the client's claim; reject files whose contents disagree
+const verifyImageContents = async (req, res, next) => {
+  try {
+    for (const file of uploadedFiles(req)) {
+      if (!(await isImageFile(file.path, file.mimetype)))
+        return next(new ApiError(400, `${file.originalname} is not a valid image`));
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Multipart fields that carry structured values, with the JSON type each must
+// decode to. Every other field stays a string, so no client-built object
+// reaches query or update code.
+const STRUCTURED_FIELDS = Object.freeze({
+  weightVariants: "array",
+  sets: "array",
+  tags: "array",
+  aliases: "array",
+  imageAlts: "array",
+  setPricingEnabled: "boolean",
+  primary: "boolean",
+});
+
+const jsonType = (value) => (Array.isArray(value) ? "array" : typeof value);
+
+// Multipart fields arrive as strings; decode the known structured ones
+const parseMultipartFields = (req, res, next) => {
+  if (!req.is("multipart/form-data")) return next();
+  for (const [key, type] of Object.entries(STRUCTURED_FIELDS)) {
+    const value = req.body[key];
+    if (typeof value !== "string") continue;
+    try {
+      const parsed = JSON.parse(value);
+      if (jsonType(parsed) === type) req.body[key] = parsed;
+    } catch {
+      // Not JSON after all; leave the string
+    }
+  }
+  next();
+};
+
+const withImageUpload = (handler) => [
+  discardTempFiles,
+  (req, res, next) =>
+    handler(req, res, (err) => {
+      if (err instanceof multer.MulterError) return next(new ApiError(400, err.message));
+      next(err);
+    }),
+  verifyImageContents,
+  parseMultipartFields,
+];
+
+// Middleware chain for up to `maxCount` images in multipart field `field`;
+// JSON requests pass through untouched
+export const uploadImages = (field = "images", maxCount = 8) => withImageUpload(imageUpload.array(field, maxCount));
+
+// Same for a single optional image, left on req.file
+export const uploadImage = (field = "image") => withImageUpload(imageUpload.single(field));
@@ -10,8 +10,10 @@ import {
   getCouponUsageReport,
   getTimeSlotAnalysis,
   getOrderTypeReport,
-  getMonthlyTrends
+  getMonthlyTrends,
+  getShrinkageReport
 } from "../controller/OrderReport.controller.js";
+import { verifyJWT, isAdmin } from "../middleware/auth.js";
 
 const router = express.Router();
 
@@ -57,4 +59,9 @@ router.get("/time-slots", getTimeSlotAnalysis);
 // GET /api/reports/monthly-trends?months=6
 router.get("/monthly-trends", getMonthlyTrends);
 
+// ===== INVENTORY REPORTS =====
+// GET /api/reports/shrinkage?weeks=8&vegetableId=
+// Wastage value and purchase cost: admin only
+router.get("/shrinkage", verifyJWT, isAdmin, getShrinkageReport);
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,22 @@
+import { Router } from "express";
+import {
+  getAllRecommendations,
+  getMostSellingBaskets,
+  getPremiumBaskets,
+  getBestValueBaskets,
+  getBasketPerformance,
+} from "../controller/BasketRecommendations.js";
+import { verifyJWT, isAdmin } from "../middleware/auth.js";
+
+const router = Router();
+
+// ============= ADMIN ONLY ROUTES =============
+router.get("/admin/stats", verifyJWT, isAdmin, getBasketPerformance);
+
+// ============= PUBLIC ROUTES =============
+router.get("/", getAllRecommendations);
+router.get("/most-selling", getMostSellingBaskets);
+router.get("/premium", getPremiumBaskets);
+router.get("/best-value", getBestValueBaskets);
+
+export default router;
@@ -10,6 +10,16 @@ import {
   getCartRecommendations,
   getCartAnalytics,
   mergeGuestCart, // ← was missing
+  resolveCart,
+  checkoutCart,
+  getCartSharing,
+  inviteToCart,
+  revokeCartInvite,
+  removeCartMember,
+  getSharedCarts,
+  getCartInvitations,
+  acceptCartInvitation,
+  declineCartInvitation,
 } from "../controller/cart.js";
 import { verifyJWT } from "../middleware/auth.js"; 
 const router = express.Router();
@@ -17,20 +27,37 @@ const router = express.Router();
 // All cart routes require authentication
 router.use(verifyJWT);
 
+// Cart endpoints act on the user's own cart, or on a shared cart passed as
+// cartId (X-Cart-Id header, query or body) that they own or are a member of
+const anyCart = resolveCart();
+const anyCartOrCreate = resolveCart({ create: true });
+const ownerOnly = resolveCart({ ownerOnly: true });
+
 // ── Core cart ─────────────────────────────────────────────
-router.get("/", getCart);
-router.post("/add", addToCart);
-router.put("/update", updateCartItem);
-router.delete("/remove", removeFromCart);
-router.delete("/clear", clearCart);
+router.get("/", anyCartOrCreate, getCart);
+router.post("/add", anyCartOrCreate, addToCart);
+router.put("/update", anyCart, updateCartItem);
+router.delete("/remove", anyCart, removeFromCart);
+router.delete("/clear", ownerOnly, clearCart);
+router.post("/checkout", ownerOnly, checkoutCart);
 
 // ── Coupon ────────────────────────────────────────────────
-router.post("/coupon/apply", applyCoupon);
-router.delete("/coupon", removeCoupon);
+router.post("/coupon/apply", ownerOnly, applyCoupon);
+router.delete("/coupon", ownerOnly, removeCoupon);
+
+// ── Household sharing ─────────────────────────────────────
+router.get("/share", anyCartOrCreate, getCartSharing);
+router.post("/share/invite", resolveCart({ create: true, ownerOnly: true }), inviteToCart);
+router.delete("/share/invites/:inviteId", ownerOnly, revokeCartInvite);
+router.delete("/share/members/:userId", anyCart, removeCartMember);
+router.get("/shared", getSharedCarts);
+router.get("/invitations", getCartInvitations);
+router.post("/invitations/:inviteId/accept", acceptCartInvitation);
+router.post("/invitations/:inviteId/decline", declineCartInvitation);
 
 // ── Extras ────────────────────────────────────────────────
-router.get("/recommendations", getCartRecommendations);
-router.get("/analytics", getCartAnalytics);
-router.post("/merge", mergeGuestCart); // ← was 404
+router.get("/recommendations", anyCartOrCreate, getCartRecommendations);
+router.get("/analytics", anyCart, getCartAnalytics);
+router.post("/merge", resolveCart({ create: true, ownerOnly: true }), mergeGuestCart); // ← was 404
 
-export default router;
\ No newline at end of file
+export default router;
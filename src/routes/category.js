@@ -0,0 +1,25 @@
+import { Router } from "express";
+import {
+  getCategories,
+  getAllCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+} from "../controller/category.js";
+import { verifyJWT, isAdmin } from "../middleware/auth.js";
+
+const router = Router();
+
+// ============= ADMIN ONLY ROUTES =============
+router.get("/admin", verifyJWT, isAdmin, getAllCategories);
+
+router.post("/admin", verifyJWT, isAdmin, createCategory);
+
+router.patch("/admin/:id", verifyJWT, isAdmin, updateCategory);
+
+router.delete("/admin/:id", verifyJWT, isAdmin, deleteCategory);
+
+// ============= PUBLIC ROUTES =============
+router.get("/", getCategories);
+
+export default router;
@@ -0,0 +1,19 @@
+import { Router } from "express";
+import {
+  getFrequentlyBoughtTogether,
+  getCoPurchaseStatus,
+  rebuildCoPurchase,
+} from "../controller/coPurchase.js";
+import { verifyJWT, isAdmin } from "../middleware/auth.js";
+
+const router = Router();
+
+// ============= ADMIN ONLY ROUTES =============
+router.get("/admin/status", verifyJWT, isAdmin, getCoPurchaseStatus);
+
+router.post("/admin/rebuild", verifyJWT, isAdmin, rebuildCoPurchase);
+
+// ============= PUBLIC ROUTES =============
+router.get("/vegetables/:id", getFrequentlyBoughtTogether);
+
+export default router;
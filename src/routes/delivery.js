@@ -0,0 +1,52 @@
+import { Router } from "express";
+import {
+  getDeliveryPartners,
+  assignDeliveryPartner,
+  unassignDeliveryPartner,
+  getRunSheet,
+  setPartnerAvailability,
+  updatePartnerLocation,
+  markOrderPickedUp,
+  markOrderDelivered,
+  markDeliveryFailed,
+  getDeliveryOtp,
+  getDeliveryProofPhoto,
+} from "../controller/delivery.js";
+import { verifyJWT, isAdmin, requireRoles } from "../middleware/auth.js";
+import { uploadImage } from "../middleware/multer.js";
+
+const router = Router();
+
+// ============= ADMIN ONLY ROUTES =============
+router.get("/partners", verifyJWT, isAdmin, getDeliveryPartners);
+
+router.post("/orders/:orderId/assign", verifyJWT, isAdmin, assignDeliveryPartner);
+
+router.delete("/orders/:orderId/assign", verifyJWT, isAdmin, unassignDeliveryPartner);
+
+// ============= DELIVERY PARTNER ROUTES =============
+router.get("/run-sheet", verifyJWT, requireRoles("delivery_partner"), getRunSheet);
+
+router.patch("/availability", verifyJWT, requireRoles("delivery_partner"), setPartnerAvailability);
+
+router.post("/location", verifyJWT, requireRoles("delivery_partner"), updatePartnerLocation);
+
+router.post("/orders/:orderId/pickup", verifyJWT, requireRoles("delivery_partner"), markOrderPickedUp);
+
+// Proof of delivery: OTP in the body or a photo upload
+router.post(
+  "/orders/:orderId/deliver",
+  verifyJWT,
+  requireRoles("delivery_partner"),
+  uploadImage("photo"),
+  markOrderDelivered,
+);
+
+router.post("/orders/:orderId/fail", verifyJWT, requireRoles("delivery_partner"), markDeliveryFailed);
+
+// ============= AUTHENTICATED USER ROUTES =============
+router.get("/orders/:orderId/otp", verifyJWT, getDeliveryOtp);
+
+router.get("/orders/:orderId/proof-photo", verifyJWT, getDeliveryProofPhoto);
+
+export default router;
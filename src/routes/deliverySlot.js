@@ -0,0 +1,32 @@
+import { Router } from "express";
+import {
+  getDeliverySlots,
+  getAllDeliverySlots,
+  createDeliverySlot,
+  updateDeliverySlot,
+  deactivateDeliverySlot,
+  setDeliverySlotOverride,
+  removeDeliverySlotOverride,
+} from "../controller/deliverySlot.js";
+import { verifyJWT, isAdmin } from "../middleware/auth.js";
+
+const router = Router();
+
+// ============= ADMIN ONLY ROUTES =============
+router.get("/admin", verifyJWT, isAdmin, getAllDeliverySlots);
+
+router.post("/admin", verifyJWT, isAdmin, createDeliverySlot);
+
+// Holiday / special-day overrides (before /admin/:id so "overrides" is not an id)
+router.post("/admin/overrides", verifyJWT, isAdmin, setDeliverySlotOverride);
+
+router.delete("/admin/overrides", verifyJWT, isAdmin, removeDeliverySlotOverride);
+
+router.patch("/admin/:id", verifyJWT, isAdmin, updateDeliverySlot);
+
+router.delete("/admin/:id", verifyJWT, isAdmin, deactivateDeliverySlot);
+
+// ============= AUTHENTICATED USER ROUTES =============
+router.get("/", verifyJWT, getDeliverySlots);
+
+export default router;
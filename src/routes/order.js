@@ -13,10 +13,23 @@ import {
   getOrdersByStatus,
   getOrdersByMultipleStatuses,
   getOrderStatusStats,
+  getOrderTimeline,
+  cancelOrder,
+  modifyOrderItems,
+  razorpayWebhook,
+  getPaymentSweeps,
+  triggerPaymentSweep,
+  getPackingPickList,
+  packOrderLine,
+  completeOrderPacking,
 } from "../controller/order.js";
+import { trackOrder } from "../controller/delivery.js";
+import { reorderToCart } from "../controller/cart.js";
+import Order from "../Model/order.js";
 
-import { verifyJWT, isAdmin, optionalAuth } from "../middleware/auth.js";
+import { verifyJWT, isAdmin, optionalAuth, isOwnerOrAdmin } from "../middleware/auth.js";
 import { ApiError } from "../utility/ApiError.js";
+import { asyncHandler } from "../utility/AsyncHandler.js";
 
 // Custom role-based authorization middleware
 const authorizeRoles = (...allowedRoles) => {
@@ -36,6 +49,15 @@ const authorizeRoles = (...allowedRoles) => {
   };
 };
 
+// Exposes the order's customer as req.params.userId for isOwnerOrAdmin
+const resolveOrderOwner = asyncHandler(async (req, res, next) => {
+  const order = await Order.findOne({ orderId: req.params.orderId }, { customerInfo: 1 }).lean();
+  if (!order) throw new ApiError(404, "Order not found");
+
+  req.params.userId = order.customerInfo.toString();
+  next();
+});
+
 const router = Router();
 
 // ============= PUBLIC ROUTES =============
@@ -43,11 +65,15 @@ const router = Router();
 router.get("/get-key", getRazorpayKey);
 router.post("/calculate-price", calculatePrice);
 router.post("/validate-coupon-basket", validateCouponForBasket);
+router.post("/razorpay/webhook", razorpayWebhook);
 
 // ============= AUTHENTICATED USER ROUTES =============
 // Any logged-in user can access
 router.post("/create-order", verifyJWT, addOrder);
 router.post("/verify-payment", verifyJWT, verifyPayment);
+router.post("/:orderId/cancel", verifyJWT, cancelOrder);
+router.post("/:orderId/reorder", verifyJWT, reorderToCart);
+router.patch("/:orderId/items", verifyJWT, modifyOrderItems);
 
 router.get(
   "/all",
@@ -99,10 +125,37 @@ router.patch(
   updateOrderStatus,
 );
 
+// ============= PACKING ROUTES =============
+// Admin, Packaging
+router.get(
+  "/packing/pick-list",
+  verifyJWT,
+  authorizeRoles("admin", "packaging"),
+  getPackingPickList,
+);
+
+router.post(
+  "/:orderId/packing/lines/:lineId",
+  verifyJWT,
+  authorizeRoles("admin", "packaging"),
+  packOrderLine,
+);
+
+router.post(
+  "/:orderId/packing/complete",
+  verifyJWT,
+  authorizeRoles("admin", "packaging"),
+  completeOrderPacking,
+);
+
 // ============= ADMIN ONLY ROUTES =============
 // Only admin can update or delete orders
+router.get("/payment-sweeps", verifyJWT, isAdmin, getPaymentSweeps);
+router.post("/payment-sweeps/run", verifyJWT, isAdmin, triggerPaymentSweep);
 router.patch("/:id", verifyJWT, isAdmin);
 
 router.delete("/:id", verifyJWT, isAdmin);
+router.get("/:orderId/timeline", verifyJWT, getOrderTimeline);
+router.get("/:orderId/track", verifyJWT, resolveOrderOwner, isOwnerOrAdmin, trackOrder);
 router.get("/:orderId", verifyJWT, getOrderById);
 export default router;
@@ -0,0 +1,32 @@
+import { Router } from "express";
+import {
+  getPricingRules,
+  createPricingRule,
+  updatePricingRule,
+  setPricingRuleActive,
+  deletePricingRule,
+  previewPricingRule,
+} from "../controller/pricingRule.js";
+import { verifyJWT, isAdmin } from "../middleware/auth.js";
+
+const router = Router();
+
+// ============= ADMIN ONLY ROUTES =============
+router.use(verifyJWT, isAdmin);
+
+router.get("/", getPricingRules);
+
+router.post("/", createPricingRule);
+
+// Before /:id so "preview" is not an id
+router.post("/preview", previewPricingRule);
+
+router.patch("/:id", updatePricingRule);
+
+router.delete("/:id", deletePricingRule);
+
+router.post("/:id/activate", setPricingRuleActive(true));
+
+router.post("/:id/deactivate", setPricingRuleActive(false));
+
+export default router;
@@ -0,0 +1,26 @@
+import { Router } from "express";
+import {
+  createPurchase,
+  getPurchases,
+  getPurchaseById,
+  receivePurchaseHandler,
+  cancelPurchase,
+} from "../controller/purchase.js";
+import { verifyJWT, isAdmin } from "../middleware/auth.js";
+
+const router = Router();
+
+// ============= ADMIN ONLY ROUTES =============
+router.use(verifyJWT, isAdmin);
+
+router.get("/", getPurchases);
+
+router.post("/", createPurchase);
+
+router.get("/:id", getPurchaseById);
+
+router.post("/:id/receive", receivePurchaseHandler);
+
+router.post("/:id/cancel", cancelPurchase);
+
+export default router;
@@ -6,6 +6,7 @@ import {
   getCancelledOrdersReport,
   getRevenueComparison,
 } from "../controller/report.controller.js";
+import { verifyJWT, isAdmin } from "../middleware/auth.js";
 
 const router = express.Router();
 
@@ -13,6 +14,9 @@ const router = express.Router();
    REVENUE REPORTS - ADMIN ONLY
    All routes exclude cancelled orders from revenue calculations
 ========================================== */
+// Purchase costs, gross profit and margins are admin-only data, so the
+// reports carrying them require an admin
+const costing = [verifyJWT, isAdmin];
 
 // ✅ Calculate Total Revenue (Excluding Cancelled Orders)
 // GET /api/reports/revenue
@@ -20,6 +24,7 @@ const router = express.Router();
 // Returns: Total revenue, orders, profit, discounts (cancelled orders excluded)
 router.get(
   "/revenue",
+  ...costing,
   calculateTotalRevenue
 );
 
@@ -29,6 +34,7 @@ router.get(
 // Downloads: Excel file with daily breakdown (cancelled orders excluded)
 router.get(
   "/daily-excel",
+  ...costing,
   generateDailyOrderReport
 );
 
@@ -38,6 +44,7 @@ router.get(
 // Returns: Quick stats for dashboard (cancelled orders excluded)
 router.get(
   "/stats",
+  ...costing,
   getReportStats
 );
 
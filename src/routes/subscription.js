@@ -0,0 +1,38 @@
+import { Router } from "express";
+import {
+  createSubscription,
+  getMySubscriptions,
+  getSubscriptionById,
+  pauseSubscription,
+  resumeSubscription,
+  skipSubscriptionDelivery,
+  cancelSubscription,
+  getUpcomingSubscriptionVolume,
+  triggerSubscriptionScheduler,
+} from "../controller/subscription.js";
+import { verifyJWT, isAdmin } from "../middleware/auth.js";
+
+const router = Router();
+
+// ============= ADMIN ONLY ROUTES =============
+router.get("/admin/upcoming", verifyJWT, isAdmin, getUpcomingSubscriptionVolume);
+
+router.post("/admin/run", verifyJWT, isAdmin, triggerSubscriptionScheduler);
+
+// ============= AUTHENTICATED USER ROUTES =============
+// Customers manage their own subscriptions; admins can act on any
+router.post("/", verifyJWT, createSubscription);
+
+router.get("/my", verifyJWT, getMySubscriptions);
+
+router.get("/:id", verifyJWT, getSubscriptionById);
+
+router.post("/:id/pause", verifyJWT, pauseSubscription);
+
+router.post("/:id/resume", verifyJWT, resumeSubscription);
+
+router.post("/:id/skip", verifyJWT, skipSubscriptionDelivery);
+
+router.post("/:id/cancel", verifyJWT, cancelSubscription);
+
+export default router;
@@ -0,0 +1,36 @@
+import { Router } from "express";
+import {
+  getSuppliers,
+  getSupplierById,
+  createSupplier,
+  updateSupplier,
+  deactivateSupplier,
+  recordSupplierPrices,
+  getSupplierPriceHistory,
+  getPriceComparison,
+} from "../controller/supplier.js";
+import { verifyJWT, isAdmin } from "../middleware/auth.js";
+
+const router = Router();
+
+// ============= ADMIN ONLY ROUTES =============
+router.use(verifyJWT, isAdmin);
+
+// Before /:id so "price-comparison" is not an id
+router.get("/price-comparison", getPriceComparison);
+
+router.get("/", getSuppliers);
+
+router.post("/", createSupplier);
+
+router.get("/:id", getSupplierById);
+
+router.patch("/:id", updateSupplier);
+
+router.delete("/:id", deactivateSupplier);
+
+router.get("/:id/prices", getSupplierPriceHistory);
+
+router.post("/:id/prices", recordSupplierPrices);
+
+export default router;
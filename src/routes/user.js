@@ -4,6 +4,7 @@ import {
   getOrderHistory,
   getUserOrderHistory,
   getUserAddresses,
+  getBuyAgain,
 } from "../controller/user.controller.js";
 import { verifyJWT } from "../middleware/auth.js";
 
@@ -13,6 +14,8 @@ router.get("/me", verifyJWT, getUser);
 
 router.get("/order-history", verifyJWT, getOrderHistory);
 
+router.get("/buy-again", verifyJWT, getBuyAgain);
+
 router.get("/:userId/order-history", verifyJWT, getUserOrderHistory);
 
 router.get("/addresses", verifyJWT, getUserAddresses);
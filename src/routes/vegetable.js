@@ -6,9 +6,17 @@ import {
   getVegetables,
   getVegetableById,
   homepageApi,
+  getStockHistory,
+  getStockReconciliation,
+  getPriceHistory,
+  searchVegetables,
+  addVegetableImages,
+  updateVegetableImages,
+  deleteVegetableImage,
 } from "../controller/vegetable.js";
 
 import { verifyJWT, isAdmin } from "../middleware/auth.js";
+import { uploadImages } from "../middleware/multer.js";
 
 const router = Router();
 
@@ -19,6 +27,9 @@ const router = Router();
 // Homepage API (highest priority)
 router.get("/home/veg", homepageApi);
 
+// Before /:id so "search" is not an id
+router.get("/search", searchVegetables);
+
 // ---------- SORT ROUTES ----------
 const sortRoute = (sortBy, order = "asc") => (req, res, next) => {
   req.query.sortBy = sortBy;
@@ -26,8 +37,8 @@ const sortRoute = (sortBy, order = "asc") => (req, res, next) => {
   return getVegetables(req, res, next);
 };
 
-router.get("/sort/price-low", sortRoute("prices.weight1kg", "asc"));
-router.get("/sort/price-high", sortRoute("prices.weight1kg", "desc"));
+router.get("/sort/price-low", sortRoute("price", "asc"));
+router.get("/sort/price-high", sortRoute("price", "desc"));
 router.get("/sort/name-az", sortRoute("name", "asc"));
 router.get("/sort/name-za", sortRoute("name", "desc"));
 router.get("/sort/newest", sortRoute("createdAt", "desc"));
@@ -48,6 +59,12 @@ router.get("/in-stock", filterRoute({ inStock: "true" }));
 router.get("/out-of-stock", filterRoute({ outOfStock: "true" }));
 router.get("/offers", filterRoute({ hasOffer: "true" }));
 
+// Category by slug or id, including its sub-categories
+router.get("/category/:category", (req, res, next) => {
+  req.query.category = req.params.category;
+  return getVegetables(req, res, next);
+});
+
 // ---------- PAGINATION ----------
 router.get("/page/:page", (req, res, next) => {
   req.query.page = req.params.page;
@@ -63,7 +80,7 @@ router.get("/limit/:limit", (req, res, next) => {
 
 router.get(
   "/featured/sort/price-low",
-  filterRoute({ featured: "true", sortBy: "prices.weight1kg", order: "asc" }),
+  filterRoute({ featured: "true", sortBy: "price", order: "asc" }),
 );
 
 router.get(
@@ -73,20 +90,30 @@ router.get(
 
 router.get(
   "/offers/sort/price-high",
-  filterRoute({ hasOffer: "true", sortBy: "prices.weight1kg", order: "desc" }),
+  filterRoute({ hasOffer: "true", sortBy: "price", order: "desc" }),
 );
 
 
 router.get("/", getVegetables);
 
+router.get("/stock/reconciliation", verifyJWT, isAdmin, getStockReconciliation);
+router.get("/:id/stock-history", verifyJWT, isAdmin, getStockHistory);
+router.get("/:id/price-history", getPriceHistory);
+
 
 router.get("/:id", getVegetableById);
 
 
 
-router.post("/add", verifyJWT, isAdmin, addVegetable);
-router.put("/:id", verifyJWT, isAdmin, updateVegetable);
-router.patch("/:id", verifyJWT, isAdmin, updateVegetable);
+// JSON or multipart; multipart "images" files go to the gallery
+router.post("/add", verifyJWT, isAdmin, uploadImages(), addVegetable);
+router.put("/:id", verifyJWT, isAdmin, uploadImages(), updateVegetable);
+router.patch("/:id", verifyJWT, isAdmin, uploadImages(), updateVegetable);
 router.delete("/:id", verifyJWT, isAdmin, deleteVegetable);
 
+// Gallery
+router.post("/:id/images", verifyJWT, isAdmin, uploadImages(), addVegetableImages);
+router.patch("/:id/images", verifyJWT, isAdmin, updateVegetableImages);
+router.delete("/:id/images/:imageId", verifyJWT, isAdmin, deleteVegetableImage);
+
 export default router;
@@ -0,0 +1,14 @@
+import { Router } from "express";
+import { recordWastage, getWastage } from "../controller/wastage.js";
+import { verifyJWT, isAdmin } from "../middleware/auth.js";
+
+const router = Router();
+
+// ============= ADMIN ONLY ROUTES =============
+router.use(verifyJWT, isAdmin);
+
+router.get("/", getWastage);
+
+router.post("/", recordWastage);
+
+export default router;
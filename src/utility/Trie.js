@@ -0,0 +1,49 @@
+class TrieNode {
+  constructor() {
+    this.children = {};
+    // Everything inserted under a word passing through this node
+    this.values = new Set();
+  }
+}
+
+/**
+ * Case-insensitive prefix index - O(k) lookup for a prefix of length k.
+ * Every node on a word's path keeps the values inserted under that word, so
+ * a lookup returns them without walking the subtree. The root holds every
+ * value ever inserted.
+ */
+export class Trie {
+  constructor() {
+    this.root = new TrieNode();
+  }
+
+  insert(word, value) {
+    let node = this.root;
+    node.values.add(value);
+    for (const char of word.toLowerCase()) {
+      if (!node.children[char]) node.children[char] = new TrieNode();
+      node = node.children[char];
+      node.values.add(value);
+    }
+  }
+
+  /**
+   * Values inserted under words starting with `prefix`, in insertion order
+   * @param {string} prefix
+   * @param {number} [limit]
+   * @returns {Array}
+   */
+  search(prefix, limit = Infinity) {
+    let node = this.root;
+    for (const char of prefix.toLowerCase()) {
+      node = node.children[char];
+      if (!node) return [];
+    }
+    return [...node.values].slice(0, limit);
+  }
+
+  // Distinct values indexed
+  get size() {
+    return this.root.values.size;
+  }
+}
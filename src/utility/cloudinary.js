@@ -6,6 +6,19 @@ cloudinary.v2.config({
   api_secret: process.env.CLOUDINARY_API_SECRET,
 });
 
-export const uploadToCloudinary = async (file, folder = "uploads") => {
-  return await cloudinary.v2.uploader.upload(file, { folder });
+// options.type "authenticated" keeps the asset behind signed URLs
+export const uploadToCloudinary = async (file, folder = "uploads", options = {}) => {
+  return await cloudinary.v2.uploader.upload(file, { folder, ...options });
 };
+
+export const deleteFromCloudinary = async (publicId, options = {}) => {
+  return await cloudinary.v2.uploader.destroy(publicId, options);
+};
+
+// Signed delivery URL for an "authenticated" asset
+export const cloudinarySignedUrl = (publicId) =>
+  cloudinary.v2.url(publicId, { secure: true, type: "authenticated", sign_url: true });
+
+// Delivery URL with an on-the-fly transformation, e.g. { width: 200, crop: "fill" }
+export const cloudinaryImageUrl = (publicId, transformation = {}) =>
+  cloudinary.v2.url(publicId, { secure: true, fetch_format: "auto", quality: "auto", ...transformation });
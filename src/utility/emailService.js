@@ -313,6 +313,74 @@ If you have any questions, contact us at info.vegbazar@gmail.com
 Best regards,
 VegBazar Team
 
+© ${new Date().getFullYear()} VegBazar. All rights reserved.
+    `,
+    },
+
+    cartInvite: {
+      subject: `${data.inviterName || "Someone"} invited you to their VegBazar cart`,
+      html: `
+      <!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+</head>
+<body style="font-family: 'Poppins', -apple-system, BlinkMacSystemFont, 'Segoe UI', Arial, sans-serif; margin: 0; padding: 0; background-color: #f3f4f6;">
+  <table width="100%" cellpadding="0" cellspacing="0" border="0" style="background-color: #f3f4f6; padding: 40px 20px;">
+    <tr>
+      <td align="center">
+        <table width="600" cellpadding="0" cellspacing="0" border="0" style="max-width: 600px; background-color: #ffffff; border-radius: 8px; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.1); overflow: hidden;">
+          <tr>
+            <td style="background-color: #0e540b; color: #ffffff; text-align: center; padding: 32px 24px;">
+              <h1 style="font-size: 24px; font-weight: 600; margin: 0; color: #ffffff;">
+                Shop together on VegBazar
+              </h1>
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 32px;">
+              <p style="font-size: 15px; color: #374151; margin: 0 0 16px 0; line-height: 1.6;">
+                ${data.inviterName || "A VegBazar customer"} has invited you to share their household cart.
+                Add what your family needs and they will check out once for everyone.
+              </p>
+              <p style="font-size: 15px; color: #374151; margin: 0 0 24px 0; line-height: 1.6;">
+                Sign in with this email address to accept. The invitation expires on ${data.expiresOn}.
+              </p>
+              <table width="100%" cellpadding="0" cellspacing="0" border="0" style="margin: 24px 0;">
+                <tr>
+                  <td align="center">
+                    <a href="${data.shopUrl || "https://vegbazar.store/"}"
+                       style="display: inline-block; background-color: #ff6b35; color: #ffffff; text-decoration: none; font-weight: 600; font-size: 15px; padding: 12px 32px; border-radius: 4px;">
+                      View Invitation
+                    </a>
+                  </td>
+                </tr>
+              </table>
+            </td>
+          </tr>
+          <tr>
+            <td style="background-color: #f9fafb; text-align: center; padding: 20px 24px;">
+              <p style="color: #6b7280; font-size: 13px; margin: 0;">
+                &copy; ${new Date().getFullYear()} VegBazar. All rights reserved.
+              </p>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+    `,
+      text: `VegBazar - Shared cart invitation
+
+${data.inviterName || "A VegBazar customer"} has invited you to share their household cart.
+Add what your family needs and they will check out once for everyone.
+
+Sign in with this email address to accept: ${data.shopUrl || "https://vegbazar.store"}
+The invitation expires on ${data.expiresOn}.
+
 © ${new Date().getFullYear()} VegBazar. All rights reserved.
     `,
     },
@@ -361,6 +429,10 @@ export const sendWelcomeEmail = async (to, username) => {
   return sendEmail(to, "welcomeEmail", { username });
 };
 
+export const sendCartInviteEmail = async (to, inviterName, expiresOn) => {
+  return sendEmail(to, "cartInvite", { inviterName, expiresOn });
+};
+
 // Verify email configuration
 export const verifyEmailConfig = async () => {
   try {
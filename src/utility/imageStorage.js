@@ -0,0 +1,283 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import {
+  uploadToCloudinary,
+  deleteFromCloudinary,
+  cloudinaryImageUrl,
+  cloudinarySignedUrl,
+} from "./cloudinary.js";
+
+// ================= CONFIGURATION =================
+const CONFIG = Object.freeze({
+  // "cloudinary" | "local" | any name passed to registerStorageDriver
+  driver:
+    process.env.IMAGE_STORAGE_DRIVER ||
+    (process.env.CLOUDINARY_CLOUD_NAME ? "cloudinary" : "local"),
+  // Served by express.static("public") in app.js
+  localRoot: "public",
+  localDir: "uploads",
+  // Private images (delivery proofs) live outside the static root and are
+  // only handed out by an authenticated route
+  privateRoot: "storage",
+  variants: Object.freeze({
+    thumbnail: { width: 200, height: 200, crop: "fill" },
+    medium: { width: 600, crop: "limit" },
+  }),
+});
+
+// Accepted image types and the extension each is stored under. The extension
+// always comes from here, never from the client's file name.
+export const IMAGE_EXTENSIONS = Object.freeze({
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+  "image/webp": ".webp",
+  "image/avif": ".avif",
+});
+
+// Leading bytes of each accepted type
+const matchesSignature = {
+  "image/jpeg": (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff,
+  "image/png": (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  "image/webp": (b) => b.toString("latin1", 0, 4) === "RIFF" && b.toString("latin1", 8, 12) === "WEBP",
+  // ISO-BMFF "ftyp" box naming avif/avis as the major or a compatible brand
+  "image/avif": (b) => b.toString("latin1", 4, 8) === "ftyp" && /avi[fs]/.test(b.toString("latin1", 8, 32)),
+};
+
+/**
+ * Check a file's contents against its declared image type; the mimetype a
+ * client sends is not trusted on its own
+ * @param {string} filePath
+ * @param {string} mimetype
+ * @returns {Promise<boolean>}
+ */
+export const isImageFile = async (filePath, mimetype) => {
+  if (!matchesSignature[mimetype]) return false;
+  const handle = await fs.open(filePath, "r");
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(32), 0, 32, 0);
+    return bytesRead >= 12 && matchesSignature[mimetype](buffer);
+  } finally {
+    await handle.close();
+  }
+};
+
+// A driver stores a multer temp file and returns where it ended up:
+//   save(filePath, { folder, mimetype }) -> { url, key, variants: { thumbnail, medium } }
+//   remove(key) -> removes a previously saved image
+// Both own the temp file once called: it is moved or deleted either way.
+// Drivers that can keep images private also implement:
+//   savePrivate(filePath, { folder, mimetype }) -> { key }
+//   resolvePrivate(key) -> { url } (short-lived / signed) or { path } (local file)
+//   removePrivate(key)
+
+const cloudinaryDriver = {
+  async save(filePath, { folder }) {
+    try {
+      const result = await uploadToCloudinary(filePath, folder);
+      return {
+        url: result.secure_url,
+        key: result.public_id,
+        variants: Object.fromEntries(
+          Object.entries(CONFIG.variants).map(([name, t]) => [name, cloudinaryImageUrl(result.public_id, t)])
+        ),
+      };
+    } finally {
+      await fs.unlink(filePath).catch(() => {});
+    }
+  },
+
+  async remove(key) {
+    await deleteFromCloudinary(key);
+  },
+
+  async savePrivate(filePath, { folder }) {
+    try {
+      const result = await uploadToCloudinary(filePath, folder, { type: "authenticated" });
+      return { key: result.public_id };
+    } finally {
+      await fs.unlink(filePath).catch(() => {});
+    }
+  },
+
+  async resolvePrivate(key) {
+    return { url: cloudinarySignedUrl(key) };
+  },
+
+  async removePrivate(key) {
+    await deleteFromCloudinary(key, { type: "authenticated" });
+  },
+};
+
+// Move a temp file to <root>/<dir>/<folder>/<random name>; returns the key
+// (path below root)
+const moveToLocal = async (filePath, { root, dir, folder, mimetype }) => {
+  const extension = IMAGE_EXTENSIONS[mimetype];
+  if (!extension) {
+    await fs.unlink(filePath).catch(() => {});
+    throw new Error(`Unsupported image type: ${mimetype}`);
+  }
+  const name = `${Date.now()}_${crypto.randomBytes(6).toString("hex")}${extension}`;
+  const key = path.posix.join(dir, folder, name);
+  const target = path.join(root, key);
+
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  try {
+    await fs.rename(filePath, target);
+  } catch (err) {
+    // Temp dir on another device
+    if (err.code !== "EXDEV") throw err;
+    await fs.copyFile(filePath, target);
+    await fs.unlink(filePath);
+  }
+  return key;
+};
+
+// Absolute path of a local key, or null when the key points outside root/dir
+const localPath = (root, dir, key) => {
+  const target = path.resolve(root, key);
+  return target.startsWith(path.resolve(root, dir) + path.sep) ? target : null;
+};
+
+const unlinkLocal = async (target) => {
+  if (!target) return;
+  await fs.unlink(target).catch((err) => {
+    if (err.code !== "ENOENT") throw err;
+  });
+};
+
+// Development / test backend: files under public/uploads, no resizing so
+// every variant is the original. Private images go under storage/uploads.
+const localDriver = {
+  async save(filePath, { folder, mimetype }) {
+    const key = await moveToLocal(filePath, { root: CONFIG.localRoot, dir: CONFIG.localDir, folder, mimetype });
+    const url = `/${key}`;
+    return { url, key, variants: { thumbnail: url, medium: url } };
+  },
+
+  async remove(key) {
+    await unlinkLocal(localPath(CONFIG.localRoot, CONFIG.localDir, key));
+  },
+
+  async savePrivate(filePath, { folder, mimetype }) {
+    return {
+      key: await moveToLocal(filePath, { root: CONFIG.privateRoot, dir: CONFIG.localDir, folder, mimetype }),
+    };
+  },
+
+  async resolvePrivate(key) {
+    const target = localPath(CONFIG.privateRoot, CONFIG.localDir, key);
+    if (!target) throw new Error(`Invalid private image key: ${key}`);
+    return { path: target };
+  },
+
+  async removePrivate(key) {
+    await unlinkLocal(localPath(CONFIG.privateRoot, CONFIG.localDir, key));
+  },
+};
+
+const drivers = new Map([
+  ["cloudinary", cloudinaryDriver],
+  ["local", localDriver],
+]);
+
+/**
+ * Add or replace a storage backend (e.g. an in-memory one in tests)
+ * @param {string} name
+ * @param {{ save: Function, remove: Function }} driver
+ */
+export const registerStorageDriver = (name, driver) => {
+  if (typeof driver?.save !== "function" || typeof driver?.remove !== "function")
+    throw new Error("Storage driver needs save() and remove()");
+  drivers.set(name, driver);
+};
+
+/**
+ * The configured driver, or a named one (images remember which driver stored them)
+ * @param {string} [name]
+ */
+export const getStorageDriver = (name = CONFIG.driver) => {
+  const driver = drivers.get(name);
+  if (!driver) throw new Error(`Unknown image storage driver: ${name}`);
+  return { name, ...driver };
+};
+
+/**
+ * Store uploaded files with the configured driver
+ * @param {Array} files - multer files
+ * @param {string} folder
+ * @returns {Promise<Array>} [{ url, key, driver, variants }] in upload order
+ */
+export const storeImages = async (files, folder) => {
+  const driver = getStorageDriver();
+  const stored = [];
+  try {
+    for (const file of files) {
+      const saved = await driver.save(file.path, { folder, mimetype: file.mimetype });
+      stored.push({ ...saved, driver: driver.name });
+    }
+  } catch (err) {
+    // Do not leave half a gallery behind
+    await removeImages(stored);
+    throw err;
+  }
+  return stored;
+};
+
+/**
+ * Best-effort removal of stored images; failures are logged, not thrown
+ * @param {Array} images - [{ key, driver }]
+ */
+export const removeImages = async (images = []) => {
+  await Promise.all(
+    images
+      .filter((image) => image?.key)
+      .map(async (image) => {
+        try {
+          await getStorageDriver(image.driver || CONFIG.driver).remove(image.key);
+        } catch (err) {
+          console.error(`Failed to remove image ${image.key}:`, err.message);
+        }
+      })
+  );
+};
+
+const privateDriver = (name) => {
+  const driver = getStorageDriver(name);
+  if (typeof driver.savePrivate !== "function")
+    throw new Error(`Image storage driver ${driver.name} cannot store private images`);
+  return driver;
+};
+
+/**
+ * Store one uploaded file where it is not publicly reachable
+ * @param {Object} file - multer file
+ * @param {string} folder
+ * @returns {Promise<Object>} { key, driver }
+ */
+export const storePrivateImage = async (file, folder) => {
+  const driver = privateDriver();
+  const saved = await driver.savePrivate(file.path, { folder, mimetype: file.mimetype });
+  return { key: saved.key, driver: driver.name };
+};
+
+/**
+ * Where to fetch a private image from: a signed URL to redirect to, or a
+ * local file to stream
+ * @param {Object} image - { key, driver }
+ * @returns {Promise<Object>} { url } or { path }
+ */
+export const resolvePrivateImage = (image) => privateDriver(image.driver).resolvePrivate(image.key);
+
+/**
+ * Best-effort removal of a private image; failures are logged, not thrown
+ * @param {Object} image - { key, driver }
+ */
+export const removePrivateImage = async (image) => {
+  if (!image?.key) return;
+  try {
+    await privateDriver(image.driver).removePrivate(image.key);
+  } catch (err) {
+    console.error(`Failed to remove private image ${image.key}:`, err.message);
+  }
+};
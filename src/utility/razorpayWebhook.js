@@ -0,0 +1,96 @@
+import crypto from "crypto";
+
+/**
+ * Sign a raw webhook body the same way Razorpay does
+ * @param {string|Buffer} rawBody - Exact request body bytes
+ * @param {string} secret - Webhook secret configured in the Razorpay dashboard
+ * @returns {string} hex HMAC-SHA256 signature
+ */
+export const signWebhookPayload = (rawBody, secret) =>
+  crypto.createHmac("sha256", secret).update(rawBody).digest("hex");
+
+/**
+ * Verify the X-Razorpay-Signature header against the raw body
+ * @param {string|Buffer} rawBody
+ * @param {string} signature
+ * @param {string} secret
+ * @returns {boolean}
+ */
+export const verifyWebhookSignature = (rawBody, signature, secret) => {
+  if (!rawBody || !signature || !secret) return false;
+
+  const expected = Buffer.from(signWebhookPayload(rawBody, secret));
+  const received = Buffer.from(String(signature));
+
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  );
+};
+
+/**
+ * Build a minimal webhook event shaped like Razorpay's, for local testing
+ * @param {string} event - payment.captured | payment.failed | refund.processed
+ * @param {object} options - { orderId, paymentId, amount (paise), refundId, errorDescription }
+ * @returns {object}
+ */
+export const buildFakeWebhookEvent = (
+  event,
+  {
+    orderId,
+    paymentId,
+    amount = 0,
+    refundId = null,
+    errorDescription = "Payment was declined by the bank",
+  } = {},
+) => {
+  const now = Math.floor(Date.now() / 1000);
+
+  const payment = {
+    id: paymentId,
+    entity: "payment",
+    amount,
+    currency: "INR",
+    status: event === "payment.failed" ? "failed" : "captured",
+    order_id: orderId,
+    method: "upi",
+    captured: event !== "payment.failed",
+    created_at: now,
+    ...(event === "payment.failed" && {
+      error_code: "BAD_REQUEST_ERROR",
+      error_description: errorDescription,
+      error_reason: "payment_failed",
+    }),
+  };
+
+  const payload = { payment: { entity: payment } };
+
+  if (event === "refund.processed") {
+    payload.refund = {
+      entity: {
+        id: refundId || `rfnd_${crypto.randomBytes(7).toString("hex")}`,
+        entity: "refund",
+        amount,
+        currency: "INR",
+        payment_id: paymentId,
+        status: "processed",
+        created_at: now,
+      },
+    };
+  }
+
+  return {
+    entity: "event",
+    account_id: "acc_local_test",
+    event,
+    contains: Object.keys(payload),
+    payload,
+    created_at: now,
+  };
+};
+
+export default {
+  signWebhookPayload,
+  verifyWebhookSignature,
+  buildFakeWebhookEvent,
+};
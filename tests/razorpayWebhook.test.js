@@ -0,0 +1,256 @@
+import { jest } from "@jest/globals";
+import mongoose from "mongoose";
+import request from "supertest";
+import {
+  buildFakeWebhookEvent,
+  signWebhookPayload,
+} from "../src/utility/razorpayWebhook.js";
+
+const SECRET = "whsec_local_test";
+process.env.RAZORPAY_KEY_ID ||= "rzp_test_key";
+process.env.RAZORPAY_SECRET ||= "rzp_test_secret";
+process.env.RAZORPAY_WEBHOOK_SECRET = SECRET;
+delete process.env.REDIS_URL;
+delete process.env.ADMIN_EMAIL;
+delete process.env.EMAIL_USER;
+
+// Nothing here talks to MongoDB: an unexpected query fails straight away
+mongoose.set("bufferCommands", false);
+
+// Confirmed orders kick off invoicing; keep PDFs and mail out of the tests
+jest.unstable_mockModule("../src/controller/invoice.js", () => ({
+  generateInvoicePDF: jest.fn(),
+  sendInvoiceEmail: jest.fn(),
+  processOrderInvoice: jest.fn().mockResolvedValue(null),
+  invoiceController: jest.fn(),
+  getInvoicePDF: jest.fn(),
+  bulkProcessInvoices: jest.fn(),
+  getInvoiceAnalytics: jest.fn(),
+  retryFailedEmails: jest.fn(),
+}));
+
+// Middleware keeps module-level cleanup timers; let them not hold the run open
+const realSetInterval = globalThis.setInterval;
+jest.spyOn(globalThis, "setInterval").mockImplementation((...args) => realSetInterval(...args).unref());
+
+const { app } = await import("../app.js");
+const { default: Order } = await import("../src/Model/order.js");
+const { default: Cart } = await import("../src/Model/cart.js");
+const { processOrderInvoice } = await import("../src/controller/invoice.js");
+
+// ─── In-memory orders ─────────────────────────────────────────────────────────
+// Just enough of the Mongo query language for the webhook's conditional updates
+
+// Values at a dotted path, looking through arrays ("razorpayRefunds.refundId")
+const valuesAt = (doc, path) =>
+  path.split(".").reduce(
+    (values, key) =>
+      values.flatMap((v) => (v == null ? [] : Array.isArray(v[key]) ? v[key] : [v[key]])),
+    [doc],
+  );
+
+const same = (a, b) => String(a ?? null) === String(b ?? null);
+
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([path, condition]) => {
+    const values = valuesAt(doc, path);
+    const found = values.length ? values : [null];
+    if (condition && typeof condition === "object") {
+      if ("$in" in condition) return found.some((v) => condition.$in.some((c) => same(v, c)));
+      if ("$ne" in condition) return !found.some((v) => same(v, condition.$ne));
+    }
+    return found.some((v) => same(v, condition));
+  });
+
+const setPath = (doc, path, value) => {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const target = keys.reduce((obj, key) => (obj[key] ??= {}), doc);
+  target[last] = value;
+};
+
+const applyUpdate = (doc, { $set = {}, $push = {} }) => {
+  for (const [path, value] of Object.entries($set)) setPath(doc, path, value);
+  for (const [path, value] of Object.entries($push)) (doc[path] ??= []).push(value);
+};
+
+// Thenable stand-in for a Mongoose query
+const query = (result) => {
+  const q = {
+    populate: () => q,
+    select: () => q,
+    session: () => q,
+    lean: () => q,
+    then: (resolve, reject) => Promise.resolve(structuredClone(result)).then(resolve, reject),
+  };
+  return q;
+};
+
+let orders = [];
+
+beforeEach(() => {
+  orders = [];
+  processOrderInvoice.mockClear();
+  jest.spyOn(Order, "findOne").mockImplementation((filter) => query(orders.find((o) => matches(o, filter)) ?? null));
+  jest.spyOn(Order, "findById").mockImplementation((id) => query(orders.find((o) => same(o._id, id)) ?? null));
+  jest.spyOn(Order, "findOneAndUpdate").mockImplementation((filter, update, options = {}) => {
+    const order = orders.find((o) => matches(o, filter));
+    if (!order) return query(null);
+    const before = structuredClone(order);
+    applyUpdate(order, update);
+    return query(options.new ? order : before);
+  });
+  jest.spyOn(Order, "updateOne").mockImplementation(async (filter, update) => {
+    const order = orders.find((o) => matches(o, filter));
+    if (order) applyUpdate(order, update);
+    return { matchedCount: order ? 1 : 0, modifiedCount: order ? 1 : 0 };
+  });
+  jest.spyOn(Cart, "completeCheckout").mockResolvedValue(null);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const objectId = () => new mongoose.Types.ObjectId().toHexString();
+
+const onlineOrder = (fields = {}) => {
+  const order = {
+    _id: objectId(),
+    orderId: "ORD260101001",
+    customerInfo: objectId(),
+    selectedVegetables: [],
+    paymentMethod: "ONLINE",
+    paymentStatus: "awaiting_payment",
+    orderStatus: "placed",
+    razorpayOrderId: "order_TEST001",
+    razorpayPaymentId: null,
+    razorpayRefunds: [],
+    finalPayableAmount: 250,
+    cashbackEligible: false,
+    cashbackAmount: 0,
+    ...fields,
+  };
+  orders.push(order);
+  return order;
+};
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+const postWebhook = (event, { signature } = {}) => {
+  const body = JSON.stringify(event);
+  return request(app)
+    .post("/api/orders/razorpay/webhook")
+    .set("Content-Type", "application/json")
+    .set("X-Razorpay-Signature", signature ?? signWebhookPayload(body, SECRET))
+    .send(body);
+};
+
+const captured = (paymentId = "pay_TEST001") =>
+  buildFakeWebhookEvent("payment.captured", { orderId: "order_TEST001", paymentId, amount: 25000 });
+
+// ─── Tests ────────────────────────────────────────────────────────────────────
+describe("POST /api/orders/razorpay/webhook", () => {
+  test("rejects a body whose signature does not match with 400", async () => {
+    const order = onlineOrder();
+    const event = captured();
+
+    const res = await postWebhook(event, { signature: signWebhookPayload(JSON.stringify(event), "wrong_secret") });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe("Invalid signature");
+    expect(Order.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(orders[0]).toEqual(order);
+  });
+
+  test("rejects a body altered after signing", async () => {
+    onlineOrder();
+    const event = captured();
+    const signature = signWebhookPayload(JSON.stringify(event), SECRET);
+    event.payload.payment.entity.amount = 1;
+
+    const res = await postWebhook(event, { signature });
+
+    expect(res.status).toBe(400);
+    expect(orders[0].paymentStatus).toBe("awaiting_payment");
+  });
+
+  test("payment.captured confirms the order once and treats a replay as a duplicate", async () => {
+    onlineOrder();
+
+    const first = await postWebhook(captured("pay_TEST001"));
+    expect(first.status).toBe(200);
+    expect(first.body.data).toMatchObject({ event: "payment.captured", outcome: "confirmed", orderId: "ORD260101001" });
+    expect(orders[0]).toMatchObject({ paymentStatus: "completed", razorpayPaymentId: "pay_TEST001" });
+    expect(Cart.completeCheckout).toHaveBeenCalledTimes(1);
+    expect(processOrderInvoice).toHaveBeenCalledTimes(1);
+
+    const replay = await postWebhook(captured("pay_TEST001"));
+    expect(replay.status).toBe(200);
+    expect(replay.body.data).toMatchObject({ outcome: "duplicate", orderId: "ORD260101001" });
+    expect(orders[0]).toMatchObject({ paymentStatus: "completed", razorpayPaymentId: "pay_TEST001" });
+    // Confirmation side effects ran for the first delivery only
+    expect(Cart.completeCheckout).toHaveBeenCalledTimes(1);
+    expect(processOrderInvoice).toHaveBeenCalledTimes(1);
+  });
+
+  test("payment.captured with a different payment on a paid order is a conflict", async () => {
+    onlineOrder({ paymentStatus: "completed", razorpayPaymentId: "pay_TEST001" });
+
+    const res = await postWebhook(captured("pay_OTHER"));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.outcome).toBe("conflict");
+    expect(orders[0].razorpayPaymentId).toBe("pay_TEST001");
+  });
+
+  test("payment.failed marks an awaiting order failed and records the gateway error", async () => {
+    onlineOrder();
+    const event = buildFakeWebhookEvent("payment.failed", {
+      orderId: "order_TEST001",
+      paymentId: "pay_FAILED1",
+      errorDescription: "Card declined",
+    });
+
+    const res = await postWebhook(event);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ outcome: "failed", orderId: "ORD260101001" });
+    expect(orders[0].paymentStatus).toBe("failed");
+    expect(orders[0].paymentFailure).toMatchObject({
+      paymentId: "pay_FAILED1",
+      code: "BAD_REQUEST_ERROR",
+      description: "Card declined",
+    });
+  });
+
+  test("payment.failed leaves a paid order alone", async () => {
+    onlineOrder({ paymentStatus: "completed", razorpayPaymentId: "pay_TEST001" });
+
+    const res = await postWebhook(
+      buildFakeWebhookEvent("payment.failed", { orderId: "order_TEST001", paymentId: "pay_FAILED1" }),
+    );
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.outcome).toBe("ignored");
+    expect(orders[0].paymentStatus).toBe("completed");
+  });
+
+  test("refund.processed records each refund once and marks a full refund", async () => {
+    onlineOrder({ paymentStatus: "completed", razorpayPaymentId: "pay_TEST001" });
+    const refund = (refundId, amount) =>
+      buildFakeWebhookEvent("refund.processed", { orderId: "order_TEST001", paymentId: "pay_TEST001", refundId, amount });
+
+    const partial = await postWebhook(refund("rfnd_1", 10000));
+    expect(partial.body.data).toMatchObject({ outcome: "refund_recorded", paymentStatus: "completed" });
+    expect(orders[0].razorpayRefunds).toHaveLength(1);
+
+    const replay = await postWebhook(refund("rfnd_1", 10000));
+    expect(replay.body.data.outcome).toBe("ignored");
+    expect(orders[0].razorpayRefunds).toHaveLength(1);
+
+    const rest = await postWebhook(refund("rfnd_2", 15000));
+    expect(rest.body.data).toMatchObject({ outcome: "refund_recorded", paymentStatus: "refunded" });
+    expect(orders[0].razorpayRefunds.map((r) => r.amount)).toEqual([100, 150]);
+    expect(orders[0].paymentStatus).toBe("refunded");
+  });
+});